@@ -1,11 +1,11 @@
 /**
  * Cost Manager Application - Main application entry point
- * Provides navigation, responsive layout, and database initialization
- * Manages tab-based routing between CostForm, Dashboard, and Settings
+ * Provides navigation, responsive layout, and database connection status
+ * Manages tab-based routing between CostForm, Dashboard, RecurringCosts, and Settings
  * @returns {JSX.Element} Complete application with mobile-responsive navigation
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import {
     AppBar,
     Toolbar,
@@ -26,7 +26,8 @@ import {
     ListItemText,
     BottomNavigation,
     BottomNavigationAction,
-    Divider
+    Divider,
+    Alert
 } from '@mui/material';
 import {
     Menu as MenuIcon,
@@ -34,6 +35,7 @@ import {
     Assessment,
     BarChart,
     Settings as SettingsIcon,
+    EventRepeat,
     AddCircle,
     Close as CloseIcon
 } from '@mui/icons-material';
@@ -41,8 +43,10 @@ import {
 // Application components and database utilities
 import CostForm from './components/CostForm';
 import Dashboard from './components/Dashboard';
+import RecurringCosts from './components/RecurringCosts';
 import Settings from './components/Settings';
-import { openCostsDB } from './utils/idb';
+import { useDatabase } from './context/DatabaseContext';
+import { useTranslation } from './context/LanguageContext';
 
 /**
  * Main Application component with responsive navigation and database management
@@ -52,50 +56,15 @@ const App = () => {
     const [activeTab, setActiveTab] = useState(0);
     const [mobileDrawerOpen, setMobileDrawerOpen] = useState(false);
     
-    // Data state - triggers component refresh and tracks database status
-    const [refreshTrigger, setRefreshTrigger] = useState(0);
-    const [dbInitialized, setDbInitialized] = useState(false);
-    const [dbError, setDbError] = useState(null);
+    // Shared database connection state from DatabaseProvider and the interface language
+    const { status: dbStatus, error: dbError, backgroundError, dismissBackgroundError } = useDatabase();
+    const { t } = useTranslation();
 
     // Responsive design hooks - detect screen size for layout adaptation
     const theme = useTheme();
     const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
     const isTablet = useMediaQuery(theme.breakpoints.down('md'));
 
-    /**
-     * Initialize IndexedDB database on application startup
-     * Verifies browser support and sets up database connection
-     */
-    useEffect(() => {
-        const initializeDatabase = async () => {
-            // Check if IndexedDB is supported
-            if (!window.indexedDB) {
-                setDbError('Your browser does not support IndexedDB. Please use a modern browser like Chrome, Firefox, or Edge.');
-                return;
-            }
-
-            try {
-                await openCostsDB("costsdb", 1);
-                setDbInitialized(true);
-            } catch (error) {
-                // Handle specific IndexedDB errors
-                let errorMessage = 'Failed to initialize database';
-
-                if (error.name === 'QuotaExceededError') {
-                    errorMessage = 'Storage quota exceeded. Please free up some space in your browser.';
-                } else if (error.name === 'InvalidStateError') {
-                    errorMessage = 'Database is in an invalid state. Try clearing your browser data.';
-                } else {
-                    errorMessage = `${errorMessage}: ${error.message}`;
-                }
-
-                setDbError(errorMessage);
-            }
-        };
-
-        initializeDatabase();
-    }, []);
-
     /**
      * Handle tab change
      * @param {Event} event - Click event
@@ -108,15 +77,6 @@ const App = () => {
         }
     };
 
-    /**
-     * Handle successful cost addition by triggering data refresh
-     * Increments refresh trigger to update Dashboard with new data
-     */
-    const handleCostAdded = () => {
-        // Increment trigger to force Dashboard re-render and data reload
-        setRefreshTrigger(prev => prev + 1);
-    };
-
     /**
      * Toggle mobile navigation drawer open/closed state
      */
@@ -126,20 +86,22 @@ const App = () => {
 
     // Navigation configuration - defines tabs with labels and icons
     const navigationItems = [
-        { label: 'Add Cost', icon: <AttachMoney />, index: 0 },
-        { label: 'Reports & Charts', icon: <BarChart />, index: 1 },
-        { label: 'Settings', icon: <SettingsIcon />, index: 2 }
+        { label: t('nav.addCost'), icon: <AttachMoney />, index: 0 },
+        { label: t('nav.reports'), icon: <BarChart />, index: 1 },
+        { label: t('nav.recurring'), icon: <EventRepeat />, index: 2 },
+        { label: t('nav.settings'), icon: <SettingsIcon />, index: 3 }
     ];
 
     /**
      * Render the active component based on selected tab
      */
     const renderActiveComponent = () => {
-        if (!dbInitialized) {
+        // Wait for the first connection; reconnects keep the active view mounted
+        if (dbStatus === 'connecting' || dbStatus === 'error') {
             return (
                 <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: 400 }}>
                     <Typography variant="h6" color="text.secondary">
-                        {dbError || 'Initializing database...'}
+                        {dbError ? t(dbError.messageKey, { message: dbError.message }) : t('app.initializing')}
                     </Typography>
                 </Box>
             );
@@ -147,18 +109,21 @@ const App = () => {
 
         switch (activeTab) {
             case 0:
-                return <CostForm onCostAdded={handleCostAdded} />;
+                return <CostForm />;
             case 1:
-                return <Dashboard refreshTrigger={refreshTrigger} />;
+                return <Dashboard />;
             case 2:
+                return <RecurringCosts />;
+            case 3:
                 return <Settings />;
             default:
-                return <CostForm onCostAdded={handleCostAdded} />;
+                return <CostForm />;
         }
     };
 
     /**
      * Render mobile drawer navigation
+     * The drawer opens from the start edge - MUI mirrors the "left" anchor in right-to-left languages
      */
     const renderMobileDrawer = () => (
         <Drawer
@@ -181,9 +146,9 @@ const App = () => {
                 }}>
                     <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <AttachMoney sx={{ mr: 1 }} />
-                        <Typography variant="h6">Cost Manager</Typography>
+                        <Typography variant="h6">{t('app.title')}</Typography>
                     </Box>
-                    <IconButton color="inherit" onClick={toggleDrawer} size="large">
+                    <IconButton color="inherit" onClick={toggleDrawer} size="large" aria-label={t('nav.closeMenu')}>
                         <CloseIcon />
                     </IconButton>
                 </Box>
@@ -259,9 +224,11 @@ const App = () => {
                     }
                 }}
             >
-                <BottomNavigationAction label="Add" icon={<AddCircle />} />
-                <BottomNavigationAction label="Reports" icon={<BarChart />} />
-                <BottomNavigationAction label="Settings" icon={<SettingsIcon />} />
+                {/* Actions follow the reading direction, so Add is at the start edge in both directions */}
+                <BottomNavigationAction label={t('nav.addShort')} icon={<AddCircle />} />
+                <BottomNavigationAction label={t('nav.reportsShort')} icon={<BarChart />} />
+                <BottomNavigationAction label={t('nav.recurringShort')} icon={<EventRepeat />} />
+                <BottomNavigationAction label={t('nav.settings')} icon={<SettingsIcon />} />
             </BottomNavigation>
         </Paper>
     );
@@ -276,7 +243,7 @@ const App = () => {
                         <IconButton
                             edge="start"
                             color="inherit"
-                            aria-label="menu"
+                            aria-label={t('nav.openMenu')}
                             onClick={toggleDrawer}
                             sx={{ mr: 2 }}
                         >
@@ -287,7 +254,7 @@ const App = () => {
                     {/* Application Title */}
                     <AttachMoney sx={{ mr: 1 }} />
                     <Typography variant="h6" component="h1" sx={{ flexGrow: 1 }}>
-                        Cost Manager
+                        {t('app.title')}
                     </Typography>
 
                     {/* Desktop/Tablet Navigation Tabs */}
@@ -307,17 +274,22 @@ const App = () => {
                             }}
                         >
                             <Tab
-                                label={isTablet ? "Add" : "Add Cost"}
+                                label={isTablet ? t('nav.addShort') : t('nav.addCost')}
                                 icon={<AttachMoney />}
                                 iconPosition="start"
                             />
                             <Tab
-                                label={isTablet ? "Reports" : "Reports & Charts"}
+                                label={isTablet ? t('nav.reportsShort') : t('nav.reports')}
                                 icon={<BarChart />}
                                 iconPosition="start"
                             />
                             <Tab
-                                label="Settings"
+                                label={isTablet ? t('nav.recurringShort') : t('nav.recurring')}
+                                icon={<EventRepeat />}
+                                iconPosition="start"
+                            />
+                            <Tab
+                                label={t('nav.settings')}
                                 icon={<SettingsIcon />}
                                 iconPosition="start"
                             />
@@ -347,6 +319,18 @@ const App = () => {
                         bgcolor: 'transparent'
                     }}
                 >
+                    {/* Connection status banner while reconnecting after a schema upgrade in another tab */}
+                    {dbStatus === 'reconnecting' && (
+                        <Alert severity="info" sx={{ mb: 2 }}>
+                            {t('app.reconnecting')}
+                        </Alert>
+                    )}
+                    {/* Failure of background work such as generating due recurring costs */}
+                    {backgroundError && (
+                        <Alert severity="warning" sx={{ mb: 2 }} onClose={dismissBackgroundError}>
+                            {t(backgroundError.messageKey, { message: backgroundError.message })}
+                        </Alert>
+                    )}
                     {renderActiveComponent()}
                 </Paper>
             </Container>
@@ -366,7 +350,7 @@ const App = () => {
             >
                 <Container maxWidth="lg">
                     <Typography variant="body2" color="text.secondary" align="center">
-                        © 2026 Cost Manager Application. All data stored locally in your browser.
+                        {t('app.footer')}
                     </Typography>
                 </Container>
             </Box>
@@ -0,0 +1,287 @@
+/**
+ * BackupRestoreSection Component - Full database backup and restore for the Settings page
+ * Downloads costs and settings as a versioned JSON file and restores a validated file
+ * by merging into or replacing the current data
+ */
+
+import { useState } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Alert,
+    CircularProgress,
+    RadioGroup,
+    FormControlLabel,
+    Radio,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions
+} from '@mui/material';
+import { Download, Upload, Restore } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useFormatter } from '../context/FormatContext';
+import { BACKUP_STORES, parseBackupFile, validateBackup } from '../utils/backup';
+import { downloadBlob, toDateInputValue } from '../utils/helperFunctions';
+
+/**
+ * BackupRestoreSection function rendering backup download and restore controls
+ * @returns {JSX.Element} Backup & Restore settings section
+ */
+const BackupRestoreSection = () => {
+    // Shared database connection, translator and formatter
+    const { db } = useDatabase();
+    const { t } = useTranslation();
+    const { formatDate } = useFormatter();
+
+    // Restore state - selected file, its validation result and the chosen restore mode
+    const [backup, setBackup] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [validation, setValidation] = useState(null);
+    const [mode, setMode] = useState('merge');
+
+    // UI state - progress indicators, feedback and replace confirmation
+    const [exporting, setExporting] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [confirmReplace, setConfirmReplace] = useState(false);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+
+    /**
+     * Export the database and download it as a dated JSON file
+     */
+    const handleDownload = async () => {
+        setExporting(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            const data = await db.exportDatabase();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, `cost-manager-backup-${toDateInputValue(new Date())}.json`);
+        } catch (err) {
+            setError(t('backup.createFailed', { message: err.message }));
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    /**
+     * Read the selected backup file and validate it for preview
+     * @param {Event} event - File input change event
+     */
+    const handleFileSelected = async (event) => {
+        const file = event.target.files[0];
+
+        // Allow selecting the same file again later
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+
+        setError(null);
+        setResult(null);
+        setFileName(file.name);
+
+        try {
+            const parsed = parseBackupFile(await file.text(), t);
+            setBackup(parsed);
+            setValidation(validateBackup(parsed, t));
+        } catch (err) {
+            setBackup(null);
+            setValidation({ valid: false, errors: [err.message], summary: null });
+        }
+    };
+
+    /**
+     * Restore the selected backup with the chosen mode
+     */
+    const runImport = async () => {
+        setConfirmReplace(false);
+        setImporting(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            const counts = await db.importDatabase(backup, mode);
+            setResult(counts);
+            setBackup(null);
+            setValidation(null);
+            setFileName('');
+        } catch (err) {
+            setError(t('backup.restoreFailed', { message: err.message }));
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    /**
+     * Start the restore, asking for confirmation before replacing existing data
+     */
+    const handleRestore = () => {
+        if (mode === 'replace') {
+            setConfirmReplace(true);
+        } else {
+            runImport();
+        }
+    };
+
+    // Formats optional preview dates
+    const formatPreviewDate = (date) => (date ? formatDate(date) : '-');
+
+    return (
+        <Box sx={{ mb: 3 }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('backup.title')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontSize: { xs: '0.8rem', sm: '0.875rem' } }}>
+                {t('backup.intro')}
+            </Typography>
+
+            {/* Error Alert */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                    {error}
+                </Alert>
+            )}
+
+            {/* Restore result */}
+            {result && (
+                <Alert severity="success" sx={{ mb: 2 }} onClose={() => setResult(null)}>
+                    {t('backup.restored')}
+                    <ul style={{ margin: '4px 0 0', paddingInlineStart: 20 }}>
+                        {BACKUP_STORES.map(storeName => (
+                            <li key={storeName}>
+                                {t(result[storeName].skipped > 0 ? 'backup.storeAddedSkipped' : 'backup.storeAdded', {
+                                    store: t(`backup.stores.${storeName}`),
+                                    added: result[storeName].added,
+                                    skipped: result[storeName].skipped
+                                })}
+                            </li>
+                        ))}
+                    </ul>
+                </Alert>
+            )}
+
+            <Box sx={{
+                display: 'flex',
+                gap: { xs: 1, sm: 2 },
+                flexWrap: 'wrap',
+                flexDirection: { xs: 'column', sm: 'row' },
+                mb: 2
+            }}>
+                <Button
+                    variant="contained"
+                    startIcon={exporting ? <CircularProgress size={20} /> : <Download />}
+                    onClick={handleDownload}
+                    disabled={exporting || importing}
+                    sx={{ minWidth: { xs: '100%', sm: 'auto' }, py: { xs: 1.25, sm: 1 } }}
+                >
+                    {t('backup.download')}
+                </Button>
+
+                <Button
+                    variant="outlined"
+                    component="label"
+                    startIcon={<Upload />}
+                    disabled={importing}
+                    sx={{ minWidth: { xs: '100%', sm: 'auto' }, py: { xs: 1.25, sm: 1 } }}
+                >
+                    {t('backup.chooseFile')}
+                    <input type="file" accept=".json,application/json" hidden onChange={handleFileSelected} />
+                </Button>
+            </Box>
+
+            {/* Validation preview of the selected file */}
+            {validation && (
+                <Box sx={{ mb: 2 }}>
+                    {validation.valid ? (
+                        <Alert severity="info" sx={{ mb: 2 }}>
+                            <strong>{fileName}</strong>
+                            <br />
+                            {t('backup.exportedAt', { date: formatPreviewDate(validation.summary.exportedAt) })}
+                            <br />
+                            {t('backup.costRange', {
+                                from: formatPreviewDate(validation.summary.firstDate),
+                                to: formatPreviewDate(validation.summary.lastDate)
+                            })}
+                            <ul style={{ margin: '4px 0 0', paddingInlineStart: 20 }}>
+                                {BACKUP_STORES.map(storeName => (
+                                    <li key={storeName}>
+                                        {t('backup.storeCount', {
+                                            store: t(`backup.stores.${storeName}`),
+                                            count: validation.summary.counts[storeName]
+                                        })}
+                                    </li>
+                                ))}
+                            </ul>
+                        </Alert>
+                    ) : (
+                        <Alert severity="error" sx={{ mb: 2 }}>
+                            <strong>{t('backup.invalid', { file: fileName || t('backup.selectedFile') })}</strong>
+                            <ul style={{ margin: '4px 0 0', paddingInlineStart: 20 }}>
+                                {validation.errors.slice(0, 5).map(message => (
+                                    <li key={message}>{message}</li>
+                                ))}
+                            </ul>
+                            {validation.errors.length > 5 && t('backup.moreErrors', { count: validation.errors.length - 5 })}
+                        </Alert>
+                    )}
+
+                    {validation.valid && (
+                        <>
+                            {/* Restore mode selection */}
+                            <RadioGroup value={mode} onChange={(e) => setMode(e.target.value)} sx={{ mb: 1 }}>
+                                <FormControlLabel
+                                    value="merge"
+                                    control={<Radio />}
+                                    label={t('backup.modeMerge')}
+                                />
+                                <FormControlLabel
+                                    value="replace"
+                                    control={<Radio />}
+                                    label={t('backup.modeReplace')}
+                                />
+                            </RadioGroup>
+
+                            <Button
+                                variant="contained"
+                                color={mode === 'replace' ? 'error' : 'primary'}
+                                startIcon={importing ? <CircularProgress size={20} /> : <Restore />}
+                                onClick={handleRestore}
+                                disabled={importing}
+                            >
+                                {importing ? t('backup.restoring') : t('backup.restore')}
+                            </Button>
+                        </>
+                    )}
+                </Box>
+            )}
+
+            {/* Replace confirmation dialog */}
+            <Dialog open={confirmReplace} onClose={() => setConfirmReplace(false)}>
+                <DialogTitle>{t('backup.replaceTitle')}</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        {t('backup.replaceConfirm')}
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setConfirmReplace(false)}>{t('common.cancel')}</Button>
+                    <Button color="error" variant="contained" onClick={runImport}>
+                        {t('backup.replace')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default BackupRestoreSection;
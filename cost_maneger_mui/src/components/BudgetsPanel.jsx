@@ -0,0 +1,310 @@
+/**
+ * BudgetsPanel Component - Budget vs actual spending for the selected month
+ * Shows a progress bar per budgeted category and a form to set a budget for this month only or every month
+ * Used in Dashboard Tab 3 (Budgets)
+ */
+
+import { useState } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    Alert,
+    Grid,
+    TextField,
+    MenuItem,
+    Button,
+    IconButton,
+    Tooltip,
+    Chip,
+    LinearProgress
+} from '@mui/material';
+import { SaveOutlined, EditOutlined, DeleteOutline } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useCategories } from '../hooks/useCategories';
+import { useCurrencies } from '../hooks/useCurrencies';
+import { getSelectableCategoryNames } from '../utils/categories';
+import { validateBudget, toBudgetPeriod, RECURRING_BUDGET_PERIOD } from '../utils/budgets';
+import { translateCategory } from '../i18n';
+import CategoryIcon from './CategoryIcon';
+
+// Progress bar color for each budget status
+const STATUS_COLORS = { ok: 'success', warning: 'warning', over: 'error', missing: 'inherit' };
+
+/**
+ * BudgetsPanel function rendering budget progress and the budget form
+ * @param {Object} props - Component props
+ * @param {Array} props.budgetReport - Result of db.getBudgetReport for the selected month
+ * @param {number} props.selectedMonth - Selected month index (0-11)
+ * @param {number} props.selectedYear - Selected year (e.g., 2025)
+ * @param {string} props.displayCurrency - Currency code of the converted amounts
+ * @returns {JSX.Element} Budgets panel
+ */
+const BudgetsPanel = ({ budgetReport, selectedMonth, selectedYear, displayCurrency }) => {
+    // Shared database connection, categories, currencies, formatter and translator
+    const { db } = useDatabase();
+    const categories = useCategories();
+    const currencies = useCurrencies();
+    const { formatCurrency, formatMonth } = useFormatter();
+    const { t } = useTranslation();
+
+    // Period of the selected month, offered next to the recurring period
+    const monthPeriod = toBudgetPeriod(selectedYear, selectedMonth + 1);
+
+    // Form state - a budget for the selected month or for every month
+    const [formData, setFormData] = useState({
+        category: '',
+        amount: '',
+        currency: displayCurrency,
+        period: RECURRING_BUDGET_PERIOD
+    });
+    const [validationErrors, setValidationErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Handle form field changes and clear the field's validation error
+     * @param {Event} event - Input change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    /**
+     * Run one budget operation with shared saving and error state
+     * @param {Function} operation - Async database operation
+     * @returns {Promise<boolean>} True when the operation succeeded
+     */
+    const runOperation = async (operation) => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            await operation();
+            return true;
+        } catch (err) {
+            setError(t('budgets.saveFailed', { message: err.message }));
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Validate the form and store the budget (replacing the category's budget for the same period)
+     */
+    const handleSave = async () => {
+        const errors = validateBudget(formData, t);
+        setValidationErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        if (await runOperation(() => db.saveBudget(formData))) {
+            setFormData(prev => ({ ...prev, category: '', amount: '' }));
+        }
+    };
+
+    /**
+     * Load a budget into the form so saving it again changes its amount
+     * @param {Object} entry - Budget report entry
+     */
+    const handleEdit = (entry) => {
+        setFormData({
+            category: entry.category,
+            amount: String(entry.budgetAmount),
+            currency: entry.budgetCurrency,
+            period: entry.period
+        });
+        setValidationErrors({});
+    };
+
+    // Keep a value that is no longer listed selectable
+    const categoryOptions = getSelectableCategoryNames(categories, formData.category);
+    const currencyOptions = currencies.includes(formData.currency) ? currencies : [formData.currency, ...currencies];
+
+    return (
+        <Paper elevation={2} sx={{ p: { xs: 1.5, sm: 2, md: 3 }, borderRadius: 2 }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('budgets.title', { period: formatMonth(selectedMonth, { year: selectedYear }) })}
+            </Typography>
+
+            {/* Error Alert */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                    {error}
+                </Alert>
+            )}
+
+            {/* Budget vs actual per category */}
+            {budgetReport.length === 0 ? (
+                <Alert severity="info" sx={{ mb: 3 }}>
+                    {t('budgets.empty')}
+                </Alert>
+            ) : (
+                <Box sx={{ mb: 3 }}>
+                    {budgetReport.map(entry => {
+                        const category = categories.find(item => item.name === entry.category);
+                        const ratio = entry.limit ? entry.spent / entry.limit : 0;
+                        return (
+                            <Box key={entry.id} sx={{ mb: 2 }}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                                    <CategoryIcon
+                                        icon={category ? category.icon : 'category'}
+                                        color={category ? category.color : undefined}
+                                        fontSize="small"
+                                    />
+                                    <Typography variant="body2" sx={{ fontWeight: 500, flexGrow: 1 }}>
+                                        {translateCategory(t, entry.category)}
+                                        <Chip
+                                            size="small"
+                                            variant="outlined"
+                                            label={entry.period === RECURRING_BUDGET_PERIOD ? t('budgets.everyMonth') : t('budgets.thisMonth')}
+                                            sx={{ ml: 1 }}
+                                        />
+                                    </Typography>
+                                    <Tooltip title={t('common.edit')}>
+                                        <IconButton size="small" onClick={() => handleEdit(entry)} disabled={saving}>
+                                            <EditOutlined fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                    <Tooltip title={t('common.delete')}>
+                                        <IconButton size="small" onClick={() => runOperation(() => db.deleteBudget(entry.id))} disabled={saving}>
+                                            <DeleteOutline fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                                <LinearProgress
+                                    variant="determinate"
+                                    value={Math.min(100, ratio * 100)}
+                                    color={STATUS_COLORS[entry.status]}
+                                    sx={{ height: 8, borderRadius: 1 }}
+                                />
+                                <Typography
+                                    variant="caption"
+                                    color={entry.status === 'over' ? 'error.main' : 'text.secondary'}
+                                >
+                                    {entry.limit === null
+                                        ? t('budgets.missingRate', {
+                                            spent: formatCurrency(entry.spent, displayCurrency),
+                                            budget: formatCurrency(entry.budgetAmount, entry.budgetCurrency)
+                                        })
+                                        : t(entry.status === 'over' ? 'budgets.over' : 'budgets.progress', {
+                                            spent: formatCurrency(entry.spent, displayCurrency),
+                                            budget: formatCurrency(entry.limit, displayCurrency),
+                                            difference: formatCurrency(Math.abs(entry.limit - entry.spent), displayCurrency)
+                                        })}
+                                    {entry.budgetCurrency !== displayCurrency && entry.limit !== null &&
+                                        ` (${formatCurrency(entry.budgetAmount, entry.budgetCurrency)})`}
+                                </Typography>
+                            </Box>
+                        );
+                    })}
+                </Box>
+            )}
+
+            {/* Budget form */}
+            <Typography variant="subtitle2" gutterBottom>
+                {t('budgets.setTitle')}
+            </Typography>
+            <Grid container spacing={2}>
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('costForm.category')}
+                        name="category"
+                        value={formData.category}
+                        onChange={handleChange}
+                        error={!!validationErrors.category}
+                        helperText={validationErrors.category}
+                        disabled={saving}
+                    >
+                        {categoryOptions.map(name => (
+                            <MenuItem key={name} value={name}>
+                                {translateCategory(t, name)}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+                <Grid size={{ xs: 7, sm: 3, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        type="number"
+                        label={t('budgets.amount')}
+                        name="amount"
+                        value={formData.amount}
+                        onChange={handleChange}
+                        error={!!validationErrors.amount}
+                        helperText={validationErrors.amount}
+                        disabled={saving}
+                        inputProps={{ min: 0, step: 'any' }}
+                    />
+                </Grid>
+                <Grid size={{ xs: 5, sm: 3, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('costForm.currency')}
+                        name="currency"
+                        value={formData.currency}
+                        onChange={handleChange}
+                        disabled={saving}
+                    >
+                        {currencyOptions.map(code => (
+                            <MenuItem key={code} value={code}>{code}</MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('budgets.period')}
+                        name="period"
+                        value={formData.period}
+                        onChange={handleChange}
+                        error={!!validationErrors.period}
+                        helperText={validationErrors.period}
+                        disabled={saving}
+                    >
+                        <MenuItem value={RECURRING_BUDGET_PERIOD}>{t('budgets.everyMonth')}</MenuItem>
+                        <MenuItem value={monthPeriod}>
+                            {t('budgets.onlyMonth', { period: formatMonth(selectedMonth, { year: selectedYear }) })}
+                        </MenuItem>
+                        {/* A loaded month-specific budget of another month stays selectable */}
+                        {formData.period !== RECURRING_BUDGET_PERIOD && formData.period !== monthPeriod && (
+                            <MenuItem value={formData.period}>{formData.period}</MenuItem>
+                        )}
+                    </TextField>
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6, md: 2 }}>
+                    <Button
+                        fullWidth
+                        variant="outlined"
+                        startIcon={<SaveOutlined />}
+                        onClick={handleSave}
+                        disabled={saving || !db}
+                    >
+                        {t('budgets.save')}
+                    </Button>
+                </Grid>
+            </Grid>
+        </Paper>
+    );
+};
+
+export default BudgetsPanel;
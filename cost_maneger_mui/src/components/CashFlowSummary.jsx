@@ -0,0 +1,57 @@
+/**
+ * CashFlowSummary Component - Income, expenses and net figures of a period with its savings rate
+ * Used in the monthly report summary card and above the yearly chart
+ */
+
+import { Box, Grid, Typography } from '@mui/material';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+
+/**
+ * CashFlowSummary function rendering one period's figures in the display currency
+ * @param {Object} props - Component props
+ * @param {Object} props.figures - { income, expenses, net, savingsRate } from db.getCashFlowData
+ * @param {string} props.displayCurrency - Currency code of the figures
+ * @returns {JSX.Element} Figures row and savings rate line
+ */
+const CashFlowSummary = ({ figures, displayCurrency }) => {
+    // Shared locale-aware formatter and translator
+    const { formatCurrency, formatPercent } = useFormatter();
+    const { t } = useTranslation();
+
+    // Figures in display order with the color that marks gains and losses
+    const items = [
+        { key: 'income', label: t('cashFlow.income'), value: figures.income, color: 'success.main' },
+        { key: 'expenses', label: t('cashFlow.expenses'), value: figures.expenses, color: 'text.primary' },
+        { key: 'net', label: t('cashFlow.net'), value: figures.net, color: figures.net < 0 ? 'error.main' : 'success.main' }
+    ];
+
+    return (
+        <Box>
+            <Grid container spacing={1}>
+                {items.map(item => (
+                    <Grid key={item.key} size={4}>
+                        <Typography variant="caption" color="text.secondary" component="div">
+                            {item.label}
+                        </Typography>
+                        <Typography variant="subtitle1" color={item.color} sx={{ fontWeight: 600, fontSize: { xs: '0.85rem', sm: '1rem' } }}>
+                            {formatCurrency(item.value, displayCurrency)}
+                        </Typography>
+                    </Grid>
+                ))}
+            </Grid>
+            {/* Savings rate - share of income left after expenses; undefined without income */}
+            <Typography
+                variant="body2"
+                color={figures.savingsRate !== null && figures.savingsRate < 0 ? 'error.main' : 'text.secondary'}
+                sx={{ mt: 0.5 }}
+            >
+                {figures.savingsRate === null
+                    ? t('cashFlow.noIncome')
+                    : t('cashFlow.savingsRate', { rate: formatPercent(figures.savingsRate) })}
+            </Typography>
+        </Box>
+    );
+};
+
+export default CashFlowSummary;
@@ -0,0 +1,336 @@
+/**
+ * CategoriesSection Component - Category manager on the Settings page
+ * Creates categories with a color, icon and optional parent, edits and renames them, archives categories
+ * that are no longer used for new costs, and merges one category into another (moving its costs)
+ */
+
+import { useState } from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    Button,
+    Alert,
+    Grid,
+    Table,
+    TableBody,
+    TableRow,
+    TableCell,
+    TableContainer,
+    Paper,
+    IconButton,
+    Tooltip,
+    Chip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions
+} from '@mui/material';
+import { Add, EditOutlined, ArchiveOutlined, UnarchiveOutlined, MergeType } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useCategories } from '../hooks/useCategories';
+import { validateCategory, sortCategoryTree, CATEGORY_ICONS } from '../utils/categories';
+import { COLORS } from '../utils/constants';
+import { translateCategory } from '../i18n';
+import CategoryIcon from './CategoryIcon';
+import EditCategoryDialog from './EditCategoryDialog';
+
+// Empty editor values for a new category ('' parent means top level)
+const EMPTY_CATEGORY = { name: '', color: COLORS[0], icon: 'category', parentId: '' };
+
+/**
+ * CategoriesSection function rendering the category list and the form to add one
+ * @returns {JSX.Element} Categories settings section
+ */
+const CategoriesSection = () => {
+    // Shared database connection, stored categories and translator
+    const { db } = useDatabase();
+    const categories = useCategories();
+    const { t } = useTranslation();
+
+    // Editor state
+    const [formData, setFormData] = useState(EMPTY_CATEGORY);
+    const [validationErrors, setValidationErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Category being edited, and the merge in progress ({ source, targetId })
+    const [editingCategory, setEditingCategory] = useState(null);
+    const [merging, setMerging] = useState(null);
+
+    /**
+     * Run one category operation with shared saving and error state
+     * @param {Function} operation - Async database operation
+     * @returns {Promise<boolean>} True when the operation succeeded
+     */
+    const runOperation = async (operation) => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            await operation();
+            return true;
+        } catch (err) {
+            setError(t('categoriesManager.saveFailed', { message: err.message }));
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Handle editor field changes and clear the field's validation error
+     * @param {Event} event - Input change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    /**
+     * Validate the editor and create the category
+     */
+    const handleAdd = async () => {
+        const values = { ...formData, parentId: formData.parentId === '' ? null : formData.parentId };
+        const errors = validateCategory(values, categories, undefined, t);
+        setValidationErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        if (await runOperation(() => db.addCategory(values))) {
+            // Suggest the next palette color for the following category
+            setFormData({ ...EMPTY_CATEGORY, color: COLORS[(categories.length + 1) % COLORS.length] });
+        }
+    };
+
+    /**
+     * Archive a category or bring it back to the category pickers
+     * @param {Object} category - Category to toggle
+     */
+    const handleToggleArchived = (category) => {
+        runOperation(() => db.updateCategory(category.id, { archived: !category.archived }));
+    };
+
+    /**
+     * Merge the chosen source category into the chosen target
+     */
+    const handleMerge = async () => {
+        if (await runOperation(() => db.mergeCategories(merging.source.id, merging.targetId))) {
+            setMerging(null);
+        }
+    };
+
+    // Top-level categories that can receive subcategories, and every category in tree order
+    const parentOptions = categories.filter(category => category.parentId == null && !category.archived);
+    const categoryTree = sortCategoryTree(categories);
+
+    // Categories a merge can move costs into
+    const mergeTargets = merging ? categories.filter(category => category.id !== merging.source.id) : [];
+    const mergeTarget = merging && categories.find(category => category.id === merging.targetId);
+
+    return (
+        <Box sx={{ mb: 3 }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('categoriesManager.title')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontSize: { xs: '0.8rem', sm: '0.875rem' } }}>
+                {t('categoriesManager.intro')}
+            </Typography>
+
+            {/* Error Alert */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                    {error}
+                </Alert>
+            )}
+
+            {/* Editor - name, parent, color and icon of a new category */}
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        label={t('categoriesManager.name')}
+                        name="name"
+                        value={formData.name}
+                        onChange={handleChange}
+                        error={!!validationErrors.name}
+                        helperText={validationErrors.name}
+                        disabled={saving}
+                    />
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('categoriesManager.parent')}
+                        name="parentId"
+                        value={formData.parentId}
+                        onChange={handleChange}
+                        error={!!validationErrors.parentId}
+                        helperText={validationErrors.parentId}
+                        disabled={saving}
+                    >
+                        <MenuItem value="">{t('categoriesManager.noParent')}</MenuItem>
+                        {parentOptions.map(category => (
+                            <MenuItem key={category.id} value={category.id}>
+                                {translateCategory(t, category.name)}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+                <Grid size={{ xs: 6, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        type="color"
+                        label={t('categoriesManager.color')}
+                        name="color"
+                        value={formData.color}
+                        onChange={handleChange}
+                        error={!!validationErrors.color}
+                        helperText={validationErrors.color}
+                        disabled={saving}
+                    />
+                </Grid>
+                <Grid size={{ xs: 6, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('categoriesManager.icon')}
+                        name="icon"
+                        value={formData.icon}
+                        onChange={handleChange}
+                        disabled={saving}
+                    >
+                        {CATEGORY_ICONS.map(icon => (
+                            <MenuItem key={icon} value={icon} aria-label={icon}>
+                                <CategoryIcon icon={icon} color={formData.color} fontSize="small" />
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+                <Grid size={{ xs: 12, sm: 4, md: 2 }}>
+                    <Button
+                        fullWidth
+                        variant="outlined"
+                        startIcon={<Add />}
+                        onClick={handleAdd}
+                        disabled={saving || !db}
+                    >
+                        {t('categoriesManager.add')}
+                    </Button>
+                </Grid>
+            </Grid>
+
+            {/* Stored categories - subcategories indented under their parent */}
+            <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                    <TableBody>
+                        {categoryTree.map(category => (
+                            <TableRow key={category.id} sx={{ opacity: category.archived ? 0.6 : 1 }}>
+                                <TableCell sx={{ width: 40, pl: category.depth > 0 ? 5 : 2 }}>
+                                    <CategoryIcon icon={category.icon} color={category.color} fontSize="small" />
+                                </TableCell>
+                                <TableCell>
+                                    {translateCategory(t, category.name)}
+                                    {category.archived && (
+                                        <Chip label={t('categoriesManager.archived')} size="small" sx={{ ml: 1 }} />
+                                    )}
+                                </TableCell>
+                                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                                    <Tooltip title={t('common.edit')}>
+                                        <IconButton size="small" onClick={() => setEditingCategory(category)} disabled={saving}>
+                                            <EditOutlined fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                    <Tooltip title={category.archived ? t('categoriesManager.unarchive') : t('categoriesManager.archive')}>
+                                        <IconButton size="small" onClick={() => handleToggleArchived(category)} disabled={saving}>
+                                            {category.archived ? <UnarchiveOutlined fontSize="small" /> : <ArchiveOutlined fontSize="small" />}
+                                        </IconButton>
+                                    </Tooltip>
+                                    <Tooltip title={t('categoriesManager.merge')}>
+                                        <span>
+                                            <IconButton
+                                                size="small"
+                                                onClick={() => setMerging({ source: category, targetId: '' })}
+                                                disabled={saving || categories.length < 2}
+                                            >
+                                                <MergeType fontSize="small" />
+                                            </IconButton>
+                                        </span>
+                                    </Tooltip>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            {/* Edit / rename dialog */}
+            {editingCategory && (
+                <EditCategoryDialog
+                    key={editingCategory.id}
+                    category={editingCategory}
+                    categories={categories}
+                    onSave={(id, changes) => db.updateCategory(id, changes)}
+                    onClose={() => setEditingCategory(null)}
+                />
+            )}
+
+            {/* Merge dialog - pick the category that receives the costs */}
+            <Dialog open={Boolean(merging)} onClose={() => !saving && setMerging(null)} fullWidth maxWidth="xs">
+                <DialogTitle>
+                    {merging && t('categoriesManager.mergeTitle', { name: translateCategory(t, merging.source.name) })}
+                </DialogTitle>
+                <DialogContent>
+                    <TextField
+                        fullWidth
+                        select
+                        label={t('categoriesManager.mergeInto')}
+                        value={merging ? merging.targetId : ''}
+                        onChange={(event) => setMerging(prev => ({ ...prev, targetId: event.target.value }))}
+                        disabled={saving}
+                        sx={{ mt: 1, mb: 2 }}
+                    >
+                        {mergeTargets.map(category => (
+                            <MenuItem key={category.id} value={category.id}>
+                                {translateCategory(t, category.name)}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                    {merging && mergeTarget && (
+                        <DialogContentText>
+                            {t('categoriesManager.mergeConfirm', {
+                                source: translateCategory(t, merging.source.name),
+                                target: translateCategory(t, mergeTarget.name)
+                            })}
+                        </DialogContentText>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setMerging(null)} disabled={saving}>
+                        {t('common.cancel')}
+                    </Button>
+                    <Button color="error" variant="contained" onClick={handleMerge} disabled={saving || !mergeTarget}>
+                        {t('categoriesManager.merge')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default CategoriesSection;
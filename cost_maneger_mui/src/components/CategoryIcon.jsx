@@ -0,0 +1,59 @@
+/**
+ * CategoryIcon Component - Renders the icon stored on a category
+ * Maps the icon keys of CATEGORY_ICONS to Material icons; unknown keys show the generic category icon
+ */
+
+import {
+    Restaurant,
+    DirectionsCar,
+    Home,
+    Bolt,
+    Movie,
+    LocalHospital,
+    FitnessCenter,
+    ShoppingBag,
+    School,
+    Flight,
+    Pets,
+    ChildCare,
+    CardGiftcard,
+    PhoneAndroid,
+    Work,
+    Savings,
+    Category
+} from '@mui/icons-material';
+
+// Material icon for every key in CATEGORY_ICONS
+const ICON_COMPONENTS = {
+    restaurant: Restaurant,
+    car: DirectionsCar,
+    home: Home,
+    bolt: Bolt,
+    movie: Movie,
+    health: LocalHospital,
+    sport: FitnessCenter,
+    shopping: ShoppingBag,
+    school: School,
+    flight: Flight,
+    pets: Pets,
+    child: ChildCare,
+    gift: CardGiftcard,
+    phone: PhoneAndroid,
+    work: Work,
+    savings: Savings,
+    category: Category
+};
+
+/**
+ * CategoryIcon function rendering one category icon
+ * @param {Object} props - Component props
+ * @param {string} [props.icon] - Icon key from CATEGORY_ICONS
+ * @param {string} [props.color] - Icon color (CSS color), inherited when omitted
+ * @returns {JSX.Element} Material icon
+ */
+const CategoryIcon = ({ icon, color, ...props }) => {
+    const IconComponent = ICON_COMPONENTS[icon] || Category;
+    return <IconComponent {...props} sx={{ color, ...props.sx }} />;
+};
+
+export default CategoryIcon;
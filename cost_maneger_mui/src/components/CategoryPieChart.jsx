@@ -1,39 +1,97 @@
 /**
  * CategoryPieChart Component - Pie chart visualization of expenses by category
- * Displays category breakdown and legend for selected month
+ * Displays category breakdown and legend for selected month; clicking a category with
+ * subcategories drills down into them
  * Used in Dashboard Tab 1 (Category Chart)
  */
 
-import { Box, Paper, Typography, Alert, Grid } from '@mui/material';
+import { useState } from 'react';
+import { Box, Paper, Typography, Alert, Grid, Button } from '@mui/material';
+import { ArrowBack } from '@mui/icons-material';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
-import { MONTHS, COLORS } from '../utils/constants';
+import { COLORS } from '../utils/constants';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useCategories } from '../hooks/useCategories';
+import { translateCategory } from '../i18n';
 
 /**
  * CategoryPieChart function for displaying expense breakdown by category
  * @param {Object} props - Component props
  * @param {Array} props.categoryData - Array of category objects with category name and amount
+ * @param {Array} [props.subcategoryData] - Totals per subcategory, each naming its top-level parent
  * @param {number} props.selectedMonth - Selected month index (0-11)
  * @param {number} props.selectedYear - Selected year (e.g., 2025)
- * @param {Function} props.formatCurrency - Function to format amount as currency string
+ * @param {string} props.displayCurrency - Currency code of the category amounts
  * @returns {JSX.Element} Pie chart with category legend
  */
 const CategoryPieChart = ({
                               categoryData,
+                              subcategoryData = [],
                               selectedMonth,
                               selectedYear,
-                              formatCurrency
+                              displayCurrency
                           }) => {
+    // Shared locale-aware formatter, translator and categories
+    const { formatCurrency, formatPercent, formatMonth } = useFormatter();
+    const { t } = useTranslation();
+    const categories = useCategories();
+
+    // Top-level category drilled into (null shows every top-level category)
+    const [drillParent, setDrillParent] = useState(null);
+
+    // Subcategory totals of each parent that has costs in a subcategory, so drilling down shows a breakdown
+    const childrenOf = (parent) => subcategoryData.filter(item => item.parent === parent);
+    const canDrill = (parent) => childrenOf(parent).some(item => item.category !== parent);
+
+    // Fall back to the top level when the drilled category has no data (e.g. after changing month)
+    const activeParent = drillParent && canDrill(drillParent) ? drillParent : null;
+    const chartData = activeParent ? childrenOf(activeParent) : categoryData;
+    const drillable = !activeParent && categoryData.some(item => canDrill(item.category));
+
+    /**
+     * Drill into a top-level category when it has subcategories
+     * @param {string} name - Category name of the clicked slice or legend entry
+     */
+    const handleDrill = (name) => {
+        if (!activeParent && canDrill(name)) {
+            setDrillParent(name);
+        }
+    };
+
+    /**
+     * Color of a slice: the category's own color, or the palette for names without a category record
+     * @param {string} name - Category name
+     * @param {number} index - Slice position
+     * @returns {string} CSS color
+     */
+    const getSliceColor = (name, index) => {
+        const category = categories.find(item => item.name === name);
+        return category ? category.color : COLORS[index % COLORS.length];
+    };
+
     return (
         <Paper elevation={2} sx={{ p: { xs: 1.5, sm: 2, md: 3 }, borderRadius: 2 }}>
             {/* Chart title with selected month and year */}
             <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
-                Expenses by Category - {MONTHS[selectedMonth]} {selectedYear}
+                {t('charts.categoryTitle', { period: formatMonth(selectedMonth, { year: selectedYear }) })}
             </Typography>
 
+            {/* Back to the top level, or a hint that slices can be opened */}
+            {activeParent ? (
+                <Button size="small" startIcon={<ArrowBack />} onClick={() => setDrillParent(null)} sx={{ mb: 1 }}>
+                    {t('charts.allCategories')} / {translateCategory(t, activeParent)}
+                </Button>
+            ) : drillable && (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    {t('charts.drillHint')}
+                </Typography>
+            )}
+
             {/* Display empty state message if no category data available */}
-            {categoryData.length === 0 ? (
+            {chartData.length === 0 ? (
                 <Alert severity="info">
-                    No data available for the selected month
+                    {t('charts.noMonthData')}
                 </Alert>
             ) : (
                 <>
@@ -43,9 +101,9 @@ const CategoryPieChart = ({
                             <PieChart>
                                 <Pie
                                     // Transform category data to Recharts format (requires 'name' and 'value' keys)
-                                    data={categoryData.map(item => ({
+                                    data={chartData.map(item => ({
                                         ...item,
-                                        name: item.category || item.name || 'Unknown',
+                                        name: item.category ? translateCategory(t, item.category) : (item.name || t('charts.unknownCategory')),
                                         value: item.amount || item.value || 0
                                     }))}
                                     cx="50%"
@@ -55,34 +113,46 @@ const CategoryPieChart = ({
                                     label={({ name, percent }) => {
                                         // Truncate long category names for better readability
                                         const shortName = name.length > 10 ? name.substring(0, 10) + '...' : name;
-                                        return `${shortName} (${(percent * 100).toFixed(0)}%)`;
+                                        return `${shortName} (${formatPercent(percent)})`;
                                     }}
                                     outerRadius="70%"
                                     fill="#8884d8"
                                     dataKey="value"
+                                    onClick={(_, index) => handleDrill(chartData[index].category)}
                                 >
-                                    {/* Assign colors to pie chart segments using color palette */}
-                                    {categoryData.map((entry, index) => (
-                                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                                    {/* Color each segment with its category color */}
+                                    {chartData.map((entry, index) => (
+                                        <Cell
+                                            key={`cell-${index}`}
+                                            fill={getSliceColor(entry.category, index)}
+                                            cursor={!activeParent && canDrill(entry.category) ? 'pointer' : undefined}
+                                        />
                                     ))}
                                 </Pie>
                                 {/* Format tooltip values as currency when hovering over segments */}
-                                <Tooltip formatter={(value) => formatCurrency(value)} />
+                                <Tooltip formatter={(value) => formatCurrency(value, displayCurrency)} />
                             </PieChart>
                         </ResponsiveContainer>
                     </Box>
 
                     {/* Category Legend - displays color-coded category list with amounts */}
                     <Grid container spacing={{ xs: 1, sm: 2 }} sx={{ mt: { xs: 1, sm: 2 } }}>
-                        {categoryData.map((item, index) => (
+                        {chartData.map((item, index) => (
                             <Grid item xs={6} sm={4} md={3} key={item.category}>
-                                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                                <Box
+                                    onClick={() => handleDrill(item.category)}
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        cursor: !activeParent && canDrill(item.category) ? 'pointer' : 'default'
+                                    }}
+                                >
                                     {/* Color indicator box matching pie chart segment color */}
                                     <Box
                                         sx={{
                                             width: { xs: 12, sm: 16 },
                                             height: { xs: 12, sm: 16 },
-                                            bgcolor: COLORS[index % COLORS.length],
+                                            bgcolor: getSliceColor(item.category, index),
                                             mr: 1,
                                             borderRadius: 0.5,
                                             flexShrink: 0
@@ -95,7 +165,7 @@ const CategoryPieChart = ({
                                         textOverflow: 'ellipsis',
                                         whiteSpace: 'nowrap'
                                     }}>
-                                        {item.category}: {formatCurrency(item.amount)}
+                                        {translateCategory(t, item.category)}: {formatCurrency(item.amount, displayCurrency)}
                                     </Typography>
                                 </Box>
                             </Grid>
@@ -1,12 +1,13 @@
 /**
- * CostForm Component - Expense entry form with validation
- * Provides input fields for amount, currency, category, and description
- * Handles form validation, database persistence, and user feedback
+ * CostForm Component - Expense and income entry form with validation
+ * Provides input fields for amount, currency, date, category (or income source), and description
+ * Handles form validation, database persistence, and user feedback, and warns before a cost
+ * goes over the budget of its category
  * @param {Object} props.onCostAdded - Callback function triggered after successful cost addition
- * @returns {JSX.Element} Form component for adding new expenses
+ * @returns {JSX.Element} Form component for adding new expenses and income
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import {
     Box,
     TextField,
@@ -16,11 +17,41 @@ import {
     Typography,
     Alert,
     CircularProgress,
-    Grid
+    Grid,
+    ToggleButtonGroup,
+    ToggleButton
 } from '@mui/material';
-import { AddCircleOutline } from '@mui/icons-material';
-import { openCostsDB } from '../utils/idb';
-import { CURRENCIES, CATEGORIES } from '../utils/constants';
+import { AddCircleOutline, TrendingDown, TrendingUp } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useFormatter } from '../context/FormatContext';
+import { useCurrencies } from '../hooks/useCurrencies';
+import { useCategories } from '../hooks/useCategories';
+import { getSelectableCategoryNames } from '../utils/categories';
+import { validateCostForm, toDateInputValue, parseDateInput } from '../utils/helperFunctions';
+import { toMinorUnits, getCurrencyDecimals, isDecimalAmount } from '../utils/money';
+import { formatCurrencyLabel } from '../utils/currencies';
+import { validateIncomeForm, INCOME_SOURCES } from '../utils/income';
+import { translateCategory } from '../i18n';
+import CategoryIcon from './CategoryIcon';
+
+/**
+ * Convert the typed amount for the budget check
+ * @param {string} sum - Raw amount input
+ * @param {string} currency - Currency code
+ * @returns {number|null} Positive amount in minor units, or null while the input is not a usable amount
+ */
+const toCheckedMinorUnits = function (sum, currency) {
+    if (!isDecimalAmount(sum)) {
+        return null;
+    }
+    try {
+        const minor = toMinorUnits(sum, currency);
+        return minor > 0 ? minor : null;
+    } catch {
+        return null;
+    }
+};
 
 /**
  * Main CostForm component for expense entry
@@ -28,11 +59,24 @@ import { CURRENCIES, CATEGORIES } from '../utils/constants';
  * @param {Function} props.onCostAdded - Callback executed after successful cost addition
  */
 const CostForm = ({ onCostAdded }) => {
-    // Form data state - manages user input values
+    // Shared database connection, the currencies of the active rates feed, the categories and the interface language
+    const { db } = useDatabase();
+    const currencies = useCurrencies();
+    const categories = useCategories();
+    const { t, language } = useTranslation();
+    const { formatCurrency } = useFormatter();
+
+    // Entry type - 'expense' adds a cost, 'income' adds an income entry
+    const [entryType, setEntryType] = useState('expense');
+    const isIncome = entryType === 'income';
+
+    // Form data state - manages user input values (source is used for income instead of category)
     const [formData, setFormData] = useState({
         sum: '',
         currency: 'USD',
+        date: toDateInputValue(new Date()),
         category: '',
+        source: '',
         description: ''
     });
 
@@ -42,6 +86,47 @@ const CostForm = ({ onCostAdded }) => {
     const [success, setSuccess] = useState(false);
     const [validationErrors, setValidationErrors] = useState({});
 
+    // Budgets the cost being entered would go over, with the input they were checked for (failed when the check could not run)
+    const [budgetCheck, setBudgetCheck] = useState({ key: null, warnings: [], failed: false });
+
+    // Input the budget check depends on; null for income and until the amount, category and date are usable
+    const budgetMinor = isIncome ? null : toCheckedMinorUnits(formData.sum, formData.currency);
+    const budgetKey = budgetMinor !== null && formData.category && parseDateInput(formData.date)
+        ? JSON.stringify([budgetMinor, formData.currency, formData.category, formData.date])
+        : null;
+
+    /**
+     * Effect hook to check the category budgets whenever the amount, currency, category or date changes
+     * A failed check (e.g. no exchange rates offline) shows a notice instead, without blocking the cost
+     */
+    useEffect(() => {
+        if (!db || !budgetKey) {
+            return undefined;
+        }
+
+        // Ignore results of input that has changed since
+        let active = true;
+        const [sumMinor, currency, category, date] = JSON.parse(budgetKey);
+        db.getBudgetWarnings({ sumMinor, currency, category, date: parseDateInput(date) })
+            .then(warnings => {
+                if (active) {
+                    setBudgetCheck({ key: budgetKey, warnings, failed: false });
+                }
+            })
+            .catch(() => {
+                if (active) {
+                    setBudgetCheck({ key: budgetKey, warnings: [], failed: true });
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [db, budgetKey]);
+
+    // Warnings are only shown for the input they were computed for
+    const budgetWarnings = budgetCheck.key === budgetKey ? budgetCheck.warnings : [];
+    const budgetCheckFailed = budgetCheck.key === budgetKey && budgetCheck.failed;
+
     /**
      * Handle input field changes and clear validation errors
      * Updates form data state as user types in any field
@@ -66,34 +151,27 @@ const CostForm = ({ onCostAdded }) => {
         }
     };
 
+    /**
+     * Switch between entering an expense and an income entry, keeping the shared fields
+     * @param {Event} event - Click event
+     * @param {string|null} newType - Selected type (null when the selected button is clicked again)
+     */
+    const handleTypeChange = (event, newType) => {
+        if (newType) {
+            setEntryType(newType);
+            setValidationErrors({});
+            setSuccess(false);
+        }
+    };
+
     /**
      * Validate all form fields before submission
-     * Checks amount, category, and description for valid input
+     * Checks amount, category (or income source), date, and description for valid input
      * @returns {boolean} True if all validations pass, false otherwise
      */
     const validateForm = () => {
-        const errors = {};
-
-        // Validate amount field - must be positive number within limits
-        const sumValue = parseFloat(formData.sum);
-        if (!formData.sum || isNaN(sumValue) || sumValue <= 0) {
-            errors.sum = 'Please enter a valid positive amount';
-        } else if (sumValue > 999999999) {
-            errors.sum = 'Amount is too large (maximum: 999,999,999)';
-        }
-
-        // Validate category selection - required field
-        if (!formData.category) {
-            errors.category = 'Please select a category';
-        }
-
-        // Validate description - required field with length limit
-        const trimmedDescription = formData.description.trim();
-        if (!trimmedDescription) {
-            errors.description = 'Please enter a description';
-        } else if (trimmedDescription.length > 500) {
-            errors.description = 'Description is too long (maximum: 500 characters)';
-        }
+        // Apply shared cost or income validation rules
+        const errors = isIncome ? validateIncomeForm(formData, t) : validateCostForm(formData, t);
 
         // Store validation errors and return whether form is valid
         setValidationErrors(errors);
@@ -122,18 +200,23 @@ const CostForm = ({ onCostAdded }) => {
         setLoading(true);
 
         try {
-            // Prepare cost object with validated and formatted data
-            const cost = {
-                sum: parseFloat(formData.sum),
+            // Prepare the entry with validated and formatted data
+            const entry = {
+                sumMinor: toMinorUnits(formData.sum, formData.currency),
                 currency: formData.currency,
-                category: formData.category,
                 description: formData.description.trim(),
-                date: new Date().toISOString()
+                date: parseDateInput(formData.date)
             };
 
-            // Connect to database and save the new cost entry
-            const db = await openCostsDB("costsdb", 1);
-            await db.addCost(cost);
+            // Save the new cost or income entry through the shared connection
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            if (isIncome) {
+                await db.addIncome({ ...entry, source: formData.source });
+            } else {
+                await db.addCost({ ...entry, category: formData.category });
+            }
 
             // Display success feedback to user
             setSuccess(true);
@@ -142,7 +225,9 @@ const CostForm = ({ onCostAdded }) => {
             setFormData({
                 sum: '',
                 currency: 'USD',
+                date: toDateInputValue(new Date()),
                 category: '',
+                source: '',
                 description: ''
             });
 
@@ -157,12 +242,21 @@ const CostForm = ({ onCostAdded }) => {
             }, 3000);
 
         } catch (err) {
-            setError(`Failed to add cost: ${err.message}`);
+            setError(t(isIncome ? 'costForm.incomeAddFailed' : 'costForm.addFailed', { message: err.message }));
         } finally {
             setLoading(false);
         }
     };
 
+    // Keep the selected currency selectable even if the feed no longer lists it
+    const currencyOptions = currencies.includes(formData.currency)
+        ? currencies
+        : [formData.currency, ...currencies];
+
+    // Archived categories are not offered for new costs; subcategories follow their parent, indented
+    const categoryOptions = getSelectableCategoryNames(categories, formData.category)
+        .map(name => categories.find(category => category.name === name) || { name });
+
     return (
         <Paper
             elevation={3}
@@ -177,10 +271,31 @@ const CostForm = ({ onCostAdded }) => {
             <Box sx={{ display: 'flex', alignItems: 'center', mb: { xs: 2, sm: 3 } }}>
                 <AddCircleOutline sx={{ fontSize: { xs: 28, sm: 32 }, mr: 1, color: 'primary.main' }} />
                 <Typography variant="h5" component="h2" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' } }}>
-                    Add New Expense
+                    {isIncome ? t('costForm.incomeTitle') : t('costForm.title')}
                 </Typography>
             </Box>
 
+            {/* Entry type - expenses and income share the amount, currency, date and description fields */}
+            <ToggleButtonGroup
+                value={entryType}
+                exclusive
+                fullWidth
+                size="small"
+                color="primary"
+                onChange={handleTypeChange}
+                disabled={loading}
+                sx={{ mb: { xs: 2, sm: 3 } }}
+            >
+                <ToggleButton value="expense">
+                    <TrendingDown fontSize="small" sx={{ mr: 1 }} />
+                    {t('costForm.typeExpense')}
+                </ToggleButton>
+                <ToggleButton value="income">
+                    <TrendingUp fontSize="small" sx={{ mr: 1 }} />
+                    {t('costForm.typeIncome')}
+                </ToggleButton>
+            </ToggleButtonGroup>
+
             {/* Error Alert */}
             {error && (
                 <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
@@ -191,7 +306,7 @@ const CostForm = ({ onCostAdded }) => {
             {/* Success Alert */}
             {success && (
                 <Alert severity="success" sx={{ mb: 2 }}>
-                    Cost added successfully!
+                    {isIncome ? t('costForm.incomeAdded') : t('costForm.added')}
                 </Alert>
             )}
 
@@ -201,13 +316,13 @@ const CostForm = ({ onCostAdded }) => {
                     <Grid item xs={12} sm={6}>
                         <TextField
                             fullWidth
-                            label="Amount"
+                            label={t('costForm.amount')}
                             name="sum"
                             type="number"
                             value={formData.sum}
                             onChange={handleChange}
                             inputProps={{
-                                step: '0.01',
+                                step: 1 / 10 ** getCurrencyDecimals(formData.currency),
                                 min: '0',
                                 style: { fontSize: '1.1rem' }
                             }}
@@ -218,7 +333,7 @@ const CostForm = ({ onCostAdded }) => {
                                 }
                             }}
                             error={!!validationErrors.sum}
-                            helperText={validationErrors.sum || 'Enter the expense amount'}
+                            helperText={validationErrors.sum || t('costForm.amountHelp')}
                             disabled={loading}
                             required
                             placeholder="0.00"
@@ -230,7 +345,7 @@ const CostForm = ({ onCostAdded }) => {
                         <TextField
                             fullWidth
                             select
-                            label="Currency"
+                            label={t('costForm.currency')}
                             name="currency"
                             value={formData.currency}
                             onChange={handleChange}
@@ -245,74 +360,134 @@ const CostForm = ({ onCostAdded }) => {
                             SelectProps={{
                                 sx: { fontSize: '1.1rem' }
                             }}
-                            helperText="Select currency type"
+                            helperText={t('costForm.currencyHelp')}
                         >
-                            {CURRENCIES.map((currency) => (
+                            {currencyOptions.map((currency) => (
                                 <MenuItem
                                     key={currency}
                                     value={currency}
                                     sx={{ fontSize: '1rem', py: 1.5 }}
                                 >
-                                    {currency === 'USD' && '$ USD - US Dollar'}
-                                    {currency === 'EURO' && '€ EUR - Euro'}
-                                    {currency === 'GBP' && '£ GBP - British Pound'}
-                                    {currency === 'ILS' && '₪ ILS - Israeli Shekel'}
+                                    {formatCurrencyLabel(currency, language)}
                                 </MenuItem>
                             ))}
                         </TextField>
                     </Grid>
 
-                    {/* Category Field */}
+                    {/* Date Field - defaults to today, can be moved back for late receipts */}
                     <Grid item xs={12}>
                         <TextField
                             fullWidth
-                            select
-                            label="Category"
-                            name="category"
-                            value={formData.category}
+                            label={t('costForm.date')}
+                            name="date"
+                            type="date"
+                            value={formData.date}
                             onChange={handleChange}
-                            error={!!validationErrors.category}
-                            helperText={validationErrors.category || 'Select expense category'}
-                            disabled={loading}
-                            required
+                            inputProps={{
+                                max: toDateInputValue(new Date()),
+                                style: { fontSize: '1rem' }
+                            }}
                             slotProps={{
                                 inputLabel: {
                                     shrink: true,
                                     sx: { fontSize: '1rem', fontWeight: 500 }
                                 }
                             }}
-                            SelectProps={{
-                                sx: { fontSize: '1rem' }
-                            }}
-                        >
-                            {CATEGORIES.map((category) => (
-                                <MenuItem
-                                    key={category}
-                                    value={category}
-                                    sx={{
-                                        py: 1.5,
-                                        fontSize: '1rem',
-                                        '&:hover': { bgcolor: 'action.hover' }
-                                    }}
-                                >
-                                    {category}
-                                </MenuItem>
-                            ))}
-                        </TextField>
+                            error={!!validationErrors.date}
+                            helperText={validationErrors.date || (isIncome ? t('costForm.incomeDateHelp') : t('costForm.dateHelp'))}
+                            disabled={loading}
+                            required
+                        />
                     </Grid>
 
+                    {/* Income Source Field - replaces the category for income entries */}
+                    {isIncome && (
+                        <Grid item xs={12}>
+                            <TextField
+                                fullWidth
+                                select
+                                label={t('costForm.source')}
+                                name="source"
+                                value={formData.source}
+                                onChange={handleChange}
+                                error={!!validationErrors.source}
+                                helperText={validationErrors.source || t('costForm.sourceHelp')}
+                                disabled={loading}
+                                required
+                                slotProps={{
+                                    inputLabel: {
+                                        shrink: true,
+                                        sx: { fontSize: '1rem', fontWeight: 500 }
+                                    }
+                                }}
+                                SelectProps={{
+                                    sx: { fontSize: '1rem' }
+                                }}
+                            >
+                                {INCOME_SOURCES.map((source) => (
+                                    <MenuItem key={source} value={source} sx={{ py: 1.5, fontSize: '1rem' }}>
+                                        {t(`income.sources.${source}`)}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        </Grid>
+                    )}
+
+                    {/* Category Field */}
+                    {!isIncome && (
+                        <Grid item xs={12}>
+                            <TextField
+                                fullWidth
+                                select
+                                label={t('costForm.category')}
+                                name="category"
+                                value={formData.category}
+                                onChange={handleChange}
+                                error={!!validationErrors.category}
+                                helperText={validationErrors.category || t('costForm.categoryHelp')}
+                                disabled={loading}
+                                required
+                                slotProps={{
+                                    inputLabel: {
+                                        shrink: true,
+                                        sx: { fontSize: '1rem', fontWeight: 500 }
+                                    }
+                                }}
+                                SelectProps={{
+                                    sx: { fontSize: '1rem' }
+                                }}
+                            >
+                                {categoryOptions.map((category) => (
+                                    <MenuItem
+                                        key={category.name}
+                                        value={category.name}
+                                        sx={{
+                                            py: 1.5,
+                                            pl: category.parentId != null ? 5 : 2,
+                                            fontSize: '1rem',
+                                            '&:hover': { bgcolor: 'action.hover' }
+                                        }}
+                                    >
+                                        <CategoryIcon icon={category.icon} color={category.color} fontSize="small" sx={{ mr: 1.5, verticalAlign: 'middle' }} />
+                                        {translateCategory(t, category.name)}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        </Grid>
+                    )}
+
                     {/* Description Field */}
                     <Grid item xs={12}>
                         <TextField
                             fullWidth
-                            label="Description"
+                            label={t('costForm.description')}
                             name="description"
                             value={formData.description}
                             onChange={handleChange}
                             multiline
                             rows={3}
                             error={!!validationErrors.description}
-                            helperText={validationErrors.description || 'Provide details about this expense'}
+                            helperText={validationErrors.description || t('costForm.descriptionHelp')}
                             disabled={loading}
                             required
                             slotProps={{
@@ -324,10 +499,36 @@ const CostForm = ({ onCostAdded }) => {
                             inputProps={{
                                 style: { fontSize: '1rem' }
                             }}
-                            placeholder="What was this expense for?"
+                            placeholder={isIncome ? t('costForm.incomePlaceholder') : t('costForm.descriptionPlaceholder')}
                         />
                     </Grid>
 
+                    {/* Over-budget warning - the cost can still be added */}
+                    {budgetWarnings.length > 0 && (
+                        <Grid item xs={12}>
+                            <Alert severity="warning">
+                                {budgetWarnings.map(warning => (
+                                    <div key={warning.category}>
+                                        {t('costForm.overBudget', {
+                                            category: translateCategory(t, warning.category),
+                                            total: formatCurrency(warning.spentAfter, warning.currency),
+                                            budget: formatCurrency(warning.limit, warning.currency)
+                                        })}
+                                    </div>
+                                ))}
+                            </Alert>
+                        </Grid>
+                    )}
+
+                    {/* Budget check that could not run - the cost can still be added */}
+                    {budgetCheckFailed && (
+                        <Grid item xs={12}>
+                            <Alert severity="info">
+                                {t('costForm.budgetCheckUnavailable')}
+                            </Alert>
+                        </Grid>
+                    )}
+
                     {/* Submit Button */}
                     <Grid item xs={12}>
                         <Button
@@ -344,7 +545,7 @@ const CostForm = ({ onCostAdded }) => {
                                 borderRadius: 2
                             }}
                         >
-                            {loading ? 'Adding...' : 'Add Expense'}
+                            {loading ? t('costForm.adding') : (isIncome ? t('costForm.submitIncome') : t('costForm.submit'))}
                         </Button>
                     </Grid>
                 </Grid>
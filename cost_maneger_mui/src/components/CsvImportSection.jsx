@@ -0,0 +1,395 @@
+/**
+ * CsvImportSection Component - Import costs from bank or spreadsheet CSV exports
+ * Lets the user map columns to cost fields, pick number and date formats,
+ * preview every row with its validation errors and import only the valid rows
+ */
+
+import { useState, useMemo } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Alert,
+    CircularProgress,
+    Grid,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    FormControlLabel,
+    Checkbox,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    TableContainer,
+    Paper
+} from '@mui/material';
+import { UploadFile, PlaylistAdd } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useFormatter } from '../context/FormatContext';
+import { useCurrencies } from '../hooks/useCurrencies';
+import { useCategories } from '../hooks/useCategories';
+import { getSelectableCategoryNames } from '../utils/categories';
+import { DEFAULT_CURRENCIES } from '../utils/currencies';
+import { CSV_DELIMITERS, CSV_DATE_FORMATS, detectDelimiter, parseCsv } from '../utils/csv';
+import { COST_IMPORT_FIELDS, guessColumnMapping, buildImportRows } from '../utils/csvImport';
+import { translateCategory } from '../i18n';
+
+// Message keys of the readable names for the supported delimiters
+const DELIMITER_LABELS = { ',': 'csvImport.delimiterComma', ';': 'csvImport.delimiterSemicolon', '\t': 'csvImport.delimiterTab', '|': 'csvImport.delimiterPipe' };
+
+// Maximum number of rows rendered in the preview table
+const PREVIEW_ROW_LIMIT = 50;
+
+/**
+ * CsvImportSection function rendering CSV upload, mapping, preview and import controls
+ * @returns {JSX.Element} CSV import settings section
+ */
+const CsvImportSection = () => {
+    // Shared database connection, the currencies of the active rates feed, categories, translator and formatter
+    const { db } = useDatabase();
+    const currencies = useCurrencies();
+    const categories = useCategories();
+    const { t } = useTranslation();
+    const { formatDate } = useFormatter();
+
+    // Selected file content
+    const [fileName, setFileName] = useState('');
+    const [fileText, setFileText] = useState('');
+
+    // Parsing options
+    const [delimiter, setDelimiter] = useState('auto');
+    const [hasHeader, setHasHeader] = useState(true);
+    const [decimalSeparator, setDecimalSeparator] = useState('.');
+    const [dateFormat, setDateFormat] = useState(CSV_DATE_FORMATS[0]);
+    const [defaultCurrency, setDefaultCurrency] = useState(DEFAULT_CURRENCIES[0]);
+    const [defaultCategory, setDefaultCategory] = useState('Other');
+    const [absoluteAmounts, setAbsoluteAmounts] = useState(false);
+
+    // Column index chosen for each cost field ('' when unmapped)
+    const [mapping, setMapping] = useState({});
+
+    // UI state - import progress and feedback
+    const [importing, setImporting] = useState(false);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+
+    /**
+     * Parse file content with the chosen delimiter, detecting it when set to auto
+     * @param {string} text - CSV file content
+     * @param {string} delimiterChoice - 'auto' or an explicit delimiter
+     * @returns {Array<Array<string>>} Parsed rows
+     */
+    const parseRows = (text, delimiterChoice) =>
+        parseCsv(text, delimiterChoice === 'auto' ? detectDelimiter(text) : delimiterChoice);
+
+    // Parsed rows of the selected file
+    const rows = useMemo(() => (fileText ? parseRows(fileText, delimiter) : []), [fileText, delimiter]);
+
+    // Column choices - header names, or numbered columns with a sample value
+    const columnCount = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+    const columnOptions = Array.from({ length: columnCount }, (_, index) => {
+        const sample = rows[0] && rows[0][index] ? rows[0][index] : '';
+        return {
+            value: index,
+            label: hasHeader && sample
+                ? sample
+                : t(sample ? 'csvImport.columnWithSample' : 'csvImport.column', { number: index + 1, sample })
+        };
+    });
+
+    // Validate every data row with the current mapping and options
+    const importRows = useMemo(() => buildImportRows(hasHeader ? rows.slice(1) : rows, mapping, {
+        decimalSeparator,
+        dateFormat,
+        currencies,
+        categories: categories.map(category => category.name),
+        defaultCurrency,
+        defaultCategory,
+        absoluteAmounts,
+        firstRowNumber: hasHeader ? 2 : 1,
+        t
+    }), [rows, hasHeader, mapping, decimalSeparator, dateFormat, currencies, categories, defaultCurrency, defaultCategory, absoluteAmounts, t]);
+
+    const validCosts = importRows.filter(row => row.cost).map(row => row.cost);
+    const invalidCount = importRows.length - validCosts.length;
+    const unmappedRequired = COST_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+
+    /**
+     * Guess the column mapping from the header row, or leave every field unmapped
+     * @param {Array<Array<string>>} parsedRows - Parsed rows of the file
+     * @param {boolean} header - Whether the first row holds column names
+     */
+    const resetMapping = (parsedRows, header) => {
+        setMapping(header && parsedRows[0]
+            ? guessColumnMapping(parsedRows[0])
+            : Object.fromEntries(COST_IMPORT_FIELDS.map(field => [field.key, ''])));
+    };
+
+    /**
+     * Read the selected CSV file and prepare the initial mapping
+     * @param {Event} event - File input change event
+     */
+    const handleFileSelected = async (event) => {
+        const file = event.target.files[0];
+
+        // Allow selecting the same file again later
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+
+        setError(null);
+        setResult(null);
+
+        try {
+            const text = await file.text();
+            setFileName(file.name);
+            setFileText(text);
+            resetMapping(parseRows(text, delimiter), hasHeader);
+        } catch (err) {
+            setError(t('csvImport.readFailed', { message: err.message }));
+        }
+    };
+
+    /**
+     * Re-parse with another delimiter, which changes the columns to map
+     * @param {string} value - 'auto' or an explicit delimiter
+     */
+    const handleDelimiterChange = (value) => {
+        setDelimiter(value);
+        resetMapping(parseRows(fileText, value), hasHeader);
+    };
+
+    /**
+     * Toggle whether the first row holds column names
+     * @param {boolean} checked - New header row setting
+     */
+    const handleHeaderChange = (checked) => {
+        setHasHeader(checked);
+        resetMapping(rows, checked);
+    };
+
+    /**
+     * Add all valid rows to the database in one batch
+     */
+    const handleImport = async () => {
+        setImporting(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            const counts = await db.addCosts(validCosts);
+            setResult({ ...counts, invalid: invalidCount });
+            setFileName('');
+            setFileText('');
+        } catch (err) {
+            setError(t('csvImport.importFailed', { message: err.message }));
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    // Formats preview values that may be missing
+    const formatPreviewDate = (date) => (date ? formatDate(date) : '-');
+
+    // Translated name of a cost field
+    const fieldLabel = (field) => `${t(`csvImport.fields.${field.key}`)}${field.required ? ' *' : ''}`;
+
+    return (
+        <Box sx={{ mb: 3 }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('csvImport.title')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontSize: { xs: '0.8rem', sm: '0.875rem' } }}>
+                {t('csvImport.intro')}
+            </Typography>
+
+            {/* Error Alert */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                    {error}
+                </Alert>
+            )}
+
+            {/* Import result */}
+            {result && (
+                <Alert severity="success" sx={{ mb: 2 }} onClose={() => setResult(null)}>
+                    {t('csvImport.imported', { count: result.imported })}
+                    {result.skipped > 0 && t('csvImport.importedSkipped', { count: result.skipped })}
+                    {result.invalid > 0 && t('csvImport.importedInvalid', { count: result.invalid })}.
+                </Alert>
+            )}
+
+            <Button
+                variant="outlined"
+                component="label"
+                startIcon={<UploadFile />}
+                disabled={importing}
+                sx={{ minWidth: { xs: '100%', sm: 'auto' }, py: { xs: 1.25, sm: 1 }, mb: 2 }}
+            >
+                {t('csvImport.chooseFile')}
+                <input type="file" accept=".csv,.txt,text/csv" hidden onChange={handleFileSelected} />
+            </Button>
+
+            {fileText && (
+                <>
+                    <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                        {t('csvImport.fileRows', { file: fileName, count: importRows.length })}
+                    </Typography>
+
+                    {/* Parsing options */}
+                    <Grid container spacing={2} sx={{ mb: 2 }}>
+                        <Grid size={{ xs: 12, sm: 6, md: 4 }}>
+                            <FormControl fullWidth size="small">
+                                <InputLabel>{t('csvImport.delimiter')}</InputLabel>
+                                <Select value={delimiter} label={t('csvImport.delimiter')} onChange={(e) => handleDelimiterChange(e.target.value)}>
+                                    <MenuItem value="auto">{t('csvImport.detectDelimiter')}</MenuItem>
+                                    {CSV_DELIMITERS.map(option => (
+                                        <MenuItem key={option} value={option}>{t(DELIMITER_LABELS[option])}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid size={{ xs: 12, sm: 6, md: 4 }}>
+                            <FormControl fullWidth size="small">
+                                <InputLabel>{t('csvImport.decimalSeparator')}</InputLabel>
+                                <Select value={decimalSeparator} label={t('csvImport.decimalSeparator')} onChange={(e) => setDecimalSeparator(e.target.value)}>
+                                    <MenuItem value=".">{t('csvImport.decimalPoint')}</MenuItem>
+                                    <MenuItem value=",">{t('csvImport.decimalComma')}</MenuItem>
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid size={{ xs: 12, sm: 6, md: 4 }}>
+                            <FormControl fullWidth size="small">
+                                <InputLabel>{t('csvImport.dateFormat')}</InputLabel>
+                                <Select value={dateFormat} label={t('csvImport.dateFormat')} onChange={(e) => setDateFormat(e.target.value)}>
+                                    {CSV_DATE_FORMATS.map(format => (
+                                        <MenuItem key={format} value={format}>{format}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid size={{ xs: 12, sm: 6, md: 4 }}>
+                            <FormControl fullWidth size="small">
+                                <InputLabel>{t('csvImport.defaultCurrency')}</InputLabel>
+                                <Select value={defaultCurrency} label={t('csvImport.defaultCurrency')} onChange={(e) => setDefaultCurrency(e.target.value)}>
+                                    {(currencies.includes(defaultCurrency) ? currencies : [defaultCurrency, ...currencies]).map(currency => (
+                                        <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid size={{ xs: 12, sm: 6, md: 4 }}>
+                            <FormControl fullWidth size="small">
+                                <InputLabel>{t('csvImport.defaultCategory')}</InputLabel>
+                                <Select value={defaultCategory} label={t('csvImport.defaultCategory')} onChange={(e) => setDefaultCategory(e.target.value)}>
+                                    {getSelectableCategoryNames(categories, defaultCategory).map(category => (
+                                        <MenuItem key={category} value={category}>{translateCategory(t, category)}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid size={{ xs: 12, sm: 6, md: 4 }}>
+                            <FormControlLabel
+                                control={<Checkbox checked={hasHeader} onChange={(e) => handleHeaderChange(e.target.checked)} />}
+                                label={t('csvImport.hasHeader')}
+                            />
+                            <FormControlLabel
+                                control={<Checkbox checked={absoluteAmounts} onChange={(e) => setAbsoluteAmounts(e.target.checked)} />}
+                                label={t('csvImport.absoluteAmounts')}
+                            />
+                        </Grid>
+                    </Grid>
+
+                    {/* Column mapping */}
+                    <Typography variant="subtitle2" gutterBottom>
+                        {t('csvImport.columnMapping')}
+                    </Typography>
+                    <Grid container spacing={2} sx={{ mb: 2 }}>
+                        {COST_IMPORT_FIELDS.map(field => (
+                            <Grid key={field.key} size={{ xs: 12, sm: 6, md: 4 }}>
+                                <FormControl fullWidth size="small">
+                                    <InputLabel>{fieldLabel(field)}</InputLabel>
+                                    <Select
+                                        value={mapping[field.key] ?? ''}
+                                        label={fieldLabel(field)}
+                                        onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                                    >
+                                        <MenuItem value="">
+                                            <em>{field.required ? t('csvImport.notMapped') : t('csvImport.useDefault')}</em>
+                                        </MenuItem>
+                                        {columnOptions.map(option => (
+                                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            </Grid>
+                        ))}
+                    </Grid>
+
+                    {unmappedRequired.length > 0 && (
+                        <Alert severity="warning" sx={{ mb: 2 }}>
+                            {t('csvImport.mapRequired', { fields: unmappedRequired.map(field => t(`csvImport.fields.${field.key}`)).join(', ') })}
+                        </Alert>
+                    )}
+
+                    {/* Row preview with validation status */}
+                    <Alert severity={invalidCount > 0 ? 'warning' : 'info'} sx={{ mb: 2 }}>
+                        {t('csvImport.previewSummary', { valid: validCosts.length, invalid: invalidCount })}
+                        {importRows.length > PREVIEW_ROW_LIMIT && t('csvImport.previewLimit', { count: PREVIEW_ROW_LIMIT })}
+                    </Alert>
+                    <TableContainer component={Paper} sx={{ borderRadius: 2, maxHeight: 400, mb: 2 }}>
+                        <Table size="small" stickyHeader>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>{t('csvImport.row')}</TableCell>
+                                    <TableCell>{t('csvImport.fields.date')}</TableCell>
+                                    <TableCell align="right">{t('csvImport.fields.sum')}</TableCell>
+                                    <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{t('csvImport.fields.category')}</TableCell>
+                                    <TableCell>{t('csvImport.fields.description')}</TableCell>
+                                    <TableCell>{t('csvImport.status')}</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {importRows.slice(0, PREVIEW_ROW_LIMIT).map(row => (
+                                    <TableRow key={row.rowNumber}>
+                                        <TableCell>{row.rowNumber}</TableCell>
+                                        <TableCell>{formatPreviewDate(row.values.date)}</TableCell>
+                                        <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                                            {row.values.sum || '-'} {row.values.currency}
+                                        </TableCell>
+                                        <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{translateCategory(t, row.values.category)}</TableCell>
+                                        <TableCell sx={{ maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                            {row.values.description || '-'}
+                                        </TableCell>
+                                        <TableCell sx={{ color: row.errors.length > 0 ? 'error.main' : 'success.main', fontSize: '0.8rem' }}>
+                                            {row.errors.length > 0 ? row.errors.join('; ') : t('csvImport.rowOk')}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+
+                    <Button
+                        variant="contained"
+                        startIcon={importing ? <CircularProgress size={20} /> : <PlaylistAdd />}
+                        onClick={handleImport}
+                        disabled={importing || validCosts.length === 0}
+                        sx={{ minWidth: { xs: '100%', sm: 'auto' }, py: { xs: 1.25, sm: 1 } }}
+                    >
+                        {importing ? t('csvImport.importing') : t('csvImport.import', { count: validCosts.length })}
+                    </Button>
+                </>
+            )}
+        </Box>
+    );
+};
+
+export default CsvImportSection;
@@ -1,25 +1,44 @@
 /**
  * Dashboard Component - Main data visualization and reporting interface
- * Displays monthly expense reports, category pie charts, and yearly bar charts
+ * Displays monthly expense reports, category pie charts, yearly bar charts and budget progress,
+ * with the income, net and savings rate of the selected month and year
  * Handles currency conversion and responsive design for mobile/desktop
  */
 
 import { useState, useEffect } from 'react';
-import { Box, Paper, CircularProgress, Alert, Tabs, Tab } from '@mui/material';
-import { openCostsDB } from '../utils/idb';
-import { fetchAndConvertWithUrl } from '../utils/helperFunctions';
+import { Box, Paper, CircularProgress, Alert, Tabs, Tab, Typography } from '@mui/material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useFormatter } from '../context/FormatContext';
+import { fetchAndConvertWithUrl, getMissingRateCurrencies } from '../utils/helperFunctions';
+import { loadRates } from '../utils/ratesService';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { fromMinorUnits, sumMinorUnits } from '../utils/money';
+import { HISTORICAL_RATES_SETTING, RATE_PROVIDER_SETTING, RATE_OVERRIDES_SETTING } from '../utils/constants';
+import { useCurrencies } from '../hooks/useCurrencies';
 import DashboardFilters from './DashboardFilters';
+import ExportMenu from './ExportMenu';
 import MonthlyCostTable from './MonthlyCostTable';
 import CategoryPieChart from "./CategoryPieChart.jsx";
 import YearlyBarChart from "./YearlyBarChart.jsx";
+import BudgetsPanel from './BudgetsPanel';
+import IncomeTable from './IncomeTable';
+
+// Settings whose changes affect the amounts shown on the dashboard
+const DASHBOARD_SETTING_KEYS = ['exchangeRateUrl', HISTORICAL_RATES_SETTING, RATE_PROVIDER_SETTING, RATE_OVERRIDES_SETTING];
 
 /**
  * Main Dashboard component with expense tracking and visualization
- * @param {Object} props - Component props
- * @param {any} props.refreshTrigger - Triggers data reload when changed
+ * Reloads automatically when costs, income or rate settings change in this or another tab
  * @returns {JSX.Element} Dashboard component with tabbed interface
  */
-const Dashboard = ({ refreshTrigger }) => {
+const Dashboard = () => {
+    // Shared database connection, the currencies of the active rates feed, translator and formatter
+    const { db } = useDatabase();
+    const currencies = useCurrencies();
+    const { t } = useTranslation();
+    const { formatTimeAgo } = useFormatter();
+
     // Filter state - user-selected time period and currency
     const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth());
     const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
@@ -29,138 +48,144 @@ const Dashboard = ({ refreshTrigger }) => {
     // Data state - holds processed expense information
     const [monthlyCosts, setMonthlyCosts] = useState([]);
     const [categoryData, setCategoryData] = useState([]);
-    const [monthlyData, setMonthlyData] = useState([]);
+    const [subcategoryData, setSubcategoryData] = useState([]);
+    const [monthlyIncome, setMonthlyIncome] = useState([]);
+    const [cashFlow, setCashFlow] = useState(null);
+    const [budgetReport, setBudgetReport] = useState([]);
 
-    // UI state - manages loading and error display
+    // UI state - loading covers the first load only; one error state for every load
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [monthlyTotal, setMonthlyTotal] = useState(0);
+
+    // Age of the exchange rates used for conversion (null until rates have been cached)
+    const [ratesStatus, setRatesStatus] = useState(null);
+
+    // Change counter - incremented for every relevant database change notification
+    const [dataVersion, setDataVersion] = useState(0);
 
     /**
-     * Effect hook to reload data when filters or refresh trigger changes
-     * Monitors: selectedMonth, selectedYear, displayCurrency, refreshTrigger
+     * Effect hook to subscribe to database changes from any tab
+     * Cost and income writes, category tree and budget changes and exchange rate settings trigger a reload
      */
     useEffect(() => {
-        loadData();
-    }, [selectedMonth, selectedYear, displayCurrency, refreshTrigger]);
+        return subscribeToChanges((change) => {
+            if (['costs', 'income', 'categories', 'budgets'].includes(change.store) ||
+                (change.store === 'settings' && DASHBOARD_SETTING_KEYS.includes(change.key))) {
+                setDataVersion(prev => prev + 1);
+            }
+        });
+    }, []);
 
     /**
-     * Effect hook to recalculate monthly total when costs or currency changes
-     * Updates total whenever monthlyCosts or displayCurrency changes
+     * Effect hook to reload data when filters, connection or stored data change
+     * Only the first load shows the spinner; later reloads keep the current view and open dialogs mounted
+     * Monitors: selectedMonth, selectedYear, displayCurrency, dataVersion, db
      */
     useEffect(() => {
-        const updateTotal = async () => {
-            // Calculate total only if we have cost data
-            if (monthlyCosts.length > 0) {
-                const total = await calculateTotal();
-                setMonthlyTotal(total);
-            } else {
-                setMonthlyTotal(0); // Reset to zero for empty months
+        // Wait for the shared connection (null while reconnecting)
+        if (!db) {
+            return undefined;
+        }
+
+        // Ignore results of a load that a newer one has replaced
+        let active = true;
+
+        /**
+         * Fetch and process cost and income data from IndexedDB
+         * Loads the exchange rates once and converts the monthly costs, income and both charts with them
+         */
+        const loadData = async () => {
+            try {
+                // Load the latest rates, overrides and historical source once for every view
+                const rates = await loadRates(db);
+                const monthCostsData = await db.getCostsByMonth(selectedMonth, selectedYear);
+                const monthIncomeData = await db.getIncomeByMonth(selectedMonth, selectedYear);
+
+                // Convert the month's costs and income and build the charts with the same rates
+                // The pie chart shows top-level categories and drills down into the subcategory totals
+                const [costsWithConverted, incomeWithConverted, breakdown, cashFlow, budgetReport] = await Promise.all([
+                    fetchAndConvertWithUrl(db, monthCostsData, displayCurrency, rates),
+                    fetchAndConvertWithUrl(db, monthIncomeData, displayCurrency, rates),
+                    db.getCategoryBreakdown(selectedYear, selectedMonth + 1, displayCurrency, rates),
+                    db.getCashFlowData(selectedYear, displayCurrency, rates),
+                    db.getBudgetReport(selectedYear, selectedMonth + 1, displayCurrency, rates)
+                ]);
+                if (!active) {
+                    return;
+                }
+                setMonthlyCosts(costsWithConverted);
+                setMonthlyIncome(incomeWithConverted);
+                setCategoryData(breakdown.parents);
+                setSubcategoryData(breakdown.categories);
+                setCashFlow(cashFlow);
+                setBudgetReport(budgetReport);
+                setError(null);
+
+                // Report when the rates used were fetched and whether the last refresh failed
+                setRatesStatus(rates.status);
+
+            } catch (err) {
+                // Handle and display any data loading errors
+                if (active) {
+                    setError(t('dashboard.loadFailed', { message: err.message }));
+                }
+            } finally {
+                // Ensure loading state is cleared regardless of success/failure
+                if (active) {
+                    setLoading(false);
+                }
             }
         };
-        updateTotal();
-    }, [monthlyCosts, displayCurrency]);
 
-    /**
-     * Fetch and process cost data from IndexedDB
-     * Loads monthly costs, chart data with currency conversion
-     */
-    const loadData = async () => {
-        // Initialize loading state and clear previous errors
-        setLoading(true);
-        setError(null);
-
-        // Open database connection
-        const db = await openCostsDB("costsdb", 1);
-        //await db.setSetting('exchangeRateUrl', DEFAULT_EXCHANGE_URL);
-
-        try {
-            // Fetch monthly costs from database
-            const monthCostsData = await db.getCostsByMonth(selectedMonth, selectedYear);
-
-            // Convert monthly costs to display currency with current exchange rates
-            const costsWithConverted = await fetchAndConvertWithUrl(db, monthCostsData, displayCurrency);
-            setMonthlyCosts(costsWithConverted);
-
-            // Generate category breakdown data for pie chart visualization
-            const categoryData = await db.getPieChartData(selectedYear, selectedMonth + 1, displayCurrency);
-            setCategoryData(categoryData);
-
-            // Generate yearly overview data for bar chart visualization
-            const monthlyData = await db.getBarChartData(selectedYear, displayCurrency);
-            setMonthlyData(monthlyData);
-
-        } catch (err) {
-            // Handle and display any data loading errors
-            setError(`Failed to load data: ${err.message}`);
-        } finally {
-            // Ensure loading state is cleared regardless of success/failure
-            setLoading(false);
-        }
-    };
+        loadData();
+        return () => {
+            active = false;
+        };
+    }, [selectedMonth, selectedYear, displayCurrency, dataVersion, db, t]);
 
     /**
-     * Calculate total amount for monthly costs in display currency
-     * @returns {Promise<number>} Total amount in selected display currency
+     * Save changes to an existing cost (the change notification reloads dashboard data)
+     * @param {number} id - IndexedDB key of the cost
+     * @param {Object} changes - Edited cost fields
      */
-    const calculateTotal = async () => {
-        try {
-            // Open database connection for exchange rate access
-            const db = await openCostsDB("costsdb", 1);
-
-            // Convert all monthly costs to display currency
-            const costsWithConverted = await fetchAndConvertWithUrl(db, monthlyCosts, displayCurrency);
-
-            // Sum all converted amounts for monthly total
-            return costsWithConverted.reduce((total, cost) => total + cost.convertedAmount, 0);
-        } catch (error) {
-            // Return zero as safe fallback on error
-            return 0;
+    const handleUpdateCost = async (id, changes) => {
+        if (!db) {
+            throw new Error(t('errors.dbNotReady'));
         }
+        await db.updateCost(id, changes);
     };
 
     /**
-     * Format currency amount for display with proper symbols and locale
-     * Handles invalid amounts and unsupported currency codes gracefully
-     * @param {number} amount - Amount to format
-     * @returns {string} Formatted currency string
+     * Delete a cost (the change notification reloads dashboard data)
+     * @param {number} id - IndexedDB key of the cost
      */
-    const formatCurrency = (amount) => {
-        // Sanitize input amount to prevent display errors
-        if (amount === undefined || amount === null || isNaN(amount)) {
-            amount = 0;
-        }
-
-        try {
-            // Use browser's Intl API for proper currency formatting
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: displayCurrency
-            }).format(amount);
-        } catch (error) {
-            // Fallback formatting for unsupported currency codes (e.g., EURO)
-            const symbol = displayCurrency === 'EURO' ? '€' : displayCurrency;
-            return `${symbol}${amount.toFixed(2)}`;
+    const handleDeleteCost = async (id) => {
+        if (!db) {
+            throw new Error(t('errors.dbNotReady'));
         }
+        await db.deleteCost(id);
     };
 
     /**
-     * Format date string for user-friendly display
-     * @param {string} dateString - ISO date string or date-compatible string
-     * @returns {string} Formatted date in 'MMM DD, YYYY' format
+     * Delete an income entry (the change notification reloads dashboard data)
+     * @param {number} id - IndexedDB key of the income entry
      */
-    const formatDate = (dateString) => {
-        // Convert to Date object and format for display
-        return new Date(dateString).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+    const handleDeleteIncome = async (id) => {
+        if (!db) {
+            throw new Error(t('errors.dbNotReady'));
+        }
+        await db.deleteIncome(id);
     };
 
     // Generate year options for dropdown (current year and 5 previous years)
     const yearOptions = Array.from({ length: 6 }, (_, i) => new Date().getFullYear() - i);
 
+    // Monthly total from the already converted costs, summed exactly in integer minor units
+    const monthlyTotal = fromMinorUnits(sumMinorUnits(monthlyCosts.map(cost => cost.convertedMinor)), displayCurrency);
+
+    // Currencies of this month's costs and income that could not be converted to the display currency
+    const missingRateCurrencies = getMissingRateCurrencies([...monthlyCosts, ...monthlyIncome]);
+
     // Display loading spinner while data is being fetched
     if (loading) {
         return (
@@ -180,6 +205,7 @@ const Dashboard = ({ refreshTrigger }) => {
                 setSelectedYear={setSelectedYear}
                 displayCurrency={displayCurrency}
                 setDisplayCurrency={setDisplayCurrency}
+                currencyOptions={currencies.includes(displayCurrency) ? currencies : [displayCurrency, ...currencies]}
                 yearOptions={yearOptions}
             />
 
@@ -190,6 +216,31 @@ const Dashboard = ({ refreshTrigger }) => {
                 </Alert>
             )}
 
+            {/* Costs left out of the totals because no rate converts their currency */}
+            {missingRateCurrencies.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                    {t('dashboard.missingRates', { currency: displayCurrency, currencies: missingRateCurrencies.join(', ') })}
+                </Alert>
+            )}
+
+            {/* Exchange rates age and export actions for the selected month and year */}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1, mb: { xs: 1, sm: 2 } }}>
+                <Typography
+                    variant="caption"
+                    color={ratesStatus && ratesStatus.refreshFailed ? 'warning.main' : 'text.secondary'}
+                >
+                    {ratesStatus && (ratesStatus.refreshFailed
+                        ? t('dashboard.ratesStale', { time: formatTimeAgo(ratesStatus.fetchedAt) })
+                        : t('dashboard.ratesUpdated', { time: formatTimeAgo(ratesStatus.fetchedAt) }))}
+                </Typography>
+                <ExportMenu
+                    selectedMonth={selectedMonth}
+                    selectedYear={selectedYear}
+                    displayCurrency={displayCurrency}
+                    onError={setError}
+                />
+            </Box>
+
             {/* Tab navigation for switching between different dashboard views */}
             <Paper elevation={2} sx={{ mb: { xs: 2, sm: 3 }, borderRadius: 2 }}>
                 <Tabs
@@ -206,14 +257,17 @@ const Dashboard = ({ refreshTrigger }) => {
                     }}
                 >
                     {/* Tab 0: Monthly Report - shows full expense table */}
-                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>Monthly Report</Box>}
-                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>Report</Box>} />
+                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>{t('dashboard.tabMonthly')}</Box>}
+                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>{t('dashboard.tabMonthlyShort')}</Box>} />
                     {/* Tab 1: Category Chart - shows pie chart breakdown */}
-                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>Category Chart</Box>}
-                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>Categories</Box>} />
+                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>{t('dashboard.tabCategories')}</Box>}
+                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>{t('dashboard.tabCategoriesShort')}</Box>} />
                     {/* Tab 2: Yearly Overview - shows bar chart of monthly trends */}
-                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>Yearly Overview</Box>}
-                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>Yearly</Box>} />
+                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>{t('dashboard.tabYearly')}</Box>}
+                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>{t('dashboard.tabYearlyShort')}</Box>} />
+                    {/* Tab 3: Budgets - budget vs actual for the selected month */}
+                    <Tab label={<Box sx={{ display: { xs: 'none', sm: 'block' } }}>{t('dashboard.tabBudgets')}</Box>}
+                         icon={<Box sx={{ display: { xs: 'block', sm: 'none' }, fontSize: '0.75rem' }}>{t('dashboard.tabBudgetsShort')}</Box>} />
                 </Tabs>
             </Paper>
 
@@ -222,11 +276,21 @@ const Dashboard = ({ refreshTrigger }) => {
                 <MonthlyCostTable
                     monthlyCosts={monthlyCosts}
                     monthlyTotal={monthlyTotal}
+                    cashFlow={cashFlow ? cashFlow.months[selectedMonth] : null}
                     selectedMonth={selectedMonth}
                     selectedYear={selectedYear}
                     displayCurrency={displayCurrency}
-                    formatCurrency={formatCurrency}
-                    formatDate={formatDate}
+                    onUpdateCost={handleUpdateCost}
+                    onDeleteCost={handleDeleteCost}
+                />
+            )}
+
+            {/* Tab 0: Income entries of the month, when there are any */}
+            {activeTab === 0 && monthlyIncome.length > 0 && (
+                <IncomeTable
+                    monthlyIncome={monthlyIncome}
+                    displayCurrency={displayCurrency}
+                    onDeleteIncome={handleDeleteIncome}
                 />
             )}
 
@@ -234,19 +298,29 @@ const Dashboard = ({ refreshTrigger }) => {
             {activeTab === 1 && (
                 <CategoryPieChart
                     categoryData={categoryData}
+                    subcategoryData={subcategoryData}
                     selectedMonth={selectedMonth}
                     selectedYear={selectedYear}
-                    formatCurrency={formatCurrency}
+                    displayCurrency={displayCurrency}
                 />
             )}
 
-            {/* Tab 2: Yearly Bar Chart - monthly spending trends for selected year */}
+            {/* Tab 2: Yearly Bar Chart - monthly income, spending and savings rate for selected year */}
             {activeTab === 2 && (
                 <YearlyBarChart
-                    monthlyData={monthlyData}
+                    cashFlow={cashFlow}
+                    selectedYear={selectedYear}
+                    displayCurrency={displayCurrency}
+                />
+            )}
+
+            {/* Tab 3: Budgets - progress bars and the budget form */}
+            {activeTab === 3 && (
+                <BudgetsPanel
+                    budgetReport={budgetReport}
+                    selectedMonth={selectedMonth}
                     selectedYear={selectedYear}
                     displayCurrency={displayCurrency}
-                    formatCurrency={formatCurrency}
                 />
             )}
         </Box>
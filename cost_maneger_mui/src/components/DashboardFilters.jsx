@@ -11,7 +11,9 @@ import {
     MenuItem,
     Grid
 } from '@mui/material';
-import { MONTHS, CURRENCIES } from '../utils/constants';
+import { MONTHS } from '../utils/constants';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
 
 /**
  * DashboardFilters function for selecting time period and currency filters
@@ -22,6 +24,7 @@ import { MONTHS, CURRENCIES } from '../utils/constants';
  * @param {Function} props.setSelectedYear - Callback to update selected year
  * @param {string} props.displayCurrency - Currently selected currency code
  * @param {Function} props.setDisplayCurrency - Callback to update display currency
+ * @param {Array<string>} props.currencyOptions - Currency codes offered by the active rates feed
  * @param {Array} props.yearOptions - Array of available year options for dropdown
  * @returns {JSX.Element} Filter controls component with month, year, and currency selectors
  */
@@ -32,8 +35,13 @@ const DashboardFilters = ({
                               setSelectedYear,
                               displayCurrency,
                               setDisplayCurrency,
+                              currencyOptions,
                               yearOptions
                           }) => {
+    // Month names in the display locale and the translator
+    const { formatMonth } = useFormatter();
+    const { t } = useTranslation();
+
     return (
         <Paper elevation={2} sx={{ p: { xs: 1.5, sm: 2, md: 3 }, mb: { xs: 2, sm: 3 }, borderRadius: 2 }}>
             {/* Grid layout for filter controls - responsive column sizing */}
@@ -43,7 +51,7 @@ const DashboardFilters = ({
                     <TextField
                         fullWidth
                         select
-                        label="Month"
+                        label={t('filters.month')}
                         value={selectedMonth}
                         onChange={(e) => setSelectedMonth(e.target.value)}
                         size="small"
@@ -53,9 +61,9 @@ const DashboardFilters = ({
                         {MONTHS.map((month, index) => (
                             <MenuItem key={month} value={index}>
                                 {/* Full month name on larger screens */}
-                                <Box sx={{ display: { xs: 'none', sm: 'block' } }}>{month}</Box>
-                                {/* Abbreviated month name (first 3 letters) on mobile */}
-                                <Box sx={{ display: { xs: 'block', sm: 'none' } }}>{month.substring(0, 3)}</Box>
+                                <Box sx={{ display: { xs: 'none', sm: 'block' } }}>{formatMonth(index)}</Box>
+                                {/* Abbreviated month name on mobile */}
+                                <Box sx={{ display: { xs: 'block', sm: 'none' } }}>{formatMonth(index, { style: 'short' })}</Box>
                             </MenuItem>
                         ))}
                     </TextField>
@@ -66,7 +74,7 @@ const DashboardFilters = ({
                     <TextField
                         fullWidth
                         select
-                        label="Year"
+                        label={t('filters.year')}
                         value={selectedYear}
                         onChange={(e) => setSelectedYear(e.target.value)}
                         size="small"
@@ -86,14 +94,14 @@ const DashboardFilters = ({
                     <TextField
                         fullWidth
                         select
-                        label="Currency"
+                        label={t('filters.currency')}
                         value={displayCurrency}
                         onChange={(e) => setDisplayCurrency(e.target.value)}
                         size="small"
                         slotProps={{ inputLabel: { sx: { fontSize: { xs: '0.8rem', sm: '1rem' } } } }}
                     >
-                        {/* Render currency options from constants */}
-                        {CURRENCIES.map((currency) => (
+                        {/* Render the currencies of the active rates feed */}
+                        {currencyOptions.map((currency) => (
                             <MenuItem key={currency} value={currency}>
                                 {currency}
                             </MenuItem>
@@ -0,0 +1,177 @@
+/**
+ * DisplayPreferencesSection Component - Language and formatting preferences on the Settings page
+ * Chooses the interface language, and the locale, date format and currency symbol placement used for
+ * every amount and date on the dashboard; changes are saved immediately and apply in all open tabs
+ */
+
+import { useState } from 'react';
+import { Box, Typography, TextField, MenuItem, Alert, Grid } from '@mui/material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+import { LANGUAGES } from '../i18n';
+import { createFormatter, getLocaleLabel, SUPPORTED_LOCALES, DATE_FORMATS, SYMBOL_PLACEMENTS } from '../utils/formatters';
+import { DISPLAY_PREFERENCES_SETTING, LANGUAGE_SETTING } from '../utils/constants';
+
+// Amount shown in the preview line
+const PREVIEW_AMOUNT = 1234.5;
+
+/**
+ * DisplayPreferencesSection function rendering the display preference selectors and a preview
+ * @returns {JSX.Element} Display preferences settings section
+ */
+const DisplayPreferencesSection = () => {
+    // Shared database connection, the formatter built from the stored preferences and the language
+    const { db } = useDatabase();
+    const formatter = useFormatter();
+    const { preferences } = formatter;
+    const { t, language, locale: languageLocale } = useTranslation();
+
+    // Save state
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Persist one setting (the change notification updates the language or rebuilds the formatter)
+     * @param {string} key - Settings store key
+     * @param {*} value - Value to store
+     */
+    const saveSetting = async (key, value) => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            await db.setSetting(key, value);
+        } catch (err) {
+            setError(t('display.saveFailed', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Save one changed formatting preference
+     * @param {Event} event - Select change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        saveSetting(DISPLAY_PREFERENCES_SETTING, { ...preferences, [name]: value });
+    };
+
+    // Keep a stored locale selectable even if it is no longer in the offered list
+    const localeOptions = !preferences.locale || SUPPORTED_LOCALES.includes(preferences.locale)
+        ? SUPPORTED_LOCALES
+        : [preferences.locale, ...SUPPORTED_LOCALES];
+    const today = new Date();
+
+    return (
+        <Box sx={{ mb: 3 }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('display.title')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontSize: { xs: '0.8rem', sm: '0.875rem' } }}>
+                {t('display.intro')}
+            </Typography>
+
+            {/* Error Alert */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                    {error}
+                </Alert>
+            )}
+
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+                {/* Interface language - also sets the text direction */}
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('display.language')}
+                        value={language}
+                        onChange={(event) => saveSetting(LANGUAGE_SETTING, event.target.value)}
+                        disabled={saving || !db}
+                    >
+                        {LANGUAGES.map(option => (
+                            <MenuItem key={option.code} value={option.code} lang={option.code}>{option.name}</MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+
+                {/* Locale - number grouping, decimal separator and month names */}
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('display.locale')}
+                        name="locale"
+                        value={preferences.locale}
+                        onChange={handleChange}
+                        disabled={saving || !db}
+                        slotProps={{ select: { displayEmpty: true }, inputLabel: { shrink: true } }}
+                    >
+                        <MenuItem value="">{t('display.localeDefault', { locale: getLocaleLabel(languageLocale) })}</MenuItem>
+                        {localeOptions.map(locale => (
+                            <MenuItem key={locale} value={locale}>{getLocaleLabel(locale)}</MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+
+                {/* Date format - each option shows today's date in that format */}
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('display.dateFormat')}
+                        name="dateFormat"
+                        value={preferences.dateFormat}
+                        onChange={handleChange}
+                        disabled={saving || !db}
+                    >
+                        {DATE_FORMATS.map(format => (
+                            <MenuItem key={format} value={format}>
+                                {t(`display.dateFormats.${format}`)} - {createFormatter({ ...preferences, dateFormat: format }, languageLocale).formatDate(today)}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+
+                {/* Currency symbol placement */}
+                <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('display.symbolPlacement')}
+                        name="symbolPlacement"
+                        value={preferences.symbolPlacement}
+                        onChange={handleChange}
+                        disabled={saving || !db}
+                    >
+                        {SYMBOL_PLACEMENTS.map(placement => (
+                            <MenuItem key={placement} value={placement}>{t(`display.placements.${placement}`)}</MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+            </Grid>
+
+            {/* Preview with the saved preferences */}
+            <Typography variant="body2" color="text.secondary">
+                {t('display.preview', {
+                    sample: [
+                        formatter.formatCurrency(PREVIEW_AMOUNT, 'ILS'),
+                        formatter.formatCurrency(-PREVIEW_AMOUNT, 'USD'),
+                        formatter.formatDate(today)
+                    ].join(' · ')
+                })}
+            </Typography>
+        </Box>
+    );
+};
+
+export default DisplayPreferencesSection;
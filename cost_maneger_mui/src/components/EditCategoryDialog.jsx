@@ -0,0 +1,195 @@
+/**
+ * EditCategoryDialog Component - Modal form for renaming a category or changing its parent, color and icon
+ * Renaming also moves every cost of the category to the new name (see updateCategory in idb.js)
+ * Used by CategoriesSection; keyed by category id so the form resets per category
+ */
+
+import { useState } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Button,
+    MenuItem,
+    Alert,
+    CircularProgress,
+    Grid
+} from '@mui/material';
+import { useTranslation } from '../context/LanguageContext';
+import { validateCategory, CATEGORY_ICONS } from '../utils/categories';
+import { translateCategory } from '../i18n';
+import CategoryIcon from './CategoryIcon';
+
+/**
+ * EditCategoryDialog function for editing one category
+ * @param {Object} props - Component props
+ * @param {Object|null} props.category - Category to edit, dialog is open when provided
+ * @param {Array<Object>} props.categories - All categories, for the duplicate name check and parent choices
+ * @param {Function} props.onSave - Async callback receiving (id, changes)
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Dialog with validated category form
+ */
+const EditCategoryDialog = ({ category, categories, onSave, onClose }) => {
+    // Translator
+    const { t } = useTranslation();
+
+    // Form data state - initialized from the category being edited
+    const [formData, setFormData] = useState({
+        name: category ? category.name : '',
+        color: category ? category.color : '#000000',
+        icon: category ? category.icon : 'category',
+        parentId: category && category.parentId != null ? category.parentId : ''
+    });
+
+    // UI state - controls saving indicator and validation feedback
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [validationErrors, setValidationErrors] = useState({});
+
+    /**
+     * Handle input field changes and clear the field's validation error
+     * @param {Event} event - Input change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    /**
+     * Validate form values and pass the changes to the parent for saving
+     */
+    const handleSave = async () => {
+        const values = { ...formData, parentId: formData.parentId === '' ? null : formData.parentId };
+        const errors = validateCategory(values, categories, category.id, t);
+        setValidationErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+
+        try {
+            await onSave(category.id, values);
+            onClose();
+        } catch (err) {
+            setError(t('categoriesManager.saveFailed', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Top-level categories this one can be moved under (the current parent stays listed even when archived)
+    const parentOptions = categories.filter(item =>
+        item.parentId == null && (!category || item.id !== category.id) && (!item.archived || item.id === formData.parentId));
+
+    return (
+        <Dialog open={Boolean(category)} onClose={saving ? undefined : onClose} fullWidth maxWidth="xs">
+            <DialogTitle>{t('categoriesManager.editTitle')}</DialogTitle>
+            <DialogContent>
+                {/* Error Alert */}
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                    {/* Name Field */}
+                    <Grid size={12}>
+                        <TextField
+                            fullWidth
+                            label={t('categoriesManager.name')}
+                            name="name"
+                            value={formData.name}
+                            onChange={handleChange}
+                            error={!!validationErrors.name}
+                            helperText={validationErrors.name || t('categoriesManager.renameHelp')}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+
+                    {/* Parent Field - any other top-level category */}
+                    <Grid size={12}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('categoriesManager.parent')}
+                            name="parentId"
+                            value={formData.parentId}
+                            onChange={handleChange}
+                            error={!!validationErrors.parentId}
+                            helperText={validationErrors.parentId}
+                            disabled={saving}
+                        >
+                            <MenuItem value="">{t('categoriesManager.noParent')}</MenuItem>
+                            {parentOptions.map(item => (
+                                <MenuItem key={item.id} value={item.id}>
+                                    {translateCategory(t, item.name)}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+
+                    {/* Color Field */}
+                    <Grid size={6}>
+                        <TextField
+                            fullWidth
+                            type="color"
+                            label={t('categoriesManager.color')}
+                            name="color"
+                            value={formData.color}
+                            onChange={handleChange}
+                            error={!!validationErrors.color}
+                            helperText={validationErrors.color}
+                            disabled={saving}
+                        />
+                    </Grid>
+
+                    {/* Icon Field */}
+                    <Grid size={6}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('categoriesManager.icon')}
+                            name="icon"
+                            value={formData.icon}
+                            onChange={handleChange}
+                            error={!!validationErrors.icon}
+                            helperText={validationErrors.icon}
+                            disabled={saving}
+                        >
+                            {CATEGORY_ICONS.map(icon => (
+                                <MenuItem key={icon} value={icon} aria-label={icon}>
+                                    <CategoryIcon icon={icon} color={formData.color} fontSize="small" />
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                </Grid>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} disabled={saving}>
+                    {t('common.cancel')}
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={handleSave}
+                    disabled={saving}
+                    startIcon={saving ? <CircularProgress size={20} /> : null}
+                >
+                    {saving ? t('common.saving') : t('categoriesManager.save')}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default EditCategoryDialog;
@@ -0,0 +1,245 @@
+/**
+ * EditCostDialog Component - Modal form for correcting an existing expense
+ * Reuses the CostForm validation rules and saves changes through a parent callback
+ * Used by MonthlyCostTable row actions; keyed by cost id so the form resets per cost
+ */
+
+import { useState } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Button,
+    MenuItem,
+    Alert,
+    CircularProgress,
+    Grid
+} from '@mui/material';
+import { useTranslation } from '../context/LanguageContext';
+import { useCurrencies } from '../hooks/useCurrencies';
+import { useCategories } from '../hooks/useCategories';
+import { getSelectableCategoryNames } from '../utils/categories';
+import { validateCostForm, toDateInputValue, parseDateInput } from '../utils/helperFunctions';
+import { toMinorUnits, getCurrencyDecimals } from '../utils/money';
+import { translateCategory } from '../i18n';
+
+/**
+ * Build editable form values from a stored cost object
+ * @param {Object|null} cost - Cost being edited
+ * @returns {Object} Form values with sum as string and date as YYYY-MM-DD
+ */
+const toFormData = (cost) => ({
+    sum: cost ? String(cost.sum) : '',
+    currency: cost ? cost.currency : 'USD',
+    date: cost ? toDateInputValue(cost.date) : toDateInputValue(new Date()),
+    category: cost ? cost.category : '',
+    description: cost ? cost.description : ''
+});
+
+/**
+ * EditCostDialog function for editing the fields of a single cost
+ * @param {Object} props - Component props
+ * @param {Object|null} props.cost - Cost to edit, dialog is open when provided
+ * @param {Function} props.onSave - Async callback receiving (id, changes)
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Dialog with validated edit form
+ */
+const EditCostDialog = ({ cost, onSave, onClose }) => {
+    // Currencies of the active rates feed, the categories and the interface language
+    const currencies = useCurrencies();
+    const categories = useCategories();
+    const { t } = useTranslation();
+
+    // Form data state - initialized from the cost being edited
+    const [formData, setFormData] = useState(toFormData(cost));
+
+    // UI state - controls saving indicator and validation feedback
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [validationErrors, setValidationErrors] = useState({});
+
+    /**
+     * Handle input field changes and clear the field's validation error
+     * @param {Event} event - Input change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    /**
+     * Validate form values and pass the changes to the parent for saving
+     */
+    const handleSave = async () => {
+        // Apply the same validation rules as CostForm
+        const errors = validateCostForm(formData, t);
+        setValidationErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+
+        try {
+            const changes = {
+                sumMinor: toMinorUnits(formData.sum, formData.currency),
+                currency: formData.currency,
+                category: formData.category,
+                description: formData.description.trim()
+            };
+
+            // Only move the cost date when a different day was picked, keeping the original time otherwise
+            if (formData.date !== toDateInputValue(cost.date)) {
+                changes.date = parseDateInput(formData.date);
+            }
+
+            await onSave(cost.id, changes);
+            onClose();
+        } catch (err) {
+            setError(t('editCost.updateFailed', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Keep the cost's own currency selectable even if the feed does not list it
+    const currencyOptions = currencies.includes(formData.currency)
+        ? currencies
+        : [formData.currency, ...currencies];
+
+    return (
+        <Dialog open={!!cost} onClose={saving ? undefined : onClose} fullWidth maxWidth="sm">
+            <DialogTitle>{t('editCost.title')}</DialogTitle>
+            <DialogContent>
+                {/* Error Alert */}
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                    {/* Amount Field */}
+                    <Grid item xs={12} sm={6}>
+                        <TextField
+                            fullWidth
+                            label={t('costForm.amount')}
+                            name="sum"
+                            type="number"
+                            value={formData.sum}
+                            onChange={handleChange}
+                            inputProps={{ step: 1 / 10 ** getCurrencyDecimals(formData.currency), min: '0' }}
+                            error={!!validationErrors.sum}
+                            helperText={validationErrors.sum}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+
+                    {/* Currency Field */}
+                    <Grid item xs={12} sm={6}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('costForm.currency')}
+                            name="currency"
+                            value={formData.currency}
+                            onChange={handleChange}
+                            disabled={saving}
+                            required
+                        >
+                            {currencyOptions.map((currency) => (
+                                <MenuItem key={currency} value={currency}>
+                                    {currency}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+
+                    {/* Date Field */}
+                    <Grid item xs={12}>
+                        <TextField
+                            fullWidth
+                            label={t('costForm.date')}
+                            name="date"
+                            type="date"
+                            value={formData.date}
+                            onChange={handleChange}
+                            inputProps={{ max: toDateInputValue(new Date()) }}
+                            slotProps={{ inputLabel: { shrink: true } }}
+                            error={!!validationErrors.date}
+                            helperText={validationErrors.date}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+
+                    {/* Category Field */}
+                    <Grid item xs={12}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('costForm.category')}
+                            name="category"
+                            value={formData.category}
+                            onChange={handleChange}
+                            error={!!validationErrors.category}
+                            helperText={validationErrors.category}
+                            disabled={saving}
+                            required
+                        >
+                            {getSelectableCategoryNames(categories, formData.category).map((category) => (
+                                <MenuItem
+                                    key={category}
+                                    value={category}
+                                    sx={{ pl: categories.some(item => item.name === category && item.parentId != null) ? 5 : 2 }}
+                                >
+                                    {translateCategory(t, category)}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+
+                    {/* Description Field */}
+                    <Grid item xs={12}>
+                        <TextField
+                            fullWidth
+                            label={t('costForm.description')}
+                            name="description"
+                            value={formData.description}
+                            onChange={handleChange}
+                            multiline
+                            rows={3}
+                            error={!!validationErrors.description}
+                            helperText={validationErrors.description}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+                </Grid>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} disabled={saving}>
+                    {t('common.cancel')}
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={handleSave}
+                    disabled={saving}
+                    startIcon={saving ? <CircularProgress size={20} /> : null}
+                >
+                    {saving ? t('common.saving') : t('editCost.save')}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default EditCostDialog;
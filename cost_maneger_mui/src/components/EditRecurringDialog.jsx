@@ -0,0 +1,283 @@
+/**
+ * EditRecurringDialog Component - Modal form for creating or editing a recurring cost
+ * Holds the amount, currency, category and description of the generated costs and their schedule
+ * Used by RecurringCosts; keyed by definition id so the form resets per definition
+ */
+
+import { useState } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Button,
+    MenuItem,
+    Alert,
+    CircularProgress,
+    Grid
+} from '@mui/material';
+import { useTranslation } from '../context/LanguageContext';
+import { useCurrencies } from '../hooks/useCurrencies';
+import { useCategories } from '../hooks/useCategories';
+import { getSelectableCategoryNames } from '../utils/categories';
+import { toDateInputValue } from '../utils/helperFunctions';
+import { fromMinorUnits, getCurrencyDecimals } from '../utils/money';
+import { validateRecurring, RECURRING_FREQUENCIES } from '../utils/recurring';
+import { translateCategory } from '../i18n';
+
+/**
+ * Build editable form values from a stored definition
+ * @param {Object|null} definition - Definition being edited, or null for a new one
+ * @returns {Object} Form values with sum as string and dates as YYYY-MM-DD ('' for no end date)
+ */
+const toFormData = (definition) => ({
+    sum: definition ? String(fromMinorUnits(definition.sumMinor, definition.currency)) : '',
+    currency: definition ? definition.currency : 'USD',
+    category: definition ? definition.category : '',
+    description: definition ? definition.description : '',
+    frequency: definition ? definition.frequency : 'monthly',
+    dayOfMonth: definition && definition.dayOfMonth ? String(definition.dayOfMonth) : String(new Date().getDate()),
+    startDate: toDateInputValue(definition ? definition.startDate : new Date()),
+    endDate: definition && definition.endDate ? toDateInputValue(definition.endDate) : ''
+});
+
+/**
+ * EditRecurringDialog function for one recurring cost definition
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Object|null} props.definition - Definition to edit, or null to create one
+ * @param {Function} props.onSave - Async callback receiving the validated form values
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Dialog with validated recurring cost form
+ */
+const EditRecurringDialog = ({ open, definition, onSave, onClose }) => {
+    // Currencies of the active rates feed, the categories and the interface language
+    const currencies = useCurrencies();
+    const categories = useCategories();
+    const { t } = useTranslation();
+
+    // Form data state - initialized from the definition being edited
+    const [formData, setFormData] = useState(toFormData(definition));
+
+    // UI state - controls saving indicator and validation feedback
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [validationErrors, setValidationErrors] = useState({});
+
+    /**
+     * Handle input field changes and clear the field's validation error
+     * @param {Event} event - Input change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    /**
+     * Validate form values and pass them to the parent for saving
+     */
+    const handleSave = async () => {
+        const errors = validateRecurring(formData, t);
+        setValidationErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+
+        try {
+            await onSave(formData);
+            onClose();
+        } catch (err) {
+            setError(t('recurring.saveFailed', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Keep the definition's own currency selectable even if the feed does not list it
+    const currencyOptions = currencies.includes(formData.currency)
+        ? currencies
+        : [formData.currency, ...currencies];
+
+    return (
+        <Dialog open={open} onClose={saving ? undefined : onClose} fullWidth maxWidth="sm">
+            <DialogTitle>{definition ? t('recurring.editTitle') : t('recurring.addTitle')}</DialogTitle>
+            <DialogContent>
+                {/* Error Alert */}
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                    {/* Amount Field */}
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                        <TextField
+                            fullWidth
+                            label={t('costForm.amount')}
+                            name="sum"
+                            type="number"
+                            value={formData.sum}
+                            onChange={handleChange}
+                            inputProps={{ step: 1 / 10 ** getCurrencyDecimals(formData.currency), min: '0' }}
+                            error={!!validationErrors.sum}
+                            helperText={validationErrors.sum}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+
+                    {/* Currency Field */}
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('costForm.currency')}
+                            name="currency"
+                            value={formData.currency}
+                            onChange={handleChange}
+                            disabled={saving}
+                            required
+                        >
+                            {currencyOptions.map((currency) => (
+                                <MenuItem key={currency} value={currency}>
+                                    {currency}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+
+                    {/* Category Field */}
+                    <Grid size={12}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('costForm.category')}
+                            name="category"
+                            value={formData.category}
+                            onChange={handleChange}
+                            error={!!validationErrors.category}
+                            helperText={validationErrors.category}
+                            disabled={saving}
+                            required
+                        >
+                            {getSelectableCategoryNames(categories, formData.category).map((category) => (
+                                <MenuItem
+                                    key={category}
+                                    value={category}
+                                    sx={{ pl: categories.some(item => item.name === category && item.parentId != null) ? 5 : 2 }}
+                                >
+                                    {translateCategory(t, category)}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+
+                    {/* Description Field */}
+                    <Grid size={12}>
+                        <TextField
+                            fullWidth
+                            label={t('costForm.description')}
+                            name="description"
+                            value={formData.description}
+                            onChange={handleChange}
+                            error={!!validationErrors.description}
+                            helperText={validationErrors.description}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+
+                    {/* Schedule Fields - the day of the month only applies to monthly costs */}
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                        <TextField
+                            fullWidth
+                            select
+                            label={t('recurring.frequency')}
+                            name="frequency"
+                            value={formData.frequency}
+                            onChange={handleChange}
+                            error={!!validationErrors.frequency}
+                            helperText={validationErrors.frequency || t(`recurring.frequencyHelp.${formData.frequency}`)}
+                            disabled={saving}
+                        >
+                            {RECURRING_FREQUENCIES.map(frequency => (
+                                <MenuItem key={frequency} value={frequency}>
+                                    {t(`recurring.frequencies.${frequency}`)}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                        {formData.frequency === 'monthly' && (
+                            <TextField
+                                fullWidth
+                                label={t('recurring.dayOfMonth')}
+                                name="dayOfMonth"
+                                type="number"
+                                value={formData.dayOfMonth}
+                                onChange={handleChange}
+                                inputProps={{ min: 1, max: 31, step: 1 }}
+                                error={!!validationErrors.dayOfMonth}
+                                helperText={validationErrors.dayOfMonth || t('recurring.dayOfMonthHelp')}
+                                disabled={saving}
+                            />
+                        )}
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                        <TextField
+                            fullWidth
+                            label={t('recurring.startDate')}
+                            name="startDate"
+                            type="date"
+                            value={formData.startDate}
+                            onChange={handleChange}
+                            slotProps={{ inputLabel: { shrink: true } }}
+                            error={!!validationErrors.startDate}
+                            helperText={validationErrors.startDate}
+                            disabled={saving}
+                            required
+                        />
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                        <TextField
+                            fullWidth
+                            label={t('recurring.endDate')}
+                            name="endDate"
+                            type="date"
+                            value={formData.endDate}
+                            onChange={handleChange}
+                            slotProps={{ inputLabel: { shrink: true } }}
+                            error={!!validationErrors.endDate}
+                            helperText={validationErrors.endDate || t('recurring.endDateHelp')}
+                            disabled={saving}
+                        />
+                    </Grid>
+                </Grid>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} disabled={saving}>
+                    {t('common.cancel')}
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={handleSave}
+                    disabled={saving}
+                    startIcon={saving ? <CircularProgress size={20} /> : null}
+                >
+                    {saving ? t('common.saving') : t('recurring.save')}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default EditRecurringDialog;
@@ -0,0 +1,120 @@
+/**
+ * ExportMenu Component - Dashboard action for downloading report data
+ * Exports the selected month's report or the selected year's monthly totals as CSV or Excel,
+ * and the selected month as a printable PDF statement
+ */
+
+import { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemIcon, ListItemText, ListSubheader, CircularProgress } from '@mui/material';
+import { FileDownload, Description, TableChart, PictureAsPdf } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { buildMonthlyReportTable, buildYearlyTable, downloadTable } from '../utils/reportExport';
+import { createMonthlyStatementPdf } from '../utils/statementPdf';
+import { downloadBlob } from '../utils/helperFunctions';
+import { loadRates } from '../utils/ratesService';
+
+/**
+ * ExportMenu function rendering the export button and its format menu
+ * @param {Object} props - Component props
+ * @param {number} props.selectedMonth - Selected month (0-11)
+ * @param {number} props.selectedYear - Selected year
+ * @param {string} props.displayCurrency - Currency to convert exported amounts to
+ * @param {Function} props.onError - Called with an error message when an export fails
+ * @returns {JSX.Element} Export button with menu
+ */
+const ExportMenu = ({ selectedMonth, selectedYear, displayCurrency, onError }) => {
+    // Shared database connection and translator (exported files themselves stay in English)
+    const { db } = useDatabase();
+    const { t } = useTranslation();
+
+    // Menu anchor element and export progress
+    const [anchorEl, setAnchorEl] = useState(null);
+    const [exporting, setExporting] = useState(false);
+
+    /**
+     * Load fresh data for the chosen view and download it in the chosen format
+     * @param {string} view - 'monthly' or 'yearly'
+     * @param {string} format - 'csv', 'xlsx' or 'pdf' (monthly only)
+     */
+    const handleExport = async (view, format) => {
+        setAnchorEl(null);
+        setExporting(true);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+
+            const month = String(selectedMonth + 1).padStart(2, '0');
+            if (view === 'monthly' && format === 'pdf') {
+                // Statement combines the report (with the rate applied to each cost) and its category breakdown,
+                // both converted with the same rates
+                const rates = await loadRates(db);
+                const report = await db.getReport(selectedYear, selectedMonth + 1, displayCurrency, rates);
+                const categoryData = await db.getPieChartData(selectedYear, selectedMonth + 1, displayCurrency, rates);
+                const blob = await createMonthlyStatementPdf({ report, categoryData });
+                downloadBlob(blob, `cost-statement-${selectedYear}-${month}-${displayCurrency}.pdf`);
+            } else if (view === 'monthly') {
+                const report = await db.getReport(selectedYear, selectedMonth + 1, displayCurrency);
+                await downloadTable(
+                    buildMonthlyReportTable(report),
+                    format,
+                    `cost-report-${selectedYear}-${month}-${displayCurrency}`
+                );
+            } else {
+                const monthlyData = await db.getBarChartData(selectedYear, displayCurrency);
+                await downloadTable(
+                    buildYearlyTable(monthlyData, selectedYear, displayCurrency),
+                    format,
+                    `cost-yearly-${selectedYear}-${displayCurrency}`
+                );
+            }
+        } catch (err) {
+            onError(t('export.failed', { message: err.message }));
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    // Menu entries - one per view and file format
+    const exportOptions = [
+        { view: 'monthly', format: 'csv', label: 'CSV', icon: <Description fontSize="small" /> },
+        { view: 'monthly', format: 'xlsx', label: 'Excel (.xlsx)', icon: <TableChart fontSize="small" /> },
+        { view: 'monthly', format: 'pdf', label: t('export.pdf'), icon: <PictureAsPdf fontSize="small" /> },
+        { view: 'yearly', format: 'csv', label: 'CSV', icon: <Description fontSize="small" /> },
+        { view: 'yearly', format: 'xlsx', label: 'Excel (.xlsx)', icon: <TableChart fontSize="small" /> }
+    ];
+
+    // Render the options of one view under its heading
+    const renderOptions = (view) => exportOptions
+        .filter(option => option.view === view)
+        .map(option => (
+            <MenuItem key={`${option.view}-${option.format}`} onClick={() => handleExport(option.view, option.format)}>
+                <ListItemIcon>{option.icon}</ListItemIcon>
+                <ListItemText>{option.label}</ListItemText>
+            </MenuItem>
+        ));
+
+    return (
+        <>
+            <Button
+                variant="outlined"
+                size="small"
+                startIcon={exporting ? <CircularProgress size={16} /> : <FileDownload />}
+                onClick={(e) => setAnchorEl(e.currentTarget)}
+                disabled={exporting || !db}
+            >
+                {t('export.button')}
+            </Button>
+            <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+                <ListSubheader>{t('export.monthly')}</ListSubheader>
+                {renderOptions('monthly')}
+                <ListSubheader>{t('export.yearly')}</ListSubheader>
+                {renderOptions('yearly')}
+            </Menu>
+        </>
+    );
+};
+
+export default ExportMenu;
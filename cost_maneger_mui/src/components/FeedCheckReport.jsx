@@ -0,0 +1,60 @@
+/**
+ * FeedCheckReport Component - Result of testing an exchange rates feed
+ * Lists each diagnostic check from diagnoseRatesFeed with a status icon, under a summary alert
+ */
+
+import { Alert, AlertTitle, List, ListItem, ListItemIcon, ListItemText } from '@mui/material';
+import { CheckCircleOutline, InfoOutlined, WarningAmber, ErrorOutline } from '@mui/icons-material';
+import { useTranslation } from '../context/LanguageContext';
+
+// Icon per check status
+const STATUS_ICONS = {
+    ok: <CheckCircleOutline fontSize="small" color="success" />,
+    info: <InfoOutlined fontSize="small" color="info" />,
+    warning: <WarningAmber fontSize="small" color="warning" />,
+    error: <ErrorOutline fontSize="small" color="error" />
+};
+
+/**
+ * FeedCheckReport function rendering a feed diagnostic report
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Result of diagnoseRatesFeed
+ * @param {Function} [props.onClose] - Called when the alert is dismissed (no close button when omitted)
+ * @returns {JSX.Element} Summary alert with one line per check
+ */
+const FeedCheckReport = ({ report, onClose }) => {
+    // Translator for the summary title (check lines come translated from diagnoseRatesFeed)
+    const { t } = useTranslation();
+
+    const hasWarnings = report.checks.some(check => check.status === 'warning');
+    let severity = 'success';
+    if (!report.passed) {
+        severity = 'error';
+    } else if (hasWarnings) {
+        severity = 'warning';
+    }
+
+    return (
+        <Alert severity={severity} sx={{ mb: 2 }} onClose={onClose}>
+            <AlertTitle>
+                {report.passed
+                    ? t(hasWarnings ? 'feedCheck.passedWithWarnings' : 'feedCheck.passed')
+                    : t('feedCheck.failed')}
+            </AlertTitle>
+            <List dense disablePadding>
+                {report.checks.map(check => (
+                    <ListItem key={check.label} disableGutters>
+                        <ListItemIcon sx={{ minWidth: 32 }}>{STATUS_ICONS[check.status]}</ListItemIcon>
+                        <ListItemText
+                            primary={check.label}
+                            secondary={check.message}
+                            slotProps={{ secondary: { sx: { wordBreak: 'break-word' } } }}
+                        />
+                    </ListItem>
+                ))}
+            </List>
+        </Alert>
+    );
+};
+
+export default FeedCheckReport;
@@ -0,0 +1,146 @@
+/**
+ * IncomeTable Component - Income entries of the selected month
+ * Shows original and converted amounts and deletes entries after confirmation
+ * Used in Dashboard Tab 0 (Monthly Report) below the cost table
+ */
+
+import { useState } from 'react';
+import {
+    Box,
+    Typography,
+    Alert,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Chip,
+    Paper,
+    IconButton,
+    Tooltip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions,
+    Button
+} from '@mui/material';
+import { DeleteOutline } from '@mui/icons-material';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+
+/**
+ * IncomeTable function listing a month's income entries
+ * @param {Object} props - Component props
+ * @param {Array} props.monthlyIncome - Income entries of the month converted to the display currency
+ * @param {string} props.displayCurrency - Currency code for converted amounts
+ * @param {Function} props.onDeleteIncome - Async callback receiving (id) to delete an entry
+ * @returns {JSX.Element} Income table with delete confirmation
+ */
+const IncomeTable = ({ monthlyIncome, displayCurrency, onDeleteIncome }) => {
+    // Shared locale-aware formatter and translator
+    const { formatCurrency, formatDate } = useFormatter();
+    const { t } = useTranslation();
+
+    // Entry pending deletion and the state of its confirmation dialog
+    const [deletingIncome, setDeletingIncome] = useState(null);
+    const [deleting, setDeleting] = useState(false);
+    const [deleteError, setDeleteError] = useState(null);
+
+    /**
+     * Delete the entry pending confirmation and close the confirmation dialog
+     */
+    const handleConfirmDelete = async () => {
+        setDeleting(true);
+        setDeleteError(null);
+
+        try {
+            await onDeleteIncome(deletingIncome.id);
+            setDeletingIncome(null);
+        } catch (err) {
+            setDeleteError(t('income.deleteFailed', { message: err.message }));
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    return (
+        <Box sx={{ mt: { xs: 2, sm: 3 } }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('income.title')}
+            </Typography>
+
+            <TableContainer component={Paper} sx={{ borderRadius: 2 }}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>{t('monthly.date')}</TableCell>
+                            <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{t('income.source')}</TableCell>
+                            <TableCell>{t('monthly.description')}</TableCell>
+                            <TableCell align="right">{t('monthly.amount')}</TableCell>
+                            <TableCell align="right">{displayCurrency}</TableCell>
+                            <TableCell align="center">{t('monthly.actions')}</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {monthlyIncome.map(income => (
+                            <TableRow key={income.id} hover>
+                                <TableCell>{formatDate(income.date)}</TableCell>
+                                <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>
+                                    <Chip label={t(`income.sources.${income.source}`)} size="small" color="success" variant="outlined" />
+                                </TableCell>
+                                <TableCell sx={{ maxWidth: { xs: 100, sm: 200 }, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {income.description}
+                                </TableCell>
+                                <TableCell align="right">{formatCurrency(income.sum, income.currency)}</TableCell>
+                                <TableCell align="right" sx={{ fontWeight: 600 }}>
+                                    {income.convertedAmount === null ? (
+                                        <Tooltip title={t('monthly.noRateTooltip', { from: income.currency, to: displayCurrency })}>
+                                            <Typography component="span" variant="inherit" color="warning.main">{t('monthly.noRate')}</Typography>
+                                        </Tooltip>
+                                    ) : formatCurrency(income.convertedAmount, displayCurrency)}
+                                </TableCell>
+                                <TableCell align="center" sx={{ py: { xs: 0.25, sm: 0.5 } }}>
+                                    <Tooltip title={t('common.delete')}>
+                                        <IconButton size="small" color="error" onClick={() => setDeletingIncome(income)} aria-label={t('income.delete')}>
+                                            <DeleteOutline fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            {/* Delete confirmation dialog */}
+            <Dialog open={!!deletingIncome} onClose={deleting ? undefined : () => setDeletingIncome(null)}>
+                <DialogTitle>{t('income.deleteTitle')}</DialogTitle>
+                <DialogContent>
+                    {deleteError && (
+                        <Alert severity="error" sx={{ mb: 2 }}>
+                            {deleteError}
+                        </Alert>
+                    )}
+                    <DialogContentText>
+                        {deletingIncome && t('monthly.deleteConfirm', {
+                            description: deletingIncome.description,
+                            amount: formatCurrency(deletingIncome.sum, deletingIncome.currency)
+                        })}
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDeletingIncome(null)} disabled={deleting}>
+                        {t('common.cancel')}
+                    </Button>
+                    <Button color="error" variant="contained" onClick={handleConfirmDelete} disabled={deleting}>
+                        {deleting ? t('common.deleting') : t('common.delete')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default IncomeTable;
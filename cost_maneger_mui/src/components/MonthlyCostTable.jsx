@@ -1,9 +1,12 @@
 /**
  * MonthlyCostTable Component - Monthly expense report with summary and table
- * Displays total expenses card and detailed cost table with currency conversion
+ * Displays total expenses card (with the month's income, net and savings rate) and detailed cost table
+ * with currency conversion
  * Shows original currency amounts and converted amounts in display currency
+ * Provides per-row edit and delete actions
  */
 
+import { useState } from 'react';
 import {
     Box,
     Card,
@@ -17,31 +20,77 @@ import {
     TableHead,
     TableRow,
     Chip,
-    Paper
+    Paper,
+    IconButton,
+    Tooltip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions,
+    Button
 } from '@mui/material';
-import { MONTHS } from '../utils/constants';
+import { Edit, DeleteOutline } from '@mui/icons-material';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useCategories } from '../hooks/useCategories';
+import { translateCategory } from '../i18n';
+import EditCostDialog from './EditCostDialog';
+import CategoryIcon from './CategoryIcon';
+import CashFlowSummary from './CashFlowSummary';
 
 /**
  * MonthlyCostTable function for displaying monthly expense summary and details
  * @param {Object} props - Component props
  * @param {Array} props.monthlyCosts - Array of cost objects for selected month
  * @param {number} props.monthlyTotal - Total expenses for the month in display currency
+ * @param {Object|null} props.cashFlow - Month entry of db.getCashFlowData (income, expenses, net, savingsRate)
  * @param {number} props.selectedMonth - Selected month index (0-11)
  * @param {number} props.selectedYear - Selected year
  * @param {string} props.displayCurrency - Currency code for converted amounts
- * @param {Function} props.formatCurrency - Function to format amount as currency string
- * @param {Function} props.formatDate - Function to format date string for display
+ * @param {Function} props.onUpdateCost - Async callback receiving (id, changes) to save an edited cost
+ * @param {Function} props.onDeleteCost - Async callback receiving (id) to delete a cost
  * @returns {JSX.Element} Monthly expense summary card and detailed cost table
  */
 const MonthlyCostTable = ({
                               monthlyCosts,
                               monthlyTotal,
+                              cashFlow,
                               selectedMonth,
                               selectedYear,
                               displayCurrency,
-                              formatCurrency,
-                              formatDate
+                              onUpdateCost,
+                              onDeleteCost
                           }) => {
+    // Shared locale-aware formatter, translator and categories (for their colors and icons)
+    const { formatCurrency, formatDate, formatMonth } = useFormatter();
+    const { t } = useTranslation();
+    const categories = useCategories();
+    const categoryByName = new Map(categories.map(category => [category.name, category]));
+
+    // Row action state - cost currently being edited or pending deletion
+    const [editingCost, setEditingCost] = useState(null);
+    const [deletingCost, setDeletingCost] = useState(null);
+    const [deleting, setDeleting] = useState(false);
+    const [deleteError, setDeleteError] = useState(null);
+
+    /**
+     * Delete the cost pending confirmation and close the confirmation dialog
+     */
+    const handleConfirmDelete = async () => {
+        setDeleting(true);
+        setDeleteError(null);
+
+        try {
+            await onDeleteCost(deletingCost.id);
+            setDeletingCost(null);
+        } catch (err) {
+            setDeleteError(t('monthly.deleteFailed', { message: err.message }));
+        } finally {
+            setDeleting(false);
+        }
+    };
+
     return (
         <Box>
             {/* Summary card displaying total expenses for selected month */}
@@ -49,23 +98,29 @@ const MonthlyCostTable = ({
                 <CardContent sx={{ p: { xs: 2, sm: 3 }, '&:last-child': { pb: { xs: 2, sm: 3 } } }}>
                     {/* Month and year header */}
                     <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
-                        {MONTHS[selectedMonth]} {selectedYear} Summary
+                        {t('monthly.summary', { period: formatMonth(selectedMonth, { year: selectedYear }) })}
                     </Typography>
                     {/* Total amount in display currency - prominently displayed */}
                     <Typography variant="h4" color="primary" sx={{ fontSize: { xs: '1.5rem', sm: '2rem', md: '2.125rem' } }}>
-                        {formatCurrency(monthlyTotal)}
+                        {formatCurrency(monthlyTotal, displayCurrency)}
                     </Typography>
                     {/* Transaction count summary */}
                     <Typography variant="body2" color="text.secondary">
-                        Total expenses ({monthlyCosts.length} transactions)
+                        {t('monthly.totalExpenses', { count: monthlyCosts.length })}
                     </Typography>
+                    {/* Income against expenses for the month */}
+                    {cashFlow && (
+                        <Box sx={{ mt: 2 }}>
+                            <CashFlowSummary figures={cashFlow} displayCurrency={displayCurrency} />
+                        </Box>
+                    )}
                 </CardContent>
             </Card>
 
             {/* Display empty state message if no expenses for selected month */}
             {monthlyCosts.length === 0 ? (
                 <Alert severity="info">
-                    No expenses recorded for {MONTHS[selectedMonth]} {selectedYear}
+                    {t('monthly.empty', { period: formatMonth(selectedMonth, { year: selectedYear }) })}
                 </Alert>
             ) : (
                 /* Detailed expense table with scrollable container for mobile */
@@ -74,14 +129,16 @@ const MonthlyCostTable = ({
                         {/* Table header with column labels */}
                         <TableHead>
                             <TableRow>
-                                <TableCell sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>Date</TableCell>
+                                <TableCell sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>{t('monthly.date')}</TableCell>
                                 {/* Category column hidden on mobile for space optimization */}
-                                <TableCell sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 }, display: { xs: 'none', md: 'table-cell' } }}>Category</TableCell>
-                                <TableCell sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>Description</TableCell>
+                                <TableCell sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 }, display: { xs: 'none', md: 'table-cell' } }}>{t('monthly.category')}</TableCell>
+                                <TableCell sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>{t('monthly.description')}</TableCell>
                                 {/* Original amount in original currency */}
-                                <TableCell align="right" sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>Amount</TableCell>
+                                <TableCell align="right" sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>{t('monthly.amount')}</TableCell>
                                 {/* Converted amount in display currency */}
                                 <TableCell align="right" sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>{displayCurrency}</TableCell>
+                                {/* Row actions for editing and deleting */}
+                                <TableCell align="center" sx={{ fontSize: { xs: '0.75rem', sm: '0.875rem' }, py: { xs: 1, sm: 2 } }}>{t('monthly.actions')}</TableCell>
                             </TableRow>
                         </TableHead>
                         {/* Table body with expense rows */}
@@ -97,7 +154,15 @@ const MonthlyCostTable = ({
                                         </TableCell>
                                         {/* Category chip - hidden on mobile screens */}
                                         <TableCell sx={{ display: { xs: 'none', md: 'table-cell' }, py: { xs: 0.75, sm: 1.5 } }}>
-                                            <Chip label={cost.category} size="small" color="primary" variant="outlined" />
+                                            <Chip
+                                                label={translateCategory(t, cost.category)}
+                                                icon={categoryByName.has(cost.category)
+                                                    ? <CategoryIcon icon={categoryByName.get(cost.category).icon} color={categoryByName.get(cost.category).color} />
+                                                    : undefined}
+                                                size="small"
+                                                color="primary"
+                                                variant="outlined"
+                                            />
                                         </TableCell>
                                         {/* Description with text truncation for long entries */}
                                         <TableCell sx={{
@@ -110,13 +175,30 @@ const MonthlyCostTable = ({
                                         }}>
                                             {cost.description}
                                         </TableCell>
-                                        {/* Original amount with currency code */}
+                                        {/* Original amount in its own currency */}
                                         <TableCell align="right" sx={{ fontSize: { xs: '0.7rem', sm: '0.875rem' }, py: { xs: 0.75, sm: 1.5 } }}>
-                                            {cost.sum.toFixed(2)} {cost.currency}
+                                            {formatCurrency(cost.sum, cost.currency)}
                                         </TableCell>
                                         {/* Converted amount in display currency - emphasized with bold font */}
                                         <TableCell align="right" sx={{ fontSize: { xs: '0.7rem', sm: '0.875rem' }, py: { xs: 0.75, sm: 1.5 }, fontWeight: 600 }}>
-                                            {formatCurrency(convertedAmount)}
+                                            {convertedAmount === null ? (
+                                                <Tooltip title={t('monthly.noRateTooltip', { from: cost.currency, to: displayCurrency })}>
+                                                    <Typography component="span" variant="inherit" color="warning.main">{t('monthly.noRate')}</Typography>
+                                                </Tooltip>
+                                            ) : formatCurrency(convertedAmount, displayCurrency)}
+                                        </TableCell>
+                                        {/* Edit and delete buttons */}
+                                        <TableCell align="center" sx={{ py: { xs: 0.25, sm: 0.5 }, whiteSpace: 'nowrap' }}>
+                                            <Tooltip title={t('common.edit')}>
+                                                <IconButton size="small" onClick={() => setEditingCost(cost)} aria-label={t('monthly.editCost')}>
+                                                    <Edit fontSize="small" />
+                                                </IconButton>
+                                            </Tooltip>
+                                            <Tooltip title={t('common.delete')}>
+                                                <IconButton size="small" color="error" onClick={() => setDeletingCost(cost)} aria-label={t('monthly.deleteCost')}>
+                                                    <DeleteOutline fontSize="small" />
+                                                </IconButton>
+                                            </Tooltip>
                                         </TableCell>
                                     </TableRow>
                                 );
@@ -125,6 +207,37 @@ const MonthlyCostTable = ({
                     </Table>
                 </TableContainer>
             )}
+
+            {/* Edit dialog - remounted per cost so the form starts from its stored values */}
+            <EditCostDialog
+                key={editingCost ? editingCost.id : 'closed'}
+                cost={editingCost}
+                onSave={onUpdateCost}
+                onClose={() => setEditingCost(null)}
+            />
+
+            {/* Delete confirmation dialog */}
+            <Dialog open={!!deletingCost} onClose={deleting ? undefined : () => setDeletingCost(null)}>
+                <DialogTitle>{t('monthly.deleteTitle')}</DialogTitle>
+                <DialogContent>
+                    {deleteError && (
+                        <Alert severity="error" sx={{ mb: 2 }}>
+                            {deleteError}
+                        </Alert>
+                    )}
+                    <DialogContentText>
+                        {deletingCost && t('monthly.deleteConfirm', { description: deletingCost.description, amount: formatCurrency(deletingCost.sum, deletingCost.currency) })}
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDeletingCost(null)} disabled={deleting}>
+                        {t('common.cancel')}
+                    </Button>
+                    <Button color="error" variant="contained" onClick={handleConfirmDelete} disabled={deleting}>
+                        {deleting ? t('common.deleting') : t('common.delete')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Box>
     );
 };
@@ -0,0 +1,294 @@
+/**
+ * RateOverridesSection Component - Editor for manually pinned exchange rates on the Settings page
+ * Pins a rate such as "1 EUR = 3.95 ILS" for all dates or a date range; pinned rates take precedence
+ * over fetched rates and let currencies missing from the feed be converted
+ */
+
+import { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    Button,
+    Alert,
+    Grid,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    TableContainer,
+    Paper,
+    IconButton,
+    Tooltip
+} from '@mui/material';
+import { Add, DeleteOutline } from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useCurrencies } from '../hooks/useCurrencies';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { getRateOverrides } from '../utils/ratesService';
+import { validateRateOverride, createRateOverride, formatOverridePeriod } from '../utils/rateOverrides';
+import { RATE_OVERRIDES_SETTING } from '../utils/constants';
+
+// Empty editor values; rates are quoted in USD unless another currency is chosen
+const EMPTY_OVERRIDE = { currency: '', quoteCurrency: 'USD', rate: '', from: '', to: '' };
+
+/**
+ * RateOverridesSection function rendering the override list and the form to add one
+ * @returns {JSX.Element} Exchange rate overrides settings section
+ */
+const RateOverridesSection = () => {
+    // Shared database connection, the currencies of the active rates feed and translator
+    const { db } = useDatabase();
+    const currencies = useCurrencies();
+    const { t } = useTranslation();
+
+    // Stored overrides and a counter bumped when another tab changes them
+    const [overrides, setOverrides] = useState([]);
+    const [overridesVersion, setOverridesVersion] = useState(0);
+
+    // Editor state
+    const [formData, setFormData] = useState(EMPTY_OVERRIDE);
+    const [validationErrors, setValidationErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Reload when the overrides change elsewhere or a backup restores settings
+     */
+    useEffect(() => {
+        return subscribeToChanges((change) => {
+            if (change.store === 'settings' && (change.type === 'import' || change.key === RATE_OVERRIDES_SETTING)) {
+                setOverridesVersion(prev => prev + 1);
+            }
+        });
+    }, []);
+
+    /**
+     * Load stored overrides once the connection is ready
+     */
+    useEffect(() => {
+        if (!db) {
+            return;
+        }
+        getRateOverrides(db)
+            .then(setOverrides)
+            .catch(err => setError(t('overrides.loadFailed', { message: err.message })));
+    }, [db, overridesVersion, t]);
+
+    /**
+     * Persist the override list (the change notification refreshes the dashboard)
+     * @param {Array} nextOverrides - Complete list to store
+     * @returns {Promise<boolean>} True when the list was saved
+     */
+    const saveOverrides = async (nextOverrides) => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            await db.setSetting(RATE_OVERRIDES_SETTING, nextOverrides);
+            setOverrides(nextOverrides);
+            return true;
+        } catch (err) {
+            setError(t('overrides.saveFailed', { message: err.message }));
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Handle editor field changes and clear the field's validation error
+     * @param {Event} event - Input change event
+     */
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: name === 'currency' ? value.toUpperCase() : value }));
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    /**
+     * Validate the editor and add the override
+     */
+    const handleAdd = async () => {
+        const errors = validateRateOverride(formData, t);
+        setValidationErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+
+        if (await saveOverrides([...overrides, createRateOverride(formData)])) {
+            setFormData(prev => ({ ...EMPTY_OVERRIDE, quoteCurrency: prev.quoteCurrency }));
+        }
+    };
+
+    /**
+     * Remove one override
+     * @param {string} id - Override id
+     */
+    const handleDelete = (id) => {
+        saveOverrides(overrides.filter(override => override.id !== id));
+    };
+
+    // Keep the chosen quote currency selectable even if the feed does not list it
+    const quoteOptions = currencies.includes(formData.quoteCurrency)
+        ? currencies
+        : [formData.quoteCurrency, ...currencies];
+
+    return (
+        <Box sx={{ mb: 3 }}>
+            <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
+                {t('overrides.title')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontSize: { xs: '0.8rem', sm: '0.875rem' } }}>
+                {t('overrides.intro')}
+            </Typography>
+
+            {/* Error Alert */}
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                    {error}
+                </Alert>
+            )}
+
+            {/* Editor - "1 currency = rate quote currency" for an optional date range */}
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid size={{ xs: 6, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        label={t('overrides.unitOf')}
+                        name="currency"
+                        value={formData.currency}
+                        onChange={handleChange}
+                        error={!!validationErrors.currency}
+                        helperText={validationErrors.currency || t('overrides.currencyHelp')}
+                        disabled={saving}
+                        slotProps={{ htmlInput: { maxLength: 3 } }}
+                    />
+                </Grid>
+                <Grid size={{ xs: 6, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        type="number"
+                        label={t('overrides.equals')}
+                        name="rate"
+                        value={formData.rate}
+                        onChange={handleChange}
+                        error={!!validationErrors.rate}
+                        helperText={validationErrors.rate}
+                        disabled={saving}
+                        slotProps={{ htmlInput: { min: 0, step: 'any' } }}
+                    />
+                </Grid>
+                <Grid size={{ xs: 12, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        select
+                        size="small"
+                        label={t('overrides.quoteCurrency')}
+                        name="quoteCurrency"
+                        value={formData.quoteCurrency}
+                        onChange={handleChange}
+                        error={!!validationErrors.quoteCurrency}
+                        helperText={validationErrors.quoteCurrency}
+                        disabled={saving}
+                    >
+                        {quoteOptions.map(currency => (
+                            <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+                <Grid size={{ xs: 6, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        type="date"
+                        label={t('overrides.from')}
+                        name="from"
+                        value={formData.from}
+                        onChange={handleChange}
+                        disabled={saving}
+                        slotProps={{ inputLabel: { shrink: true } }}
+                    />
+                </Grid>
+                <Grid size={{ xs: 6, sm: 4, md: 2 }}>
+                    <TextField
+                        fullWidth
+                        size="small"
+                        type="date"
+                        label={t('overrides.to')}
+                        name="to"
+                        value={formData.to}
+                        onChange={handleChange}
+                        error={!!validationErrors.to}
+                        helperText={validationErrors.to}
+                        disabled={saving}
+                        slotProps={{ inputLabel: { shrink: true } }}
+                    />
+                </Grid>
+                <Grid size={{ xs: 12, sm: 4, md: 2 }}>
+                    <Button
+                        fullWidth
+                        variant="outlined"
+                        startIcon={<Add />}
+                        onClick={handleAdd}
+                        disabled={saving || !db}
+                    >
+                        {t('overrides.add')}
+                    </Button>
+                </Grid>
+            </Grid>
+
+            {/* Stored overrides */}
+            {overrides.length > 0 ? (
+                <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>{t('overrides.rate')}</TableCell>
+                                <TableCell>{t('overrides.period')}</TableCell>
+                                <TableCell align="right">{t('overrides.actions')}</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {overrides.map(override => (
+                                <TableRow key={override.id}>
+                                    <TableCell>1 {override.currency} = {override.rate} {override.quoteCurrency}</TableCell>
+                                    <TableCell>{formatOverridePeriod(override, t)}</TableCell>
+                                    <TableCell align="right">
+                                        <Tooltip title={t('common.delete')}>
+                                            <IconButton
+                                                size="small"
+                                                color="error"
+                                                onClick={() => handleDelete(override.id)}
+                                                disabled={saving}
+                                                aria-label={t('overrides.delete')}
+                                            >
+                                                <DeleteOutline fontSize="small" />
+                                            </IconButton>
+                                        </Tooltip>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            ) : (
+                <Typography variant="body2" color="text.secondary">
+                    {t('overrides.empty')}
+                </Typography>
+            )}
+        </Box>
+    );
+};
+
+export default RateOverridesSection;
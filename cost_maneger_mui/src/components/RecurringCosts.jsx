@@ -0,0 +1,287 @@
+/**
+ * RecurringCosts Component - Management screen for recurring costs (rent, subscriptions, insurance)
+ * Lists the recurring definitions with their schedule and next occurrence, and creates, edits,
+ * pauses, resumes and stops them; due occurrences are added as costs when the app opens
+ * @returns {JSX.Element} Recurring costs page
+ */
+
+import { useState, useEffect } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    Button,
+    Alert,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    TableContainer,
+    IconButton,
+    Tooltip,
+    Chip
+} from '@mui/material';
+import {
+    EventRepeat,
+    Add,
+    EditOutlined,
+    PauseOutlined,
+    PlayArrowOutlined,
+    StopCircleOutlined
+} from '@mui/icons-material';
+import { useDatabase } from '../context/DatabaseContext';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { getNextOccurrence, getRecurringStatus } from '../utils/recurring';
+import { toDateInputValue } from '../utils/helperFunctions';
+import { fromMinorUnits } from '../utils/money';
+import { translateCategory } from '../i18n';
+import EditRecurringDialog from './EditRecurringDialog';
+
+// Chip color for each definition status
+const STATUS_COLORS = { active: 'success', paused: 'warning', ended: 'default' };
+
+/**
+ * RecurringCosts function rendering the recurring definitions and their actions
+ */
+const RecurringCosts = () => {
+    // Shared database connection, formatter and translator
+    const { db } = useDatabase();
+    const { formatCurrency, formatDate } = useFormatter();
+    const { t } = useTranslation();
+
+    // Definition list and a counter bumped when definitions change
+    const [definitions, setDefinitions] = useState([]);
+    const [recurringVersion, setRecurringVersion] = useState(0);
+
+    // UI state - definition in the dialog (null for a new one, undefined when closed) and errors
+    const [editing, setEditing] = useState(undefined);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Reload on any write to the recurring store (including generated occurrences)
+     */
+    useEffect(() => {
+        return subscribeToChanges((change) => {
+            if (change.store === 'recurring') {
+                setRecurringVersion(prev => prev + 1);
+            }
+        });
+    }, []);
+
+    /**
+     * Read the definitions once the connection is ready
+     */
+    useEffect(() => {
+        if (!db) {
+            return undefined;
+        }
+
+        // Ignore results that arrive after the connection changed
+        let active = true;
+        db.getRecurring()
+            .then(records => {
+                if (active) {
+                    setDefinitions(records);
+                }
+            })
+            .catch(err => {
+                if (active) {
+                    setError(t('recurring.loadFailed', { message: err.message }));
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [db, recurringVersion, t]);
+
+    /**
+     * Run one definition change with shared saving and error state
+     * @param {number} id - Definition id
+     * @param {Object} changes - Changes accepted by db.updateRecurring
+     */
+    const runUpdate = async (id, changes) => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+            await db.updateRecurring(id, changes);
+        } catch (err) {
+            setError(t('recurring.saveFailed', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Store the dialog's values as a new or changed definition (errors are shown in the dialog)
+     * @param {Object} values - Validated form values
+     */
+    const handleSave = async (values) => {
+        if (!db) {
+            throw new Error(t('errors.dbNotReady'));
+        }
+        if (editing) {
+            await db.updateRecurring(editing.id, values);
+        } else {
+            await db.addRecurring(values);
+        }
+    };
+
+    /**
+     * Describe how often a definition repeats
+     * @param {Object} definition - Recurring definition
+     * @returns {string} Schedule text
+     */
+    const describeSchedule = (definition) => {
+        if (definition.frequency === 'monthly') {
+            return t('recurring.scheduleMonthly', { day: definition.dayOfMonth });
+        }
+        const key = definition.frequency === 'weekly' ? 'recurring.scheduleWeekly' : 'recurring.scheduleYearly';
+        return t(key, { date: formatDate(definition.startDate) });
+    };
+
+    const today = new Date();
+
+    return (
+        <Box sx={{ p: { xs: 1, sm: 2, md: 3 }, maxWidth: 1000, mx: 'auto' }}>
+            <Paper elevation={3} sx={{ p: { xs: 2, sm: 3, md: 4 }, borderRadius: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: { xs: 2, sm: 3 } }}>
+                    <EventRepeat sx={{ fontSize: { xs: 28, sm: 32 }, color: 'primary.main' }} />
+                    <Typography variant="h5" component="h2" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' }, flexGrow: 1 }}>
+                        {t('recurring.title')}
+                    </Typography>
+                    <Button
+                        variant="contained"
+                        startIcon={<Add />}
+                        onClick={() => setEditing(null)}
+                        disabled={saving || !db}
+                    >
+                        {t('recurring.add')}
+                    </Button>
+                </Box>
+
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    {t('recurring.intro')}
+                </Typography>
+
+                {/* Error Alert */}
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                        {error}
+                    </Alert>
+                )}
+
+                {/* Stored definitions */}
+                {definitions.length === 0 ? (
+                    <Alert severity="info">
+                        {t('recurring.empty')}
+                    </Alert>
+                ) : (
+                    <TableContainer component={Paper} variant="outlined">
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>{t('costForm.description')}</TableCell>
+                                    <TableCell align="right">{t('costForm.amount')}</TableCell>
+                                    <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>{t('recurring.schedule')}</TableCell>
+                                    <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>{t('recurring.next')}</TableCell>
+                                    <TableCell>{t('recurring.status')}</TableCell>
+                                    <TableCell />
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {definitions.map(definition => {
+                                    const status = getRecurringStatus(definition, today);
+                                    const next = status === 'ended' ? null : getNextOccurrence(definition, today);
+                                    return (
+                                        <TableRow key={definition.id} sx={{ opacity: status === 'ended' ? 0.6 : 1 }}>
+                                            <TableCell>
+                                                <Typography variant="body2">{definition.description}</Typography>
+                                                <Typography variant="caption" color="text.secondary">
+                                                    {translateCategory(t, definition.category)}
+                                                </Typography>
+                                            </TableCell>
+                                            <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                                                {formatCurrency(fromMinorUnits(definition.sumMinor, definition.currency), definition.currency)}
+                                            </TableCell>
+                                            <TableCell sx={{ display: { xs: 'none', sm: 'table-cell' } }}>
+                                                {describeSchedule(definition)}
+                                                {definition.endDate && (
+                                                    <Typography variant="caption" color="text.secondary" component="div">
+                                                        {t('recurring.until', { date: formatDate(definition.endDate) })}
+                                                    </Typography>
+                                                )}
+                                            </TableCell>
+                                            <TableCell sx={{ display: { xs: 'none', md: 'table-cell' } }}>
+                                                {next ? formatDate(next) : '-'}
+                                            </TableCell>
+                                            <TableCell>
+                                                <Chip
+                                                    size="small"
+                                                    label={t(`recurring.statuses.${status}`)}
+                                                    color={STATUS_COLORS[status]}
+                                                    variant="outlined"
+                                                />
+                                            </TableCell>
+                                            <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                                                <Tooltip title={t('common.edit')}>
+                                                    <IconButton size="small" onClick={() => setEditing(definition)} disabled={saving}>
+                                                        <EditOutlined fontSize="small" />
+                                                    </IconButton>
+                                                </Tooltip>
+                                                {status !== 'ended' && (
+                                                    <Tooltip title={definition.paused ? t('recurring.resume') : t('recurring.pause')}>
+                                                        <IconButton
+                                                            size="small"
+                                                            onClick={() => runUpdate(definition.id, { paused: !definition.paused })}
+                                                            disabled={saving}
+                                                        >
+                                                            {definition.paused
+                                                                ? <PlayArrowOutlined fontSize="small" />
+                                                                : <PauseOutlined fontSize="small" />}
+                                                        </IconButton>
+                                                    </Tooltip>
+                                                )}
+                                                {status !== 'ended' && (
+                                                    <Tooltip title={t('recurring.stop')}>
+                                                        <IconButton
+                                                            size="small"
+                                                            onClick={() => runUpdate(definition.id, { endDate: toDateInputValue(today) })}
+                                                            disabled={saving}
+                                                        >
+                                                            <StopCircleOutlined fontSize="small" />
+                                                        </IconButton>
+                                                    </Tooltip>
+                                                )}
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                )}
+            </Paper>
+
+            {/* Add / edit dialog - keyed so the form resets for each definition */}
+            {editing !== undefined && (
+                <EditRecurringDialog
+                    key={editing ? editing.id : 'new'}
+                    open
+                    definition={editing}
+                    onSave={handleSave}
+                    onClose={() => setEditing(undefined)}
+                />
+            )}
+        </Box>
+    );
+};
+
+export default RecurringCosts;
@@ -1,6 +1,6 @@
 /**
  * Settings Component - Application configuration interface
- * Manages custom exchange rate API URLs and displays application information
+ * Manages custom exchange rate API URLs, data backup, and displays application information
  * Provides URL validation, connection testing, and fallback handling
  * @returns {JSX.Element} Settings page with URL configuration and app info
  */
@@ -14,17 +14,50 @@ import {
     Button,
     Alert,
     CircularProgress,
-    Divider
+    Divider,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions
 } from '@mui/material';
 import { Settings as SettingsIcon, Save, Refresh } from '@mui/icons-material';
-import { openCostsDB } from '../utils/idb';
+import { useDatabase } from '../context/DatabaseContext';
+import { useTranslation } from '../context/LanguageContext';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { getRatesTtlMinutes, getRateProviderId, getRateOverrides, diagnoseRatesFeed } from '../utils/ratesService';
+import { RATES_TTL_SETTING, HISTORICAL_RATES_SETTING, RATE_PROVIDER_SETTING } from '../utils/constants';
+import { RATE_PROVIDERS } from '../utils/rateProviders';
+import FeedCheckReport from './FeedCheckReport';
+import BackupRestoreSection from './BackupRestoreSection';
+import CsvImportSection from './CsvImportSection';
+import RateOverridesSection from './RateOverridesSection';
+import DisplayPreferencesSection from './DisplayPreferencesSection';
+import CategoriesSection from './CategoriesSection';
+
+// Longest allowed exchange rates cache duration (one week)
+const MAX_RATES_TTL_MINUTES = 7 * 24 * 60;
+
+// Message keys of the feature list in the About section
+const FEATURE_KEYS = ['currencies', 'categories', 'reports', 'charts', 'storage'];
 
 /**
  * Main Settings component for application configuration
  */
 const Settings = () => {
+    // Shared database connection and translator
+    const { db } = useDatabase();
+    const { t } = useTranslation();
+
     // Form state - manages user input for exchange rate URL
     const [exchangeRateUrl, setExchangeRateUrl] = useState('');
+    const [ratesTtl, setRatesTtl] = useState('');
+    const [historicalRatesUrl, setHistoricalRatesUrl] = useState('');
+    const [rateProvider, setRateProvider] = useState('auto');
     
     // UI state - controls loading indicators and user feedback
     const [loading, setLoading] = useState(false);
@@ -33,57 +66,157 @@ const Settings = () => {
     const [success, setSuccess] = useState(false);
     const [testingConnection, setTestingConnection] = useState(false);
 
+    // Latest feed diagnostic report, and the failed report awaiting a "save anyway" decision
+    const [feedReport, setFeedReport] = useState(null);
+    const [confirmReport, setConfirmReport] = useState(null);
+
     /**
-     * Effect hook to load saved settings when component mounts
+     * Effect hook to load saved settings once the shared connection is available
      */
     useEffect(() => {
         loadSettings();
-    }, []);
+    }, [db]);
+
+    /**
+     * Effect hook to pick up settings saved in another tab
+     */
+    useEffect(() => {
+        if (!db) {
+            return undefined;
+        }
+
+        return subscribeToChanges(async (change) => {
+            // Bulk imports have no key and can come from this tab's Backup & Restore section
+            const isImport = change.type === 'import';
+            if (change.store === 'settings' && (change.remote || isImport) &&
+                (change.key === 'exchangeRateUrl' || isImport)) {
+                const savedUrl = await db.getSetting('exchangeRateUrl');
+                setExchangeRateUrl(savedUrl || '');
+            }
+            if (change.store === 'settings' && (change.remote || isImport) &&
+                (change.key === RATES_TTL_SETTING || isImport)) {
+                setRatesTtl(String(await getRatesTtlMinutes(db)));
+            }
+            if (change.store === 'settings' && (change.remote || isImport) &&
+                (change.key === HISTORICAL_RATES_SETTING || isImport)) {
+                setHistoricalRatesUrl((await db.getSetting(HISTORICAL_RATES_SETTING)) || '');
+            }
+            if (change.store === 'settings' && (change.remote || isImport) &&
+                (change.key === RATE_PROVIDER_SETTING || isImport)) {
+                setRateProvider(await getRateProviderId(db));
+            }
+        });
+    }, [db]);
 
     /**
      * Load saved exchange rate URL from IndexedDB on component initialization
      */
     const loadSettings = async () => {
+        // Wait for the shared connection (null while reconnecting)
+        if (!db) {
+            return;
+        }
+
         // Show initial loading indicator
         setInitialLoading(true);
         
         try {
-            // Connect to database and retrieve saved URL setting
-            const db = await openCostsDB("costsdb", 1);
+            // Retrieve saved URL setting
             const savedUrl = await db.getSetting('exchangeRateUrl');
             
             // Populate form field if URL was previously saved
             if (savedUrl) {
                 setExchangeRateUrl(savedUrl);
             }
+
+            // Show the saved (or default) exchange rates cache duration
+            setRatesTtl(String(await getRatesTtlMinutes(db)));
+
+            // Show the saved historical rates URL template and feed format
+            setHistoricalRatesUrl((await db.getSetting(HISTORICAL_RATES_SETTING)) || '');
+            setRateProvider(await getRateProviderId(db));
         } catch (err) {
             // Display error if settings cannot be loaded
-            setError(`Failed to load settings: ${err.message}`);
+            setError(t('settings.loadFailed', { message: err.message }));
         } finally {
             // Hide loading indicator regardless of outcome
             setInitialLoading(false);
         }
     };
 
+    /**
+     * Run the feed diagnostics for the URL and format in the form
+     * Checks the feed against the currencies of the stored costs and the rate overrides
+     * @returns {Promise<Object>} Result of diagnoseRatesFeed
+     */
+    const checkFeed = async () => {
+        if (!db) {
+            throw new Error(t('errors.dbNotReady'));
+        }
+        const costs = await db.getAllCosts();
+        const usedCurrencies = [...new Set(costs.map(cost => cost.currency))].sort();
+        const report = await diagnoseRatesFeed(exchangeRateUrl, rateProvider, {
+            usedCurrencies,
+            overrides: await getRateOverrides(db),
+            t
+        });
+        setFeedReport(report);
+        return report;
+    };
+
     /**
      * Handle saving exchange rate URL to database
-     * Validates URL format and provides user feedback
+     * Validates URL format and provides user feedback; a changed feed URL or format is tested first
+     * and a feed that fails critical checks is only saved after the user confirms
+     * @param {boolean} [confirmed=false] - The user chose to save despite a failed feed check
      */
-    const handleSave = async () => {
+    const handleSave = async (confirmed = false) => {
         // Initialize saving state and clear previous messages
         setLoading(true);
         setError(null);
         setSuccess(false);
+        setConfirmReport(null);
 
         try {
             // Validate URL format before saving (if URL provided)
             if (exchangeRateUrl && !isValidUrl(exchangeRateUrl)) {
-                throw new Error('Please enter a valid URL');
+                throw new Error(t('settings.invalidUrl'));
+            }
+
+            // Historical rates template must be a valid URL with a {date} placeholder
+            if (historicalRatesUrl && (!historicalRatesUrl.includes('{date}') ||
+                !isValidUrl(historicalRatesUrl.split('{date}').join('2024-01-31')))) {
+                throw new Error(t('settings.invalidHistoricalUrl'));
+            }
+
+            // Cache duration must be a whole number of minutes, up to one week
+            const ttlMinutes = Number(ratesTtl);
+            if (ratesTtl === '' || !Number.isInteger(ttlMinutes) || ttlMinutes < 0 || ttlMinutes > MAX_RATES_TTL_MINUTES) {
+                throw new Error(t('settings.invalidTtl', { max: MAX_RATES_TTL_MINUTES }));
+            }
+
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
+
+            // Test a new feed (reusing a report for the same URL and format) before switching to it
+            const feedChanged = exchangeRateUrl !== ((await db.getSetting('exchangeRateUrl')) || '') ||
+                rateProvider !== await getRateProviderId(db);
+            if (exchangeRateUrl && feedChanged && !confirmed) {
+                const report = feedReport && feedReport.url === exchangeRateUrl && feedReport.providerId === rateProvider
+                    ? feedReport
+                    : await checkFeed();
+                if (!report.passed) {
+                    setConfirmReport(report);
+                    return;
+                }
             }
 
-            // Connect to database and persist the URL setting
-            const db = await openCostsDB("costsdb", 1);
+            // Persist the URL setting
             await db.setSetting('exchangeRateUrl', exchangeRateUrl);
+            await db.setSetting(RATES_TTL_SETTING, ttlMinutes);
+            await db.setSetting(HISTORICAL_RATES_SETTING, historicalRatesUrl.trim());
+            await db.setSetting(RATE_PROVIDER_SETTING, rateProvider);
 
             // Show success feedback to user
             setSuccess(true);
@@ -95,7 +228,7 @@ const Settings = () => {
 
         } catch (err) {
             // Display error message if save operation fails
-            setError(`Failed to save settings: ${err.message}`);
+            setError(t('settings.saveFailed', { message: err.message }));
         } finally {
             // Clear loading state regardless of success/failure
             setLoading(false);
@@ -104,65 +237,26 @@ const Settings = () => {
 
     /**
      * Test connection to the exchange rate API URL
-     * Validates URL accessibility and response format
+     * Reports status, latency, format, base currency, missing currencies and invalid values
      */
     const handleTestConnection = async () => {
         // Validate that URL is provided before testing
         if (!exchangeRateUrl) {
-            setError('Please enter a URL to test');
+            setError(t('settings.urlRequired'));
             return;
         }
 
         // Initialize testing state and clear previous messages
         setTestingConnection(true);
         setError(null);
+        setFeedReport(null);
 
         try {
-            // Attempt to fetch data from the provided URL
-            const response = await fetch(exchangeRateUrl);
-
-            // Check if HTTP request was successful
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            // Parse JSON response from the API
-            const data = await response.json();
-
-            // Validate that response contains expected data structure
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid response format');
-            }
-
-            // Check for required currencies (accept both EUR and EURO formats)
-            const hasEuro = data['EUR'] !== undefined || data['EURO'] !== undefined;
-            const requiredCurrencies = ['USD', 'GBP', 'ILS'];
-            const missingCurrencies = requiredCurrencies.filter(curr =>
-                data[curr] === undefined && data[curr.toUpperCase()] === undefined
-            );
-
-            // Add EUR/EURO to missing currencies if neither is found
-            if (!hasEuro) {
-                missingCurrencies.push('EUR/EURO');
-            }
-
-            // Note: Missing currencies detected but don't fail test
-            if (missingCurrencies.length > 0) {
-                // Missing currencies logged but test continues
-            }
-
-            // Show success message for successful connection
-            setSuccess(true);
-            setError(null);
-
-            // Auto-hide success message after 3 seconds
-            setTimeout(() => {
-                setSuccess(false);
-            }, 3000);
-
+            // Network and format problems are reported as failed checks rather than thrown
+            await checkFeed();
         } catch (err) {
-            // Display detailed error message for failed connection
-            setError(`Connection test failed: ${err.message}. Using default exchange rates.`);
+            // Display the error if the stored costs or overrides cannot be read
+            setError(t('settings.testFailed', { message: err.message }));
         } finally {
             // Clear testing state regardless of outcome
             setTestingConnection(false);
@@ -181,8 +275,10 @@ const Settings = () => {
         setSuccess(false);
 
         try {
-            // Connect to database and clear the custom URL setting
-            const db = await openCostsDB("costsdb", 1);
+            // Clear the custom URL setting
+            if (!db) {
+                throw new Error(t('errors.dbNotReady'));
+            }
             await db.setSetting('exchangeRateUrl', '');
             
             // Show confirmation that reset was successful
@@ -194,7 +290,7 @@ const Settings = () => {
             }, 3000);
         } catch (err) {
             // Display error if reset operation fails
-            setError(`Failed to reset settings: ${err.message}`);
+            setError(t('settings.resetFailed', { message: err.message }));
         }
     };
 
@@ -228,7 +324,7 @@ const Settings = () => {
                 <Box sx={{ display: 'flex', alignItems: 'center', mb: { xs: 2, sm: 3 } }}>
                     <SettingsIcon sx={{ fontSize: { xs: 28, sm: 32 }, mr: 1, color: 'primary.main' }} />
                     <Typography variant="h5" component="h2" sx={{ fontSize: { xs: '1.25rem', sm: '1.5rem' } }}>
-                        Application Settings
+                        {t('settings.title')}
                     </Typography>
                 </Box>
 
@@ -242,30 +338,33 @@ const Settings = () => {
                 {/* Success Alert */}
                 {success && (
                     <Alert severity="success" sx={{ mb: 2 }}>
-                        Settings saved successfully!
+                        {t('settings.saved')}
                     </Alert>
                 )}
 
+                {/* Feed diagnostic report from Test Connection or Save */}
+                {feedReport && !confirmReport && (
+                    <FeedCheckReport report={feedReport} onClose={() => setFeedReport(null)} />
+                )}
+
                 {/* Exchange Rate URL Section */}
                 <Box sx={{ mb: { xs: 3, sm: 4 } }}>
                     <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
-                        Exchange Rate API
+                        {t('settings.apiTitle')}
                     </Typography>
                     <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontSize: { xs: '0.8rem', sm: '0.875rem' } }}>
-                        Configure a custom URL for fetching real-time exchange rates. If not set or if the URL fails,
-                        the app uses a default API endpoint. Note: Exchange rates may not reflect real-time values
-                        depending on the data source.
+                        {t('settings.apiIntro')}
                     </Typography>
 
                     <TextField
                         fullWidth
-                        label="Exchange Rate API URL"
+                        label={t('settings.apiUrl')}
                         value={exchangeRateUrl}
                         onChange={(e) => setExchangeRateUrl(e.target.value)}
                         placeholder="https://api.example.com/rates"
                         disabled={loading || testingConnection}
                         sx={{ mb: 2 }}
-                        helperText="Example: https://api.exchangerate-api.com/v4/latest/USD"
+                        helperText={t('settings.apiUrlHelp', { example: 'https://api.exchangerate-api.com/v4/latest/USD' })}
                         size="medium"
                         slotProps={{
                             inputLabel: {
@@ -274,6 +373,53 @@ const Settings = () => {
                         }}
                     />
 
+                    <FormControl fullWidth sx={{ mb: 2 }} disabled={loading || testingConnection}>
+                        <InputLabel>{t('settings.feedFormat')}</InputLabel>
+                        <Select
+                            value={rateProvider}
+                            label={t('settings.feedFormat')}
+                            onChange={(e) => setRateProvider(e.target.value)}
+                        >
+                            <MenuItem value="auto">{t('settings.detectFormat')}</MenuItem>
+                            {RATE_PROVIDERS.map(provider => (
+                                <MenuItem key={provider.id} value={provider.id}>{t(`settings.feedFormats.${provider.id}`)}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+
+                    <TextField
+                        fullWidth
+                        label={t('settings.historicalUrl')}
+                        value={historicalRatesUrl}
+                        onChange={(e) => setHistoricalRatesUrl(e.target.value)}
+                        placeholder="https://api.example.com/{date}?base=USD"
+                        disabled={loading || testingConnection}
+                        sx={{ mb: 2 }}
+                        helperText={t('settings.historicalUrlHelp')}
+                        slotProps={{
+                            inputLabel: {
+                                sx: { fontSize: { xs: '0.9rem', sm: '1rem' } }
+                            }
+                        }}
+                    />
+
+                    <TextField
+                        fullWidth
+                        type="number"
+                        label={t('settings.cacheTtl')}
+                        value={ratesTtl}
+                        onChange={(e) => setRatesTtl(e.target.value)}
+                        disabled={loading || testingConnection}
+                        sx={{ mb: 2 }}
+                        helperText={t('settings.cacheTtlHelp')}
+                        slotProps={{
+                            htmlInput: { min: 0, max: MAX_RATES_TTL_MINUTES, step: 1 },
+                            inputLabel: {
+                                sx: { fontSize: { xs: '0.9rem', sm: '1rem' } }
+                            }
+                        }}
+                    />
+
                     <Box sx={{
                         display: 'flex',
                         gap: { xs: 1, sm: 2 },
@@ -283,7 +429,7 @@ const Settings = () => {
                         <Button
                             variant="contained"
                             startIcon={loading ? <CircularProgress size={20} /> : <Save />}
-                            onClick={handleSave}
+                            onClick={() => handleSave()}
                             disabled={loading || testingConnection}
                             fullWidth={false}
                             sx={{
@@ -291,7 +437,7 @@ const Settings = () => {
                                 py: { xs: 1.25, sm: 1 }
                             }}
                         >
-                            {loading ? 'Saving...' : 'Save Settings'}
+                            {loading ? t('common.saving') : t('settings.save')}
                         </Button>
 
                         <Button
@@ -304,7 +450,7 @@ const Settings = () => {
                                 py: { xs: 1.25, sm: 1 }
                             }}
                         >
-                            {testingConnection ? 'Testing...' : 'Test Connection'}
+                            {testingConnection ? t('settings.testing') : t('settings.test')}
                         </Button>
 
                         <Button
@@ -316,7 +462,7 @@ const Settings = () => {
                                 py: { xs: 1.25, sm: 1 }
                             }}
                         >
-                            Reset to Default
+                            {t('settings.reset')}
                         </Button>
                     </Box>
                 </Box>
@@ -326,63 +472,85 @@ const Settings = () => {
                 {/* Default Exchange Rates Info */}
                 <Box sx={{ mb: 3 }}>
                     <Typography variant="h6" gutterBottom>
-                        Default Exchange Rates
+                        {t('settings.defaultRatesTitle')}
                     </Typography>
                     <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                        When no custom URL is configured, exchange rates are fetched from the default API endpoint
-                        hosted on GitHub Pages. This ensures currency conversion is always available.
+                        {t('settings.defaultRatesIntro')}
                     </Typography>
                 </Box>
 
                 <Divider sx={{ my: 3 }} />
 
+                {/* Manual exchange rate overrides */}
+                <RateOverridesSection />
+
+                <Divider sx={{ my: 3 }} />
+
+                {/* Locale and formatting preferences */}
+                <DisplayPreferencesSection />
+
+                <Divider sx={{ my: 3 }} />
+
+                {/* User-managed expense categories */}
+                <CategoriesSection />
+
+                <Divider sx={{ my: 3 }} />
+
+                {/* Backup & Restore */}
+                <BackupRestoreSection />
+
+                <Divider sx={{ my: 3 }} />
+
+                {/* CSV Import */}
+                <CsvImportSection />
+
+                <Divider sx={{ my: 3 }} />
+
                 {/* Application Info */}
                 <Box>
                     <Typography variant="h6" gutterBottom>
-                        About
+                        {t('settings.about')}
                     </Typography>
                     <Typography variant="body2" color="text.secondary" paragraph>
-                        <strong>Cost Manager Application</strong>
+                        <strong>{t('settings.appName')}</strong>
                     </Typography>
                     <Typography variant="body2" color="text.secondary" paragraph>
-                        Version: 1.0.0
+                        {t('settings.version', { version: '1.0.0' })}
                     </Typography>
                     <Typography variant="body2" color="text.secondary" paragraph>
-                        This application helps you track and manage your expenses across multiple currencies.
-                        All data is stored locally in your browser using IndexedDB.
+                        {t('settings.aboutText')}
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                        <strong>Features:</strong>
+                        <strong>{t('settings.featuresTitle')}</strong>
                     </Typography>
                     <ul style={{ marginTop: 8 }}>
-                        <li>
-                            <Typography variant="body2" color="text.secondary">
-                                Track expenses in multiple currencies (USD, EUR, GBP, ILS)
-                            </Typography>
-                        </li>
-                        <li>
-                            <Typography variant="body2" color="text.secondary">
-                                Categorize expenses for better organization
-                            </Typography>
-                        </li>
-                        <li>
-                            <Typography variant="body2" color="text.secondary">
-                                View monthly reports with automatic currency conversion
-                            </Typography>
-                        </li>
-                        <li>
-                            <Typography variant="body2" color="text.secondary">
-                                Visualize spending patterns with interactive charts
-                            </Typography>
-                        </li>
-                        <li>
-                            <Typography variant="body2" color="text.secondary">
-                                All data stored securely in your browser
-                            </Typography>
-                        </li>
+                        {FEATURE_KEYS.map(key => (
+                            <li key={key}>
+                                <Typography variant="body2" color="text.secondary">
+                                    {t(`settings.features.${key}`)}
+                                </Typography>
+                            </li>
+                        ))}
                     </ul>
                 </Box>
             </Paper>
+
+            {/* Confirmation before saving a feed that failed critical checks */}
+            <Dialog open={Boolean(confirmReport)} onClose={() => setConfirmReport(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{t('settings.confirmFeedTitle')}</DialogTitle>
+                <DialogContent>
+                    <DialogContentText sx={{ mb: 2 }}>
+                        {t('settings.confirmFeedText')}
+                    </DialogContentText>
+                    {confirmReport && <FeedCheckReport report={confirmReport} />}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setConfirmReport(null)}>{t('common.cancel')}</Button>
+                    <Button color="error" onClick={() => handleSave(true)}>
+                        {t('settings.saveAnyway')}
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Box>
     );
 };
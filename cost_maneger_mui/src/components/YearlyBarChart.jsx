@@ -1,6 +1,7 @@
 /**
- * YearlyBarChart Component - Bar chart visualization of monthly expenses
- * Displays spending trends across all months of selected year
+ * YearlyBarChart Component - Bar chart visualization of monthly income and expenses
+ * Displays income and spending across all months of selected year with a savings rate line,
+ * below the year's income, expenses, net and savings rate
  * Used in Dashboard Tab 2 (Yearly Overview)
  */
 
@@ -11,8 +12,9 @@ import {
     Alert
 } from '@mui/material';
 import {
-    BarChart,
+    ComposedChart,
     Bar,
+    Line,
     XAxis,
     YAxis,
     CartesianGrid,
@@ -20,67 +22,91 @@ import {
     Legend,
     ResponsiveContainer
 } from 'recharts';
-import { MONTHS } from '../utils/constants';
+import { useFormatter } from '../context/FormatContext';
+import { useTranslation } from '../context/LanguageContext';
+import CashFlowSummary from './CashFlowSummary';
 
 /**
- * YearlyBarChart function for visualizing monthly expenses across a year
+ * YearlyBarChart function for visualizing monthly income and expenses across a year
  * @param {Object} props - Component props
- * @param {Array} props.monthlyData - Array of monthly expense objects with amount and month
+ * @param {Object} props.cashFlow - Result of db.getCashFlowData ({ months, year }) for the selected year
  * @param {number} props.selectedYear - Selected year for display
  * @param {string} props.displayCurrency - Currency code for amount display
- * @param {Function} props.formatCurrency - Function to format amount as currency string
- * @returns {JSX.Element} Bar chart component showing monthly spending trends
+ * @returns {JSX.Element} Bar chart component showing monthly income, spending and savings rate
  */
 const YearlyBarChart = ({
-                            monthlyData,
+                            cashFlow,
                             selectedYear,
-                            displayCurrency,
-                            formatCurrency
+                            displayCurrency
                         }) => {
+    // Shared locale-aware formatter and translator
+    const { formatCurrency, formatNumber, formatPercent, formatMonth } = useFormatter();
+    const { t, direction } = useTranslation();
+
+    // Right-to-left languages read the months from the right with the amount axis on that side
+    const isRtl = direction === 'rtl';
+
     return (
         <Paper elevation={2} sx={{ p: { xs: 1.5, sm: 2, md: 3 }, borderRadius: 2 }}>
             {/* Chart title with selected year */}
             <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1rem', sm: '1.25rem' } }}>
-                Monthly Expenses - {selectedYear}
+                {t('charts.yearlyTitle', { year: selectedYear })}
             </Typography>
 
             {/* Display empty state if no data or all amounts are zero */}
-            {!monthlyData || monthlyData.length === 0 || monthlyData.every(item => item.amount === 0) ? (
+            {!cashFlow || cashFlow.months.every(item => item.income === 0 && item.expenses === 0) ? (
                 <Alert severity="info">
-                    No data available for {selectedYear}
+                    {t('charts.noYearData', { year: selectedYear })}
                 </Alert>
             ) : (
-                /* Responsive container for bar chart visualization */
-                <Box sx={{ width: '100%', height: { xs: 280, sm: 350, md: 400 } }}>
-                    <ResponsiveContainer width="100%" height="100%">
-                        <BarChart
-                            // Transform data to include abbreviated month names for X-axis labels
-                            data={monthlyData.map(item => ({
-                                ...item,
-                                // Convert month number (1-12) to abbreviated month name (Jan, Feb, etc.)
-                                monthName: MONTHS[item.month - 1] ? MONTHS[item.month - 1].substring(0, 3) : `M${item.month}`
-                            }))}
-                            margin={{ top: 5, right: 5, left: 0, bottom: 5 }}
-                        >
-                            {/* Grid lines for easier value reading */}
-                            <CartesianGrid strokeDasharray="3 3" />
-                            {/* X-axis with month abbreviations - show all months without skipping */}
-                            <XAxis
-                                dataKey="monthName"
-                                tick={{ fontSize: 10 }}
-                                interval={0}
-                            />
-                            {/* Y-axis for amount values with compact width */}
-                            <YAxis tick={{ fontSize: 10 }} width={50} />
-                            {/* Tooltip showing formatted currency values on hover */}
-                            <Tooltip formatter={(value) => formatCurrency(value)} />
-                            {/* Legend showing currency code */}
-                            <Legend wrapperStyle={{ fontSize: '12px' }} />
-                            {/* Bar chart with amount data and currency label */}
-                            <Bar dataKey="amount" fill="#0088FE" name={`Amount (${displayCurrency})`} />
-                        </BarChart>
-                    </ResponsiveContainer>
-                </Box>
+                <>
+                    {/* Totals of the whole year */}
+                    <Box sx={{ mb: 2 }}>
+                        <CashFlowSummary figures={cashFlow.year} displayCurrency={displayCurrency} />
+                    </Box>
+
+                    {/* Responsive container for bar chart visualization */}
+                    <Box sx={{ width: '100%', height: { xs: 280, sm: 350, md: 400 } }}>
+                        <ResponsiveContainer width="100%" height="100%">
+                            <ComposedChart
+                                // Transform data to include abbreviated month names for X-axis labels
+                                data={cashFlow.months.map(item => ({
+                                    ...item,
+                                    // Convert month number (1-12) to the locale's abbreviated month name (Jan, Feb, etc.)
+                                    monthName: formatMonth(item.month - 1, { style: 'short' })
+                                }))}
+                                margin={isRtl ? { top: 5, right: 0, left: 5, bottom: 5 } : { top: 5, right: 5, left: 0, bottom: 5 }}
+                            >
+                                {/* Grid lines for easier value reading */}
+                                <CartesianGrid strokeDasharray="3 3" />
+                                {/* X-axis with month abbreviations - show all months without skipping */}
+                                <XAxis
+                                    dataKey="monthName"
+                                    tick={{ fontSize: 10 }}
+                                    interval={0}
+                                    reversed={isRtl}
+                                />
+                                {/* Y-axis with compact locale numbers (1.2K) to fit the narrow width */}
+                                <YAxis yAxisId="amount" tick={{ fontSize: 10 }} width={50} orientation={isRtl ? 'right' : 'left'} tickFormatter={(value) => formatNumber(value, { notation: 'compact' })} />
+                                {/* Second Y-axis on the opposite side for the savings rate percentages */}
+                                <YAxis yAxisId="rate" tick={{ fontSize: 10 }} width={45} orientation={isRtl ? 'left' : 'right'} tickFormatter={(value) => formatPercent(value)} />
+                                {/* Tooltip showing formatted currency values (and the rate as a percentage) on hover */}
+                                <Tooltip
+                                    formatter={(value, name, item) => (item.dataKey === 'savingsRate'
+                                        ? formatPercent(value)
+                                        : formatCurrency(value, displayCurrency))}
+                                />
+                                {/* Legend showing currency code */}
+                                <Legend wrapperStyle={{ fontSize: '12px' }} />
+                                {/* Income and expense bars side by side with currency labels */}
+                                <Bar yAxisId="amount" dataKey="income" fill="#00C49F" name={t('charts.incomeSeries', { currency: displayCurrency })} />
+                                <Bar yAxisId="amount" dataKey="expenses" fill="#0088FE" name={t('charts.expensesSeries', { currency: displayCurrency })} />
+                                {/* Savings rate line - months without income leave a gap */}
+                                <Line yAxisId="rate" type="monotone" dataKey="savingsRate" stroke="#FF8042" strokeWidth={2} dot={{ r: 3 }} name={t('charts.savingsRateSeries')} />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </Box>
+                </>
             )}
         </Paper>
     );
@@ -0,0 +1,26 @@
+/**
+ * Database Context - Shares the single app-level IndexedDB connection with components
+ * The connection itself is owned by DatabaseProvider
+ */
+
+import { createContext, useContext } from 'react';
+
+// Context value: { db, status, error, backgroundError, reportBackgroundError, dismissBackgroundError } provided by DatabaseProvider
+export const DatabaseContext = createContext(null);
+
+/**
+ * Access the shared database connection
+ * db is null while connecting or reconnecting after another tab upgraded the schema
+ * error and backgroundError are { messageKey, message } for the caller to translate
+ * @returns {{db: Object|null, status: string, error: Object|null, backgroundError: Object|null,
+ *     reportBackgroundError: Function, dismissBackgroundError: Function}} Connection state and background failures
+ */
+export const useDatabase = function () {
+    const context = useContext(DatabaseContext);
+
+    // Fail loudly when a component is rendered outside the provider
+    if (!context) {
+        throw new Error('useDatabase must be used within a DatabaseProvider');
+    }
+    return context;
+};
@@ -0,0 +1,154 @@
+/**
+ * DatabaseProvider Component - Owns the single IndexedDB connection for the whole app
+ * Opens the database once, exposes it through DatabaseContext, and reconnects
+ * when another tab upgrades the schema or the browser closes the connection
+ * Every new connection also catches up the recurring costs that fell due while the app was closed
+ * Failures of such background work are kept as backgroundError for App to show
+ * Errors are kept as { messageKey, message } because the provider sits above LanguageProvider; App translates them
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { DatabaseContext } from './DatabaseContext';
+import { openCostsDB, DB_NAME, DB_VERSION } from '../utils/idb';
+
+/**
+ * Map IndexedDB open errors to user-facing messages
+ * @param {Error} error - Error thrown by openCostsDB
+ * @returns {{messageKey: string, message: string}} Translation key of the message and the raw error text
+ */
+const describeDatabaseError = (error) => {
+    if (error.name === 'QuotaExceededError') {
+        return { messageKey: 'app.quotaExceeded', message: error.message };
+    }
+    if (error.name === 'VersionError') {
+        return { messageKey: 'app.newerVersion', message: error.message };
+    }
+    if (error.name === 'InvalidStateError') {
+        return { messageKey: 'app.invalidState', message: error.message };
+    }
+    return { messageKey: 'app.initFailed', message: error.message };
+};
+
+/**
+ * DatabaseProvider function wrapping the application with a shared connection
+ * @param {Object} props - Component props
+ * @param {JSX.Element} props.children - Application tree consuming the connection
+ * @returns {JSX.Element} Context provider
+ */
+const DatabaseProvider = ({ children }) => {
+    // Connection state - wrapper object plus lifecycle status
+    const [db, setDb] = useState(null);
+    const [status, setStatus] = useState(() => (window.indexedDB ? 'connecting' : 'error'));
+    const [error, setError] = useState(() => (window.indexedDB
+        ? null
+        : { messageKey: 'app.noIndexedDb', message: '' }));
+
+    // Failure of work nobody is waiting for - { messageKey, message } translated by App, or null
+    const [backgroundError, setBackgroundError] = useState(null);
+
+    /**
+     * Open the connection on mount and keep it open until unmount
+     */
+    useEffect(() => {
+        if (!window.indexedDB) {
+            return undefined;
+        }
+
+        // Tracks whether the provider is still mounted and which connection it owns
+        let active = true;
+        let currentDb = null;
+
+        /**
+         * Open a new connection and publish it to consumers
+         */
+        const connect = async () => {
+            try {
+                const wrapper = await openCostsDB(DB_NAME, DB_VERSION, {
+                    onVersionChange: handleConnectionLost,
+                    onClose: handleConnectionLost,
+                    onBlocked: () => {
+                        if (active) {
+                            setError({ messageKey: 'app.upgradeBlocked', message: '' });
+                        }
+                    }
+                });
+
+                // Provider unmounted while opening (e.g. StrictMode remount) - release immediately
+                if (!active) {
+                    wrapper.close();
+                    return;
+                }
+
+                currentDb = wrapper;
+                setDb(wrapper);
+                setStatus('ready');
+                setError(null);
+
+                // Generated costs announce themselves, so open views reload when this finishes
+                wrapper.materializeRecurring()
+                    .catch(err => {
+                        if (active) {
+                            setBackgroundError({ messageKey: 'app.recurringFailed', message: err.message });
+                        }
+                    });
+            } catch (err) {
+                if (active) {
+                    setError(describeDatabaseError(err));
+                    setStatus('error');
+                }
+            }
+        };
+
+        /**
+         * Drop the closed connection and open a fresh one at the current schema version
+         */
+        const handleConnectionLost = () => {
+            currentDb = null;
+            if (!active) {
+                return;
+            }
+
+            setDb(null);
+            setStatus('reconnecting');
+            connect();
+        };
+
+        connect();
+
+        // Close the connection when the provider unmounts
+        return () => {
+            active = false;
+            if (currentDb) {
+                currentDb.close();
+            }
+        };
+    }, []);
+
+    /**
+     * Keep the failure of a background load or update for the app-level banner
+     * @param {string} messageKey - Translation key of the banner text, receiving the error as {message}
+     * @param {Error} err - Failure to report
+     */
+    const reportBackgroundError = useCallback((messageKey, err) => {
+        setBackgroundError({ messageKey, message: err.message });
+    }, []);
+
+    /** Hide the background failure banner */
+    const dismissBackgroundError = useCallback(() => {
+        setBackgroundError(null);
+    }, []);
+
+    // Memoize context value so consumers only re-render when the connection changes
+    const value = useMemo(
+        () => ({ db, status, error, backgroundError, reportBackgroundError, dismissBackgroundError }),
+        [db, status, error, backgroundError, reportBackgroundError, dismissBackgroundError]
+    );
+
+    return (
+        <DatabaseContext.Provider value={value}>
+            {children}
+        </DatabaseContext.Provider>
+    );
+};
+
+export default DatabaseProvider;
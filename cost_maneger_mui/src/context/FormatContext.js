@@ -0,0 +1,24 @@
+/**
+ * Format Context - Shares the locale-aware formatter built from the user's display preferences
+ * The preferences themselves are loaded and kept current by FormatProvider
+ */
+
+import { createContext, useContext } from 'react';
+
+// Context value: formatter from createFormatter (formatters.js) provided by FormatProvider
+export const FormatContext = createContext(null);
+
+/**
+ * Access the shared formatter
+ * @returns {Object} Formatter with preferences, locale, formatNumber, formatCurrency, formatPercent,
+ *                   formatDate and formatMonth
+ */
+export const useFormatter = function () {
+    const context = useContext(FormatContext);
+
+    // Fail loudly when a component is rendered outside the provider
+    if (!context) {
+        throw new Error('useFormatter must be used within a FormatProvider');
+    }
+    return context;
+};
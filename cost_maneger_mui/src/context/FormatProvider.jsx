@@ -0,0 +1,76 @@
+/**
+ * FormatProvider Component - Builds the app-wide formatter from the stored display preferences
+ * Formats with the defaults until the preferences load, and rebuilds the formatter when they change
+ * in this or another tab; without a chosen locale, formats in the locale of the interface language
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { FormatContext } from './FormatContext';
+import { useDatabase } from './DatabaseContext';
+import { useTranslation } from './LanguageContext';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { createFormatter } from '../utils/formatters';
+import { DISPLAY_PREFERENCES_SETTING, DEFAULT_DISPLAY_PREFERENCES } from '../utils/constants';
+
+/**
+ * FormatProvider function wrapping the application with a shared formatter
+ * Must be rendered inside DatabaseProvider and LanguageProvider
+ * @param {Object} props - Component props
+ * @param {JSX.Element} props.children - Application tree consuming the formatter
+ * @returns {JSX.Element} Context provider
+ */
+const FormatProvider = ({ children }) => {
+    // Shared database connection and the locale of the interface language
+    const { db } = useDatabase();
+    const { locale } = useTranslation();
+
+    // Stored preferences and a counter bumped when they change
+    const [preferences, setPreferences] = useState(DEFAULT_DISPLAY_PREFERENCES);
+    const [preferencesVersion, setPreferencesVersion] = useState(0);
+
+    /**
+     * Reload when the preferences change or a backup restores settings
+     */
+    useEffect(() => {
+        return subscribeToChanges((change) => {
+            if (change.store === 'settings' && (change.type === 'import' || change.key === DISPLAY_PREFERENCES_SETTING)) {
+                setPreferencesVersion(prev => prev + 1);
+            }
+        });
+    }, []);
+
+    /**
+     * Load the stored preferences once the connection is ready
+     */
+    useEffect(() => {
+        if (!db) {
+            return undefined;
+        }
+
+        // Ignore results that arrive after the connection changed
+        let active = true;
+        db.getSetting(DISPLAY_PREFERENCES_SETTING)
+            .then(stored => {
+                if (active) {
+                    setPreferences(stored || DEFAULT_DISPLAY_PREFERENCES);
+                }
+            })
+            .catch(() => {
+                // Unreadable preferences keep the current formatting
+            });
+        return () => {
+            active = false;
+        };
+    }, [db, preferencesVersion]);
+
+    // Rebuild the formatter (and its Intl caches) only when the preferences or language change
+    const formatter = useMemo(() => createFormatter(preferences, locale), [preferences, locale]);
+
+    return (
+        <FormatContext.Provider value={formatter}>
+            {children}
+        </FormatContext.Provider>
+    );
+};
+
+export default FormatProvider;
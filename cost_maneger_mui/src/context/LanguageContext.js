@@ -0,0 +1,24 @@
+/**
+ * Language Context - Shares the interface language, its text direction and the translator
+ * The language itself is loaded and kept current by LanguageProvider
+ */
+
+import { createContext, useContext } from 'react';
+
+// Context value: { language, direction, locale, t } provided by LanguageProvider
+export const LanguageContext = createContext(null);
+
+/**
+ * Access the interface language and translator
+ * @returns {{language: string, direction: string, locale: string, t: Function}} Language state with
+ *          t(key, params) returning the translated message
+ */
+export const useTranslation = function () {
+    const context = useContext(LanguageContext);
+
+    // Fail loudly when a component is rendered outside the provider
+    if (!context) {
+        throw new Error('useTranslation must be used within a LanguageProvider');
+    }
+    return context;
+};
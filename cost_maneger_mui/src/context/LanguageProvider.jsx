@@ -0,0 +1,99 @@
+/**
+ * LanguageProvider Component - Applies the interface language to the whole app
+ * Loads the stored language (the browser language until then), provides the translator, and switches
+ * the MUI theme, the emotion style cache and the document between left-to-right and right-to-left
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { CacheProvider } from '@emotion/react';
+import createCache from '@emotion/cache';
+import { prefixer } from 'stylis';
+import rtlPlugin from 'stylis-plugin-rtl';
+import { ThemeProvider, createTheme } from '@mui/material';
+import { LanguageContext } from './LanguageContext';
+import { useDatabase } from './DatabaseContext';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { createTranslator, detectLanguage, getLanguageInfo } from '../i18n';
+import { LANGUAGE_SETTING } from '../utils/constants';
+
+// Style caches per direction - the RTL cache mirrors every generated rule (margins, padding, positions)
+const STYLE_CACHES = {
+    ltr: createCache({ key: 'mui' }),
+    rtl: createCache({ key: 'muirtl', stylisPlugins: [prefixer, rtlPlugin] })
+};
+
+/**
+ * LanguageProvider function wrapping the application with the language, theme and style cache
+ * Must be rendered inside DatabaseProvider
+ * @param {Object} props - Component props
+ * @param {JSX.Element} props.children - Application tree consuming the language
+ * @returns {JSX.Element} Context, style cache and theme providers
+ */
+const LanguageProvider = ({ children }) => {
+    // Shared database connection
+    const { db } = useDatabase();
+
+    // Active language and a counter bumped when the stored language changes
+    const [language, setLanguage] = useState(detectLanguage);
+    const [languageVersion, setLanguageVersion] = useState(0);
+
+    /**
+     * Reload when the language changes or a backup restores settings
+     */
+    useEffect(() => {
+        return subscribeToChanges((change) => {
+            if (change.store === 'settings' && (change.type === 'import' || change.key === LANGUAGE_SETTING)) {
+                setLanguageVersion(prev => prev + 1);
+            }
+        });
+    }, []);
+
+    /**
+     * Load the stored language once the connection is ready
+     */
+    useEffect(() => {
+        if (!db) {
+            return undefined;
+        }
+
+        // Ignore results that arrive after the connection changed
+        let active = true;
+        db.getSetting(LANGUAGE_SETTING)
+            .then(stored => {
+                if (active && stored) {
+                    setLanguage(getLanguageInfo(stored).code);
+                }
+            })
+            .catch(() => {
+                // Unreadable setting keeps the current language
+            });
+        return () => {
+            active = false;
+        };
+    }, [db, languageVersion]);
+
+    // Language details, translator and a theme in the language's direction
+    const { direction, locale } = getLanguageInfo(language);
+    const value = useMemo(() => ({ language, direction, locale, t: createTranslator(language) }), [language, direction, locale]);
+    const theme = useMemo(() => createTheme({ direction }), [direction]);
+
+    /**
+     * Mirror the document so scrollbars, native inputs and text flow follow the language
+     */
+    useEffect(() => {
+        document.documentElement.lang = language;
+        document.documentElement.dir = direction;
+    }, [language, direction]);
+
+    return (
+        <LanguageContext.Provider value={value}>
+            <CacheProvider value={STYLE_CACHES[direction]}>
+                <ThemeProvider theme={theme}>
+                    {children}
+                </ThemeProvider>
+            </CacheProvider>
+        </LanguageContext.Provider>
+    );
+};
+
+export default LanguageProvider;
@@ -0,0 +1,62 @@
+/**
+ * useCategories Hook - Categories from the categories store
+ * Loads every category (archived ones included, so existing costs keep their color and icon)
+ * and reloads when categories change in this or another tab or a backup restores them
+ * A failed load is reported to the app-level banner and keeps the last loaded list
+ */
+
+import { useState, useEffect } from 'react';
+import { useDatabase } from '../context/DatabaseContext';
+import { subscribeToChanges } from '../utils/dbChanges';
+
+/**
+ * Load the stored categories
+ * @returns {Array<Object>} Category records ({id, name, color, icon, archived}) in creation order
+ */
+export const useCategories = function () {
+    // Shared database connection and the app-level failure banner
+    const { db, reportBackgroundError } = useDatabase();
+
+    // Category list and a counter bumped when categories change
+    const [categories, setCategories] = useState([]);
+    const [categoriesVersion, setCategoriesVersion] = useState(0);
+
+    /**
+     * Reload on any write to the categories store
+     */
+    useEffect(() => {
+        return subscribeToChanges((change) => {
+            if (change.store === 'categories') {
+                setCategoriesVersion(prev => prev + 1);
+            }
+        });
+    }, []);
+
+    /**
+     * Read the categories once the connection is ready
+     */
+    useEffect(() => {
+        if (!db) {
+            return undefined;
+        }
+
+        // Ignore results that arrive after the connection changed
+        let active = true;
+        db.getCategories()
+            .then(records => {
+                if (active) {
+                    setCategories(records);
+                }
+            })
+            .catch(error => {
+                if (active) {
+                    reportBackgroundError('app.categoriesFailed', error);
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [db, categoriesVersion, reportBackgroundError]);
+
+    return categories;
+};
@@ -0,0 +1,61 @@
+/**
+ * useCurrencies Hook - Currencies offered by the active exchange rates feed
+ * Starts with the default currencies, then lists every currency the configured feed can convert,
+ * and refreshes when the feed URL or format changes in this or another tab
+ */
+
+import { useState, useEffect } from 'react';
+import { useDatabase } from '../context/DatabaseContext';
+import { fetchAvailableCurrencies } from '../utils/ratesService';
+import { subscribeToChanges } from '../utils/dbChanges';
+import { DEFAULT_CURRENCIES } from '../utils/currencies';
+import { RATE_PROVIDER_SETTING } from '../utils/constants';
+
+// Settings whose changes select a different rates feed
+const FEED_SETTING_KEYS = ['exchangeRateUrl', RATE_PROVIDER_SETTING];
+
+/**
+ * Load the currency codes of the active rates feed
+ * @returns {Array<string>} ISO currency codes, sorted (the defaults until the feed has loaded)
+ */
+export const useCurrencies = function () {
+    // Shared database connection
+    const { db } = useDatabase();
+
+    // Currency list and a counter bumped when the feed settings change
+    const [currencies, setCurrencies] = useState(DEFAULT_CURRENCIES);
+    const [feedVersion, setFeedVersion] = useState(0);
+
+    /**
+     * Reload when the feed settings change or a backup restores them
+     */
+    useEffect(() => {
+        return subscribeToChanges((change) => {
+            if (change.store === 'settings' && (change.type === 'import' || FEED_SETTING_KEYS.includes(change.key))) {
+                setFeedVersion(prev => prev + 1);
+            }
+        });
+    }, []);
+
+    /**
+     * Fetch the feed's currencies (served from the rates cache within its TTL)
+     */
+    useEffect(() => {
+        if (!db) {
+            return undefined;
+        }
+
+        // Ignore results that arrive after the connection or feed changed
+        let active = true;
+        fetchAvailableCurrencies(db).then(codes => {
+            if (active) {
+                setCurrencies(codes);
+            }
+        });
+        return () => {
+            active = false;
+        };
+    }, [db, feedVersion]);
+
+    return currencies;
+};
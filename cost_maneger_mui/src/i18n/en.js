@@ -0,0 +1,466 @@
+/**
+ * English Messages - Default message catalog
+ * Every other catalog falls back to these messages for keys it does not define;
+ * category names are stored in English, so they need no entries here
+ */
+
+export default {
+    app: {
+        title: 'Cost Manager',
+        initializing: 'Initializing database...',
+        reconnecting: 'Reconnecting to the database...',
+        noIndexedDb: 'Your browser does not support IndexedDB. Please use a modern browser like Chrome, Firefox, or Edge.',
+        upgradeBlocked: 'Database upgrade is waiting for other open tabs of this app to close.',
+        quotaExceeded: 'Storage quota exceeded. Please free up some space in your browser.',
+        newerVersion: 'A newer version of the app has upgraded the database. Please reload the page.',
+        invalidState: 'Database is in an invalid state. Try clearing your browser data.',
+        initFailed: 'Failed to initialize database: {message}',
+        recurringFailed: 'Due recurring costs could not be added: {message}',
+        categoriesFailed: 'Failed to load categories: {message}',
+        footer: '© 2026 Cost Manager Application. All data stored locally in your browser.'
+    },
+    nav: {
+        addCost: 'Add Cost',
+        addShort: 'Add',
+        reports: 'Reports & Charts',
+        reportsShort: 'Reports',
+        recurring: 'Recurring Costs',
+        recurringShort: 'Recurring',
+        settings: 'Settings',
+        openMenu: 'Open menu',
+        closeMenu: 'Close menu'
+    },
+    common: {
+        cancel: 'Cancel',
+        saving: 'Saving...',
+        edit: 'Edit',
+        delete: 'Delete',
+        deleting: 'Deleting...'
+    },
+    errors: {
+        dbNotReady: 'Database connection is not ready'
+    },
+    validation: {
+        amountRequired: 'Please enter a valid positive amount',
+        amountTooLarge: 'Amount is too large (maximum: 999,999,999)',
+        amountDecimals: '{currency} amounts allow at most {decimals} decimal places',
+        categoryRequired: 'Please select a category',
+        dateRequired: 'Please select a valid date',
+        dateInFuture: 'Date cannot be in the future',
+        descriptionRequired: 'Please enter a description',
+        descriptionTooLong: 'Description is too long (maximum: 500 characters)',
+        currencyCode: 'Enter a three-letter ISO currency code',
+        quoteCurrencyRequired: 'Select the currency the rate is quoted in',
+        quoteCurrencySame: 'Choose a different currency than the one being priced',
+        rateRequired: 'Please enter a positive rate',
+        dateRangeOrder: 'End date must be on or after the start date',
+        categoryNameRequired: 'Please enter a category name',
+        categoryNameTooLong: 'Category name is too long (maximum: {max} characters)',
+        categoryNameTaken: 'A category named "{name}" already exists',
+        categoryColor: 'Choose a color',
+        categoryIcon: 'Choose an icon',
+        categoryParentInvalid: 'Choose a top-level category other than this one',
+        categoryHasChildren: 'A category with subcategories must stay top level',
+        budgetPeriod: 'Choose when the budget applies',
+        recurringFrequency: 'Choose how often the cost repeats',
+        recurringDay: 'Enter a day of the month from 1 to 31',
+        recurringEndDate: 'End date must be a valid date on or after the start date',
+        incomeSourceRequired: 'Please select where the income came from',
+        backupJson: 'File is not valid JSON',
+        backupNotObject: 'File does not contain a JSON object',
+        backupFormat: 'File is not a Cost Manager backup',
+        backupVersion: 'Backup format version {version} is newer than this app supports',
+        backupNoStores: 'Backup has no stores section',
+        backupStoreList: 'Store "{store}" must be a list',
+        backupCostValue: 'Cost #{number}: missing value',
+        backupCostDate: 'Cost #{number}: invalid date',
+        backupCostAmount: 'Cost #{number}: invalid amount',
+        backupCostFields: 'Cost #{number}: missing currency or category',
+        backupSettingKey: 'Setting #{number}: missing key',
+        backupCategoryName: 'Category #{number}: missing name',
+        backupBudget: 'Budget #{number}: invalid category, period, amount or currency',
+        backupRecurring: 'Recurring cost #{number}: invalid amount, currency, category, schedule or start date',
+        backupIncome: 'Income #{number}: invalid amount, currency, source or date'
+    },
+    costForm: {
+        title: 'Add New Expense',
+        added: 'Cost added successfully!',
+        addFailed: 'Failed to add cost: {message}',
+        amount: 'Amount',
+        amountHelp: 'Enter the expense amount',
+        currency: 'Currency',
+        currencyHelp: 'Select currency type',
+        date: 'Date',
+        dateHelp: 'When the expense was made',
+        category: 'Category',
+        categoryHelp: 'Select expense category',
+        description: 'Description',
+        descriptionHelp: 'Provide details about this expense',
+        descriptionPlaceholder: 'What was this expense for?',
+        adding: 'Adding...',
+        submit: 'Add Expense',
+        overBudget: 'This expense takes {category} to {total}, over its {budget} budget',
+        budgetCheckUnavailable: 'Budgets could not be checked for this expense, so an overrun would not be shown here',
+        typeExpense: 'Expense',
+        typeIncome: 'Income',
+        incomeTitle: 'Add New Income',
+        incomeAdded: 'Income added successfully!',
+        incomeAddFailed: 'Failed to add income: {message}',
+        incomeDateHelp: 'When the money was received',
+        source: 'Source',
+        sourceHelp: 'Where the money came from',
+        incomePlaceholder: 'What was this income for?',
+        submitIncome: 'Add Income'
+    },
+    editCost: {
+        title: 'Edit Expense',
+        updateFailed: 'Failed to update cost: {message}',
+        save: 'Save Changes'
+    },
+    dashboard: {
+        loadFailed: 'Failed to load data: {message}',
+        missingRates: 'No exchange rate to {currency} for {currencies}. These costs are excluded from the totals - add a rate override in Settings to include them.',
+        ratesStale: 'Using saved exchange rates from {time} (could not refresh)',
+        ratesUpdated: 'Exchange rates updated {time}',
+        tabMonthly: 'Monthly Report',
+        tabMonthlyShort: 'Report',
+        tabCategories: 'Category Chart',
+        tabCategoriesShort: 'Categories',
+        tabYearly: 'Yearly Overview',
+        tabYearlyShort: 'Yearly',
+        tabBudgets: 'Budgets',
+        tabBudgetsShort: 'Budgets'
+    },
+    filters: {
+        month: 'Month',
+        year: 'Year',
+        currency: 'Currency'
+    },
+    monthly: {
+        deleteFailed: 'Failed to delete cost: {message}',
+        summary: '{period} Summary',
+        totalExpenses: 'Total expenses ({count} transactions)',
+        empty: 'No expenses recorded for {period}',
+        date: 'Date',
+        category: 'Category',
+        description: 'Description',
+        amount: 'Amount',
+        actions: 'Actions',
+        noRate: 'No rate',
+        noRateTooltip: 'No exchange rate from {from} to {to} - excluded from the total',
+        editCost: 'edit cost',
+        deleteCost: 'delete cost',
+        deleteTitle: 'Delete Expense',
+        deleteConfirm: 'Delete "{description}" ({amount})? This cannot be undone.'
+    },
+    charts: {
+        categoryTitle: 'Expenses by Category - {period}',
+        noMonthData: 'No data available for the selected month',
+        unknownCategory: 'Unknown',
+        allCategories: 'All categories',
+        drillHint: 'Click a category to see its subcategories',
+        yearlyTitle: 'Monthly Expenses - {year}',
+        noYearData: 'No data available for {year}',
+        incomeSeries: 'Income ({currency})',
+        expensesSeries: 'Expenses ({currency})',
+        savingsRateSeries: 'Savings rate'
+    },
+    cashFlow: {
+        income: 'Income',
+        expenses: 'Expenses',
+        net: 'Net',
+        savingsRate: 'Savings rate: {rate}',
+        noIncome: 'Savings rate: no income recorded'
+    },
+    income: {
+        title: 'Income',
+        source: 'Source',
+        sources: {
+            Salary: 'Salary',
+            Refund: 'Refund',
+            Gift: 'Gift',
+            Other: 'Other'
+        },
+        delete: 'Delete income',
+        deleteTitle: 'Delete Income',
+        deleteFailed: 'Failed to delete income: {message}'
+    },
+    budgets: {
+        title: 'Budgets - {period}',
+        empty: 'No budgets apply to this month yet. Set one below.',
+        saveFailed: 'Failed to save budget: {message}',
+        progress: '{spent} of {budget} spent, {difference} left',
+        over: '{spent} of {budget} spent, {difference} over budget',
+        missingRate: '{spent} spent - no exchange rate converts the {budget} budget',
+        setTitle: 'Set a budget',
+        amount: 'Budget',
+        period: 'Applies to',
+        everyMonth: 'Every month',
+        thisMonth: 'This month only',
+        onlyMonth: 'Only {period}',
+        save: 'Save Budget'
+    },
+    recurring: {
+        title: 'Recurring Costs',
+        intro: 'Costs such as rent or subscriptions are added automatically on their schedule whenever the app opens, including any periods missed since the last visit.',
+        add: 'Add Recurring Cost',
+        addTitle: 'New Recurring Cost',
+        editTitle: 'Edit Recurring Cost',
+        empty: 'No recurring costs yet.',
+        loadFailed: 'Failed to load recurring costs: {message}',
+        saveFailed: 'Failed to save recurring cost: {message}',
+        frequency: 'Repeats',
+        frequencies: {
+            weekly: 'Weekly',
+            monthly: 'Monthly',
+            yearly: 'Yearly'
+        },
+        frequencyHelp: {
+            weekly: 'On the weekday of the start date',
+            monthly: 'On the day of the month below',
+            yearly: 'On the day and month of the start date'
+        },
+        dayOfMonth: 'Day of month',
+        dayOfMonthHelp: 'Short months use their last day',
+        startDate: 'Start date',
+        endDate: 'End date',
+        endDateHelp: 'Leave empty to repeat until stopped',
+        schedule: 'Schedule',
+        scheduleWeekly: 'Every week from {date}',
+        scheduleMonthly: 'Monthly on day {day}',
+        scheduleYearly: 'Every year from {date}',
+        until: 'Until {date}',
+        next: 'Next',
+        status: 'Status',
+        statuses: {
+            active: 'Active',
+            paused: 'Paused',
+            ended: 'Ended'
+        },
+        pause: 'Pause',
+        resume: 'Resume',
+        stop: 'Stop',
+        save: 'Save Recurring Cost'
+    },
+    export: {
+        button: 'Export',
+        failed: 'Failed to export data: {message}',
+        monthly: 'Monthly report',
+        yearly: 'Yearly overview',
+        pdf: 'Download PDF'
+    },
+    settings: {
+        title: 'Application Settings',
+        loadFailed: 'Failed to load settings: {message}',
+        saveFailed: 'Failed to save settings: {message}',
+        testFailed: 'Connection test failed: {message}',
+        resetFailed: 'Failed to reset settings: {message}',
+        invalidUrl: 'Please enter a valid URL',
+        invalidHistoricalUrl: 'Historical rates URL must be a valid URL containing {date}',
+        invalidTtl: 'Cache duration must be a whole number between 0 and {max} minutes',
+        urlRequired: 'Please enter a URL to test',
+        saved: 'Settings saved successfully!',
+        apiTitle: 'Exchange Rate API',
+        apiIntro: 'Configure a custom URL for fetching real-time exchange rates. If not set or if the URL fails, the app uses a default API endpoint. Note: Exchange rates may not reflect real-time values depending on the data source.',
+        apiUrl: 'Exchange Rate API URL',
+        apiUrlHelp: 'Example: {example}',
+        feedFormat: 'Rate Feed Format',
+        detectFormat: 'Detect automatically',
+        feedFormats: {
+            nested: 'Nested rates with base ({ base, rates: { ... } })',
+            flat: 'Flat map ({ USD: 1, ILS: 3.7, ... })',
+            ecb: 'ECB-style XML (<Cube currency="USD" rate="..."/>)'
+        },
+        historicalUrl: 'Historical Rates URL Template (optional)',
+        historicalUrlHelp: '{date} is replaced by each cost\'s date (YYYY-MM-DD) so costs convert at the rate of their own day. Without it, the rates saved when a cost was added are used.',
+        cacheTtl: 'Cache Exchange Rates (minutes)',
+        cacheTtlHelp: 'Fetched rates are reused for this long and kept as an offline fallback. 0 fetches on every report.',
+        save: 'Save Settings',
+        testing: 'Testing...',
+        test: 'Test Connection',
+        reset: 'Reset to Default',
+        defaultRatesTitle: 'Default Exchange Rates',
+        defaultRatesIntro: 'When no custom URL is configured, exchange rates are fetched from the default API endpoint hosted on GitHub Pages. This ensures currency conversion is always available.',
+        about: 'About',
+        appName: 'Cost Manager Application',
+        version: 'Version: {version}',
+        aboutText: 'This application helps you track and manage your expenses across multiple currencies. All data is stored locally in your browser using IndexedDB.',
+        featuresTitle: 'Features:',
+        features: {
+            currencies: 'Track expenses in any currency your exchange rates feed provides',
+            categories: 'Categorize expenses for better organization',
+            reports: 'View monthly reports with automatic currency conversion',
+            charts: 'Visualize spending patterns with interactive charts',
+            storage: 'All data stored securely in your browser'
+        },
+        confirmFeedTitle: 'Save a failing exchange rates feed?',
+        confirmFeedText: 'The new feed failed the checks below. Reports will fall back to cached rates or show costs without a rate until it works.',
+        saveAnyway: 'Save Anyway'
+    },
+    feedCheck: {
+        passed: 'Feed check passed',
+        passedWithWarnings: 'Feed check passed with warnings',
+        failed: 'Feed check failed',
+        response: 'Response',
+        statusLine: 'HTTP {status} in {latency} ms',
+        requestFailed: 'Request failed: {message} (offline, wrong address, or the server does not allow browser requests)',
+        format: 'Format',
+        formatDetected: 'Detected: {format} - {count} currencies',
+        formatParsed: 'Parsed as: {format} - {count} currencies',
+        base: 'Base currency',
+        baseStated: '{base} (rates are units per one {base})',
+        baseUnstated: 'Not stated - conversions use the ratio between rates, which works with any base',
+        currencies: 'Your currencies',
+        currencyMissing: 'Missing {currencies} - costs in this currency could not be converted',
+        currenciesMissing: 'Missing {currencies} - costs in these currencies could not be converted',
+        currenciesOverridden: 'Missing {currencies}, covered only by rate overrides',
+        currenciesPresent: 'All {count} currencies used by your costs are present',
+        noCosts: 'No costs stored yet',
+        invalidValues: 'Invalid values',
+        invalidIgnored: 'Ignored {values}',
+        invalidNone: 'None - every rate is a positive number'
+    },
+    overrides: {
+        title: 'Exchange Rate Overrides',
+        intro: 'Pin the rate you actually got, for example at an exchange kiosk, or add a currency the rates feed does not list. Overrides take precedence over fetched rates for costs dated within their period.',
+        loadFailed: 'Failed to load rate overrides: {message}',
+        saveFailed: 'Failed to save rate overrides: {message}',
+        unitOf: '1 unit of',
+        currencyHelp: 'ISO code, e.g. EUR',
+        equals: 'Equals',
+        quoteCurrency: 'Of currency',
+        from: 'From (optional)',
+        to: 'To (optional)',
+        add: 'Add Override',
+        rate: 'Rate',
+        period: 'Period',
+        actions: 'Actions',
+        delete: 'delete rate override',
+        empty: 'No overrides - all conversions use fetched rates.',
+        periodFrom: 'From {date}',
+        periodUntil: 'Until {date}',
+        periodAlways: 'Always'
+    },
+    display: {
+        title: 'Language & Display',
+        intro: 'Choose the interface language and how amounts and dates are written on the dashboard.',
+        saveFailed: 'Failed to save display preferences: {message}',
+        language: 'Language',
+        locale: 'Locale',
+        localeDefault: 'Match language - {locale}',
+        dateFormat: 'Date format',
+        dateFormats: {
+            short: 'Short',
+            medium: 'Medium',
+            long: 'Long',
+            iso: 'ISO'
+        },
+        symbolPlacement: 'Currency symbol',
+        placements: {
+            locale: 'As the locale writes it',
+            before: 'Before the amount',
+            after: 'After the amount'
+        },
+        preview: 'Preview: {sample}'
+    },
+    categoriesManager: {
+        title: 'Categories',
+        intro: 'Add your own categories with a color and icon. Archived categories keep their costs but are no longer offered for new ones; merging moves every cost of a category into another and removes it.',
+        saveFailed: 'Failed to save categories: {message}',
+        name: 'Name',
+        color: 'Color',
+        icon: 'Icon',
+        parent: 'Parent category',
+        noParent: 'None (top level)',
+        add: 'Add Category',
+        archived: 'Archived',
+        archive: 'Archive',
+        unarchive: 'Restore',
+        merge: 'Merge',
+        mergeTitle: 'Merge "{name}"',
+        mergeInto: 'Into category',
+        mergeConfirm: 'All costs in "{source}" move to "{target}" and "{source}" is deleted. This cannot be undone.',
+        editTitle: 'Edit Category',
+        renameHelp: 'Renaming also updates every cost in this category',
+        save: 'Save Changes'
+    },
+    backup: {
+        title: 'Backup & Restore',
+        intro: 'All data lives only in this browser. Download a backup file regularly so clearing site data does not erase your history, and restore it here on any device.',
+        createFailed: 'Failed to create backup: {message}',
+        restoreFailed: 'Failed to restore backup: {message}',
+        restored: 'Backup restored:',
+        storeAdded: '{store}: {added} added',
+        storeAddedSkipped: '{store}: {added} added, {skipped} already here and skipped',
+        download: 'Download Backup',
+        chooseFile: 'Choose Backup File',
+        exportedAt: 'Exported: {date}',
+        costRange: 'Costs dated {from} - {to}',
+        storeCount: '{store}: {count}',
+        stores: {
+            costs: 'Costs',
+            settings: 'Settings',
+            categories: 'Categories',
+            budgets: 'Budgets',
+            recurring: 'Recurring costs',
+            income: 'Income entries'
+        },
+        selectedFile: 'Selected file',
+        invalid: '{file} cannot be restored:',
+        moreErrors: '...and {count} more',
+        modeMerge: 'Merge - add costs that are not already here, keep current settings',
+        modeReplace: 'Replace - delete all current data and restore the backup exactly',
+        restoring: 'Restoring...',
+        restore: 'Restore Backup',
+        replaceTitle: 'Replace All Data?',
+        replaceConfirm: 'All current costs and settings will be deleted and replaced by the backup. This cannot be undone.',
+        replace: 'Replace'
+    },
+    csvImport: {
+        title: 'Import from CSV',
+        intro: 'Import costs from a bank or spreadsheet export. Map the columns, check the preview, and only rows that pass validation will be added. Rows already in the database are skipped.',
+        readFailed: 'Failed to read file: {message}',
+        importFailed: 'Failed to import costs: {message}',
+        imported: 'Imported {count} costs',
+        importedSkipped: ', {count} duplicates skipped',
+        importedInvalid: ', {count} invalid rows not imported',
+        chooseFile: 'Choose CSV File',
+        fileRows: '{file} - {count} data rows',
+        delimiter: 'Delimiter',
+        detectDelimiter: 'Detect automatically',
+        delimiterComma: 'Comma (,)',
+        delimiterSemicolon: 'Semicolon (;)',
+        delimiterTab: 'Tab',
+        delimiterPipe: 'Pipe (|)',
+        decimalSeparator: 'Decimal Separator',
+        decimalPoint: 'Point (1,234.56)',
+        decimalComma: 'Comma (1.234,56)',
+        dateFormat: 'Date Format',
+        defaultCurrency: 'Default Currency',
+        defaultCategory: 'Default Category',
+        hasHeader: 'First row is a header',
+        absoluteAmounts: 'Import negative amounts as costs',
+        columnMapping: 'Column Mapping',
+        column: 'Column {number}',
+        columnWithSample: 'Column {number} ({sample})',
+        notMapped: 'Not mapped',
+        useDefault: 'Use default',
+        mapRequired: 'Map a column for: {fields}',
+        previewSummary: '{valid} valid rows, {invalid} rows with errors',
+        previewLimit: ' (showing first {count})',
+        row: 'Row',
+        status: 'Status',
+        rowOk: 'OK',
+        importing: 'Importing...',
+        import: 'Import {count} Valid Rows',
+        unsupportedCurrency: 'Unsupported currency "{currency}"',
+        unknownCategory: 'Unknown category "{category}"',
+        fields: {
+            date: 'Date',
+            sum: 'Amount',
+            currency: 'Currency',
+            category: 'Category',
+            description: 'Description'
+        }
+    }
+};
@@ -0,0 +1,479 @@
+/**
+ * Hebrew Messages - עברית
+ * Keys mirror en.js; any key missing here is shown in English. Category names are stored in English
+ * and translated under "categories" (see translateCategory)
+ */
+
+export default {
+    app: {
+        title: 'ניהול הוצאות',
+        initializing: 'מאתחל את מסד הנתונים...',
+        reconnecting: 'מתחבר מחדש למסד הנתונים...',
+        noIndexedDb: 'הדפדפן שלך אינו תומך ב-IndexedDB. יש להשתמש בדפדפן מודרני כמו Chrome, Firefox או Edge.',
+        upgradeBlocked: 'שדרוג מסד הנתונים ממתין לסגירת לשוניות אחרות של האפליקציה.',
+        quotaExceeded: 'נגמר נפח האחסון. יש לפנות מקום בדפדפן.',
+        newerVersion: 'גרסה חדשה יותר של האפליקציה שדרגה את מסד הנתונים. יש לטעון מחדש את הדף.',
+        invalidState: 'מסד הנתונים במצב לא תקין. נסה לנקות את נתוני הדפדפן.',
+        initFailed: 'אתחול מסד הנתונים נכשל: {message}',
+        recurringFailed: 'לא ניתן היה להוסיף הוצאות קבועות שהגיע מועדן: {message}',
+        categoriesFailed: 'טעינת הקטגוריות נכשלה: {message}',
+        footer: '© 2026 ניהול הוצאות. כל הנתונים נשמרים מקומית בדפדפן שלך.'
+    },
+    nav: {
+        addCost: 'הוספת הוצאה',
+        addShort: 'הוספה',
+        reports: 'דוחות ותרשימים',
+        reportsShort: 'דוחות',
+        recurring: 'הוצאות קבועות',
+        recurringShort: 'קבועות',
+        settings: 'הגדרות',
+        openMenu: 'פתיחת תפריט',
+        closeMenu: 'סגירת תפריט'
+    },
+    common: {
+        cancel: 'ביטול',
+        saving: 'שומר...',
+        edit: 'עריכה',
+        delete: 'מחיקה',
+        deleting: 'מוחק...'
+    },
+    errors: {
+        dbNotReady: 'החיבור למסד הנתונים אינו מוכן'
+    },
+    validation: {
+        amountRequired: 'יש להזין סכום חיובי תקין',
+        amountTooLarge: 'הסכום גדול מדי (מקסימום: 999,999,999)',
+        amountDecimals: 'סכומים ב-{currency} מאפשרים עד {decimals} ספרות אחרי הנקודה',
+        categoryRequired: 'יש לבחור קטגוריה',
+        dateRequired: 'יש לבחור תאריך תקין',
+        dateInFuture: 'התאריך לא יכול להיות בעתיד',
+        descriptionRequired: 'יש להזין תיאור',
+        descriptionTooLong: 'התיאור ארוך מדי (מקסימום: 500 תווים)',
+        currencyCode: 'יש להזין קוד מטבע ISO בן שלוש אותיות',
+        quoteCurrencyRequired: 'יש לבחור את המטבע שבו נקוב השער',
+        quoteCurrencySame: 'יש לבחור מטבע שונה מהמטבע המתומחר',
+        rateRequired: 'יש להזין שער חיובי',
+        dateRangeOrder: 'תאריך הסיום חייב להיות באותו יום או אחרי תאריך ההתחלה',
+        categoryNameRequired: 'יש להזין שם קטגוריה',
+        categoryNameTooLong: 'שם הקטגוריה ארוך מדי (מקסימום: {max} תווים)',
+        categoryNameTaken: 'כבר קיימת קטגוריה בשם "{name}"',
+        categoryColor: 'יש לבחור צבע',
+        categoryIcon: 'יש לבחור סמל',
+        categoryParentInvalid: 'יש לבחור קטגוריה ראשית אחרת',
+        categoryHasChildren: 'קטגוריה עם תת־קטגוריות חייבת להישאר ראשית',
+        budgetPeriod: 'יש לבחור מתי התקציב חל',
+        recurringFrequency: 'יש לבחור באיזו תדירות ההוצאה חוזרת',
+        recurringDay: 'יש להזין יום בחודש בין 1 ל-31',
+        recurringEndDate: 'תאריך הסיום חייב להיות תאריך תקין שאינו לפני תאריך ההתחלה',
+        incomeSourceRequired: 'יש לבחור את מקור ההכנסה',
+        backupJson: 'הקובץ אינו JSON תקין',
+        backupNotObject: 'הקובץ אינו מכיל אובייקט JSON',
+        backupFormat: 'הקובץ אינו גיבוי של ניהול הוצאות',
+        backupVersion: 'גרסת פורמט הגיבוי {version} חדשה יותר ממה שהאפליקציה תומכת בו',
+        backupNoStores: 'בגיבוי אין מקטע נתונים',
+        backupStoreList: 'המאגר "{store}" חייב להיות רשימה',
+        backupCostValue: 'הוצאה #{number}: חסר ערך',
+        backupCostDate: 'הוצאה #{number}: תאריך לא תקין',
+        backupCostAmount: 'הוצאה #{number}: סכום לא תקין',
+        backupCostFields: 'הוצאה #{number}: חסרים מטבע או קטגוריה',
+        backupSettingKey: 'הגדרה #{number}: חסר מפתח',
+        backupCategoryName: 'קטגוריה #{number}: חסר שם',
+        backupBudget: 'תקציב #{number}: קטגוריה, תקופה, סכום או מטבע לא תקינים',
+        backupRecurring: 'הוצאה קבועה #{number}: סכום, מטבע, קטגוריה, תזמון או תאריך התחלה לא תקינים',
+        backupIncome: 'הכנסה #{number}: סכום, מטבע, מקור או תאריך לא תקינים'
+    },
+    costForm: {
+        title: 'הוספת הוצאה חדשה',
+        added: 'ההוצאה נוספה בהצלחה!',
+        addFailed: 'הוספת ההוצאה נכשלה: {message}',
+        amount: 'סכום',
+        amountHelp: 'הזן את סכום ההוצאה',
+        currency: 'מטבע',
+        currencyHelp: 'בחר מטבע',
+        date: 'תאריך',
+        dateHelp: 'מתי בוצעה ההוצאה',
+        category: 'קטגוריה',
+        categoryHelp: 'בחר קטגוריית הוצאה',
+        description: 'תיאור',
+        descriptionHelp: 'פרטים על ההוצאה',
+        descriptionPlaceholder: 'על מה הייתה ההוצאה?',
+        adding: 'מוסיף...',
+        submit: 'הוספת הוצאה',
+        overBudget: 'הוצאה זו מביאה את {category} ל־{total}, מעבר לתקציב של {budget}',
+        budgetCheckUnavailable: 'לא ניתן היה לבדוק את התקציבים עבור הוצאה זו, ולכן חריגה לא תוצג כאן',
+        typeExpense: 'הוצאה',
+        typeIncome: 'הכנסה',
+        incomeTitle: 'הוספת הכנסה חדשה',
+        incomeAdded: 'ההכנסה נוספה בהצלחה!',
+        incomeAddFailed: 'הוספת ההכנסה נכשלה: {message}',
+        incomeDateHelp: 'מתי התקבל הכסף',
+        source: 'מקור',
+        sourceHelp: 'מאיפה הגיע הכסף',
+        incomePlaceholder: 'על מה הייתה ההכנסה?',
+        submitIncome: 'הוספת הכנסה'
+    },
+    editCost: {
+        title: 'עריכת הוצאה',
+        updateFailed: 'עדכון ההוצאה נכשל: {message}',
+        save: 'שמירת שינויים'
+    },
+    dashboard: {
+        loadFailed: 'טעינת הנתונים נכשלה: {message}',
+        missingRates: 'אין שער חליפין ל-{currency} עבור {currencies}. הוצאות אלה אינן נכללות בסיכומים - הוסף עקיפת שער בהגדרות כדי לכלול אותן.',
+        ratesStale: 'נעשה שימוש בשערי חליפין שמורים מ{time} (הרענון נכשל)',
+        ratesUpdated: 'שערי החליפין עודכנו {time}',
+        tabMonthly: 'דוח חודשי',
+        tabMonthlyShort: 'דוח',
+        tabCategories: 'תרשים קטגוריות',
+        tabCategoriesShort: 'קטגוריות',
+        tabYearly: 'סקירה שנתית',
+        tabYearlyShort: 'שנתי',
+        tabBudgets: 'תקציבים',
+        tabBudgetsShort: 'תקציב'
+    },
+    filters: {
+        month: 'חודש',
+        year: 'שנה',
+        currency: 'מטבע'
+    },
+    monthly: {
+        deleteFailed: 'מחיקת ההוצאה נכשלה: {message}',
+        summary: 'סיכום {period}',
+        totalExpenses: 'סך ההוצאות ({count} תנועות)',
+        empty: 'לא נרשמו הוצאות ב{period}',
+        date: 'תאריך',
+        category: 'קטגוריה',
+        description: 'תיאור',
+        amount: 'סכום',
+        actions: 'פעולות',
+        noRate: 'אין שער',
+        noRateTooltip: 'אין שער חליפין מ-{from} ל-{to} - לא נכלל בסיכום',
+        editCost: 'עריכת הוצאה',
+        deleteCost: 'מחיקת הוצאה',
+        deleteTitle: 'מחיקת הוצאה',
+        deleteConfirm: 'למחוק את "{description}" ({amount})? לא ניתן לבטל פעולה זו.'
+    },
+    charts: {
+        categoryTitle: 'הוצאות לפי קטגוריה - {period}',
+        noMonthData: 'אין נתונים לחודש שנבחר',
+        unknownCategory: 'לא ידוע',
+        allCategories: 'כל הקטגוריות',
+        drillHint: 'לחיצה על קטגוריה מציגה את תת־הקטגוריות שלה',
+        yearlyTitle: 'הוצאות חודשיות - {year}',
+        noYearData: 'אין נתונים לשנת {year}',
+        incomeSeries: 'הכנסות ({currency})',
+        expensesSeries: 'הוצאות ({currency})',
+        savingsRateSeries: 'שיעור חיסכון'
+    },
+    cashFlow: {
+        income: 'הכנסות',
+        expenses: 'הוצאות',
+        net: 'נטו',
+        savingsRate: 'שיעור חיסכון: {rate}',
+        noIncome: 'שיעור חיסכון: לא נרשמו הכנסות'
+    },
+    income: {
+        title: 'הכנסות',
+        source: 'מקור',
+        sources: {
+            Salary: 'משכורת',
+            Refund: 'החזר',
+            Gift: 'מתנה',
+            Other: 'אחר'
+        },
+        delete: 'מחיקת הכנסה',
+        deleteTitle: 'מחיקת הכנסה',
+        deleteFailed: 'מחיקת ההכנסה נכשלה: {message}'
+    },
+    budgets: {
+        title: 'תקציבים - {period}',
+        empty: 'עדיין אין תקציבים לחודש זה. אפשר להגדיר תקציב למטה.',
+        saveFailed: 'שמירת התקציב נכשלה: {message}',
+        progress: 'נוצלו {spent} מתוך {budget}, נותרו {difference}',
+        over: 'נוצלו {spent} מתוך {budget}, חריגה של {difference}',
+        missingRate: 'נוצלו {spent} - אין שער חליפין להמרת התקציב של {budget}',
+        setTitle: 'הגדרת תקציב',
+        amount: 'תקציב',
+        period: 'חל על',
+        everyMonth: 'כל חודש',
+        thisMonth: 'חודש זה בלבד',
+        onlyMonth: 'רק {period}',
+        save: 'שמירת תקציב'
+    },
+    recurring: {
+        title: 'הוצאות קבועות',
+        intro: 'הוצאות כמו שכר דירה או מנויים נוספות אוטומטית לפי הלוח שלהן בכל פתיחה של האפליקציה, כולל תקופות שהוחמצו מאז הביקור האחרון.',
+        add: 'הוספת הוצאה קבועה',
+        addTitle: 'הוצאה קבועה חדשה',
+        editTitle: 'עריכת הוצאה קבועה',
+        empty: 'אין עדיין הוצאות קבועות.',
+        loadFailed: 'טעינת ההוצאות הקבועות נכשלה: {message}',
+        saveFailed: 'שמירת ההוצאה הקבועה נכשלה: {message}',
+        frequency: 'חוזרת',
+        frequencies: {
+            weekly: 'כל שבוע',
+            monthly: 'כל חודש',
+            yearly: 'כל שנה'
+        },
+        frequencyHelp: {
+            weekly: 'ביום בשבוע של תאריך ההתחלה',
+            monthly: 'ביום בחודש שנבחר למטה',
+            yearly: 'ביום ובחודש של תאריך ההתחלה'
+        },
+        dayOfMonth: 'יום בחודש',
+        dayOfMonthHelp: 'בחודשים קצרים ייבחר היום האחרון',
+        startDate: 'תאריך התחלה',
+        endDate: 'תאריך סיום',
+        endDateHelp: 'ריק - חוזרת עד לעצירה',
+        schedule: 'לוח זמנים',
+        scheduleWeekly: 'כל שבוע החל מ-{date}',
+        scheduleMonthly: 'כל חודש ביום {day}',
+        scheduleYearly: 'כל שנה החל מ-{date}',
+        until: 'עד {date}',
+        next: 'הבאה',
+        status: 'מצב',
+        statuses: {
+            active: 'פעילה',
+            paused: 'מושהית',
+            ended: 'הסתיימה'
+        },
+        pause: 'השהיה',
+        resume: 'חידוש',
+        stop: 'עצירה',
+        save: 'שמירת הוצאה קבועה'
+    },
+    export: {
+        button: 'ייצוא',
+        failed: 'ייצוא הנתונים נכשל: {message}',
+        monthly: 'דוח חודשי',
+        yearly: 'סקירה שנתית',
+        pdf: 'הורדת PDF'
+    },
+    settings: {
+        title: 'הגדרות האפליקציה',
+        loadFailed: 'טעינת ההגדרות נכשלה: {message}',
+        saveFailed: 'שמירת ההגדרות נכשלה: {message}',
+        testFailed: 'בדיקת החיבור נכשלה: {message}',
+        resetFailed: 'איפוס ההגדרות נכשל: {message}',
+        invalidUrl: 'יש להזין כתובת URL תקינה',
+        invalidHistoricalUrl: 'כתובת השערים ההיסטוריים חייבת להיות URL תקין שמכיל {date}',
+        invalidTtl: 'משך השמירה חייב להיות מספר שלם בין 0 ל-{max} דקות',
+        urlRequired: 'יש להזין כתובת URL לבדיקה',
+        saved: 'ההגדרות נשמרו בהצלחה!',
+        apiTitle: 'API שערי חליפין',
+        apiIntro: 'הגדר כתובת מותאמת לקבלת שערי חליפין עדכניים. אם לא הוגדרה כתובת או שהיא נכשלת, האפליקציה משתמשת בכתובת ברירת המחדל. שים לב: ייתכן ששערי החליפין אינם משקפים ערכים בזמן אמת, בהתאם למקור הנתונים.',
+        apiUrl: 'כתובת API לשערי חליפין',
+        apiUrlHelp: 'לדוגמה: {example}',
+        feedFormat: 'פורמט מקור השערים',
+        detectFormat: 'זיהוי אוטומטי',
+        feedFormats: {
+            nested: 'שערים מקוננים עם בסיס ({ base, rates: { ... } })',
+            flat: 'מפה שטוחה ({ USD: 1, ILS: 3.7, ... })',
+            ecb: 'XML בסגנון ECB (<Cube currency="USD" rate="..."/>)'
+        },
+        historicalUrl: 'תבנית כתובת לשערים היסטוריים (אופציונלי)',
+        historicalUrlHelp: '{date} מוחלף בתאריך של כל הוצאה (YYYY-MM-DD) כך שכל הוצאה מומרת לפי השער של היום שלה. בלעדיה, נעשה שימוש בשערים שנשמרו בעת הוספת ההוצאה.',
+        cacheTtl: 'שמירת שערי חליפין במטמון (דקות)',
+        cacheTtlHelp: 'שערים שהתקבלו משמשים שוב למשך זמן זה ונשמרים לגיבוי במצב לא מקוון. 0 מביא שערים בכל דוח.',
+        save: 'שמירת הגדרות',
+        testing: 'בודק...',
+        test: 'בדיקת חיבור',
+        reset: 'איפוס לברירת המחדל',
+        defaultRatesTitle: 'שערי חליפין כברירת מחדל',
+        defaultRatesIntro: 'כאשר לא הוגדרה כתובת מותאמת, שערי החליפין מתקבלים מכתובת ברירת המחדל המתארחת ב-GitHub Pages. כך המרת מטבעות זמינה תמיד.',
+        about: 'אודות',
+        appName: 'ניהול הוצאות',
+        version: 'גרסה: {version}',
+        aboutText: 'האפליקציה עוזרת לך לעקוב אחר ההוצאות שלך ולנהל אותן במגוון מטבעות. כל הנתונים נשמרים מקומית בדפדפן באמצעות IndexedDB.',
+        featuresTitle: 'יכולות:',
+        features: {
+            currencies: 'מעקב אחר הוצאות בכל מטבע שמקור שערי החליפין מספק',
+            categories: 'סיווג הוצאות לקטגוריות לסדר טוב יותר',
+            reports: 'דוחות חודשיים עם המרת מטבע אוטומטית',
+            charts: 'הצגת דפוסי הוצאה בתרשימים אינטראקטיביים',
+            storage: 'כל הנתונים נשמרים בצורה מאובטחת בדפדפן שלך'
+        },
+        confirmFeedTitle: 'לשמור מקור שערים שנכשל בבדיקה?',
+        confirmFeedText: 'המקור החדש נכשל בבדיקות שלהלן. עד שיעבוד, הדוחות ישתמשו בשערים שמורים או יציגו הוצאות ללא שער.',
+        saveAnyway: 'לשמור בכל זאת'
+    },
+    feedCheck: {
+        passed: 'בדיקת המקור עברה',
+        passedWithWarnings: 'בדיקת המקור עברה עם אזהרות',
+        failed: 'בדיקת המקור נכשלה',
+        response: 'תגובה',
+        statusLine: 'HTTP {status} תוך {latency} ms',
+        requestFailed: 'הבקשה נכשלה: {message} (אין חיבור, כתובת שגויה, או שהשרת אינו מאפשר בקשות מהדפדפן)',
+        format: 'פורמט',
+        formatDetected: 'זוהה: {format} - {count} מטבעות',
+        formatParsed: 'פוענח כ: {format} - {count} מטבעות',
+        base: 'מטבע בסיס',
+        baseStated: '{base} (השערים הם יחידות לכל {base} אחד)',
+        baseUnstated: 'לא צוין - ההמרות מחושבות לפי היחס בין השערים, ולכן מתאימות לכל בסיס',
+        currencies: 'המטבעות שלך',
+        currencyMissing: 'חסר {currencies} - לא ניתן היה להמיר הוצאות במטבע זה',
+        currenciesMissing: 'חסרים {currencies} - לא ניתן היה להמיר הוצאות במטבעות אלה',
+        currenciesOverridden: 'חסרים {currencies}, מכוסים רק על ידי עקיפות שער',
+        currenciesPresent: 'כל {count} המטבעות שבהם משתמשות ההוצאות שלך קיימים',
+        noCosts: 'עדיין לא נשמרו הוצאות',
+        invalidValues: 'ערכים לא תקינים',
+        invalidIgnored: 'לא נלקחו בחשבון: {values}',
+        invalidNone: 'אין - כל השערים הם מספרים חיוביים'
+    },
+    overrides: {
+        title: 'עקיפות שער חליפין',
+        intro: 'קבע את השער שקיבלת בפועל, למשל בצ\'יינג\', או הוסף מטבע שמקור השערים אינו כולל. עקיפות גוברות על שערים שהתקבלו עבור הוצאות שתאריכן בתוך התקופה שלהן.',
+        loadFailed: 'טעינת עקיפות השער נכשלה: {message}',
+        saveFailed: 'שמירת עקיפות השער נכשלה: {message}',
+        unitOf: 'יחידה אחת של',
+        currencyHelp: 'קוד ISO, למשל EUR',
+        equals: 'שווה',
+        quoteCurrency: 'במטבע',
+        from: 'מתאריך (אופציונלי)',
+        to: 'עד תאריך (אופציונלי)',
+        add: 'הוספת עקיפה',
+        rate: 'שער',
+        period: 'תקופה',
+        actions: 'פעולות',
+        delete: 'מחיקת עקיפת שער',
+        empty: 'אין עקיפות - כל ההמרות משתמשות בשערים שהתקבלו.',
+        periodFrom: 'מ-{date}',
+        periodUntil: 'עד {date}',
+        periodAlways: 'תמיד'
+    },
+    display: {
+        title: 'שפה ותצוגה',
+        intro: 'בחר את שפת הממשק ואת האופן שבו סכומים ותאריכים מוצגים בלוח הבקרה.',
+        saveFailed: 'שמירת העדפות התצוגה נכשלה: {message}',
+        language: 'שפה',
+        locale: 'אזור',
+        localeDefault: 'לפי השפה - {locale}',
+        dateFormat: 'תבנית תאריך',
+        dateFormats: {
+            short: 'קצרה',
+            medium: 'בינונית',
+            long: 'ארוכה',
+            iso: 'ISO'
+        },
+        symbolPlacement: 'סמל המטבע',
+        placements: {
+            locale: 'כמקובל באזור',
+            before: 'לפני הסכום',
+            after: 'אחרי הסכום'
+        },
+        preview: 'תצוגה מקדימה: {sample}'
+    },
+    categoriesManager: {
+        title: 'קטגוריות',
+        intro: 'הוסף קטגוריות משלך עם צבע וסמל. קטגוריות בארכיון שומרות על ההוצאות שלהן אך אינן מוצעות להוצאות חדשות; מיזוג מעביר את כל ההוצאות של קטגוריה לקטגוריה אחרת ומסיר אותה.',
+        saveFailed: 'שמירת הקטגוריות נכשלה: {message}',
+        name: 'שם',
+        color: 'צבע',
+        icon: 'סמל',
+        parent: 'קטגוריית אב',
+        noParent: 'ללא (קטגוריה ראשית)',
+        add: 'הוספת קטגוריה',
+        archived: 'בארכיון',
+        archive: 'העברה לארכיון',
+        unarchive: 'שחזור',
+        merge: 'מיזוג',
+        mergeTitle: 'מיזוג "{name}"',
+        mergeInto: 'לתוך הקטגוריה',
+        mergeConfirm: 'כל ההוצאות ב"{source}" יועברו ל"{target}" ו"{source}" תימחק. לא ניתן לבטל פעולה זו.',
+        editTitle: 'עריכת קטגוריה',
+        renameHelp: 'שינוי השם מעדכן גם את כל ההוצאות בקטגוריה זו',
+        save: 'שמירת שינויים'
+    },
+    backup: {
+        title: 'גיבוי ושחזור',
+        intro: 'כל הנתונים נשמרים רק בדפדפן הזה. הורד קובץ גיבוי באופן קבוע כדי שניקוי נתוני האתר לא ימחק את ההיסטוריה שלך, ושחזר אותו כאן בכל מכשיר.',
+        createFailed: 'יצירת הגיבוי נכשלה: {message}',
+        restoreFailed: 'שחזור הגיבוי נכשל: {message}',
+        restored: 'הגיבוי שוחזר:',
+        storeAdded: '{store}: {added} נוספו',
+        storeAddedSkipped: '{store}: {added} נוספו, {skipped} כבר קיימים ודולגו',
+        download: 'הורדת גיבוי',
+        chooseFile: 'בחירת קובץ גיבוי',
+        exportedAt: 'יוצא: {date}',
+        costRange: 'הוצאות מהתאריכים {from} - {to}',
+        storeCount: '{store}: {count}',
+        stores: {
+            costs: 'הוצאות',
+            settings: 'הגדרות',
+            categories: 'קטגוריות',
+            budgets: 'תקציבים',
+            recurring: 'הוצאות קבועות',
+            income: 'רשומות הכנסה'
+        },
+        selectedFile: 'הקובץ שנבחר',
+        invalid: 'לא ניתן לשחזר את {file}:',
+        moreErrors: '...ועוד {count}',
+        modeMerge: 'מיזוג - הוספת הוצאות שעדיין אינן כאן, שמירה על ההגדרות הנוכחיות',
+        modeReplace: 'החלפה - מחיקת כל הנתונים הנוכחיים ושחזור הגיבוי במדויק',
+        restoring: 'משחזר...',
+        restore: 'שחזור גיבוי',
+        replaceTitle: 'להחליף את כל הנתונים?',
+        replaceConfirm: 'כל ההוצאות וההגדרות הנוכחיות יימחקו ויוחלפו בגיבוי. לא ניתן לבטל פעולה זו.',
+        replace: 'החלפה'
+    },
+    csvImport: {
+        title: 'ייבוא מ-CSV',
+        intro: 'ייבא הוצאות מקובץ שיוצא מהבנק או מגיליון אלקטרוני. מפה את העמודות, בדוק את התצוגה המקדימה, ורק שורות שעברו אימות יתווספו. שורות שכבר קיימות במסד הנתונים ידולגו.',
+        readFailed: 'קריאת הקובץ נכשלה: {message}',
+        importFailed: 'ייבוא ההוצאות נכשל: {message}',
+        imported: 'יובאו {count} הוצאות',
+        importedSkipped: ', {count} כפולות דולגו',
+        importedInvalid: ', {count} שורות לא תקינות לא יובאו',
+        chooseFile: 'בחירת קובץ CSV',
+        fileRows: '{file} - {count} שורות נתונים',
+        delimiter: 'מפריד',
+        detectDelimiter: 'זיהוי אוטומטי',
+        delimiterComma: 'פסיק (,)',
+        delimiterSemicolon: 'נקודה-פסיק (;)',
+        delimiterTab: 'טאב',
+        delimiterPipe: 'קו אנכי (|)',
+        decimalSeparator: 'מפריד עשרוני',
+        decimalPoint: 'נקודה (1,234.56)',
+        decimalComma: 'פסיק (1.234,56)',
+        dateFormat: 'תבנית תאריך',
+        defaultCurrency: 'מטבע ברירת מחדל',
+        defaultCategory: 'קטגוריית ברירת מחדל',
+        hasHeader: 'השורה הראשונה היא כותרת',
+        absoluteAmounts: 'ייבוא סכומים שליליים כהוצאות',
+        columnMapping: 'מיפוי עמודות',
+        column: 'עמודה {number}',
+        columnWithSample: 'עמודה {number} ({sample})',
+        notMapped: 'לא ממופה',
+        useDefault: 'ברירת מחדל',
+        mapRequired: 'יש למפות עמודה עבור: {fields}',
+        previewSummary: '{valid} שורות תקינות, {invalid} שורות עם שגיאות',
+        previewLimit: ' (מוצגות {count} הראשונות)',
+        row: 'שורה',
+        status: 'מצב',
+        rowOk: 'תקין',
+        importing: 'מייבא...',
+        import: 'ייבוא {count} שורות תקינות',
+        unsupportedCurrency: 'מטבע לא נתמך "{currency}"',
+        unknownCategory: 'קטגוריה לא מוכרת "{category}"',
+        fields: {
+            date: 'תאריך',
+            sum: 'סכום',
+            currency: 'מטבע',
+            category: 'קטגוריה',
+            description: 'תיאור'
+        }
+    },
+    categories: {
+        'Food & Dining': 'אוכל ומסעדות',
+        Transportation: 'תחבורה',
+        Housing: 'דיור',
+        Utilities: 'חשבונות',
+        Entertainment: 'בידור',
+        Healthcare: 'בריאות',
+        Sport: 'ספורט',
+        Shopping: 'קניות',
+        Education: 'חינוך',
+        Travel: 'נסיעות',
+        Other: 'אחר'
+    }
+};
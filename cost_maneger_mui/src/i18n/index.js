@@ -0,0 +1,91 @@
+/**
+ * Internationalization - Supported languages and message lookup
+ * Messages live in one catalog per language (en.js, he.js) as nested objects addressed by dotted keys
+ * such as 'settings.title'; "{name}" placeholders are filled from the params passed to the translator
+ */
+
+import en from './en';
+import he from './he';
+
+// Supported languages with their text direction and the locale used for formatting by default
+export const LANGUAGES = [
+    { code: 'en', name: 'English', direction: 'ltr', locale: 'en-US' },
+    { code: 'he', name: 'עברית', direction: 'rtl', locale: 'he-IL' }
+];
+
+// Language used for missing messages and when the browser language is not supported
+export const DEFAULT_LANGUAGE = 'en';
+
+// Message catalogs keyed by language code
+const CATALOGS = { en, he };
+
+/**
+ * Resolve a supported language code, falling back to the default language
+ * @param {string} [code] - Language code or browser language tag (e.g. 'he-IL')
+ * @returns {string} Supported language code
+ */
+export const normalizeLanguage = function (code) {
+    const language = typeof code === 'string' ? code.toLowerCase().split('-')[0] : '';
+    return CATALOGS[language] ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Pick the language of the browser when it is supported
+ * @returns {string} Supported language code
+ */
+export const detectLanguage = function () {
+    return normalizeLanguage(typeof navigator === 'undefined' ? '' : navigator.language);
+};
+
+/**
+ * Get the details of a supported language
+ * @param {string} code - Language code
+ * @returns {{code: string, name: string, direction: string, locale: string}} Language details
+ */
+export const getLanguageInfo = function (code) {
+    const language = normalizeLanguage(code);
+    return LANGUAGES.find(info => info.code === language);
+};
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key
+ * @returns {string|undefined} Message template, or undefined when the catalog lacks it
+ */
+const lookup = (catalog, key) => {
+    const message = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+    return typeof message === 'string' ? message : undefined;
+};
+
+/**
+ * Create a translator for a language
+ * Messages missing from the language's catalog fall back to English, then to the key itself
+ * @param {string} code - Language code
+ * @returns {Function} t(key, params) returning the translated message
+ */
+export const createTranslator = function (code) {
+    const language = normalizeLanguage(code);
+    const catalog = CATALOGS[language];
+
+    const t = (key, params = {}) => {
+        const template = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+    };
+    t.language = language;
+    return t;
+};
+
+// English translator for utilities called without one
+export const defaultTranslator = createTranslator(DEFAULT_LANGUAGE);
+
+/**
+ * Translate a stored category name
+ * Categories are stored in English; names without a translation (e.g. imported ones) are shown as stored
+ * @param {Function} t - Translator from createTranslator
+ * @param {string} category - Stored category name
+ * @returns {string} Category name in the translator's language
+ */
+export const translateCategory = function (t, category) {
+    return lookup(CATALOGS[t.language], `categories.${category}`) ?? category;
+};
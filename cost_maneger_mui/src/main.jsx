@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import DatabaseProvider from './context/DatabaseProvider.jsx'
+import LanguageProvider from './context/LanguageProvider.jsx'
+import FormatProvider from './context/FormatProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <DatabaseProvider>
+      <LanguageProvider>
+        <FormatProvider>
+          <App />
+        </FormatProvider>
+      </LanguageProvider>
+    </DatabaseProvider>
   </StrictMode>,
 )
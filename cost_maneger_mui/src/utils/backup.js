@@ -0,0 +1,303 @@
+/**
+ * Backup File Format - Versioned JSON snapshot of the costs database
+ * Defines the file layout written by exportDatabase and the validation used before importDatabase
+ */
+
+import { toMinorUnits } from './money';
+import { normalizeCurrencyCode, normalizeRateCodes } from './currencies';
+import { createCategoryRecord } from './categories';
+import { createBudgetRecord, isBudgetPeriod } from './budgets';
+import { RECURRING_FREQUENCIES } from './recurring';
+import { INCOME_SOURCES } from './income';
+import { RATES_CACHE_SETTING } from './constants';
+import { defaultTranslator } from '../i18n';
+
+// Identifier written into every backup file
+export const BACKUP_FORMAT = 'cost-manager-backup';
+
+// Version of the file layout (not the database schema version)
+export const BACKUP_FORMAT_VERSION = 1;
+
+// Object stores included in a backup, in restore order
+export const BACKUP_STORES = ['costs', 'settings', 'categories', 'budgets', 'recurring', 'income'];
+
+/**
+ * Convert a backed-up cost value into the stored record shape
+ * Revives ISO date strings, converts legacy float sums from pre-minor-unit backups
+ * and renames legacy currency codes (EURO) to their ISO codes
+ * @param {Object} value - Cost value from a backup file
+ * @returns {Object} Cost record ready to be written to the costs store
+ */
+export const normalizeBackupCost = function (value) {
+    const { sum, id: _id, ...rest } = value;
+    const record = { ...rest, date: new Date(value.date), currency: normalizeCurrencyCode(value.currency) };
+
+    if (!Number.isInteger(record.sumMinor)) {
+        record.sumMinor = toMinorUnits(sum, record.currency);
+    }
+    if (record.exchangeRates) {
+        record.exchangeRates = normalizeRateCodes(record.exchangeRates);
+    }
+    return record;
+};
+
+/**
+ * Convert a backed-up income value into the stored record shape
+ * Income entries are stored like costs, with a source instead of a category
+ * @param {Object} value - Income value from a backup file
+ * @returns {Object} Income record ready to be written to the income store
+ */
+export const normalizeBackupIncome = function (value) {
+    return normalizeBackupCost(value);
+};
+
+/**
+ * Convert a backed-up setting value into the stored record shape
+ * Renames legacy currency codes in a cached exchange rates payload
+ * @param {Object} value - Setting record ({ key, value }) from a backup file
+ * @returns {Object} Setting record ready to be written to the settings store
+ */
+export const normalizeBackupSetting = function (value) {
+    if (value.key !== RATES_CACHE_SETTING || !value.value || !value.value.rates) {
+        return value;
+    }
+    return { ...value, value: { ...value.value, rates: normalizeRateCodes(value.value.rates) } };
+};
+
+/**
+ * Convert a backed-up category value into the stored record shape
+ * Fills in a color and icon for records written by older versions and drops unknown icons
+ * @param {Object} value - Category record from a backup file
+ * @returns {Object} Category record ready to be written to the categories store
+ */
+export const normalizeBackupCategory = function (value) {
+    const record = { ...createCategoryRecord(value.name, Number(value.id) || 0, value), archived: Boolean(value.archived) };
+    if (Number.isInteger(value.id)) {
+        record.id = value.id;
+    }
+    return record;
+};
+
+/**
+ * Convert a backed-up budget value into the stored record shape
+ * Renames legacy currency codes and keeps the original key for replace restores
+ * @param {Object} value - Budget record from a backup file
+ * @returns {Object} Budget record ready to be written to the budgets store
+ */
+export const normalizeBackupBudget = function (value) {
+    const record = createBudgetRecord(value);
+    if (Number.isInteger(value.id)) {
+        record.id = value.id;
+    }
+    return record;
+};
+
+/**
+ * Convert a backed-up recurring definition into the stored record shape
+ * Revives its ISO date strings and renames legacy currency codes
+ * @param {Object} value - Recurring definition from a backup file
+ * @returns {Object} Definition ready to be written to the recurring store
+ */
+export const normalizeBackupRecurring = function (value) {
+    return {
+        ...value,
+        currency: normalizeCurrencyCode(value.currency),
+        startDate: new Date(value.startDate),
+        endDate: value.endDate ? new Date(value.endDate) : null,
+        paused: Boolean(value.paused),
+        generatedThrough: value.generatedThrough || null
+    };
+};
+
+/**
+ * Validate a parsed backup object and summarize its contents for preview
+ * @param {Object} backup - Parsed backup file content
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {{valid: boolean, errors: Array<string>, summary: Object|null}} Validation result;
+ * the summary holds the export date, schema version, record counts per store and the date range of the costs
+ */
+export const validateBackup = function (backup, t = defaultTranslator) {
+    const errors = [];
+
+    // Check file identity and version before looking at the data
+    if (!backup || typeof backup !== 'object') {
+        return { valid: false, errors: [t('validation.backupNotObject')], summary: null };
+    }
+    if (backup.format !== BACKUP_FORMAT) {
+        return { valid: false, errors: [t('validation.backupFormat')], summary: null };
+    }
+    if (backup.formatVersion > BACKUP_FORMAT_VERSION) {
+        return {
+            valid: false,
+            errors: [t('validation.backupVersion', { version: backup.formatVersion })],
+            summary: null
+        };
+    }
+    if (!backup.stores || typeof backup.stores !== 'object') {
+        return { valid: false, errors: [t('validation.backupNoStores')], summary: null };
+    }
+
+    // Every included store must be a list of { key, value } entries
+    BACKUP_STORES.forEach(storeName => {
+        const entries = backup.stores[storeName];
+        if (entries !== undefined && !Array.isArray(entries)) {
+            errors.push(t('validation.backupStoreList', { store: storeName }));
+        }
+    });
+
+    const costs = Array.isArray(backup.stores.costs) ? backup.stores.costs : [];
+    const settings = Array.isArray(backup.stores.settings) ? backup.stores.settings : [];
+    const categories = Array.isArray(backup.stores.categories) ? backup.stores.categories : [];
+    const budgets = Array.isArray(backup.stores.budgets) ? backup.stores.budgets : [];
+    const recurring = Array.isArray(backup.stores.recurring) ? backup.stores.recurring : [];
+    const income = Array.isArray(backup.stores.income) ? backup.stores.income : [];
+
+    // Validate cost records and collect their date range
+    let firstDate = null;
+    let lastDate = null;
+    costs.forEach((entry, index) => {
+        const value = entry && entry.value;
+        if (!value || typeof value !== 'object') {
+            errors.push(t('validation.backupCostValue', { number: index + 1 }));
+            return;
+        }
+
+        const date = new Date(value.date);
+        if (isNaN(date.getTime())) {
+            errors.push(t('validation.backupCostDate', { number: index + 1 }));
+        } else {
+            firstDate = !firstDate || date < firstDate ? date : firstDate;
+            lastDate = !lastDate || date > lastDate ? date : lastDate;
+        }
+
+        const hasAmount = Number.isInteger(value.sumMinor) || Number.isFinite(value.sum);
+        if (!hasAmount) {
+            errors.push(t('validation.backupCostAmount', { number: index + 1 }));
+        }
+        if (!value.currency || !value.category) {
+            errors.push(t('validation.backupCostFields', { number: index + 1 }));
+        }
+    });
+
+    // Settings are stored by their key property
+    settings.forEach((entry, index) => {
+        if (!entry || !entry.value || typeof entry.value.key !== 'string') {
+            errors.push(t('validation.backupSettingKey', { number: index + 1 }));
+        }
+    });
+
+    // Categories are optional (backups made before categories were stored have none)
+    categories.forEach((entry, index) => {
+        if (!entry || !entry.value || typeof entry.value.name !== 'string' || !entry.value.name.trim()) {
+            errors.push(t('validation.backupCategoryName', { number: index + 1 }));
+        }
+    });
+
+    // Budgets are optional as well (older backups have none)
+    budgets.forEach((entry, index) => {
+        const value = entry && entry.value;
+        if (!value || typeof value.category !== 'string' || !isBudgetPeriod(value.period)
+            || !Number.isInteger(value.amountMinor) || !value.currency) {
+            errors.push(t('validation.backupBudget', { number: index + 1 }));
+        }
+    });
+
+    // Recurring definitions are optional too
+    recurring.forEach((entry, index) => {
+        const value = entry && entry.value;
+        if (!value || !Number.isInteger(value.sumMinor) || !value.currency || !value.category
+            || !RECURRING_FREQUENCIES.includes(value.frequency) || isNaN(new Date(value.startDate).getTime())) {
+            errors.push(t('validation.backupRecurring', { number: index + 1 }));
+        }
+    });
+
+    // Income entries are optional (backups made before income was recorded have none)
+    income.forEach((entry, index) => {
+        const value = entry && entry.value;
+        if (!value || !Number.isInteger(value.sumMinor) || !value.currency || !INCOME_SOURCES.includes(value.source)
+            || isNaN(new Date(value.date).getTime())) {
+            errors.push(t('validation.backupIncome', { number: index + 1 }));
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        summary: {
+            exportedAt: backup.exportedAt ? new Date(backup.exportedAt) : null,
+            schemaVersion: backup.schemaVersion,
+            counts: {
+                costs: costs.length,
+                settings: settings.length,
+                categories: categories.length,
+                budgets: budgets.length,
+                recurring: recurring.length,
+                income: income.length
+            },
+            firstDate,
+            lastDate
+        }
+    };
+};
+
+/**
+ * Parse backup file text into an object
+ * @param {string} text - File content
+ * @param {Function} [t] - Translator for the error message (English when omitted)
+ * @returns {Object} Parsed backup
+ * @throws {Error} When the file is not valid JSON
+ */
+export const parseBackupFile = function (text, t = defaultTranslator) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error(t('validation.backupJson'));
+    }
+};
+
+/**
+ * Build a content signature used to match recurring definitions when merging
+ * @param {Object} record - Stored recurring definition
+ * @returns {string} Signature of amount, currency, category, description and schedule
+ */
+export const getRecurringSignature = function (record) {
+    return [
+        record.sumMinor,
+        record.currency,
+        record.category,
+        record.description,
+        record.frequency,
+        record.dayOfMonth,
+        new Date(record.startDate).getTime()
+    ].join('|');
+};
+
+/**
+ * Build a content signature used to skip duplicate income entries when merging
+ * @param {Object} record - Stored income record
+ * @returns {string} Signature of date, amount, currency, source and description
+ */
+export const getIncomeSignature = function (record) {
+    return [
+        new Date(record.date).getTime(),
+        record.sumMinor,
+        record.currency,
+        record.source,
+        record.description
+    ].join('|');
+};
+
+/**
+ * Build a content signature used to skip duplicate costs when merging
+ * @param {Object} record - Stored cost record
+ * @returns {string} Signature of date, amount, currency, category and description
+ */
+export const getCostSignature = function (record) {
+    return [
+        new Date(record.date).getTime(),
+        record.sumMinor,
+        record.currency,
+        record.category,
+        record.description
+    ].join('|');
+};
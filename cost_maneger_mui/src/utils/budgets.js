@@ -0,0 +1,122 @@
+/**
+ * Budgets - Spending limits per category, for a single month or for every month
+ * A month-specific budget replaces the recurring budget of its category for that month, and a budget
+ * on a top-level category also counts the costs of its subcategories
+ * Records of the budgets store: { id, category, period, amountMinor, currency }
+ */
+
+import { toMinorUnits, countDecimalPlaces, getCurrencyDecimals, isDecimalAmount } from './money';
+import { normalizeCurrencyCode } from './currencies';
+import { getParentCategoryName } from './categories';
+import { defaultTranslator } from '../i18n';
+
+// Period of a budget that applies to every month without a month-specific budget
+export const RECURRING_BUDGET_PERIOD = 'monthly';
+
+// Share of a budget from which progress is shown as a warning
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * Period key of a single month
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12)
+ * @returns {string} Period in YYYY-MM form
+ */
+export const toBudgetPeriod = function (year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+};
+
+/**
+ * Check a period value of a budget record
+ * @param {*} period - Value to check
+ * @returns {boolean} True for the recurring period or a YYYY-MM month
+ */
+export const isBudgetPeriod = function (period) {
+    return period === RECURRING_BUDGET_PERIOD || (typeof period === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(period));
+};
+
+/**
+ * Build a stored budget record from form values
+ * @param {Object} values - { category, period, amount (major units) or amountMinor, currency }
+ * @returns {{category: string, period: string, amountMinor: number, currency: string}} Budget record
+ */
+export const createBudgetRecord = function (values) {
+    const currency = normalizeCurrencyCode(values.currency);
+    return {
+        category: values.category,
+        period: values.period,
+        amountMinor: Number.isInteger(values.amountMinor) ? values.amountMinor : toMinorUnits(values.amount, currency),
+        currency
+    };
+};
+
+/**
+ * Pick the budget that applies to each category in a month
+ * @param {Array<Object>} budgets - Budget records
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12)
+ * @returns {Array<Object>} One budget per category: the month's own budget, otherwise the recurring one
+ */
+export const getEffectiveBudgets = function (budgets, year, month) {
+    const period = toBudgetPeriod(year, month);
+    const byCategory = new Map();
+
+    budgets.forEach(budget => {
+        if (budget.period === period || (budget.period === RECURRING_BUDGET_PERIOD && !byCategory.has(budget.category))) {
+            byCategory.set(budget.category, budget);
+        }
+    });
+    return [...byCategory.values()];
+};
+
+/**
+ * Check whether a cost counts toward a category's budget
+ * @param {Array<Object>} categories - Category records
+ * @param {string} costCategory - Category of the cost
+ * @param {string} budgetCategory - Category of the budget
+ * @returns {boolean} True for costs of the category itself or of one of its subcategories
+ */
+export const countsTowardBudget = function (categories, costCategory, budgetCategory) {
+    return costCategory === budgetCategory || getParentCategoryName(categories, costCategory) === budgetCategory;
+};
+
+/**
+ * Classify spending against a budget
+ * @param {number} spent - Amount spent
+ * @param {number} limit - Budget amount in the same currency
+ * @returns {string} 'over' above the budget, 'warning' from BUDGET_WARNING_RATIO of it, otherwise 'ok'
+ */
+export const getBudgetStatus = function (spent, limit) {
+    if (spent > limit) {
+        return 'over';
+    }
+    return spent >= limit * BUDGET_WARNING_RATIO ? 'warning' : 'ok';
+};
+
+/**
+ * Validate the values of a budget being set
+ * @param {Object} values - Raw form values (category, period, amount as string, currency)
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {Object} Field errors keyed by field name (empty when valid)
+ */
+export const validateBudget = function (values, t = defaultTranslator) {
+    const errors = {};
+
+    if (!values.category) {
+        errors.category = t('validation.categoryRequired');
+    }
+    if (!isBudgetPeriod(values.period)) {
+        errors.period = t('validation.budgetPeriod');
+    }
+
+    // Same amount rules as costs: positive, bounded and within the currency's precision
+    const amount = parseFloat(values.amount);
+    if (!values.amount || !isDecimalAmount(values.amount) || isNaN(amount) || amount <= 0) {
+        errors.amount = t('validation.amountRequired');
+    } else if (amount > 999999999) {
+        errors.amount = t('validation.amountTooLarge');
+    } else if (countDecimalPlaces(values.amount) > getCurrencyDecimals(values.currency)) {
+        errors.amount = t('validation.amountDecimals', { currency: values.currency, decimals: getCurrencyDecimals(values.currency) });
+    }
+    return errors;
+};
@@ -0,0 +1,217 @@
+/**
+ * Expense Categories - Records of the categories store and the rules for editing them
+ * Costs refer to their category by name, so the name is unique (ignoring case) and renaming or
+ * merging a category rewrites the category field of its costs (see the categories operations in idb.js)
+ * Categories form a two-level tree: a top-level category (parentId null) may have subcategories
+ */
+
+import { CATEGORIES, COLORS } from './constants';
+import { defaultTranslator } from '../i18n';
+
+// Levels reports can aggregate at: each cost's own category, or rolled up to its top-level category
+export const CATEGORY_LEVELS = ['category', 'parent'];
+
+// Longest category name accepted
+export const MAX_CATEGORY_NAME_LENGTH = 40;
+
+// Icon keys a category can use (rendered by CategoryIcon)
+export const CATEGORY_ICONS = [
+    'restaurant', 'car', 'home', 'bolt', 'movie', 'health', 'sport', 'shopping', 'school', 'flight',
+    'pets', 'child', 'gift', 'phone', 'work', 'savings', 'category'
+];
+
+// Icons of the built-in categories; other categories start with the generic icon
+const DEFAULT_CATEGORY_ICONS = {
+    'Food & Dining': 'restaurant',
+    Transportation: 'car',
+    Housing: 'home',
+    Utilities: 'bolt',
+    Entertainment: 'movie',
+    Healthcare: 'health',
+    Sport: 'sport',
+    Shopping: 'shopping',
+    Education: 'school',
+    Travel: 'flight'
+};
+
+/**
+ * Tidy a category name as typed: trim and collapse inner whitespace
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+export const normalizeCategoryName = function (name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+};
+
+/**
+ * Find a category by name ignoring case
+ * @param {Array<Object>} categories - Category records
+ * @param {string} name - Name to look for
+ * @returns {Object|undefined} Matching category
+ */
+export const findCategoryByName = function (categories, name) {
+    const wanted = normalizeCategoryName(name).toLowerCase();
+    return categories.find(category => category.name.toLowerCase() === wanted);
+};
+
+/**
+ * Build a new category record (without id; the store assigns one)
+ * Colors cycle through the chart palette so neighbouring categories stay distinguishable
+ * @param {string} name - Category name
+ * @param {number} index - Position used to pick the default color
+ * @param {Object} [values] - Optional color, icon and parentId
+ * @returns {{name: string, color: string, icon: string, parentId: number|null, archived: boolean}} Category record
+ */
+export const createCategoryRecord = function (name, index, values = {}) {
+    const normalizedName = normalizeCategoryName(name);
+    return {
+        name: normalizedName,
+        color: values.color || COLORS[index % COLORS.length],
+        icon: CATEGORY_ICONS.includes(values.icon) ? values.icon : (DEFAULT_CATEGORY_ICONS[normalizedName] || 'category'),
+        parentId: Number.isInteger(values.parentId) ? values.parentId : null,
+        archived: false
+    };
+};
+
+/**
+ * Check where a category may be placed in the tree
+ * @param {Array<Object>} categories - Category records
+ * @param {number|null} parentId - Proposed parent id (null for top level)
+ * @param {number} [editingId] - Id of the category being moved
+ * @returns {string|null} 'parent' when the parent is not a usable top-level category,
+ *                        'children' when a category with subcategories would become one, otherwise null
+ */
+export const checkCategoryParent = function (categories, parentId, editingId) {
+    if (parentId === null || parentId === undefined) {
+        return null;
+    }
+    const parent = categories.find(category => category.id === parentId);
+    if (!parent || parent.parentId != null || parent.id === editingId) {
+        return 'parent';
+    }
+    if (editingId !== undefined && categories.some(category => category.parentId === editingId)) {
+        return 'children';
+    }
+    return null;
+};
+
+/**
+ * Name of the top-level category a category rolls up to
+ * @param {Array<Object>} categories - Category records
+ * @param {string} name - Category name as stored on a cost
+ * @returns {string} Parent name for subcategories, the name itself otherwise (also for unknown names)
+ */
+export const getParentCategoryName = function (categories, name) {
+    const category = categories.find(item => item.name === name);
+    const parent = category && category.parentId != null
+        ? categories.find(item => item.id === category.parentId)
+        : null;
+    return parent ? parent.name : name;
+};
+
+/**
+ * Order categories as a tree: each top-level category followed by its subcategories
+ * @param {Array<Object>} categories - Category records in creation order
+ * @returns {Array<Object>} Records with a depth property (0 top level, 1 subcategory)
+ */
+export const sortCategoryTree = function (categories) {
+    const ids = new Set(categories.map(category => category.id));
+    const isTopLevel = category => category.parentId == null || !ids.has(category.parentId);
+
+    return categories.filter(isTopLevel).flatMap(parent => [
+        { ...parent, depth: 0 },
+        ...categories
+            .filter(category => !isTopLevel(category) && category.parentId === parent.id)
+            .map(category => ({ ...category, depth: 1 }))
+    ]);
+};
+
+/**
+ * Sum converted costs per category at the requested level
+ * @param {Array<Object>} costs - Costs with category and convertedMinor (null when no rate was available)
+ * @param {Array<Object>} categories - Category records
+ * @param {string} [level='category'] - One of CATEGORY_LEVELS
+ * @returns {Array<{category: string, parent: string, totalMinor: number}>} Totals in order of first appearance
+ */
+export const sumCostsByCategory = function (costs, categories, level = 'category') {
+    const totals = new Map();
+
+    costs.forEach(cost => {
+        const parent = getParentCategoryName(categories, cost.category);
+        const category = level === 'parent' ? parent : cost.category;
+        if (!totals.has(category)) {
+            totals.set(category, { category, parent, totalMinor: 0 });
+        }
+        totals.get(category).totalMinor += cost.convertedMinor;
+    });
+    return [...totals.values()];
+};
+
+/**
+ * Category records seeded into a new database: the built-in categories followed by any extra names in use
+ * @param {Array<string>} [usedNames] - Category names found on stored costs
+ * @returns {Array<Object>} Category records in display order
+ */
+export const buildDefaultCategories = function (usedNames = []) {
+    const records = CATEGORIES.map((name, index) => createCategoryRecord(name, index));
+    usedNames.forEach(name => {
+        if (normalizeCategoryName(name) && !findCategoryByName(records, name)) {
+            records.push(createCategoryRecord(name, records.length));
+        }
+    });
+    return records;
+};
+
+/**
+ * Validate the name, color, icon and parent of a category being created or edited
+ * @param {Object} values - { name, color, icon, parentId }
+ * @param {Array<Object>} categories - Existing category records
+ * @param {number} [editingId] - Id of the category being edited, excluded from the duplicate check
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {Object} Field errors keyed by field name (empty when valid)
+ */
+export const validateCategory = function (values, categories, editingId, t = defaultTranslator) {
+    const errors = {};
+    const name = normalizeCategoryName(values.name);
+
+    if (!name) {
+        errors.name = t('validation.categoryNameRequired');
+    } else if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+        errors.name = t('validation.categoryNameTooLong', { max: MAX_CATEGORY_NAME_LENGTH });
+    } else {
+        const duplicate = findCategoryByName(categories, name);
+        if (duplicate && duplicate.id !== editingId) {
+            errors.name = t('validation.categoryNameTaken', { name: duplicate.name });
+        }
+    }
+
+    if (values.color !== undefined && !/^#[0-9a-f]{6}$/i.test(values.color)) {
+        errors.color = t('validation.categoryColor');
+    }
+    if (values.icon !== undefined && !CATEGORY_ICONS.includes(values.icon)) {
+        errors.icon = t('validation.categoryIcon');
+    }
+
+    const placement = checkCategoryParent(categories, values.parentId, editingId);
+    if (placement === 'parent') {
+        errors.parentId = t('validation.categoryParentInvalid');
+    } else if (placement === 'children') {
+        errors.parentId = t('validation.categoryHasChildren');
+    }
+    return errors;
+};
+
+/**
+ * Names of the categories offered for new costs in tree order, keeping a current value selectable even when archived
+ * Subcategories of an archived category are hidden with it
+ * @param {Array<Object>} categories - Category records
+ * @param {string} [currentName] - Category of the cost being edited
+ * @returns {Array<string>} Category names in display order
+ */
+export const getSelectableCategoryNames = function (categories, currentName) {
+    const archivedIds = new Set(categories.filter(category => category.archived).map(category => category.id));
+    const names = sortCategoryTree(categories)
+        .filter(category => !category.archived && !archivedIds.has(category.parentId))
+        .map(category => category.name);
+    return currentName && !names.includes(currentName) ? [currentName, ...names] : names;
+};
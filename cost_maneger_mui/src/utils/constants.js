@@ -1,12 +1,10 @@
 /**
  * Application-wide constants
- * Centralized definitions for currencies, categories, months, colors, and API endpoints
+ * Centralized definitions for categories, months, colors, API endpoints and settings keys
+ * (currencies live in the currency registry, currencies.js)
  */
 
-// Supported currencies for expense entry (EURO maps to EUR via normalizeRates)
-export const CURRENCIES = ['USD', 'EURO', 'GBP', 'ILS'];
-
-// Predefined expense categories for user selection
+// Built-in expense categories seeded into the categories store (users manage their own list in Settings)
 export const CATEGORIES = [
     'Food & Dining',
     'Transportation',
@@ -34,4 +32,33 @@ export const COLORS = [
 ];
 
 // Export default exchange rate API endpoint for use across application modules
-export const DEFAULT_EXCHANGE_URL = 'https://shaidahari.github.io/exchaneRates_json/exchange-rates.json';
\ No newline at end of file
+export const DEFAULT_EXCHANGE_URL = 'https://shaidahari.github.io/exchaneRates_json/exchange-rates.json';
+
+// Default time (minutes) a fetched exchange rates payload is reused before fetching again
+export const DEFAULT_RATES_TTL_MINUTES = 60;
+
+// Settings store keys for the cached exchange rates payload and its time-to-live
+export const RATES_CACHE_SETTING = 'exchangeRatesCache';
+export const RATES_TTL_SETTING = 'exchangeRatesTtlMinutes';
+
+// Settings store key for the historical exchange rates URL template ({date} is replaced by YYYY-MM-DD)
+export const HISTORICAL_RATES_SETTING = 'historicalRatesUrl';
+
+// Settings store key for the exchange rates feed format ('auto' or a rate provider adapter id)
+export const RATE_PROVIDER_SETTING = 'exchangeRateProvider';
+
+// Settings store key for manually pinned exchange rates (list of overrides, see rateOverrides.js)
+export const RATE_OVERRIDES_SETTING = 'exchangeRateOverrides';
+
+// Settings store key for locale and display preferences used by the shared formatter (see formatters.js)
+export const DISPLAY_PREFERENCES_SETTING = 'displayPreferences';
+
+// Display preferences before the user picks any: the language's locale, medium dates, locale symbol placement
+export const DEFAULT_DISPLAY_PREFERENCES = {
+    locale: '',
+    dateFormat: 'medium',
+    symbolPlacement: 'locale'
+};
+
+// Settings store key for the interface language ('en' or 'he', see i18n/index.js)
+export const LANGUAGE_SETTING = 'language';
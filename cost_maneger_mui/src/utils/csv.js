@@ -0,0 +1,157 @@
+/**
+ * CSV Utilities - Parsing of spreadsheet and bank CSV exports
+ * Handles quoted fields, different delimiters, decimal separators and date layouts
+ */
+
+// Delimiters recognized by automatic detection
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Supported date layouts for imported rows
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+/**
+ * Guess the delimiter from the first line by counting candidates outside quotes
+ * @param {string} text - CSV file content
+ * @returns {string} Most frequent delimiter, defaulting to comma
+ */
+export const detectDelimiter = function (text) {
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const counts = {};
+    let inQuotes = false;
+
+    for (const char of firstLine) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && CSV_DELIMITERS.includes(char)) {
+            counts[char] = (counts[char] || 0) + 1;
+        }
+    }
+
+    return CSV_DELIMITERS.reduce((best, delimiter) =>
+        (counts[delimiter] || 0) > (counts[best] || 0) ? delimiter : best, ',');
+};
+
+/**
+ * Parse CSV text into rows of trimmed string cells
+ * Supports quoted fields with embedded delimiters, newlines and doubled quotes
+ * @param {string} text - CSV file content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Parsed rows without empty lines
+ */
+export const parseCsv = function (text, delimiter) {
+    // Remove a UTF-8 byte order mark written by spreadsheet exports
+    const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            // Doubled quote inside a quoted field is a literal quote
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat CRLF as a single line break
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Flush the last line when the file does not end with a newline
+    if (field !== '' || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+/**
+ * Normalize a localized number such as "1.234,56" or "-1,234.56" to "1234.56"
+ * @param {string} value - Raw cell value
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {string|null} Plain decimal string, or null if the cell is not a number
+ */
+export const parseDecimal = function (value, decimalSeparator) {
+    // Drop currency symbols, spaces and thousands separators
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    const cleaned = String(value)
+        .replace(/[^\d.,-]/g, '')
+        .split(thousandsSeparator).join('')
+        .replace(decimalSeparator, '.');
+
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? cleaned : null;
+};
+
+/**
+ * Parse a date cell in one of the supported layouts as a local date
+ * Accepts '/', '.' or '-' as separators and an optional time part
+ * @param {string} value - Raw cell value
+ * @param {string} dateFormat - One of CSV_DATE_FORMATS
+ * @returns {Date|null} Parsed date, or null if the value does not match the layout
+ */
+export const parseCsvDate = function (value, dateFormat) {
+    const parts = String(value).trim().split(/[\sT]/)[0].split(/[/.-]/).map(Number);
+    if (parts.length !== 3 || parts.some(isNaN)) {
+        return null;
+    }
+
+    // Arrange parts as year, month, day according to the layout
+    let year;
+    let month;
+    let day;
+    if (dateFormat === 'YYYY-MM-DD') {
+        [year, month, day] = parts;
+    } else if (dateFormat === 'DD/MM/YYYY') {
+        [day, month, year] = parts;
+    } else {
+        [month, day, year] = parts;
+    }
+
+    // Expand two-digit years to the current century
+    if (year < 100) {
+        year += 2000;
+    }
+
+    const date = new Date(year, month - 1, day, 12);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Serialize rows of cells into CSV text
+ * Quotes cells containing the delimiter, quotes or line breaks; empty values become empty cells
+ * @param {Array<Array<string|number|null>>} rows - Rows to serialize
+ * @param {string} delimiter - Field delimiter (defaults to comma)
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = function (rows, delimiter = ',') {
+    const escapeCell = (cell) => {
+        const text = cell === null || cell === undefined ? '' : String(cell);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(escapeCell).join(delimiter)).join('\r\n');
+};
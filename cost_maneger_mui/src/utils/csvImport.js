@@ -0,0 +1,116 @@
+/**
+ * CSV Cost Import - Maps parsed CSV rows to cost objects and validates them
+ * Uses the same validation rules as CostForm so imported costs meet the same constraints
+ */
+
+import { normalizeCurrencyCode } from './currencies';
+import { normalizeCategoryName } from './categories';
+import { parseDecimal, parseCsvDate } from './csv';
+import { validateCostForm, toDateInputValue } from './helperFunctions';
+import { defaultTranslator } from '../i18n';
+import { toMinorUnits } from './money';
+
+// Cost fields a CSV column can be mapped to, with header names used for automatic mapping
+// Field names are translated as csvImport.fields.<key>
+export const COST_IMPORT_FIELDS = [
+    { key: 'date', required: true, aliases: ['date', 'transaction date', 'posted', 'value date'] },
+    { key: 'sum', required: true, aliases: ['amount', 'sum', 'total', 'value', 'debit'] },
+    { key: 'currency', required: false, aliases: ['currency', 'curr', 'ccy'] },
+    { key: 'category', required: false, aliases: ['category', 'group', 'type'] },
+    { key: 'description', required: true, aliases: ['description', 'details', 'memo', 'payee', 'narrative', 'name'] }
+];
+
+/**
+ * Match a category cell to a known category ignoring case, keeping unknown values as they are
+ * @param {string} value - Raw category cell
+ * @param {Array<string>} categories - Known category names
+ * @returns {string} Known category name, or the original value
+ */
+const matchCategory = function (value, categories) {
+    const wanted = normalizeCategoryName(value).toLowerCase();
+    const match = categories.find(category => category.toLowerCase() === wanted);
+    return match || value;
+};
+
+/**
+ * Guess which column holds each cost field from the header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Map of field key to column index, or '' when no column matches
+ */
+export const guessColumnMapping = function (headers) {
+    const normalizedHeaders = headers.map(header => header.toLowerCase().trim());
+    const mapping = {};
+
+    COST_IMPORT_FIELDS.forEach(field => {
+        const index = normalizedHeaders.findIndex(header => field.aliases.includes(header));
+        mapping[field.key] = index === -1 ? '' : index;
+    });
+    return mapping;
+};
+
+/**
+ * Convert data rows into validated cost candidates for preview and import
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Object} mapping - Map of field key to column index or ''
+ * @param {Object} options - Import options
+ * @param {string} options.decimalSeparator - '.' or ','
+ * @param {string} options.dateFormat - One of CSV_DATE_FORMATS
+ * @param {Array<string>} options.currencies - Currency codes accepted for import (the active rates feed's currencies)
+ * @param {string} options.defaultCurrency - Currency used when no currency column is mapped or the cell is empty
+ * @param {Array<string>} options.categories - Category names accepted for import (the stored categories)
+ * @param {string} options.defaultCategory - Category used when no category column is mapped or the cell is empty
+ * @param {boolean} options.absoluteAmounts - Treat negative amounts (bank debits) as positive costs
+ * @param {number} options.firstRowNumber - File line number of the first data row, for messages
+ * @param {Function} [options.t] - Translator for the row messages (English when omitted)
+ * @returns {Array<{rowNumber: number, values: Object, errors: Array<string>, cost: Object|null}>} Row results
+ */
+export const buildImportRows = function (rows, mapping, options) {
+    // Read a mapped cell, returning '' for unmapped columns or short rows
+    const readCell = (cells, key) => (mapping[key] === '' ? '' : (cells[mapping[key]] || ''));
+    const t = options.t || defaultTranslator;
+
+    return rows.map((cells, index) => {
+        // Extract and normalize mapped values
+        let sum = parseDecimal(readCell(cells, 'sum'), options.decimalSeparator);
+        if (sum !== null && options.absoluteAmounts) {
+            sum = sum.replace(/^-/, '');
+        }
+        const rawDate = readCell(cells, 'date');
+        const date = rawDate ? parseCsvDate(rawDate, options.dateFormat) : null;
+        const values = {
+            sum: sum === null ? readCell(cells, 'sum') : sum,
+            currency: normalizeCurrencyCode(readCell(cells, 'currency') || options.defaultCurrency),
+            category: matchCategory(readCell(cells, 'category'), options.categories) || options.defaultCategory,
+            description: readCell(cells, 'description'),
+            date
+        };
+
+        // Apply CostForm rules, reporting messages in field order
+        const fieldErrors = validateCostForm({
+            ...values,
+            date: date ? toDateInputValue(date) : ''
+        }, t);
+        const errors = COST_IMPORT_FIELDS
+            .map(field => fieldErrors[field.key])
+            .filter(Boolean);
+        if (!options.currencies.includes(values.currency)) {
+            errors.push(t('csvImport.unsupportedCurrency', { currency: values.currency }));
+        }
+        if (!options.categories.includes(values.category)) {
+            errors.push(t('csvImport.unknownCategory', { category: values.category }));
+        }
+
+        return {
+            rowNumber: options.firstRowNumber + index,
+            values,
+            errors,
+            cost: errors.length > 0 ? null : {
+                sumMinor: toMinorUnits(values.sum, values.currency),
+                currency: values.currency,
+                category: values.category,
+                description: values.description.trim(),
+                date
+            }
+        };
+    });
+};
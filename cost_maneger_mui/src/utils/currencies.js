@@ -0,0 +1,125 @@
+/**
+ * Currency Registry - ISO 4217 currency codes with names, symbols and minor-unit decimals
+ * Names and symbols come from the browser's Intl data; decimals are pinned for every currency
+ * because stored amounts are integers in minor units and must never change meaning between browsers
+ */
+
+// Currencies offered when the rates feed cannot be reached
+export const DEFAULT_CURRENCIES = ['USD', 'EUR', 'GBP', 'ILS'];
+
+// Legacy codes used by older records and feeds, mapped to their ISO 4217 code
+const CURRENCY_ALIASES = { EURO: 'EUR' };
+
+// Minor-unit decimals of the currencies that do not use 2; every other code uses 2
+// Taken from the CLDR data browsers formatted amounts with before decimals were pinned, so stored amounts keep their meaning
+const CURRENCY_DECIMALS = {
+    AFN: 0, ALL: 0, BIF: 0, CLP: 0, DJF: 0, GNF: 0, IQD: 0, IRR: 0, ISK: 0, JPY: 0,
+    KMF: 0, KPW: 0, KRW: 0, LAK: 0, LBP: 0, MGA: 0, MMK: 0, PYG: 0, RSD: 0, RWF: 0,
+    SLL: 0, SOS: 0, SYP: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0, YER: 0,
+    BHD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+// Decimals of every currency without an entry above
+const DEFAULT_DECIMALS = 2;
+
+// ISO codes known to this browser, when it can list them
+const KNOWN_CODES = typeof Intl.supportedValuesOf === 'function'
+    ? new Set(Intl.supportedValuesOf('currency'))
+    : null;
+
+// Registry entries are computed once per code
+const registry = new Map();
+
+/**
+ * Convert a currency code to its canonical ISO form (upper case, legacy aliases resolved)
+ * @param {string} code - Currency code as entered or stored
+ * @returns {string} ISO 4217 code
+ */
+export const normalizeCurrencyCode = function (code) {
+    const upper = String(code || '').trim().toUpperCase();
+    return CURRENCY_ALIASES[upper] || upper;
+};
+
+/**
+ * Rename legacy currency keys of a rates object to their ISO codes
+ * @param {Object} rates - Currency code -> rate map
+ * @returns {Object} Rates keyed by ISO codes (an existing ISO entry wins over its alias)
+ */
+export const normalizeRateCodes = function (rates) {
+    const normalized = {};
+    Object.entries(rates).forEach(([code, rate]) => {
+        const isoCode = normalizeCurrencyCode(code);
+        if (isoCode === code || normalized[isoCode] === undefined) {
+            normalized[isoCode] = rate;
+        }
+    });
+    return normalized;
+};
+
+/**
+ * Check whether a code is an ISO 4217 currency code
+ * @param {string} code - Currency code
+ * @returns {boolean} True for three-letter codes the browser recognizes
+ */
+export const isCurrencyCode = function (code) {
+    return /^[A-Z]{3}$/.test(code) && (!KNOWN_CODES || KNOWN_CODES.has(code));
+};
+
+/**
+ * Get registry details of a currency
+ * @param {string} code - Currency code (legacy aliases accepted)
+ * @returns {{code: string, name: string, symbol: string, decimals: number}} Currency details
+ */
+export const getCurrencyInfo = function (code) {
+    const isoCode = normalizeCurrencyCode(code);
+    if (registry.has(isoCode)) {
+        return registry.get(isoCode);
+    }
+
+    let info;
+    try {
+        const format = new Intl.NumberFormat('en-US', { style: 'currency', currency: isoCode });
+        const symbolPart = format.formatToParts(0).find(part => part.type === 'currency');
+        info = {
+            code: isoCode,
+            name: new Intl.DisplayNames(['en'], { type: 'currency' }).of(isoCode) || isoCode,
+            symbol: symbolPart ? symbolPart.value : isoCode,
+            decimals: CURRENCY_DECIMALS[isoCode] ?? DEFAULT_DECIMALS
+        };
+    } catch {
+        // Malformed codes still get a usable entry
+        info = { code: isoCode, name: isoCode, symbol: isoCode, decimals: CURRENCY_DECIMALS[isoCode] ?? DEFAULT_DECIMALS };
+    }
+
+    registry.set(isoCode, info);
+    return info;
+};
+
+/**
+ * Build a selector label such as "€ EUR - Euro"
+ * @param {string} code - Currency code
+ * @param {string} [language='en'] - Language of the currency name
+ * @returns {string} Label with symbol, code and name
+ */
+export const formatCurrencyLabel = function (code, language = 'en') {
+    const { symbol, name: englishName } = getCurrencyInfo(code);
+    const isoCode = normalizeCurrencyCode(code);
+    let name = englishName;
+    if (language !== 'en') {
+        try {
+            name = new Intl.DisplayNames([language], { type: 'currency' }).of(isoCode) || englishName;
+        } catch {
+            // Keep the English name when the browser cannot name the currency in this language
+        }
+    }
+    return symbol === isoCode ? `${isoCode} - ${name}` : `${symbol} ${isoCode} - ${name}`;
+};
+
+/**
+ * List the ISO currencies a rates object can convert, sorted by code
+ * @param {Object} rates - Currency code -> rate map
+ * @returns {Array<string>} Currency codes
+ */
+export const getRatesCurrencies = function (rates) {
+    return Object.keys(normalizeRateCodes(rates)).filter(isCurrencyCode).sort();
+};
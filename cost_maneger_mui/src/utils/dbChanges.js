@@ -0,0 +1,79 @@
+/**
+ * Database Change Notifications - Publish/subscribe for writes to the costs database
+ * Delivers change events to listeners in this tab directly and to other tabs via BroadcastChannel
+ */
+
+// Channel name shared by every tab of the application
+const CHANNEL_NAME = 'costsdb-changes';
+
+// Listeners registered in this tab
+const listeners = new Set();
+
+// Lazily created channel (unavailable in very old browsers)
+let channel = null;
+
+/**
+ * Call every registered listener, isolating listener failures from each other
+ * @param {Object} change - Change event
+ */
+const dispatchChange = function (change) {
+    listeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch {
+            // Dropped on purpose: listeners only schedule reloads, and one that throws must neither
+            // stop the others nor fail the write that was already committed
+        }
+    });
+};
+
+/**
+ * Get the cross-tab channel, creating it and listening for other tabs on first use
+ * @returns {BroadcastChannel|null} Channel, or null when BroadcastChannel is not supported
+ */
+const getChannel = function () {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+
+        // Messages posted by other tabs are marked as remote
+        channel.onmessage = function (event) {
+            dispatchChange({ ...event.data, remote: true });
+        };
+    }
+    return channel;
+};
+
+/**
+ * Announce a committed write to listeners in this tab and in other tabs
+ * @param {Object} change - Change description
+ * @param {string} change.store - Object store that changed ('costs', 'income', 'settings', 'categories',
+ *     'budgets' or 'recurring')
+ * @param {string} change.type - Kind of write ('add', 'update', 'delete', 'put', 'import', 'recategorize',
+ *     'materialize' or 'recurring')
+ * @param {*} [change.key] - Key of the affected record
+ */
+export const notifyChange = function (change) {
+    // Notify this tab synchronously
+    dispatchChange({ ...change, remote: false });
+
+    // Notify other tabs (BroadcastChannel does not echo to the sender)
+    const broadcast = getChannel();
+    if (broadcast) {
+        broadcast.postMessage(change);
+    }
+};
+
+/**
+ * Subscribe to database changes made in this or any other tab
+ * @param {Function} listener - Called with { store, type, key, remote } for every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToChanges = function (listener) {
+    // Make sure remote changes are received even before this tab writes anything
+    getChannel();
+    listeners.add(listener);
+
+    return function () {
+        listeners.delete(listener);
+    };
+};
@@ -0,0 +1,225 @@
+/**
+ * Display Formatters - Locale-aware number, currency and date formatting
+ * Builds one set of formatting functions from the user's display preferences using the browser's Intl API,
+ * so every amount and date on screen follows the same locale, date format and currency symbol placement
+ */
+
+import { getCurrencyInfo } from './currencies';
+import { toDateInputValue } from './helperFunctions';
+import { DEFAULT_DISPLAY_PREFERENCES } from './constants';
+
+// Locales offered in Settings (an empty value follows the interface language)
+export const SUPPORTED_LOCALES = [
+    'en-US', 'en-GB', 'he-IL', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'ru-RU', 'ja-JP', 'hi-IN', 'pt-BR'
+];
+
+// Date formats: Intl date styles plus ISO 8601 (YYYY-MM-DD)
+export const DATE_FORMATS = ['short', 'medium', 'long', 'iso'];
+
+// Where the currency symbol goes relative to the amount: as the locale writes it, before or after
+export const SYMBOL_PLACEMENTS = ['locale', 'before', 'after'];
+
+// Non-breaking space between an amount and a symbol placed explicitly
+const NBSP = '\u00a0';
+
+/**
+ * Check that a locale tag is one the browser accepts
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {boolean} True for a well-formed tag
+ */
+const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length === 1;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Fill in defaults and drop unknown values from stored display preferences
+ * @param {Object} [preferences] - Stored preferences (possibly partial or from an older version)
+ * @returns {{locale: string, dateFormat: string, symbolPlacement: string}} Complete preferences
+ */
+export const normalizeDisplayPreferences = function (preferences) {
+    const stored = preferences && typeof preferences === 'object' ? preferences : {};
+    const locale = typeof stored.locale === 'string' && isValidLocale(stored.locale) ? stored.locale : '';
+
+    return {
+        locale,
+        dateFormat: DATE_FORMATS.includes(stored.dateFormat)
+            ? stored.dateFormat
+            : DEFAULT_DISPLAY_PREFERENCES.dateFormat,
+        symbolPlacement: SYMBOL_PLACEMENTS.includes(stored.symbolPlacement)
+            ? stored.symbolPlacement
+            : DEFAULT_DISPLAY_PREFERENCES.symbolPlacement
+    };
+};
+
+/**
+ * Name a locale in its own language, e.g. "עברית (ישראל)" for he-IL
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string} Display name (the tag itself when the browser has no name for it)
+ */
+export const getLocaleLabel = function (locale) {
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+    } catch {
+        return locale;
+    }
+};
+
+/**
+ * Build formatting functions for a set of display preferences
+ * Intl formatters are created lazily and reused for the lifetime of the returned object
+ * @param {Object} [preferences] - Display preferences ({locale, dateFormat, symbolPlacement})
+ * @param {string} [defaultLocale] - Locale used when the preferences name none (the browser's when omitted)
+ * @returns {Object} Formatter with preferences, locale, formatNumber, formatCurrency, formatPercent,
+ *                   formatDate, formatMonth and formatTimeAgo
+ */
+export const createFormatter = function (preferences, defaultLocale) {
+    const normalized = normalizeDisplayPreferences(preferences);
+    const { dateFormat, symbolPlacement } = normalized;
+
+    // Intl treats undefined as "the browser's locale"
+    const locales = normalized.locale || defaultLocale || undefined;
+    const locale = new Intl.NumberFormat(locales).resolvedOptions().locale;
+
+    // Cached Intl formatters keyed by kind and options
+    const cache = new Map();
+
+    /**
+     * Get a cached Intl formatter
+     * @param {Function} IntlFormat - Intl.NumberFormat, Intl.DateTimeFormat or Intl.RelativeTimeFormat
+     * @param {Object} options - Formatter options
+     * @returns {Object} Intl formatter
+     */
+    const getFormat = (IntlFormat, options) => {
+        const key = `${IntlFormat.name} ${JSON.stringify(options)}`;
+        if (!cache.has(key)) {
+            cache.set(key, new IntlFormat(locales, options));
+        }
+        return cache.get(key);
+    };
+
+    /**
+     * Format a plain number
+     * @param {number} value - Number to format
+     * @param {Object} [options] - Intl.NumberFormat options, e.g. { notation: 'compact' }
+     * @returns {string} Formatted number
+     */
+    const formatNumber = (value, options = {}) => {
+        return getFormat(Intl.NumberFormat, options).format(Number(value) || 0);
+    };
+
+    /**
+     * Format an amount with its currency symbol at the stored precision of the currency
+     * @param {number|null} amount - Amount in major units (null and NaN show as zero)
+     * @param {string} currency - ISO currency code
+     * @returns {string} Formatted amount, e.g. "₪12.50"
+     */
+    const formatCurrency = (amount, currency) => {
+        const value = Number(amount) || 0;
+        const { code, symbol, decimals } = getCurrencyInfo(currency);
+        const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+
+        let parts;
+        try {
+            parts = getFormat(Intl.NumberFormat, { style: 'currency', currency: code, ...digits }).formatToParts(value);
+        } catch {
+            // Codes the browser rejects still get their registry symbol
+            return `${symbol}${formatNumber(value, digits)}`;
+        }
+
+        if (symbolPlacement === 'locale') {
+            return parts.map(part => part.value).join('');
+        }
+
+        // Rebuild as sign, symbol and number in the chosen order (literals are the locale's spacing)
+        const sign = parts.filter(part => part.type === 'minusSign').map(part => part.value).join('');
+        const currencySymbol = parts.filter(part => part.type === 'currency').map(part => part.value).join('');
+        const number = parts
+            .filter(part => !['currency', 'literal', 'minusSign'].includes(part.type))
+            .map(part => part.value)
+            .join('');
+
+        if (symbolPlacement === 'before') {
+            // Letter symbols such as "CHF" need a space to stay readable
+            const separator = /\p{L}$/u.test(currencySymbol) ? NBSP : '';
+            return `${sign}${currencySymbol}${separator}${number}`;
+        }
+        return `${sign}${number}${NBSP}${currencySymbol}`;
+    };
+
+    /**
+     * Format a ratio as a percentage
+     * @param {number} ratio - Ratio such as 0.25
+     * @param {number} [fractionDigits=0] - Decimal places to show
+     * @returns {string} Formatted percentage, e.g. "25%"
+     */
+    const formatPercent = (ratio, fractionDigits = 0) => {
+        return formatNumber(ratio, {
+            style: 'percent',
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        });
+    };
+
+    /**
+     * Format a date in the preferred date format
+     * @param {Date|string} date - Date to format
+     * @returns {string} Formatted date ('' for invalid dates)
+     */
+    const formatDate = (date) => {
+        const value = new Date(date);
+        if (isNaN(value.getTime())) {
+            return '';
+        }
+        if (dateFormat === 'iso') {
+            return toDateInputValue(value);
+        }
+        return getFormat(Intl.DateTimeFormat, { dateStyle: dateFormat }).format(value);
+    };
+
+    /**
+     * Name a month in the display locale
+     * @param {number} month - Month index (0-11)
+     * @param {Object} [options] - { year, style } where style is 'long' (default) or 'short'
+     * @returns {string} Month name, with the year when given, e.g. "March 2025"
+     */
+    const formatMonth = (month, { year, style = 'long' } = {}) => {
+        const options = year === undefined ? { month: style } : { month: style, year: 'numeric' };
+        return getFormat(Intl.DateTimeFormat, options).format(new Date(year ?? 2000, month, 1));
+    };
+
+    /**
+     * Describe how long ago a moment was, e.g. "5 minutes ago"
+     * @param {Date} date - Past moment
+     * @returns {string} Relative time description ("now" within the current minute)
+     */
+    const formatTimeAgo = (date) => {
+        const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+        const format = getFormat(Intl.RelativeTimeFormat, { numeric: 'auto' });
+
+        if (minutes < 1) {
+            return format.format(0, 'second');
+        }
+        if (minutes < 60) {
+            return format.format(-minutes, 'minute');
+        }
+        if (minutes < 60 * 24) {
+            return format.format(-Math.floor(minutes / 60), 'hour');
+        }
+        return format.format(-Math.floor(minutes / (60 * 24)), 'day');
+    };
+
+    return {
+        preferences: normalized,
+        locale,
+        formatNumber,
+        formatCurrency,
+        formatPercent,
+        formatDate,
+        formatMonth,
+        formatTimeAgo
+    };
+};
@@ -1,102 +1,273 @@
 /**
  * Helper Functions - Centralized utilities for the Cost Manager application
- * Contains currency conversion, exchange rate fetching, and other shared utilities
+ * Contains currency conversion, form validation, and other shared utilities
+ * (exchange rates are loaded by the rates service, ratesService.js)
  */
 
-/**
- * Normalize rates object to handle EUR/EURO equivalence
- * The GitHub JSON uses "EURO" while the app uses "EUR"
- * @param {Object} rates - Exchange rates object from API
- * @returns {Object} Normalized rates with both EUR and EURO mappings
- */
-export const normalizeRates = function (rates) {
-    // Create copy to avoid mutating original rates object
-    const normalized = { ...rates };
-    
-    // Ensure EUR/EURO equivalence for API compatibility
-    if (normalized.EURO !== undefined && normalized.EUR === undefined) {
-        normalized.EUR = normalized.EURO;
-    }
-    if (normalized.EUR !== undefined && normalized.EURO === undefined) {
-        normalized.EURO = normalized.EUR;
-    }
-    return normalized;
-};
+import { convertMinorUnits, fromMinorUnits, getCurrencyDecimals, countDecimalPlaces, isDecimalAmount } from './money';
+import { fetchExchangeRates, fetchHistoricalRates, loadRates } from './ratesService';
+import { getApplicableOverrides, applyRateOverrides } from './rateOverrides';
+import { defaultTranslator } from '../i18n';
 
 /**
- * Convert amount from one currency to another using provided exchange rates
- * @param {number} amount - Amount to convert
+ * Convert an integer minor-unit amount to another currency using provided exchange rates
+ * @param {number} minor - Integer amount in the source currency's minor units
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
  * @param {Object} rates - Exchange rates object from API
- * @returns {number} Converted amount in target currency
+ * @returns {number|null} Integer amount in the target currency's minor units,
+ * or null when the amount is not an integer or a rate is missing
  */
-export const convertCurrency = function (amount, fromCurrency, toCurrency, rates) {
-    // Skip conversion if currencies are the same
-    if (fromCurrency === toCurrency) {
-        return amount;
+export const convertCurrencyMinor = function (minor, fromCurrency, toCurrency, rates) {
+    // Report a corrupt amount rather than counting it as zero
+    if (!Number.isInteger(minor)) {
+        return null;
     }
 
-    // Validate amount is a valid number
-    if (typeof amount !== 'number' || isNaN(amount)) {
-        return 0;
+    // Same-currency amounts need no rates
+    if (fromCurrency === toCurrency) {
+        return minor;
     }
 
-    // Apply EUR/EURO normalization for API compatibility
-    const normalizedRates = normalizeRates(rates);
+    // Report missing exchange rates instead of passing the amount through unconverted
+    const fromRate = rates ? rates[fromCurrency] : undefined;
+    const toRate = rates ? rates[toCurrency] : undefined;
+    if (fromRate === undefined || toRate === undefined) {
+        return null;
+    }
 
-    // Extract exchange rates for source and target currencies
-    const fromRate = normalizedRates[fromCurrency];
-    const toRate = normalizedRates[toCurrency];
+    return convertMinorUnits(minor, fromCurrency, toCurrency, fromRate, toRate);
+};
 
-    // Handle missing exchange rates gracefully
-    if (fromRate === undefined || toRate === undefined) {
-        return amount; // Return original amount as fallback
+/**
+ * Load historical rates for every distinct cost date when a historical source is configured
+ * Dates whose rates cannot be loaded are left out so their costs fall back to other rate sources
+ * @param {Object} db - Database wrapper instance
+ * @param {Array} costs - Costs to be converted
+ * @param {string|null} urlTemplate - Historical rates URL template, or null when not configured
+ * @returns {Promise<Object>} Rates objects keyed by YYYY-MM-DD
+ */
+const fetchHistoricalRatesForCosts = async function (db, costs, urlTemplate) {
+    if (!urlTemplate) {
+        return {};
     }
 
-    // Convert via USD (base currency) then to target currency
-    const usdAmount = amount / fromRate;
-    return usdAmount * toRate;
+    const dateKeys = [...new Set(costs.map(cost => toDateInputValue(new Date(cost.date))))];
+    const entries = await Promise.all(dateKeys.map(dateKey =>
+        fetchHistoricalRates(db, urlTemplate, dateKey)
+            .then(rates => [dateKey, rates])
+            .catch(() => [dateKey, null])
+    ));
+    return Object.fromEntries(entries.filter(([, rates]) => rates));
+};
+
+/**
+ * Check whether a rates object can convert between two currencies
+ * @param {Object|null} rates - Exchange rates object
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @returns {boolean} True when both rates are present
+ */
+const canConvert = function (rates, fromCurrency, toCurrency) {
+    return Boolean(rates) && rates[fromCurrency] !== undefined && rates[toCurrency] !== undefined;
 };
 
 /**
  * Fetch exchange rates from database settings and convert cost amounts to target currency
- * Handles the complete flow: get custom URL from settings -> fetch rates -> convert costs
+ * Each cost is converted at the rate of its own date: historical rates for the cost date when a
+ * historical source is configured, otherwise the rates snapshotted when the cost was added or re-dated,
+ * otherwise the latest rates (fetched or reused from cache within the TTL). Manual overrides for the
+ * cost date are applied on top of whichever rates are used and take precedence over them.
+ * Costs that no rate can convert are reported with rateSource 'missing' instead of being passed through.
  * @param {Object} db - Database wrapper instance with getExchangeRatesUrl method
  * @param {Array} costs - Array of cost objects to convert
- * @param {string} currency - Target currency code (USD, EUR, GBP, ILS, EURO)
- * @returns {Array} Costs array with added convertedAmount property for each cost
+ * @param {string} currency - Target ISO currency code (e.g. USD, EUR, ILS)
+ * @param {Object|null} [preloadedRates] - Result of loadRates shared by several conversions; loaded here when omitted
+ * @returns {Array} Costs array with added convertedMinor (integer, 0 when missing), convertedAmount (null when
+ * missing), exchangeRate (target units per source unit, or null) and rateSource ('historical', 'snapshot',
+ * 'latest', 'override', 'none' for costs already in the target currency, or 'missing') properties
  */
-export const fetchAndConvertWithUrl = async function (db, costs, currency) {
+export const fetchAndConvertWithUrl = async function (db, costs, currency, preloadedRates = null) {
     // Early return for empty or invalid cost arrays
     if (!costs || costs.length === 0) {
         return [];
     }
 
-    // Retrieve exchange rate API URL from database settings
-    const exchangeUrl = await db.getExchangeRatesUrl();
-    
-    // Fetch current exchange rates from configured API endpoint
-    const response = await fetch(exchangeUrl);
+    // Without preloaded rates the latest rates are fetched below, only if some cost needs them
+    const { latest, latestError, overrides, historicalTemplate } = preloadedRates
+        || await loadRates(db, { includeLatest: false });
+    const historicalRates = await fetchHistoricalRatesForCosts(db, costs, historicalTemplate);
+
+    /**
+     * Find the first rates source that can convert a cost once the overrides for its date are applied
+     * @param {Object} cost - Cost to convert
+     * @param {Array<{rates: Object|null, source: string}>} candidates - Rates sources in order of preference
+     * @returns {{rates: Object, source: string}|null} Effective rates and their source, or null
+     */
+    const resolveRates = (cost, candidates) => {
+        const dateOverrides = getApplicableOverrides(overrides, toDateInputValue(new Date(cost.date)));
+        for (const candidate of candidates) {
+            if (!candidate.rates) {
+                continue;
+            }
+            const { rates, overridden } = applyRateOverrides(candidate.rates, dateOverrides);
+            if (canConvert(rates, cost.currency, currency)) {
+                const pinned = overridden.has(cost.currency) || overridden.has(currency);
+                return { rates, source: pinned ? 'override' : candidate.source };
+            }
+        }
+        return null;
+    };
 
-    // Handle HTTP errors from exchange rate API
-    if (!response.ok) {
-        throw new Error(`Failed to fetch exchange rates: HTTP ${response.status}`);
+    // Pick the dated rates available for each cost; costs already in the target currency need none
+    const datedRates = costs.map(cost => (cost.currency === currency
+        ? { rates: null, source: 'none' }
+        : resolveRates(cost, [
+            { rates: historicalRates[toDateInputValue(new Date(cost.date))], source: 'historical' },
+            { rates: cost.exchangeRates || null, source: 'snapshot' }
+        ])));
+
+    // Latest rates are only needed for costs without dated rates
+    let latestRates = null;
+    if (datedRates.some(dated => !dated)) {
+        if (latestError) {
+            throw latestError;
+        }
+        latestRates = latest || await fetchExchangeRates(db);
     }
 
-    // Parse JSON response from exchange rate API
-    const rates = await response.json();
+    // Apply currency conversion to each cost's minor units, rounding once per cost
+    return costs.map((cost, index) => {
+        const { rates, source } = datedRates[index]
+            || resolveRates(cost, [{ rates: latestRates, source: 'latest' }, { rates: {}, source: 'override' }])
+            || { rates: null, source: 'missing' };
+        const convertedMinor = convertCurrencyMinor(cost.sumMinor, cost.currency, currency, rates);
+
+        let exchangeRate = null;
+        if (source === 'none') {
+            exchangeRate = 1;
+        } else if (canConvert(rates, cost.currency, currency)) {
+            exchangeRate = rates[currency] / rates[cost.currency];
+        }
+
+        return {
+            ...cost,
+            convertedMinor: convertedMinor === null ? 0 : convertedMinor,
+            convertedAmount: convertedMinor === null ? null : fromMinorUnits(convertedMinor, currency),
+            exchangeRate,
+            rateSource: source
+        };
+    });
+};
 
-    // Validate response format before processing
-    if (!rates || typeof rates !== 'object') {
-        throw new Error('Invalid exchange rates format received from server');
+/**
+ * List the currencies of converted costs that could not be converted for lack of a rate
+ * @param {Array} convertedCosts - Result of fetchAndConvertWithUrl
+ * @returns {Array<string>} Distinct currency codes, sorted
+ */
+export const getMissingRateCurrencies = function (convertedCosts) {
+    return [...new Set(convertedCosts
+        .filter(cost => cost.rateSource === 'missing')
+        .map(cost => cost.currency))].sort();
+};
+
+/**
+ * Validate cost form values shared by the add form and the edit dialog
+ * Checks amount (including the currency's decimal precision), category, date, and description
+ * @param {Object} formData - Raw form values (sum as string, currency, category, date as YYYY-MM-DD, description)
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {Object} Map of field name to error message, empty when all fields are valid
+ */
+export const validateCostForm = function (formData, t = defaultTranslator) {
+    const errors = {};
+
+    // Validate amount field - must be a plain positive decimal within limits
+    const sumValue = parseFloat(formData.sum);
+    if (!formData.sum || !isDecimalAmount(formData.sum) || isNaN(sumValue) || sumValue <= 0) {
+        errors.sum = t('validation.amountRequired');
+    } else if (sumValue > 999999999) {
+        errors.sum = t('validation.amountTooLarge');
+    } else if (countDecimalPlaces(formData.sum) > getCurrencyDecimals(formData.currency)) {
+        errors.sum = t('validation.amountDecimals', { currency: formData.currency, decimals: getCurrencyDecimals(formData.currency) });
+    }
+
+    // Validate category selection - required field
+    if (!formData.category) {
+        errors.category = t('validation.categoryRequired');
+    }
+
+    // Validate date - required, parseable, and not later than today
+    const dateValue = parseDateInput(formData.date);
+    if (!formData.date || !dateValue) {
+        errors.date = t('validation.dateRequired');
+    } else if (formData.date > toDateInputValue(new Date())) {
+        errors.date = t('validation.dateInFuture');
+    }
+
+    // Validate description - required field with length limit
+    const trimmedDescription = formData.description.trim();
+    if (!trimmedDescription) {
+        errors.description = t('validation.descriptionRequired');
+    } else if (trimmedDescription.length > 500) {
+        errors.description = t('validation.descriptionTooLong');
+    }
+
+    return errors;
+};
+
+/**
+ * Format a date as the YYYY-MM-DD value used by date input fields (local time)
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date input value
+ */
+export const toDateInputValue = function (date) {
+    const value = new Date(date);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD date input value as a local date
+ * Keeps the current time of day so costs entered on the same day stay in entry order
+ * @param {string} value - Date input value
+ * @returns {Date|null} Parsed date, or null if the value is not a valid date
+ */
+export const parseDateInput = function (value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        return null;
     }
 
-    // Apply currency conversion to each cost and add convertedAmount
-    return costs.map(cost => ({
-        ...cost,
-        convertedAmount: convertCurrency(cost.sum, cost.currency, currency, rates)
-    }));
+    // Build the date in local time (new Date('YYYY-MM-DD') would be parsed as UTC midnight)
+    const now = new Date();
+    const date = new Date(
+        Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+        now.getHours(), now.getMinutes(), now.getSeconds()
+    );
+
+    // Reject overflowing values such as 2025-02-31
+    if (date.getMonth() !== Number(match[2]) - 1) {
+        return null;
+    }
+    return date;
 };
 
+/**
+ * Trigger a browser download for generated file content
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = function (blob, filename) {
+    // Create a temporary object URL and click a hidden link to start the download
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
 
+    // Clean up the link and release the object URL
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
@@ -1,47 +1,572 @@
 /**
  * IndexedDB Database Wrapper for Cost Manager Application
- * Provides Promise-based interface for storing costs and settings in browser's IndexedDB
+ * Provides Promise-based interface for storing costs, income and settings in browser's IndexedDB
+ * Amounts are stored as integer minor units (sumMinor) and returned with a major-unit sum
  * Supports currency conversion with dynamic exchange rates
  */
 
-import { fetchAndConvertWithUrl } from './helperFunctions';
+import { fetchAndConvertWithUrl, getMissingRateCurrencies, toDateInputValue, parseDateInput } from './helperFunctions';
+import { snapshotExchangeRates, loadRates } from './ratesService';
 import { DEFAULT_EXCHANGE_URL } from './constants';
+import { runMigrations, LATEST_SCHEMA_VERSION } from './migrations';
+import { notifyChange } from './dbChanges';
+import { toMinorUnits, fromMinorUnits, sumMinorUnits } from './money';
+import { normalizeCurrencyCode } from './currencies';
+import {
+    createCategoryRecord,
+    findCategoryByName,
+    normalizeCategoryName,
+    checkCategoryParent,
+    getParentCategoryName,
+    sumCostsByCategory
+} from './categories';
+import {
+    createBudgetRecord,
+    isBudgetPeriod,
+    getEffectiveBudgets,
+    countsTowardBudget,
+    getBudgetStatus
+} from './budgets';
+import { getDueOccurrences, createRecurringFields, startOfDay } from './recurring';
+import { getSavingsRate } from './income';
+import {
+    BACKUP_FORMAT,
+    BACKUP_FORMAT_VERSION,
+    BACKUP_STORES,
+    validateBackup,
+    normalizeBackupCost,
+    normalizeBackupSetting,
+    normalizeBackupCategory,
+    normalizeBackupBudget,
+    normalizeBackupRecurring,
+    normalizeBackupIncome,
+    getRecurringSignature,
+    getIncomeSignature,
+    getCostSignature
+} from './backup';
+
+// Database name shared by every part of the application
+export const DB_NAME = 'costsdb';
+
+// Current schema version - bump by adding a migration in migrations.js
+export const DB_VERSION = LATEST_SCHEMA_VERSION;
+
+// Recurring definition fields that may be changed through updateRecurring
+const EDITABLE_RECURRING_FIELDS = ['sumMinor', 'currency', 'category', 'description', 'frequency', 'dayOfMonth', 'startDate', 'endDate'];
+
+// Cost fields that may be changed after creation through updateCost (amounts are handled separately)
+const EDITABLE_COST_FIELDS = ['currency', 'category', 'description', 'date'];
 
 /**
- * Opens and initializes the costs database with object stores
- * @param {string} databaseName - Name of the IndexedDB database
- * @param {number} databaseVersion - Version number for database schema
+ * Convert a stored cost record into the shape returned to callers
+ * Adds the IndexedDB key as id and the major-unit sum derived from the stored integer sumMinor
+ * @param {Object} record - Stored cost record
+ * @param {number} key - IndexedDB key of the record
+ * @returns {Object} Cost with id, sum and sumMinor
+ */
+const fromStoredCost = function (record, key) {
+    return {
+        ...record,
+        id: key,
+        sum: fromMinorUnits(record.sumMinor, record.currency)
+    };
+};
+
+/**
+ * Build the stored record for a new cost
+ * Dates default to the current timestamp; amounts are stored as integer minor units of their currency
+ * @param {Object} cost - Cost with sum (major units) or sumMinor, currency, category, description and optional date
+ * @param {Object|null} exchangeRates - Rates snapshot used to convert this cost later, or null when unavailable
+ *     (stored with exchangeRatesDate, the day it was taken; back-dated costs use it behind historical rates)
+ * @returns {Object} Cost record ready to be added to the costs store
+ * @throws {Error} When the date or amount is invalid
+ */
+const toStoredCost = function (cost, exchangeRates) {
+    const date = cost.date ? new Date(cost.date) : new Date();
+    if (isNaN(date.getTime())) {
+        throw new Error('Invalid cost date');
+    }
+
+    const record = {
+        sumMinor: cost.sumMinor !== undefined ? cost.sumMinor : toMinorUnits(cost.sum, cost.currency),
+        currency: normalizeCurrencyCode(cost.currency),
+        category: cost.category,
+        description: cost.description,
+        date
+    };
+    if (exchangeRates) {
+        record.exchangeRates = exchangeRates;
+        record.exchangeRatesDate = toDateInputValue(new Date());
+    }
+    return record;
+};
+
+/**
+ * Build the stored record for a new income entry
+ * Stored like a cost (see toStoredCost) with the income source in place of the category
+ * @param {Object} income - Income with sum (major units) or sumMinor, currency, source, description and optional date
+ * @param {Object|null} exchangeRates - Rates snapshot used to convert this entry later, or null when unavailable
+ * @returns {Object} Income record ready to be added to the income store
+ * @throws {Error} When the date or amount is invalid
+ */
+const toStoredIncome = function (income, exchangeRates) {
+    const { category: _category, ...record } = toStoredCost(income, exchangeRates);
+    return { ...record, source: income.source };
+};
+
+/**
+ * Sum converted records per calendar month
+ * @param {Array<Object>} convertedRecords - Result of fetchAndConvertWithUrl for one year
+ * @returns {Array<number>} Twelve totals in minor units of the target currency (index 0 is January)
+ */
+const sumMinorByMonth = function (convertedRecords) {
+    const totals = new Array(12).fill(0);
+    convertedRecords.forEach(record => {
+        totals[new Date(record.date).getMonth()] += record.convertedMinor;
+    });
+    return totals;
+};
+
+/**
+ * Shape converted costs into pie chart entries at one category level
+ * @param {Array<Object>} convertedCosts - Result of fetchAndConvertWithUrl
+ * @param {Array<Object>} categories - Category records (for the top-level roll-up)
+ * @param {string} level - 'category' or 'parent' (see CATEGORY_LEVELS)
+ * @param {string} currency - Currency the costs were converted to
+ * @returns {Array<{category: string, parent: string, amount: number, currency: string}>} Totals per category
+ */
+const toCategoryChartData = function (convertedCosts, categories, level, currency) {
+    return sumCostsByCategory(convertedCosts, categories, level).map(item => ({
+        category: item.category,
+        parent: item.parent,
+        amount: fromMinorUnits(item.totalMinor, currency),
+        currency
+    }));
+};
+
+/**
+ * Get the [start, end) date bounds of a calendar month in local time
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12)
+ * @returns {{start: Date, end: Date}} First moment of the month and first moment of the next month
+ */
+const getMonthRange = function (year, month) {
+    return {
+        start: new Date(year, month - 1, 1),
+        end: new Date(year, month, 1)
+    };
+};
+
+/**
+ * Read costs dated within [start, end) using the date index instead of scanning the whole store
+ * @param {IDBDatabase} db - Open database connection
+ * @param {Date} start - Inclusive lower bound
+ * @param {Date} end - Exclusive upper bound
+ * @param {string} [storeName='costs'] - Store to read ('income' entries share the record shape)
+ * @returns {Promise<Array>} Costs in date order with their IndexedDB key as id
+ */
+const getCostsInDateRange = function (db, start, end, storeName = 'costs') {
+    return new Promise((resolve, reject) => {
+        // Create read-only transaction over the date index
+        const transaction = db.transaction([storeName], 'readonly');
+        const index = transaction.objectStore(storeName).index('date');
+        const request = index.openCursor(IDBKeyRange.bound(start, end, false, true));
+        const costs = [];
+
+        request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (cursor) {
+                // Index cursors expose the record key as primaryKey
+                costs.push(fromStoredCost(cursor.value, cursor.primaryKey));
+                cursor.continue();
+            } else {
+                resolve(costs);
+            }
+        };
+
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
+/**
+ * Collect the records of an object store, or of an index range, together with their keys
+ * @param {IDBObjectStore|IDBIndex} store - Store or index within an active transaction
+ * @param {IDBKeyRange} [range] - Only read records whose (index) key falls in this range
+ * @returns {Promise<Array<{key: *, value: Object}>>} Entries in key order, keyed by their primary key
+ */
+const readStoreEntries = function (store, range) {
+    return new Promise((resolve, reject) => {
+        const request = store.openCursor(range);
+        const entries = [];
+
+        request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (cursor) {
+                // Index cursors expose the record key as primaryKey (equal to key on store cursors)
+                entries.push({ key: cursor.primaryKey, value: cursor.value });
+                cursor.continue();
+            } else {
+                resolve(entries);
+            }
+        };
+
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
+/**
+ * Move every cost of one category to another through the category index
+ * @param {IDBObjectStore} costsStore - Costs store within an active readwrite transaction
+ * @param {string} fromName - Current category name
+ * @param {string} toName - New category name
+ * @returns {Promise<number>} Number of costs rewritten
+ */
+const recategorizeCosts = function (costsStore, fromName, toName) {
+    return new Promise((resolve, reject) => {
+        const request = costsStore.index('category').openCursor(IDBKeyRange.only(fromName));
+        let count = 0;
+
+        request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (cursor) {
+                // The rewritten record leaves the key range, so the cursor moves on to the next match
+                cursor.update({ ...cursor.value, category: toName });
+                count += 1;
+                cursor.continue();
+            } else {
+                resolve(count);
+            }
+        };
+
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
+/**
+ * Move the budgets of one category to another
+ * Where both categories have a budget for the same period the target keeps its own and the other is dropped
+ * @param {IDBObjectStore} budgetsStore - Budgets store within an active readwrite transaction
+ * @param {string} fromName - Current category name
+ * @param {string} toName - New category name
+ * @returns {Promise<number>} Number of budgets moved or dropped
+ */
+const moveBudgets = async function (budgetsStore, fromName, toName) {
+    const budgets = (await readStoreEntries(budgetsStore)).map(entry => entry.value);
+    const targetPeriods = new Set(budgets.filter(budget => budget.category === toName).map(budget => budget.period));
+    const sourceBudgets = budgets.filter(budget => budget.category === fromName);
+
+    sourceBudgets.forEach(budget => {
+        if (targetPeriods.has(budget.period)) {
+            budgetsStore.delete(budget.id);
+        } else {
+            budgetsStore.put({ ...budget, category: toName });
+        }
+    });
+    return sourceBudgets.length;
+};
+
+/**
+ * Key range of the date index spanning the dates of a set of records
+ * @param {Array<Object>} records - Records with a Date date (at least one)
+ * @returns {IDBKeyRange} Range from the earliest to the latest date, both inclusive
+ */
+const getDateSpan = function (records) {
+    const times = records.map(record => new Date(record.date).getTime());
+    const first = times.reduce((min, time) => Math.min(min, time));
+    const last = times.reduce((max, time) => Math.max(max, time));
+    return IDBKeyRange.bound(new Date(first), new Date(last));
+};
+
+/**
+ * Point the recurring definitions of one category at another
+ * The recurring store has no category index, so every definition is read
+ * @param {IDBObjectStore} recurringStore - Recurring store within an active readwrite transaction
+ * @param {string} fromName - Current category name
+ * @param {string} toName - New category name
+ * @returns {Promise<number>} Number of definitions rewritten
+ */
+const recategorizeRecurring = async function (recurringStore, fromName, toName) {
+    const definitions = (await readStoreEntries(recurringStore)).map(entry => entry.value);
+    const matches = definitions.filter(definition => definition.category === fromName);
+    matches.forEach(definition => recurringStore.put({ ...definition, category: toName }));
+    return matches.length;
+};
+
+/**
+ * Add one record to a store and wait for the key it was given
+ * @param {IDBObjectStore} store - Store within an active readwrite transaction
+ * @param {Object} record - Record without a key (the store generates one)
+ * @returns {Promise<number>} Generated key
+ */
+const addRecord = function (store, record) {
+    return new Promise((resolve, reject) => {
+        const request = store.add(record);
+        request.onsuccess = function (event) {
+            resolve(event.target.result);
+        };
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
+/**
+ * Add a category record for every cost category name the categories store does not know yet
+ * @param {IDBObjectStore} categoriesStore - Categories store within an active readwrite transaction
+ * @param {Array<string>} names - Category names used by costs
+ * @returns {Promise<number>} Number of records queued
+ */
+const addMissingCategories = async function (categoriesStore, names) {
+    const categories = (await readStoreEntries(categoriesStore)).map(entry => entry.value);
+    let added = 0;
+    names.forEach(name => {
+        if (typeof name === 'string' && !categories.some(category => category.name === name)) {
+            const record = createCategoryRecord(name, categories.length);
+            categories.push(record);
+            categoriesStore.add(record);
+            added += 1;
+        }
+    });
+    return added;
+};
+
+/**
+ * Opens the costs database, running any pending schema migrations first
+ * @param {string} [databaseName=DB_NAME] - Name of the IndexedDB database
+ * @param {number} [databaseVersion=DB_VERSION] - Version number for database schema
+ * @param {Object} [options] - Connection lifecycle callbacks
+ * @param {Function} [options.onVersionChange] - Called after the connection was closed because another tab upgrades or deletes the database
+ * @param {Function} [options.onClose] - Called when the browser closes the connection unexpectedly
+ * @param {Function} [options.onBlocked] - Called when this upgrade waits for other tabs to close their connections
  * @returns {Promise<Object>} Database wrapper object with CRUD operations
  */
-export const openCostsDB = async function (databaseName, databaseVersion) {
+export const openCostsDB = async function (databaseName = DB_NAME, databaseVersion = DB_VERSION, options = {}) {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(databaseName, databaseVersion);
 
+        // Error raised by a failing migration, reported instead of the generic AbortError
+        let migrationError = null;
+
         request.onsuccess = function (event) {
             const db = event.target.result;
 
+            // Release the connection so another tab's upgrade is not blocked, then let the owner reconnect
+            db.onversionchange = function () {
+                db.close();
+                if (options.onVersionChange) {
+                    options.onVersionChange();
+                }
+            };
+
+            // Connection closed by the browser (e.g. site data cleared)
+            db.onclose = function () {
+                if (options.onClose) {
+                    options.onClose();
+                }
+            };
+
             const dbWrapper = {
-                /** Add a new cost entry to the database with current timestamp */
+                /** Close the underlying IndexedDB connection */
+                close: function () {
+                    db.close();
+                },
+                /**
+                 * Add a new cost (amount as sum in major units or integer sumMinor), dated today unless cost.date is provided
+                 * The current exchange rates are stored with the cost so later reports convert it at the same rate
+                 */
                 addCost: async function (cost) {
+                    // Snapshot rates before opening the transaction (fetching would let it auto-commit)
+                    const exchangeRates = await snapshotExchangeRates(dbWrapper);
+
                     return new Promise((resolve, reject) => {
                         // Create transaction for writing to costs store
                         const transaction = db.transaction(['costs'], 'readwrite');
                         const store = transaction.objectStore('costs');
 
-                        // Add current timestamp to cost object
-                        const costWithDate = {
-                            sum: cost.sum,
-                            currency: cost.currency,
-                            category: cost.category,
-                            description: cost.description,
-                            date: new Date()
-                        };
+                        // Build stored cost object with its date and minor-unit amount
+                        let costWithDate;
+                        try {
+                            costWithDate = toStoredCost(cost, exchangeRates);
+                        } catch (error) {
+                            reject(error);
+                            return;
+                        }
 
                         // Add cost to IndexedDB store
                         const request = store.add(costWithDate);
 
                         request.onsuccess = function (event) {
-                            resolve(costWithDate);
+                            resolve(fromStoredCost(costWithDate, event.target.result));
+                        };
+
+                        // Announce the new cost once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'costs', type: 'add', key: request.result });
+                        };
+
+                        request.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+                /**
+                 * Add many costs in a single transaction (used by CSV import)
+                 * Costs identical to one already stored are skipped; identical rows within the batch are all added
+                 */
+                addCosts: async function (costs) {
+                    // Validate every cost up front so a bad row never leaves a partial import
+                    const exchangeRates = await snapshotExchangeRates(dbWrapper);
+                    const records = costs.map(cost => toStoredCost(cost, exchangeRates));
+                    if (records.length === 0) {
+                        return { imported: 0, skipped: 0 };
+                    }
+
+                    const result = await new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['costs'], 'readwrite');
+                        const store = transaction.objectStore('costs');
+                        const counts = { imported: 0, skipped: 0 };
+
+                        const writeRecords = async function () {
+                            // A duplicate shares its date with a batch row, so only the batch's date span is read
+                            const existingCosts = await readStoreEntries(store.index('date'), getDateSpan(records));
+                            const signatures = new Set(existingCosts.map(entry => getCostSignature(entry.value)));
+                            records.forEach(record => {
+                                if (signatures.has(getCostSignature(record))) {
+                                    counts.skipped += 1;
+                                    return;
+                                }
+                                store.add(record);
+                                counts.imported += 1;
+                            });
+                        };
+
+                        writeRecords().catch(error => {
+                            transaction.abort();
+                            reject(error);
+                        });
+
+                        transaction.oncomplete = function () {
+                            resolve(counts);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+
+                    // Announce the batch once as a single change
+                    if (result.imported > 0) {
+                        notifyChange({ store: 'costs', type: 'import' });
+                    }
+                    return result;
+                },
+                /** Update editable fields of an existing cost entry identified by its IndexedDB key */
+                updateCost: async function (id, changes) {
+                    // Rates for a cost moved to another day are taken before the transaction (fetching would let it auto-commit)
+                    const exchangeRates = changes.date !== undefined ? await snapshotExchangeRates(dbWrapper) : null;
+
+                    return new Promise((resolve, reject) => {
+                        // Create transaction for reading and writing the costs store
+                        const transaction = db.transaction(['costs'], 'readwrite');
+                        const store = transaction.objectStore('costs');
+                        const getRequest = store.get(id);
+
+                        getRequest.onsuccess = function (event) {
+                            const existingCost = event.target.result;
+
+                            // Reject if no cost is stored under this key
+                            if (!existingCost) {
+                                reject(new Error(`Cost with id ${id} not found`));
+                                return;
+                            }
+
+                            // Merge only editable fields so the stored key stays intact
+                            const updatedCost = { ...existingCost };
+                            EDITABLE_COST_FIELDS.forEach(field => {
+                                if (changes[field] !== undefined) {
+                                    updatedCost[field] = changes[field];
+                                }
+                            });
+
+                            // Store ISO currency codes and Date objects so indexes and conversions stay consistent
+                            updatedCost.currency = normalizeCurrencyCode(updatedCost.currency);
+                            updatedCost.date = new Date(updatedCost.date);
+                            if (isNaN(updatedCost.date.getTime())) {
+                                reject(new Error('Invalid cost date'));
+                                return;
+                            }
+
+                            // A snapshot belongs to the day it was taken; a cost moved off that day gets the current
+                            // rates instead (exact when moved to today, a fallback like a back-dated new cost otherwise)
+                            const oldDay = toDateInputValue(existingCost.date);
+                            const newDay = toDateInputValue(updatedCost.date);
+                            if (newDay !== oldDay && newDay !== existingCost.exchangeRatesDate) {
+                                delete updatedCost.exchangeRates;
+                                delete updatedCost.exchangeRatesDate;
+                                if (exchangeRates) {
+                                    updatedCost.exchangeRates = exchangeRates;
+                                    updatedCost.exchangeRatesDate = toDateInputValue(new Date());
+                                }
+                            }
+
+                            // Recompute minor units from the new amount, or rescale the old amount to a new currency
+                            try {
+                                if (changes.sumMinor !== undefined) {
+                                    updatedCost.sumMinor = changes.sumMinor;
+                                } else {
+                                    const sum = changes.sum !== undefined
+                                        ? changes.sum
+                                        : fromMinorUnits(existingCost.sumMinor, existingCost.currency);
+                                    updatedCost.sumMinor = toMinorUnits(sum, updatedCost.currency);
+                                }
+                            } catch (error) {
+                                reject(error);
+                                return;
+                            }
+
+                            // Write the merged cost back under the same key
+                            const putRequest = store.put(updatedCost, id);
+
+                            putRequest.onsuccess = function () {
+                                resolve(fromStoredCost(updatedCost, id));
+                            };
+
+                            putRequest.onerror = function (event) {
+                                reject(event.target.error);
+                            };
+                        };
+
+                        // Announce the update once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'costs', type: 'update', key: id });
+                        };
+
+                        getRequest.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+                /** Delete a cost entry by its IndexedDB key */
+                deleteCost: async function (id) {
+                    return new Promise((resolve, reject) => {
+                        // Create transaction for writing to costs store
+                        const transaction = db.transaction(['costs'], 'readwrite');
+                        const store = transaction.objectStore('costs');
+                        const request = store.delete(id);
+
+                        request.onsuccess = function () {
+                            resolve(id);
+                        };
+
+                        // Announce the deletion once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'costs', type: 'delete', key: id });
                         };
 
                         request.onerror = function (event) {
@@ -61,10 +586,8 @@ export const openCostsDB = async function (databaseName, databaseVersion) {
                         request.onsuccess = function (event) {
                             const cursor = event.target.result;
                             if (cursor) {
-                                // Extract cost data and add IndexedDB key as id
-                                const cost = cursor.value; // Get the cost data
-                                cost.id = cursor.key; // Add IndexedDB auto-generated key as id property
-                                costs.push(cost);
+                                // Add IndexedDB auto-generated key as id and the major-unit sum
+                                costs.push(fromStoredCost(cursor.value, cursor.key));
                                 cursor.continue(); // Move to next record
                             } else {
                                 resolve(costs); // No more records, return all costs with IDs
@@ -76,189 +599,941 @@ export const openCostsDB = async function (databaseName, databaseVersion) {
                         };
                     });
                 },
-                /** Filter costs by specific month and year */
+                /** Retrieve costs of a specific month (0-11) and year through the date index */
                 getCostsByMonth: async function (month, year) {
                     try {
-                        // Get all costs from database
-                        const allCosts = await this.getAllCosts();
-                        // Filter by matching month and year
-                        return allCosts.filter(cost => {
-                            const costDate = new Date(cost.date);
-                            return costDate.getMonth() === month && costDate.getFullYear() === year;
-                        });
+                        // Read only the records dated within the selected month
+                        const { start, end } = getMonthRange(year, month + 1);
+                        return await getCostsInDateRange(db, start, end);
                     } catch (error) {
                         throw new Error(`Error getting costs by month: ${error.message}`);
                     }
                 },
-                /** Generate monthly report with currency-converted costs and total */
-                getReport: async function (year, month, currency) {
-                    return new Promise(async (resolve, reject) => {
-                        try {
-                            // Create read-only transaction
-                            const transaction = db.transaction(['costs'], 'readonly');
-                            const store = transaction.objectStore('costs');
-                            const request = store.getAll();
-
-                            request.onsuccess = async function (event) {
-                                try {
-                                    const allCosts = event.target.result;
-
-                                    // Filter costs by specified year and month
-                                    const filteredCosts = allCosts.filter(cost => {
-                                        const costDate = new Date(cost.date);
-                                        return costDate.getFullYear() === year &&
-                                            costDate.getMonth() + 1 === month;
-                                    });
+                /** Retrieve costs of one category through the category index, optionally limited to a date range */
+                getCostsByCategory: async function (category, start, end) {
+                    return new Promise((resolve, reject) => {
+                        // Create read-only transaction over the category index
+                        const transaction = db.transaction(['costs'], 'readonly');
+                        const index = transaction.objectStore('costs').index('category');
+                        const request = index.openCursor(IDBKeyRange.only(category));
+                        const costs = [];
 
-                                    // Format costs for report output
-                                    const reportCosts = filteredCosts.map(cost => ({
-                                        sum: cost.sum,
-                                        currency: cost.currency,
-                                        category: cost.category,
-                                        description: cost.description,
-                                        date: { day: new Date(cost.date).getDate() }
-                                    }));
-
-                                    // Convert costs to target currency
-                                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, filteredCosts, currency);
-
-                                    // Calculate total amount in target currency
-                                    const total = costsWithConverted.reduce((sum, cost) => {
-                                        return sum + cost.convertedAmount;
-                                    }, 0);
-
-                                    // Build final report object
-                                    const report = {
-                                        year,
-                                        month,
-                                        costs: reportCosts,
-                                        total: { currency, total: Math.round(total * 100) / 100 }
-                                    };
-                                    resolve(report);
-                                }
+                        request.onsuccess = function (event) {
+                            const cursor = event.target.result;
+                            if (cursor) {
+                                const costDate = new Date(cursor.value.date);
 
-                                catch (error) {
-                                    reject(error);
+                                // Keep costs inside the optional [start, end) date window
+                                if ((!start || costDate >= start) && (!end || costDate < end)) {
+                                    costs.push(fromStoredCost(cursor.value, cursor.primaryKey));
                                 }
-                            };
+                                cursor.continue();
+                            } else {
+                                resolve(costs);
+                            }
+                        };
 
-                            request.onerror = function (event) {
-                                reject(event.target.error);
+                        request.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+                /**
+                 * Generate monthly report with currency-converted costs and total
+                 * rates is an optional loadRates result shared with other views of the same screen
+                 * level ('category' or 'parent') sets how the categoryTotals breakdown is grouped
+                 */
+                getReport: async function (year, month, currency, rates = null, level = 'category') {
+                    // Read only the selected month through the date index
+                    const { start, end } = getMonthRange(year, month);
+                    const monthCosts = await getCostsInDateRange(db, start, end);
+                    const categories = await dbWrapper.getCategories();
+
+                    // Convert costs to target currency
+                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, monthCosts, currency, rates);
+
+                    // Format costs for report output, keeping the converted amount and the rate used for exports
+                    const reportCosts = costsWithConverted.map(cost => ({
+                        sum: cost.sum,
+                        currency: cost.currency,
+                        category: cost.category,
+                        parentCategory: getParentCategoryName(categories, cost.category),
+                        description: cost.description,
+                        date: { day: new Date(cost.date).getDate() },
+                        convertedAmount: cost.convertedAmount,
+                        exchangeRate: cost.exchangeRate,
+                        rateSource: cost.rateSource
+                    }));
+
+                    // Calculate exact total from integer minor units in target currency (costs without a rate are excluded)
+                    const totalMinor = sumMinorUnits(costsWithConverted.map(cost => cost.convertedMinor));
+
+                    // Build final report object, listing currencies that had no rate to the target currency
+                    return {
+                        year,
+                        month,
+                        costs: reportCosts,
+                        total: { currency, total: fromMinorUnits(totalMinor, currency) },
+                        categoryTotals: sumCostsByCategory(costsWithConverted, categories, level).map(item => ({
+                            category: item.category,
+                            parent: item.parent,
+                            total: fromMinorUnits(item.totalMinor, currency)
+                        })),
+                        missingRates: getMissingRateCurrencies(costsWithConverted)
+                    };
+                },
+                /**
+                 * Get category-based data for pie chart visualization with currency conversion (rates as in getReport)
+                 * level 'parent' rolls subcategories up into their top-level category; each entry names its parent
+                 */
+                getPieChartData: async function (year, month, currency, rates = null, level = 'category') {
+                    // Read only the selected month through the date index
+                    const { start, end } = getMonthRange(year, month);
+                    const monthCosts = await getCostsInDateRange(db, start, end);
+                    const categories = await dbWrapper.getCategories();
+
+                    // Convert costs to target currency
+                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, monthCosts, currency, rates);
+
+                    // Group costs at the requested level and sum integer minor units
+                    return toCategoryChartData(costsWithConverted, categories, level, currency);
+                },
+                /**
+                 * Get the pie chart data of a month at both category levels from one read and conversion
+                 * Returns { parents, categories } shaped like getPieChartData with 'parent' and 'category'
+                 */
+                getCategoryBreakdown: async function (year, month, currency, rates = null) {
+                    const { start, end } = getMonthRange(year, month);
+                    const monthCosts = await getCostsInDateRange(db, start, end);
+                    const categories = await dbWrapper.getCategories();
+                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, monthCosts, currency, rates);
+
+                    return {
+                        parents: toCategoryChartData(costsWithConverted, categories, 'parent', currency),
+                        categories: toCategoryChartData(costsWithConverted, categories, 'category', currency)
+                    };
+                },
+                /** Get monthly spending data for bar chart visualization with currency conversion (rates as in getReport) */
+                getBarChartData: async function (year, currency, rates = null) {
+                    // Read only the selected year through the date index
+                    const yearCosts = await getCostsInDateRange(db, new Date(year, 0, 1), new Date(year + 1, 0, 1));
+
+                    // Convert costs to target currency
+                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, yearCosts, currency, rates);
+
+                    // Sum integer minor units by month and format data for bar chart visualization
+                    return sumMinorByMonth(costsWithConverted).map((totalMinor, index) => ({
+                        month: index + 1,
+                        amount: fromMinorUnits(totalMinor, currency),
+                        currency
+                    }));
+                },
+
+                /**
+                 * Add an income entry (amount as sum in major units or integer sumMinor, source, description), dated today
+                 * unless income.date is provided; the current exchange rates are stored with it as with costs
+                 */
+                addIncome: async function (income) {
+                    // Snapshot rates before opening the transaction (fetching would let it auto-commit)
+                    const exchangeRates = await snapshotExchangeRates(dbWrapper);
+                    const record = toStoredIncome(income, exchangeRates);
+
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['income'], 'readwrite');
+                        const request = transaction.objectStore('income').add(record);
+
+                        // Announce the new entry once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'income', type: 'add', key: request.result });
+                            resolve(fromStoredCost(record, request.result));
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+                /** Delete an income entry by its IndexedDB key */
+                deleteIncome: async function (id) {
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['income'], 'readwrite');
+                        transaction.objectStore('income').delete(id);
+
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'income', type: 'delete', key: id });
+                            resolve(id);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+                /** Retrieve income entries of a specific month (0-11) and year through the date index */
+                getIncomeByMonth: async function (month, year) {
+                    const { start, end } = getMonthRange(year, month + 1);
+                    return getCostsInDateRange(db, start, end, 'income');
+                },
+                /**
+                 * Income, expenses, net and savings rate per month of a year and for the whole year,
+                 * converted to one currency (rates as in getReport); savingsRate is null without income
+                 */
+                getCashFlowData: async function (year, currency, rates = null) {
+                    const start = new Date(year, 0, 1);
+                    const end = new Date(year + 1, 0, 1);
+                    const [yearCosts, yearIncome] = await Promise.all([
+                        getCostsInDateRange(db, start, end),
+                        getCostsInDateRange(db, start, end, 'income')
+                    ]);
+
+                    // Convert both sides with the same rates and total them in integer minor units
+                    const [costsWithConverted, incomeWithConverted] = await Promise.all([
+                        fetchAndConvertWithUrl(dbWrapper, yearCosts, currency, rates),
+                        fetchAndConvertWithUrl(dbWrapper, yearIncome, currency, rates)
+                    ]);
+                    const expensesByMonth = sumMinorByMonth(costsWithConverted);
+                    const incomeByMonth = sumMinorByMonth(incomeWithConverted);
+
+                    /**
+                     * Format one period's totals
+                     * @param {number} incomeMinor - Income in minor units
+                     * @param {number} expensesMinor - Expenses in minor units
+                     * @returns {Object} Major-unit income, expenses and net with the savings rate
+                     */
+                    const toFigures = (incomeMinor, expensesMinor) => ({
+                        income: fromMinorUnits(incomeMinor, currency),
+                        expenses: fromMinorUnits(expensesMinor, currency),
+                        net: fromMinorUnits(incomeMinor - expensesMinor, currency),
+                        savingsRate: getSavingsRate(incomeMinor, expensesMinor)
+                    });
+
+                    return {
+                        currency,
+                        months: incomeByMonth.map((incomeMinor, index) => ({
+                            month: index + 1,
+                            ...toFigures(incomeMinor, expensesByMonth[index])
+                        })),
+                        year: toFigures(sumMinorUnits(incomeByMonth), sumMinorUnits(expensesByMonth)),
+                        missingRates: getMissingRateCurrencies([...costsWithConverted, ...incomeWithConverted])
+                    };
+                },
+
+                /** Retrieve all categories (archived ones included) in creation order */
+                getCategories: async function () {
+                    const transaction = db.transaction(['categories'], 'readonly');
+                    const entries = await readStoreEntries(transaction.objectStore('categories'));
+                    return entries.map(entry => entry.value);
+                },
+
+                /** Create a category from { name, color, icon, parentId }; names must be unique ignoring case */
+                addCategory: async function (values) {
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['categories'], 'readwrite');
+                        const store = transaction.objectStore('categories');
+                        let record = null;
+
+                        const writeRecord = async function () {
+                            const categories = (await readStoreEntries(store)).map(entry => entry.value);
+                            const name = normalizeCategoryName(values.name);
+                            if (!name || findCategoryByName(categories, name)) {
+                                throw new Error(`Category name "${name}" is empty or already used`);
+                            }
+                            if (checkCategoryParent(categories, values.parentId)) {
+                                throw new Error(`Category ${values.parentId} cannot hold subcategories`);
+                            }
+                            record = createCategoryRecord(name, categories.length, values);
+                            store.add(record).onsuccess = function (event) {
+                                record = { ...record, id: event.target.result };
                             };
-                        } catch (error) {
+                        };
+
+                        writeRecord().catch(error => {
+                            transaction.abort();
                             reject(error);
-                        }
+                        });
+
+                        // Announce the new category once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'categories', type: 'add', key: record.id });
+                            resolve(record);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
                     });
                 },
-                /** Get category-based data for pie chart visualization with currency conversion */
-                getPieChartData: async function (year, month, currency) {
-                    return new Promise(async (resolve, reject) => {
-                        try {
-                            // Create read-only transaction
-                            const transaction = db.transaction(['costs'], 'readonly');
-                            const store = transaction.objectStore('costs');
-                            const request = store.getAll();
-
-                            request.onsuccess = async function (event) {
-                                try {
-                                    const allCosts = event.target.result;
-
-                                    // Filter costs by specified year and month
-                                    const filteredCosts = allCosts.filter(cost => {
-                                        const costDate = new Date(cost.date);
-                                        return costDate.getFullYear() === year &&
-                                            costDate.getMonth() + 1 === month;
-                                    });
 
-                                    // Convert costs to target currency
-                                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, filteredCosts, currency);
+                /**
+                 * Change the name, color, icon, parent or archived flag of a category
+                 * Renaming rewrites the category field of its costs, budgets and recurring definitions in the same transaction
+                 */
+                updateCategory: async function (id, changes) {
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['categories', 'costs', 'budgets', 'recurring'], 'readwrite');
+                        const store = transaction.objectStore('categories');
+                        let updated = null;
+                        let costsChanged = 0;
+                        let budgetsChanged = 0;
+                        let recurringChanged = 0;
 
-                                    // Group costs by category and sum amounts
-                                    const categoryTotals = {};
+                        const writeRecords = async function () {
+                            const categories = (await readStoreEntries(store)).map(entry => entry.value);
+                            const existing = categories.find(category => category.id === id);
+                            if (!existing) {
+                                throw new Error(`Category with id ${id} not found`);
+                            }
 
-                                    costsWithConverted.forEach(cost => {
-                                        if (!categoryTotals[cost.category]) {
-                                            categoryTotals[cost.category] = 0;
-                                        }
-                                        categoryTotals[cost.category] += cost.convertedAmount;
-                                    });
+                            updated = { ...existing };
+                            ['color', 'icon', 'archived'].forEach(field => {
+                                if (changes[field] !== undefined) {
+                                    updated[field] = changes[field];
+                                }
+                            });
 
-                                    // Format data for pie chart visualization
-                                    const pieData = Object.keys(categoryTotals).map(category => ({
-                                        category,
-                                        amount: Math.round(categoryTotals[category] * 100) / 100,
-                                        currency
-                                    }));
+                            // Only top-level categories without subcategories of their own can be moved under a parent
+                            if (changes.parentId !== undefined) {
+                                const parentId = changes.parentId === null ? null : Number(changes.parentId);
+                                if (checkCategoryParent(categories, parentId, id)) {
+                                    throw new Error(`Category ${id} cannot be placed under category ${parentId}`);
+                                }
+                                updated.parentId = parentId;
+                            }
 
-                                    resolve(pieData);
-                                } catch (error) {
-                                    reject(error);
+                            if (changes.name !== undefined) {
+                                const name = normalizeCategoryName(changes.name);
+                                const duplicate = findCategoryByName(categories, name);
+                                if (!name || (duplicate && duplicate.id !== id)) {
+                                    throw new Error(`Category name "${name}" is empty or already used`);
                                 }
-                            };
+                                updated.name = name;
+                                if (name !== existing.name) {
+                                    costsChanged = await recategorizeCosts(transaction.objectStore('costs'), existing.name, name);
+                                    budgetsChanged = await moveBudgets(transaction.objectStore('budgets'), existing.name, name);
+                                    recurringChanged = await recategorizeRecurring(transaction.objectStore('recurring'), existing.name, name);
+                                }
+                            }
+                            store.put(updated);
+                        };
 
-                            request.onerror = function (event) {
-                                reject(event.target.error);
-                            };
-                        } catch (error) {
+                        writeRecords().catch(error => {
+                            transaction.abort();
+                            reject(error);
+                        });
+
+                        // Announce the category, and the rewritten costs, budgets and definitions, once committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'categories', type: 'update', key: id });
+                            if (costsChanged > 0) {
+                                notifyChange({ store: 'costs', type: 'recategorize' });
+                            }
+                            if (budgetsChanged > 0) {
+                                notifyChange({ store: 'budgets', type: 'recategorize' });
+                            }
+                            if (recurringChanged > 0) {
+                                notifyChange({ store: 'recurring', type: 'recategorize' });
+                            }
+                            resolve(updated);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
+                /**
+                 * Move every cost of the source category into the target category and delete the source
+                 * Subcategories of the source move under the target's top-level category; recurring definitions
+                 * move along, and so do budgets unless the target already has a budget for the same period
+                 */
+                mergeCategories: async function (sourceId, targetId) {
+                    if (sourceId === targetId) {
+                        throw new Error('Cannot merge a category into itself');
+                    }
+
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['categories', 'costs', 'budgets', 'recurring'], 'readwrite');
+                        const store = transaction.objectStore('categories');
+                        let moved = 0;
+                        let budgetsChanged = 0;
+                        let recurringChanged = 0;
+
+                        const writeRecords = async function () {
+                            const categories = (await readStoreEntries(store)).map(entry => entry.value);
+                            const source = categories.find(category => category.id === sourceId);
+                            const target = categories.find(category => category.id === targetId);
+                            if (!source || !target) {
+                                throw new Error('Both categories must exist to merge them');
+                            }
+                            moved = await recategorizeCosts(transaction.objectStore('costs'), source.name, target.name);
+                            budgetsChanged = await moveBudgets(transaction.objectStore('budgets'), source.name, target.name);
+                            recurringChanged = await recategorizeRecurring(transaction.objectStore('recurring'), source.name, target.name);
+
+                            // A target nested under the source becomes top level and takes in its siblings
+                            const newParentId = target.parentId == null || target.parentId === sourceId
+                                ? target.id
+                                : target.parentId;
+                            categories
+                                .filter(category => category.parentId === sourceId)
+                                .forEach(category => {
+                                    store.put({ ...category, parentId: category.id === targetId ? null : newParentId });
+                                });
+                            store.delete(sourceId);
+                        };
+
+                        writeRecords().catch(error => {
+                            transaction.abort();
                             reject(error);
+                        });
+
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'categories', type: 'delete', key: sourceId });
+                            if (moved > 0) {
+                                notifyChange({ store: 'costs', type: 'recategorize' });
+                            }
+                            if (budgetsChanged > 0) {
+                                notifyChange({ store: 'budgets', type: 'recategorize' });
+                            }
+                            if (recurringChanged > 0) {
+                                notifyChange({ store: 'recurring', type: 'recategorize' });
+                            }
+                            resolve({ moved });
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
+                /** Retrieve all budgets (recurring and month-specific) in creation order */
+                getBudgets: async function () {
+                    const transaction = db.transaction(['budgets'], 'readonly');
+                    const entries = await readStoreEntries(transaction.objectStore('budgets'));
+                    return entries.map(entry => entry.value);
+                },
+
+                /**
+                 * Set the budget of a category for a period from { category, period, amount, currency }
+                 * period is RECURRING_BUDGET_PERIOD or a YYYY-MM month; an existing budget for the pair is replaced
+                 */
+                saveBudget: async function (values) {
+                    const record = createBudgetRecord(values);
+                    if (!record.category || !isBudgetPeriod(record.period) || !(record.amountMinor > 0)) {
+                        throw new Error('A budget needs a category, a period and a positive amount');
+                    }
+
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['budgets'], 'readwrite');
+                        const store = transaction.objectStore('budgets');
+                        let saved = null;
+
+                        // Reuse the key of the category's budget for the same period
+                        const lookup = store.index('categoryPeriod').get([record.category, record.period]);
+                        lookup.onsuccess = function () {
+                            saved = lookup.result ? { ...record, id: lookup.result.id } : record;
+                            store.put(saved).onsuccess = function (event) {
+                                saved = { ...saved, id: event.target.result };
+                            };
+                        };
+
+                        // Announce the budget once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'budgets', type: 'put', key: saved.id });
+                            resolve(saved);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
+                /** Delete a budget by id */
+                deleteBudget: async function (id) {
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['budgets'], 'readwrite');
+                        transaction.objectStore('budgets').delete(id);
+
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'budgets', type: 'delete', key: id });
+                            resolve();
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
+                /**
+                 * Compare each budget of a month with the month's spending, converted to one currency (rates as in getReport)
+                 * Budget amounts are converted like a cost dated the first of the month, so overrides apply to them too;
+                 * limit is null (status 'missing') when no rate converts the budget currency
+                 */
+                getBudgetReport: async function (year, month, currency, rates = null) {
+                    const budgets = getEffectiveBudgets(await dbWrapper.getBudgets(), year, month);
+                    if (budgets.length === 0) {
+                        return [];
+                    }
+
+                    const { start, end } = getMonthRange(year, month);
+                    const monthCosts = await getCostsInDateRange(db, start, end);
+                    const categories = await dbWrapper.getCategories();
+                    const budgetAmounts = budgets.map(budget => ({ sumMinor: budget.amountMinor, currency: budget.currency, date: start }));
+
+                    const [convertedCosts, convertedBudgets] = await Promise.all([
+                        fetchAndConvertWithUrl(dbWrapper, monthCosts, currency, rates),
+                        fetchAndConvertWithUrl(dbWrapper, budgetAmounts, currency, rates)
+                    ]);
+
+                    return budgets.map((budget, index) => {
+                        const spentMinor = sumMinorUnits(convertedCosts
+                            .filter(cost => countsTowardBudget(categories, cost.category, budget.category))
+                            .map(cost => cost.convertedMinor));
+                        const limit = convertedBudgets[index];
+                        return {
+                            id: budget.id,
+                            category: budget.category,
+                            period: budget.period,
+                            budgetAmount: fromMinorUnits(budget.amountMinor, budget.currency),
+                            budgetCurrency: budget.currency,
+                            limit: limit.convertedAmount,
+                            spent: fromMinorUnits(spentMinor, currency),
+                            currency,
+                            status: limit.convertedAmount === null ? 'missing' : getBudgetStatus(spentMinor, limit.convertedMinor)
+                        };
+                    });
+                },
+
+                /**
+                 * List the budgets a new cost would push over their amount, in each budget's own currency
+                 * Checks the budget of the cost's category and of its top-level category for the cost's month
+                 */
+                getBudgetWarnings: async function (cost, rates = null) {
+                    const record = toStoredCost(cost, null);
+                    const year = record.date.getFullYear();
+                    const month = record.date.getMonth() + 1;
+                    const categories = await dbWrapper.getCategories();
+                    const budgets = getEffectiveBudgets(await dbWrapper.getBudgets(), year, month)
+                        .filter(budget => countsTowardBudget(categories, record.category, budget.category));
+                    if (budgets.length === 0) {
+                        return [];
+                    }
+
+                    const { start, end } = getMonthRange(year, month);
+                    const monthCosts = await getCostsInDateRange(db, start, end);
+                    const preloadedRates = rates || await loadRates(dbWrapper, { includeLatest: false });
+                    const warnings = [];
+
+                    for (const budget of budgets) {
+                        // Convert the month's costs and the new one together into the budget currency
+                        const counted = monthCosts.filter(item => countsTowardBudget(categories, item.category, budget.category));
+                        const converted = await fetchAndConvertWithUrl(dbWrapper, [...counted, record], budget.currency, preloadedRates);
+                        const spentMinor = sumMinorUnits(converted.slice(0, -1).map(item => item.convertedMinor));
+                        const afterMinor = spentMinor + converted[converted.length - 1].convertedMinor;
+
+                        if (afterMinor > budget.amountMinor) {
+                            warnings.push({
+                                category: budget.category,
+                                currency: budget.currency,
+                                limit: fromMinorUnits(budget.amountMinor, budget.currency),
+                                spent: fromMinorUnits(spentMinor, budget.currency),
+                                spentAfter: fromMinorUnits(afterMinor, budget.currency)
+                            });
                         }
+                    }
+                    return warnings;
+                },
+
+                /** Retrieve all recurring cost definitions in creation order */
+                getRecurring: async function () {
+                    const transaction = db.transaction(['recurring'], 'readonly');
+                    const entries = await readStoreEntries(transaction.objectStore('recurring'));
+                    return entries.map(entry => entry.value);
+                },
+
+                /**
+                 * Create a recurring cost definition from form values (see validateRecurring in recurring.js)
+                 * Occurrences from a past start date are generated right away
+                 */
+                addRecurring: async function (values) {
+                    const record = { ...createRecurringFields(values), paused: false, generatedThrough: null };
+
+                    const saved = await new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['recurring'], 'readwrite');
+                        const request = transaction.objectStore('recurring').add(record);
+
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'recurring', type: 'add', key: request.result });
+                            resolve({ ...record, id: request.result });
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
                     });
+
+                    await dbWrapper.materializeRecurring();
+                    return saved;
                 },
-                /** Get monthly spending data for bar chart visualization with currency conversion */
-                getBarChartData: async function (year, currency) {
-                    return new Promise(async (resolve, reject) => {
-                        try {
-                            // Create read-only transaction
-                            const transaction = db.transaction(['costs'], 'readonly');
-                            const store = transaction.objectStore('costs');
-                            const request = store.getAll();
-
-                            request.onsuccess = async function (event) {
-                                try {
-                                    const allCosts = event.target.result;
-
-                                    // Filter costs by specified year
-                                    const filteredCosts = allCosts.filter(cost => {
-                                        const costDate = new Date(cost.date);
-                                        return costDate.getFullYear() === year;
-                                    });
 
-                                    // Convert costs to target currency
-                                    const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, filteredCosts, currency);
+                /**
+                 * Change a recurring definition: form values (sum, dates as YYYY-MM-DD, ...) or { paused } or { endDate }
+                 * Costs already generated are kept as they are; resuming skips the periods missed while paused
+                 */
+                updateRecurring: async function (id, changes) {
+                    const fields = changes.frequency !== undefined ? createRecurringFields(changes) : {};
+                    if (changes.frequency === undefined && changes.endDate !== undefined) {
+                        fields.endDate = changes.endDate ? startOfDay(parseDateInput(changes.endDate)) : null;
+                    }
+
+                    const updated = await new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['recurring'], 'readwrite');
+                        const store = transaction.objectStore('recurring');
+                        const getRequest = store.get(id);
+                        let record = null;
 
-                                    // Initialize monthly totals for all 12 months
-                                    const monthlyTotals = {};
+                        getRequest.onsuccess = function () {
+                            if (!getRequest.result) {
+                                transaction.abort();
+                                reject(new Error(`Recurring cost with id ${id} not found`));
+                                return;
+                            }
 
-                                    for (let month = 1; month <= 12; month++) {
-                                        monthlyTotals[month] = 0;
+                            record = { ...getRequest.result };
+                            EDITABLE_RECURRING_FIELDS.forEach(field => {
+                                if (fields[field] !== undefined) {
+                                    record[field] = fields[field];
+                                }
+                            });
+                            if (changes.paused !== undefined) {
+                                // Generation continues from today, so today's occurrence is still added
+                                if (record.paused && !changes.paused) {
+                                    const now = new Date();
+                                    const yesterdayKey = toDateInputValue(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+                                    if (!record.generatedThrough || record.generatedThrough < yesterdayKey) {
+                                        record.generatedThrough = yesterdayKey;
                                     }
+                                }
+                                record.paused = Boolean(changes.paused);
+                            }
+                            store.put(record);
+                        };
 
-                                    // Sum costs by month
-                                    costsWithConverted.forEach(cost => {
-                                        const costMonth = new Date(cost.date).getMonth() + 1;
-                                        monthlyTotals[costMonth] += cost.convertedAmount;
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'recurring', type: 'update', key: id });
+                            resolve(record);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+
+                    await dbWrapper.materializeRecurring();
+                    return updated;
+                },
+
+                /**
+                 * Add a cost for every due occurrence of the active recurring definitions, up to today
+                 * Called when the app opens, so periods missed while it was closed are caught up; the unique
+                 * recurringOccurrence index keeps an occurrence from being added twice (e.g. by two tabs)
+                 */
+                materializeRecurring: async function (today = new Date()) {
+                    // Only snapshot rates (which may fetch) when something is due
+                    const definitions = await dbWrapper.getRecurring();
+                    if (!definitions.some(definition => getDueOccurrences(definition, today).length > 0)) {
+                        return { added: 0 };
+                    }
+                    const exchangeRates = await snapshotExchangeRates(dbWrapper);
+                    const todayKey = toDateInputValue(today);
+
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['recurring', 'costs'], 'readwrite');
+                        const recurringStore = transaction.objectStore('recurring');
+                        const costsStore = transaction.objectStore('costs');
+                        let added = 0;
+
+                        const writeRecords = async function () {
+                            // Re-read inside the transaction so concurrent edits are not overwritten
+                            const current = (await readStoreEntries(recurringStore)).map(entry => entry.value);
+                            current.forEach(definition => {
+                                const due = getDueOccurrences(definition, today);
+                                if (due.length === 0) {
+                                    return;
+                                }
+
+                                due.forEach(date => {
+                                    const request = costsStore.add({
+                                        ...toStoredCost({ ...definition, date }, exchangeRates),
+                                        recurringId: definition.id,
+                                        occurrence: toDateInputValue(date)
                                     });
+                                    request.onsuccess = function () {
+                                        added += 1;
+                                    };
+                                    // Already generated elsewhere - skip without aborting the transaction
+                                    request.onerror = function (event) {
+                                        if (event.target.error && event.target.error.name === 'ConstraintError') {
+                                            event.preventDefault();
+                                            event.stopPropagation();
+                                        }
+                                    };
+                                });
+                                recurringStore.put({ ...definition, generatedThrough: todayKey });
+                            });
+                        };
+
+                        writeRecords().catch(error => {
+                            transaction.abort();
+                            reject(error);
+                        });
+
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'recurring', type: 'materialize' });
+                            if (added > 0) {
+                                notifyChange({ store: 'costs', type: 'recurring' });
+                            }
+                            resolve({ added });
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
+                /** Export costs, settings, categories, budgets, recurring definitions and income as a versioned backup object (JSON-serializable) */
+                exportDatabase: async function () {
+                    // Read all backed-up stores in one transaction for a consistent snapshot
+                    const transaction = db.transaction(BACKUP_STORES, 'readonly');
+                    const stores = {};
+
+                    for (const storeName of BACKUP_STORES) {
+                        stores[storeName] = await readStoreEntries(transaction.objectStore(storeName));
+                    }
+
+                    return {
+                        format: BACKUP_FORMAT,
+                        formatVersion: BACKUP_FORMAT_VERSION,
+                        schemaVersion: db.version,
+                        exportedAt: new Date().toISOString(),
+                        stores
+                    };
+                },
+
+                /**
+                 * Restore a backup object into the costs, settings, categories, budgets, recurring and income stores
+                 * mode 'replace' clears the stores and restores original keys;
+                 * mode 'merge' appends costs and income entries that are not already present and only adds missing
+                 * settings, categories, budgets (one per category and period) and recurring definitions
+                 * Either way every restored cost category ends up with a category record
+                 * @returns {Promise<Object>} Per store ({costs, settings, categories, budgets, recurring, income})
+                 * the number of records added and the number skipped because they were already here
+                 */
+                importDatabase: async function (backup, mode = 'merge') {
+                    // Refuse to touch the database with an invalid backup
+                    const validation = validateBackup(backup);
+                    if (!validation.valid) {
+                        throw new Error(`Invalid backup: ${validation.errors[0]}`);
+                    }
+
+                    const backupCosts = (backup.stores.costs || []).map(entry => ({
+                        key: entry.key,
+                        value: normalizeBackupCost(entry.value)
+                    }));
+                    const backupSettings = (backup.stores.settings || []).map(entry => ({
+                        key: entry.key,
+                        value: normalizeBackupSetting(entry.value)
+                    }));
+                    const backupCategories = Array.isArray(backup.stores.categories)
+                        ? backup.stores.categories.map(entry => normalizeBackupCategory(entry.value))
+                        : null;
+                    const backupBudgets = Array.isArray(backup.stores.budgets)
+                        ? backup.stores.budgets.map(entry => normalizeBackupBudget(entry.value))
+                        : null;
+                    const backupRecurring = Array.isArray(backup.stores.recurring)
+                        ? backup.stores.recurring.map(entry => normalizeBackupRecurring(entry.value))
+                        : null;
+                    const backupIncome = Array.isArray(backup.stores.income)
+                        ? backup.stores.income.map(entry => ({ key: entry.key, value: normalizeBackupIncome(entry.value) }))
+                        : null;
+
+                    const result = await new Promise((resolve, reject) => {
+                        // Single transaction so a failed restore leaves the database untouched
+                        const transaction = db.transaction(BACKUP_STORES, 'readwrite');
+                        const costsStore = transaction.objectStore('costs');
+                        const settingsStore = transaction.objectStore('settings');
+                        const categoriesStore = transaction.objectStore('categories');
+                        const budgetsStore = transaction.objectStore('budgets');
+                        const recurringStore = transaction.objectStore('recurring');
+                        const incomeStore = transaction.objectStore('income');
+                        const usedCategoryNames = [...new Set([
+                            ...backupCosts.map(entry => entry.value.category),
+                            ...(backupBudgets || []).map(budget => budget.category)
+                        ])];
+                        const counts = Object.fromEntries(BACKUP_STORES.map(storeName => [storeName, { added: 0, skipped: 0 }]));
 
-                                    // Format data for bar chart visualization
-                                    const barData = Object.keys(monthlyTotals).map(month => ({
-                                        month: parseInt(month),
-                                        amount: Math.round(monthlyTotals[month] * 100) / 100,
-                                        currency
-                                    }));
+                        const writeRecords = async function () {
+                            if (mode === 'replace') {
+                                // Wipe current data and restore records under their original keys
+                                costsStore.clear();
+                                settingsStore.clear();
+                                backupCosts.forEach(entry => costsStore.put(entry.value, entry.key));
+                                backupSettings.forEach(entry => settingsStore.put(entry.value));
+                                counts.costs.added = backupCosts.length;
+                                counts.settings.added = backupSettings.length;
 
-                                    resolve(barData);
-                                } catch (error) {
-                                    reject(error);
+                                // Backups made before categories were stored keep the current categories
+                                if (backupCategories) {
+                                    categoriesStore.clear();
+                                    backupCategories.forEach(category => categoriesStore.put(category));
+                                    counts.categories.added = backupCategories.length;
                                 }
-                            };
+                                if (backupBudgets) {
+                                    budgetsStore.clear();
+                                    backupBudgets.forEach(budget => budgetsStore.put(budget));
+                                    counts.budgets.added = backupBudgets.length;
+                                }
+                                if (backupRecurring) {
+                                    recurringStore.clear();
+                                    backupRecurring.forEach(definition => recurringStore.put(definition));
+                                    counts.recurring.added = backupRecurring.length;
+                                }
+                                if (backupIncome) {
+                                    incomeStore.clear();
+                                    backupIncome.forEach(entry => incomeStore.put(entry.value, entry.key));
+                                    counts.income.added = backupIncome.length;
+                                }
+                                counts.categories.added += await addMissingCategories(categoriesStore, usedCategoryNames);
+                                return;
+                            }
 
-                            request.onerror = function (event) {
-                                reject(event.target.error);
-                            };
-                        } catch (error) {
+                            // Merge: match recurring definitions by content (adding missing ones under new keys)
+                            // so generated costs keep pointing at their definition
+                            const recurringIds = new Map();
+                            const existingRecurring = (await readStoreEntries(recurringStore)).map(entry => entry.value);
+                            const localRecurringIds = new Map(existingRecurring.map(definition => [getRecurringSignature(definition), definition.id]));
+                            for (const definition of backupRecurring || []) {
+                                const signature = getRecurringSignature(definition);
+                                if (localRecurringIds.has(signature)) {
+                                    counts.recurring.skipped += 1;
+                                } else {
+                                    const { id: _id, ...record } = definition;
+                                    localRecurringIds.set(signature, await addRecord(recurringStore, record));
+                                    counts.recurring.added += 1;
+                                }
+                                recurringIds.set(definition.id, localRecurringIds.get(signature));
+                            }
+
+                            // Skip costs whose content or recurring occurrence already exists, keep local settings on conflict
+                            // Identical costs within the backup are all restored; only occurrences must stay unique
+                            const existingCosts = await readStoreEntries(costsStore);
+                            const signatures = new Set(existingCosts.map(entry => getCostSignature(entry.value)));
+                            const occurrences = new Set(existingCosts
+                                .filter(entry => entry.value.recurringId !== undefined)
+                                .map(entry => `${entry.value.recurringId}|${entry.value.occurrence}`));
+                            backupCosts.forEach(entry => {
+                                // Generated costs without a restored definition become ordinary costs
+                                const { recurringId, occurrence, ...cost } = entry.value;
+                                const value = recurringIds.has(recurringId)
+                                    ? { ...cost, recurringId: recurringIds.get(recurringId), occurrence }
+                                    : cost;
+                                const signature = getCostSignature(value);
+                                const occurrenceKey = `${value.recurringId}|${value.occurrence}`;
+                                if (signatures.has(signature) || (value.recurringId !== undefined && occurrences.has(occurrenceKey))) {
+                                    counts.costs.skipped += 1;
+                                    return;
+                                }
+                                if (value.recurringId !== undefined) {
+                                    occurrences.add(occurrenceKey);
+                                }
+                                costsStore.add(value);
+                                counts.costs.added += 1;
+                            });
+
+                            const existingSettings = await readStoreEntries(settingsStore);
+                            const settingKeys = new Set(existingSettings.map(entry => entry.key));
+                            backupSettings.forEach(entry => {
+                                if (settingKeys.has(entry.value.key)) {
+                                    counts.settings.skipped += 1;
+                                } else {
+                                    settingsStore.put(entry.value);
+                                    counts.settings.added += 1;
+                                }
+                            });
+
+                            // Add categories missing here under new keys, top level first so subcategories can find
+                            // their parent by name, then any category only the costs name
+                            const existingCategories = (await readStoreEntries(categoriesStore)).map(entry => entry.value);
+                            const backupNames = new Map((backupCategories || []).map(category => [category.id, category.name]));
+                            const missingCategories = (backupCategories || [])
+                                .filter(category => !findCategoryByName(existingCategories, category.name))
+                                .sort((a, b) => Number(a.parentId != null) - Number(b.parentId != null));
+                            for (const category of missingCategories) {
+                                const { id: _id, ...record } = category;
+                                const parent = record.parentId != null
+                                    ? findCategoryByName(existingCategories, backupNames.get(record.parentId))
+                                    : null;
+                                record.parentId = parent && parent.parentId == null ? parent.id : null;
+                                record.id = await addRecord(categoriesStore, record);
+                                existingCategories.push(record);
+                            }
+                            counts.categories.added = missingCategories.length
+                                + await addMissingCategories(categoriesStore, usedCategoryNames);
+                            counts.categories.skipped = (backupCategories || []).length - missingCategories.length;
+
+                            // Add budgets for category and period pairs that have none here
+                            const existingBudgets = (await readStoreEntries(budgetsStore)).map(entry => entry.value);
+                            const budgetKeys = new Set(existingBudgets.map(budget => `${budget.category}|${budget.period}`));
+                            (backupBudgets || []).forEach(budget => {
+                                if (budgetKeys.has(`${budget.category}|${budget.period}`)) {
+                                    counts.budgets.skipped += 1;
+                                } else {
+                                    const { id: _id, ...record } = budget;
+                                    budgetKeys.add(`${budget.category}|${budget.period}`);
+                                    budgetsStore.add(record);
+                                    counts.budgets.added += 1;
+                                }
+                            });
+
+                            // Append income entries that are not already present
+                            const existingIncome = await readStoreEntries(incomeStore);
+                            const incomeSignatures = new Set(existingIncome.map(entry => getIncomeSignature(entry.value)));
+                            (backupIncome || []).forEach(entry => {
+                                if (incomeSignatures.has(getIncomeSignature(entry.value))) {
+                                    counts.income.skipped += 1;
+                                } else {
+                                    incomeStore.add(entry.value);
+                                    counts.income.added += 1;
+                                }
+                            });
+                        };
+
+                        writeRecords().catch(error => {
+                            transaction.abort();
                             reject(error);
-                        }
+                        });
+
+                        transaction.oncomplete = function () {
+                            resolve(counts);
+                        };
+
+                        transaction.onerror = function (event) {
+                            reject(event.target.error);
+                        };
                     });
+
+                    // Announce the restored data to every view and tab
+                    notifyChange({ store: 'costs', type: 'import' });
+                    notifyChange({ store: 'settings', type: 'import' });
+                    notifyChange({ store: 'categories', type: 'import' });
+                    notifyChange({ store: 'budgets', type: 'import' });
+                    notifyChange({ store: 'recurring', type: 'import' });
+                    notifyChange({ store: 'income', type: 'import' });
+                    return result;
                 },
 
                 /** Store application settings in database */
@@ -273,6 +1548,11 @@ export const openCostsDB = async function (databaseName, databaseVersion) {
                             resolve();
                         };
 
+                        // Announce the setting change once it is committed
+                        transaction.oncomplete = function () {
+                            notifyChange({ store: 'settings', type: 'put', key });
+                        };
+
                         request.onerror = function (event) {
                             reject(event.target.error);
                         };
@@ -298,6 +1578,39 @@ export const openCostsDB = async function (databaseName, databaseVersion) {
                     });
                 },
 
+                /** Get cached historical exchange rates for a fully resolved URL, or null if not cached */
+                getHistoricalRates: async function (url) {
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['historicalRates'], 'readonly');
+                        const request = transaction.objectStore('historicalRates').get(url);
+
+                        request.onsuccess = function (event) {
+                            const result = event.target.result;
+                            resolve(result ? result.rates : null);
+                        };
+
+                        request.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
+                /** Cache historical exchange rates for a fully resolved URL */
+                saveHistoricalRates: async function (url, rates) {
+                    return new Promise((resolve, reject) => {
+                        const transaction = db.transaction(['historicalRates'], 'readwrite');
+                        const request = transaction.objectStore('historicalRates').put({ url, rates, fetchedAt: Date.now() });
+
+                        request.onsuccess = function () {
+                            resolve();
+                        };
+
+                        request.onerror = function (event) {
+                            reject(event.target.error);
+                        };
+                    });
+                },
+
                 /** Get exchange rate API URL from settings or return default */
                 getExchangeRatesUrl: async function () {
                     try {
@@ -315,24 +1628,26 @@ export const openCostsDB = async function (databaseName, databaseVersion) {
         };
 
         request.onerror = function (event) {
-            reject(event.target.error);
+            reject(migrationError || event.target.error);
+        };
+
+        // Another tab still holds an older connection open
+        request.onblocked = function () {
+            if (options.onBlocked) {
+                options.onBlocked();
+            }
         };
 
-        // Initialize database schema on first creation or version upgrade
+        // Upgrade schema and stored records from the previous version to the requested one
         request.onupgradeneeded = function (event) {
             const db = event.target.result;
+            const upgradeTransaction = event.target.transaction;
 
-            // Create costs object store with auto-incrementing keys
-            if (!db.objectStoreNames.contains('costs')) {
-                const costsStore = db.createObjectStore('costs', { autoIncrement: true });
-                costsStore.createIndex('date', 'date', { unique: false });
-                costsStore.createIndex('category', 'category', { unique: false });
-            }
-
-            // Create settings object store for app configuration
-            if (!db.objectStoreNames.contains('settings')) {
-                db.createObjectStore('settings', { keyPath: 'key' });
-            }
+            runMigrations(db, upgradeTransaction, event.oldVersion, event.newVersion).catch(error => {
+                // Abort so the database stays at its previous version
+                migrationError = new Error(`Database migration failed: ${error.message}`);
+                upgradeTransaction.abort();
+            });
         };
     });
 };
\ No newline at end of file
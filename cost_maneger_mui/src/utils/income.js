@@ -0,0 +1,36 @@
+/**
+ * Income - Money coming in (salary, refunds, gifts) recorded next to the costs
+ * Income entries live in their own store so category reports and budgets keep counting costs only
+ * Records of the income store: { sumMinor, currency, source, description, date, exchangeRates }
+ */
+
+import { validateCostForm } from './helperFunctions';
+import { defaultTranslator } from '../i18n';
+
+// Kinds of income an entry can record; stored in English and translated for display
+export const INCOME_SOURCES = ['Salary', 'Refund', 'Gift', 'Other'];
+
+/**
+ * Validate income form values
+ * Amount, date and description follow the cost rules; the source replaces the category
+ * @param {Object} formData - Raw form values (sum as string, currency, source, date as YYYY-MM-DD, description)
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {Object} Field errors keyed by field name (empty when valid)
+ */
+export const validateIncomeForm = function (formData, t = defaultTranslator) {
+    const { category: _category, ...errors } = validateCostForm({ ...formData, category: formData.source }, t);
+    if (!INCOME_SOURCES.includes(formData.source)) {
+        errors.source = t('validation.incomeSourceRequired');
+    }
+    return errors;
+};
+
+/**
+ * Share of income left after expenses
+ * @param {number} incomeMinor - Income in minor units of the display currency
+ * @param {number} expensesMinor - Expenses in the same minor units
+ * @returns {number|null} Savings rate (negative when spending exceeds income), or null without income
+ */
+export const getSavingsRate = function (incomeMinor, expensesMinor) {
+    return incomeMinor > 0 ? (incomeMinor - expensesMinor) / incomeMinor : null;
+};
@@ -0,0 +1,377 @@
+/**
+ * Database Schema Migrations - Ordered upgrade steps for the costs database
+ * Each migration upgrades the schema (stores, indexes) and stored records from the previous version
+ * Migrations run inside the IndexedDB versionchange transaction, from oldVersion up to newVersion
+ * Released migrations never call app helpers: the rules they applied are frozen below as they were
+ * when each migration shipped, so later changes to money, currency or category code cannot alter them
+ */
+
+// v2: minor-unit decimals per currency when amounts moved to minor units; other currencies used 2
+const V2_CURRENCY_DECIMALS = {
+    USD: 2, EUR: 2, EURO: 2, GBP: 2, ILS: 2,
+    JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0, HUF: 2,
+    BHD: 3, JOD: 3, KWD: 3, OMR: 3, TND: 3
+};
+
+/**
+ * v2: convert a float sum to integer minor units, rounding half away from zero
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency - Currency code of the record
+ * @returns {number} Integer amount in minor units
+ * @throws {Error} When the amount is not a finite decimal number
+ */
+const v2ToMinorUnits = function (amount, currency) {
+    const decimals = V2_CURRENCY_DECIMALS[currency] === undefined ? 2 : V2_CURRENCY_DECIMALS[currency];
+    const text = typeof amount === 'number'
+        ? amount.toFixed(Math.min(decimals + 2, 20))
+        : String(amount).trim();
+
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const [, sign, integerDigits, fractionDigits = ''] = match;
+    const kept = fractionDigits.slice(0, decimals).padEnd(decimals, '0');
+    const roundingDigit = Number(fractionDigits.charAt(decimals) || '0');
+
+    let minor = Number(integerDigits || '0') * 10 ** decimals + Number(kept || '0');
+    if (roundingDigit >= 5) {
+        minor += 1;
+    }
+    return sign === '-' ? -minor : minor;
+};
+
+// v4: legacy currency codes renamed to their ISO 4217 code, and the settings key of the cached rates
+const V4_CURRENCY_ALIASES = { EURO: 'EUR' };
+const V4_RATES_CACHE_SETTING = 'exchangeRatesCache';
+
+/**
+ * v4: canonical ISO form of a currency code
+ * @param {string} code - Currency code as stored
+ * @returns {string} Upper-case code with legacy aliases resolved
+ */
+const v4NormalizeCurrencyCode = function (code) {
+    const upper = String(code || '').trim().toUpperCase();
+    return V4_CURRENCY_ALIASES[upper] || upper;
+};
+
+/**
+ * v4: rename legacy currency keys of a rates object (an existing ISO entry wins over its alias)
+ * @param {Object} rates - Currency code -> rate map
+ * @returns {Object} Rates keyed by ISO codes
+ */
+const v4NormalizeRateCodes = function (rates) {
+    const normalized = {};
+    Object.entries(rates).forEach(([code, rate]) => {
+        const isoCode = v4NormalizeCurrencyCode(code);
+        if (isoCode === code || normalized[isoCode] === undefined) {
+            normalized[isoCode] = rate;
+        }
+    });
+    return normalized;
+};
+
+// v5: built-in categories seeded into the categories store, their icons and the color palette
+const V5_CATEGORIES = [
+    'Food & Dining', 'Transportation', 'Housing', 'Utilities', 'Entertainment',
+    'Healthcare', 'Sport', 'Shopping', 'Education', 'Travel', 'Other'
+];
+const V5_CATEGORY_ICONS = {
+    'Food & Dining': 'restaurant',
+    Transportation: 'car',
+    Housing: 'home',
+    Utilities: 'bolt',
+    Entertainment: 'movie',
+    Healthcare: 'health',
+    Sport: 'sport',
+    Shopping: 'shopping',
+    Education: 'school',
+    Travel: 'flight'
+};
+const V5_COLORS = [
+    '#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8',
+    '#82CA9D', '#FFC658', '#FF6B9D', '#C780E8', '#4ECDC4'
+];
+
+/**
+ * v5: tidy a category name (trim and collapse inner whitespace)
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+const v5NormalizeCategoryName = function (name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+};
+
+/**
+ * v5: find a category by name ignoring case
+ * @param {Array<Object>} categories - Category records
+ * @param {string} name - Name to look for
+ * @returns {Object|undefined} Matching category
+ */
+const v5FindCategoryByName = function (categories, name) {
+    const wanted = v5NormalizeCategoryName(name).toLowerCase();
+    return categories.find(category => category.name.toLowerCase() === wanted);
+};
+
+/**
+ * v5: category records for the built-in categories followed by any extra names used by costs
+ * @param {Array<string>} usedNames - Category names found on stored costs
+ * @returns {Array<{name: string, color: string, icon: string, archived: boolean}>} Records in display order
+ */
+const v5BuildDefaultCategories = function (usedNames) {
+    const createRecord = (name, index) => {
+        const normalizedName = v5NormalizeCategoryName(name);
+        return {
+            name: normalizedName,
+            color: V5_COLORS[index % V5_COLORS.length],
+            icon: V5_CATEGORY_ICONS[normalizedName] || 'category',
+            archived: false
+        };
+    };
+
+    const records = V5_CATEGORIES.map((name, index) => createRecord(name, index));
+    usedNames.forEach(name => {
+        if (v5NormalizeCategoryName(name) && !v5FindCategoryByName(records, name)) {
+            records.push(createRecord(name, records.length));
+        }
+    });
+    return records;
+};
+
+/**
+ * Rewrite every record of an object store inside the upgrade transaction
+ * @param {IDBTransaction} transaction - Active versionchange transaction
+ * @param {string} storeName - Object store to rewrite
+ * @param {Function} transform - Receives a record and returns the new record, or undefined to keep it
+ * @returns {Promise<void>} Resolves after the cursor has visited every record
+ */
+export const rewriteRecords = function (transaction, storeName, transform) {
+    return new Promise((resolve, reject) => {
+        const request = transaction.objectStore(storeName).openCursor();
+
+        request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+
+            // Only write back records the transform actually changed
+            const updated = transform(cursor.value);
+            if (updated !== undefined) {
+                cursor.update(updated);
+            }
+            cursor.continue();
+        };
+
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
+/**
+ * Collect the distinct values of an index inside the upgrade transaction
+ * @param {IDBTransaction} transaction - Active versionchange transaction
+ * @param {string} storeName - Object store owning the index
+ * @param {string} indexName - Index to read
+ * @returns {Promise<Array>} Distinct index keys in key order
+ */
+const readIndexKeys = function (transaction, storeName, indexName) {
+    return new Promise((resolve, reject) => {
+        const request = transaction.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+        const keys = [];
+
+        request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (cursor) {
+                keys.push(cursor.key);
+                cursor.continue();
+            } else {
+                resolve(keys);
+            }
+        };
+
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
+/**
+ * Ordered list of schema migrations keyed by the version they upgrade to
+ * Append new entries with the next version number; never edit a released migration
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create costs store with date/category indexes and settings store',
+        migrate: function (db) {
+            // Create costs object store with auto-incrementing keys
+            if (!db.objectStoreNames.contains('costs')) {
+                const costsStore = db.createObjectStore('costs', { autoIncrement: true });
+                costsStore.createIndex('date', 'date', { unique: false });
+                costsStore.createIndex('category', 'category', { unique: false });
+            }
+
+            // Create settings object store for app configuration
+            if (!db.objectStoreNames.contains('settings')) {
+                db.createObjectStore('settings', { keyPath: 'key' });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Store cost amounts as integer minor units (sum -> sumMinor)',
+        migrate: function (db, transaction) {
+            return rewriteRecords(transaction, 'costs', record => {
+                // Skip records already in the new format
+                if (Number.isInteger(record.sumMinor)) {
+                    return undefined;
+                }
+
+                // Convert the float sum using the currency's precision; unreadable sums become 0
+                const { sum, ...rest } = record;
+                let sumMinor = 0;
+                try {
+                    sumMinor = v2ToMinorUnits(sum, record.currency);
+                } catch {
+                    sumMinor = 0;
+                }
+                return { ...rest, sumMinor };
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Create historicalRates store caching dated exchange rates by URL',
+        migrate: function (db) {
+            if (!db.objectStoreNames.contains('historicalRates')) {
+                db.createObjectStore('historicalRates', { keyPath: 'url' });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Rename legacy EURO currency code to EUR in costs and cached rates',
+        migrate: async function (db, transaction) {
+            // Rename the rate keys of a rates object, or return undefined when nothing changes
+            const renameRates = rates => {
+                if (!rates || Object.keys(rates).every(code => v4NormalizeCurrencyCode(code) === code)) {
+                    return undefined;
+                }
+                return v4NormalizeRateCodes(rates);
+            };
+
+            await rewriteRecords(transaction, 'costs', record => {
+                const currency = v4NormalizeCurrencyCode(record.currency);
+                const exchangeRates = renameRates(record.exchangeRates);
+                if (currency === record.currency && exchangeRates === undefined) {
+                    return undefined;
+                }
+                return { ...record, currency, exchangeRates: exchangeRates || record.exchangeRates };
+            });
+
+            await rewriteRecords(transaction, 'historicalRates', record => {
+                const rates = renameRates(record.rates);
+                return rates === undefined ? undefined : { ...record, rates };
+            });
+
+            await rewriteRecords(transaction, 'settings', record => {
+                if (record.key !== V4_RATES_CACHE_SETTING || !record.value) {
+                    return undefined;
+                }
+                const rates = renameRates(record.value.rates);
+                return rates === undefined ? undefined : { ...record, value: { ...record.value, rates } };
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Create categories store seeded with the built-in categories and those used by costs',
+        migrate: async function (db, transaction) {
+            if (db.objectStoreNames.contains('categories')) {
+                return;
+            }
+            const categoriesStore = db.createObjectStore('categories', { keyPath: 'id', autoIncrement: true });
+            categoriesStore.createIndex('name', 'name', { unique: true });
+
+            // Keep categories that only exist on costs (e.g. from a CSV import) manageable too
+            const usedNames = (await readIndexKeys(transaction, 'costs', 'category')).filter(name => typeof name === 'string');
+            const records = v5BuildDefaultCategories(usedNames);
+            records.forEach(record => categoriesStore.add(record));
+
+            // Costs spelled differently from their category (case, spacing) take the category's exact name
+            if (usedNames.some(name => !records.some(record => record.name === name))) {
+                await rewriteRecords(transaction, 'costs', record => {
+                    const category = v5FindCategoryByName(records, record.category);
+                    return category && category.name !== record.category ? { ...record, category: category.name } : undefined;
+                });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Create budgets store with one budget per category and period',
+        migrate: function (db) {
+            if (db.objectStoreNames.contains('budgets')) {
+                return;
+            }
+            const budgetsStore = db.createObjectStore('budgets', { keyPath: 'id', autoIncrement: true });
+            budgetsStore.createIndex('category', 'category', { unique: false });
+            budgetsStore.createIndex('categoryPeriod', ['category', 'period'], { unique: true });
+        }
+    },
+    {
+        version: 7,
+        description: 'Create recurring store and index generated costs by definition and occurrence',
+        migrate: function (db, transaction) {
+            if (!db.objectStoreNames.contains('recurring')) {
+                db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+            }
+
+            // Costs entered by hand have no recurringId and stay out of this index
+            const costsStore = transaction.objectStore('costs');
+            if (!costsStore.indexNames.contains('recurringOccurrence')) {
+                costsStore.createIndex('recurringOccurrence', ['recurringId', 'occurrence'], { unique: true });
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Create income store with a date index',
+        migrate: function (db) {
+            // Income entries are keyed like costs so both read through the same date-range helper
+            if (!db.objectStoreNames.contains('income')) {
+                const incomeStore = db.createObjectStore('income', { autoIncrement: true });
+                incomeStore.createIndex('date', 'date', { unique: false });
+            }
+        }
+    }
+];
+
+// Latest schema version, derived from the last registered migration
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run all migrations between oldVersion (exclusive) and newVersion (inclusive) in order
+ * Each migration may return a Promise; the next one starts only after it settles
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - Active versionchange transaction
+ * @param {number} oldVersion - Version the database had before opening (0 when new)
+ * @param {number} newVersion - Version being opened
+ * @returns {Promise<void>} Resolves when every pending migration has finished
+ */
+export const runMigrations = async function (db, transaction, oldVersion, newVersion) {
+    // Select and order the migrations this upgrade still needs
+    const pendingMigrations = MIGRATIONS
+        .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+        .sort((a, b) => a.version - b.version);
+
+    // Run sequentially so later migrations see records already rewritten by earlier ones
+    for (const migration of pendingMigrations) {
+        await migration.migrate(db, transaction);
+    }
+};
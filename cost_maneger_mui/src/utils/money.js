@@ -0,0 +1,109 @@
+/**
+ * Money Utilities - Integer minor-unit arithmetic for cost amounts
+ * Amounts are stored as integers in the currency's smallest unit (cents, agorot, yen)
+ * so totals are exact; only conversion between currencies rounds, once per amount
+ */
+
+import { getCurrencyInfo } from './currencies';
+
+/**
+ * Get the number of minor-unit decimals used by a currency
+ * @param {string} currency - Currency code
+ * @returns {number} Decimal count (0 for JPY, 2 for USD, 3 for KWD)
+ */
+export const getCurrencyDecimals = function (currency) {
+    return getCurrencyInfo(currency).decimals;
+};
+
+/**
+ * Convert a decimal amount to integer minor units without floating-point drift
+ * Parses the decimal digits directly and rounds half away from zero beyond the currency's precision
+ * @param {number|string} amount - Amount in major units (e.g. 12.5 or "12.50")
+ * @param {string} currency - Currency code
+ * @returns {number} Integer amount in minor units
+ * @throws {Error} When the amount is not a finite decimal number
+ */
+export const toMinorUnits = function (amount, currency) {
+    const decimals = getCurrencyDecimals(currency);
+
+    // Normalize numbers to plain decimal notation (avoids exponent form for tiny values)
+    const text = typeof amount === 'number'
+        ? amount.toFixed(Math.min(decimals + 2, 20))
+        : String(amount).trim();
+
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const [, sign, integerDigits, fractionDigits = ''] = match;
+
+    // Split fraction into the kept digits and the first dropped digit used for rounding
+    const kept = fractionDigits.slice(0, decimals).padEnd(decimals, '0');
+    const roundingDigit = Number(fractionDigits.charAt(decimals) || '0');
+
+    let minor = Number(integerDigits || '0') * 10 ** decimals + Number(kept || '0');
+    if (roundingDigit >= 5) {
+        minor += 1;
+    }
+    return sign === '-' ? -minor : minor;
+};
+
+/**
+ * Convert integer minor units back to a major-unit number for display
+ * @param {number} minor - Integer amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {number} Amount in major units
+ */
+export const fromMinorUnits = function (minor, currency) {
+    return minor / 10 ** getCurrencyDecimals(currency);
+};
+
+/**
+ * Check that typed amount text is a plain decimal number
+ * Number inputs also accept exponent notation ("1e5"), which toMinorUnits does not parse
+ * @param {string} amount - Raw amount input
+ * @returns {boolean} True for digits with at most one decimal point
+ */
+export const isDecimalAmount = function (amount) {
+    return /^(\d+\.?\d*|\.\d+)$/.test(String(amount).trim());
+};
+
+/**
+ * Count the decimal places typed in an amount string
+ * @param {string} amount - Raw amount input
+ * @returns {number} Number of digits after the decimal point
+ */
+export const countDecimalPlaces = function (amount) {
+    const fraction = String(amount).split('.')[1];
+    return fraction ? fraction.length : 0;
+};
+
+/**
+ * Convert minor units between currencies using rates relative to a common base
+ * Rounds once to the target currency's minor unit
+ * @param {number} minor - Integer amount in the source currency's minor units
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {number} fromRate - Units of source currency per base unit
+ * @param {number} toRate - Units of target currency per base unit
+ * @returns {number} Integer amount in the target currency's minor units
+ */
+export const convertMinorUnits = function (minor, fromCurrency, toCurrency, fromRate, toRate) {
+    if (fromCurrency === toCurrency) {
+        return minor;
+    }
+
+    // Scale between the two currencies' minor units, then apply the rate ratio
+    const scale = 10 ** (getCurrencyDecimals(toCurrency) - getCurrencyDecimals(fromCurrency));
+    return Math.round((minor * toRate * scale) / fromRate);
+};
+
+/**
+ * Sum integer minor-unit amounts exactly
+ * @param {Array<number>} amounts - Integer amounts in the same currency
+ * @returns {number} Integer total
+ */
+export const sumMinorUnits = function (amounts) {
+    return amounts.reduce((total, amount) => total + amount, 0);
+};
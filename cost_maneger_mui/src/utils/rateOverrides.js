@@ -0,0 +1,143 @@
+/**
+ * Exchange Rate Overrides - Manually pinned rates that take precedence over fetched rates
+ * An override reads "1 currency = rate quoteCurrency", optionally limited to a date range, and is
+ * applied on top of whichever rates a cost is converted with, so pinning one pair also fixes its
+ * conversions to every other currency the rates can reach
+ */
+
+import { normalizeCurrencyCode, isCurrencyCode } from './currencies';
+import { defaultTranslator } from '../i18n';
+
+/**
+ * Validate rate override form values
+ * @param {Object} values - Raw form values (currency, quoteCurrency, rate as string, from/to as YYYY-MM-DD or '')
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {Object} Map of field name to error message, empty when all fields are valid
+ */
+export const validateRateOverride = function (values, t = defaultTranslator) {
+    const errors = {};
+    const currency = normalizeCurrencyCode(values.currency);
+    const quoteCurrency = normalizeCurrencyCode(values.quoteCurrency);
+
+    // Both sides must be ISO codes and differ from each other
+    if (!isCurrencyCode(currency)) {
+        errors.currency = t('validation.currencyCode');
+    }
+    if (!isCurrencyCode(quoteCurrency)) {
+        errors.quoteCurrency = t('validation.quoteCurrencyRequired');
+    } else if (quoteCurrency === currency) {
+        errors.quoteCurrency = t('validation.quoteCurrencySame');
+    }
+
+    // Rate must be a positive number
+    const rate = Number(values.rate);
+    if (values.rate === '' || !Number.isFinite(rate) || rate <= 0) {
+        errors.rate = t('validation.rateRequired');
+    }
+
+    // Date range is optional but must not end before it starts
+    if (values.from && values.to && values.from > values.to) {
+        errors.to = t('validation.dateRangeOrder');
+    }
+
+    return errors;
+};
+
+/**
+ * Build a stored override from validated form values
+ * @param {Object} values - Form values accepted by validateRateOverride
+ * @returns {Object} Override with id, ISO codes, numeric rate and from/to dates (null when open-ended)
+ */
+export const createRateOverride = function (values) {
+    return {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        currency: normalizeCurrencyCode(values.currency),
+        quoteCurrency: normalizeCurrencyCode(values.quoteCurrency),
+        rate: Number(values.rate),
+        from: values.from || null,
+        to: values.to || null
+    };
+};
+
+/**
+ * Select the overrides that apply on a date, one per currency
+ * A date-limited override wins over an always-on one; among equals the most recently added wins
+ * @param {Array} overrides - Stored overrides
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Array} Applicable overrides
+ */
+export const getApplicableOverrides = function (overrides, dateKey) {
+    const byCurrency = new Map();
+
+    overrides
+        .filter(override => (!override.from || override.from <= dateKey) && (!override.to || dateKey <= override.to))
+        .forEach(override => {
+            const current = byCurrency.get(override.currency);
+            const isRanged = Boolean(override.from || override.to);
+            const currentIsRanged = current && Boolean(current.from || current.to);
+            if (!current || isRanged || !currentIsRanged) {
+                byCurrency.set(override.currency, override);
+            }
+        });
+
+    return [...byCurrency.values()];
+};
+
+/**
+ * Apply overrides on top of a rates object (currency -> units per base unit)
+ * Overrides quoted in a currency that is itself overridden are applied after it,
+ * so chained pins such as "1 XAF = 0.0016 EUR" and "1 EUR = 1.05 USD" both hold
+ * @param {Object|null} rates - Fetched rates, or null when none are available
+ * @param {Array} overrides - Applicable overrides (see getApplicableOverrides)
+ * @returns {{rates: Object, overridden: Set<string>}} Effective rates and the currencies whose rate was pinned
+ */
+export const applyRateOverrides = function (rates, overrides) {
+    const effective = { ...(rates || {}) };
+    const overridden = new Set();
+    let pending = [...overrides];
+
+    while (pending.length > 0) {
+        // Wait for overrides of the quote currency; a cycle is resolved in list order
+        const ready = pending.filter(override =>
+            !pending.some(other => other !== override && other.currency === override.quoteCurrency));
+        const batch = ready.length > 0 ? ready : [pending[0]];
+
+        batch.forEach(override => {
+            if (effective[override.quoteCurrency] !== undefined) {
+                effective[override.currency] = effective[override.quoteCurrency] / override.rate;
+                overridden.add(override.currency);
+            } else if (effective[override.currency] !== undefined) {
+                effective[override.quoteCurrency] = effective[override.currency] * override.rate;
+                overridden.add(override.quoteCurrency);
+            } else if (Object.keys(effective).length === 0) {
+                // No rates at all - the pinned pair still converts between its two currencies
+                effective[override.quoteCurrency] = 1;
+                effective[override.currency] = 1 / override.rate;
+                overridden.add(override.currency);
+                overridden.add(override.quoteCurrency);
+            }
+        });
+        pending = pending.filter(override => !batch.includes(override));
+    }
+
+    return { rates: effective, overridden };
+};
+
+/**
+ * Describe an override's period for display
+ * @param {Object} override - Stored override
+ * @param {Function} [t] - Translator for the wording (English when omitted)
+ * @returns {string} "Always", "From ...", "Until ..." or "start - end"
+ */
+export const formatOverridePeriod = function (override, t = defaultTranslator) {
+    if (override.from && override.to) {
+        return `${override.from} - ${override.to}`;
+    }
+    if (override.from) {
+        return t('overrides.periodFrom', { date: override.from });
+    }
+    if (override.to) {
+        return t('overrides.periodUntil', { date: override.to });
+    }
+    return t('overrides.periodAlways');
+};
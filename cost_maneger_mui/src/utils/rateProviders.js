@@ -0,0 +1,165 @@
+/**
+ * Exchange Rate Provider Adapters - Parse different exchange rate feed formats
+ * Every adapter turns a raw feed into a flat map of currency code -> units per one base unit,
+ * with the base currency itself included as 1, so conversions can use rate ratios regardless of base
+ */
+
+import { normalizeRateCodes, isCurrencyCode } from './currencies';
+
+/**
+ * Keep numeric, positive rates for ISO currency codes
+ * Legacy codes in older feeds (the default feed's "EURO") are renamed to their ISO code here,
+ * so the rest of the app only ever sees ISO codes
+ * @param {Object} source - Raw code -> rate map
+ * @param {Array|null} [invalidValues] - Collects { code, value } for currency codes whose value is not a positive number
+ * @returns {Object} Cleaned rates map
+ */
+const pickNumericRates = function (source, invalidValues = null) {
+    const rates = {};
+    Object.entries(normalizeRateCodes(source)).forEach(([code, value]) => {
+        if (!isCurrencyCode(code)) {
+            return;
+        }
+        const rate = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+            rates[code] = rate;
+        } else if (invalidValues) {
+            invalidValues.push({ code, value });
+        }
+    });
+    return rates;
+};
+
+/**
+ * Find the nested rates object and base currency of a JSON feed
+ * Supports the common {base, rates}, {base_code, conversion_rates} and {source, quotes} layouts
+ * @param {Object} json - Parsed feed
+ * @returns {{base: string|null, rates: Object}|null} Nested rates, or null if the feed is not nested
+ */
+const findNestedRates = function (json) {
+    const nested = ['rates', 'conversion_rates', 'quotes'].find(key => json[key] && typeof json[key] === 'object');
+    if (!nested) {
+        return null;
+    }
+
+    const base = [json.base, json.base_code, json.source].find(value => typeof value === 'string') || null;
+    let rates = json[nested];
+
+    // currencylayer-style quotes are keyed by base + code, e.g. "USDILS"
+    if (nested === 'quotes' && base) {
+        rates = Object.fromEntries(Object.entries(rates).map(([pair, rate]) => [pair.replace(base, ''), rate]));
+    }
+    return { base: base ? base.toUpperCase() : null, rates };
+};
+
+/**
+ * Registered feed adapters in auto-detection order
+ * detect() and base() receive { text, json } where json is null for non-JSON feeds;
+ * parse() also receives invalidValues, an array collecting rejected rate values
+ * Display names are translated as settings.feedFormats.<id>
+ * @type {Array<{id: string, detect: Function, parse: Function, base: Function}>}
+ */
+export const RATE_PROVIDERS = [
+    {
+        id: 'nested',
+        detect: ({ json }) => Boolean(json) && findNestedRates(json) !== null,
+        parse: ({ json, invalidValues }) => {
+            const nested = json ? findNestedRates(json) : null;
+            if (!nested) {
+                throw new Error('Feed has no nested "rates" object');
+            }
+
+            // The base currency is worth exactly one base unit
+            const rates = pickNumericRates(nested.rates, invalidValues);
+            if (nested.base && rates[nested.base] === undefined) {
+                rates[nested.base] = 1;
+            }
+            return rates;
+        },
+        base: ({ json }) => {
+            const nested = json ? findNestedRates(json) : null;
+            return nested ? nested.base : null;
+        }
+    },
+    {
+        id: 'flat',
+        detect: ({ json }) => Boolean(json) && !Array.isArray(json) && Object.keys(pickNumericRates(json)).length > 0,
+        parse: ({ json, invalidValues }) => {
+            if (!json || typeof json !== 'object' || Array.isArray(json)) {
+                throw new Error('Feed is not a JSON object');
+            }
+            return pickNumericRates(json, invalidValues);
+        },
+        // A flat map states no base; the single currency quoted at exactly 1 is taken as the base
+        base: ({ json }) => {
+            const ones = Object.entries(pickNumericRates(json || {})).filter(([, rate]) => rate === 1);
+            return ones.length === 1 ? ones[0][0] : null;
+        }
+    },
+    {
+        id: 'ecb',
+        detect: ({ text }) => /<Cube\s[^>]*currency=/.test(text),
+        parse: ({ text, invalidValues }) => {
+            // Historical ECB files list many days; use the first (most recent) day only
+            const days = text.split(/<Cube\s+time=/);
+            const firstDay = days.length > 1 ? days[1] : text;
+
+            const rates = {};
+            const pattern = /<Cube\s+currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g;
+            let match;
+            while ((match = pattern.exec(firstDay)) !== null) {
+                rates[match[1]] = Number(match[2]);
+            }
+
+            // ECB rates are quoted per one euro
+            if (Object.keys(rates).length > 0) {
+                rates.EUR = 1;
+            }
+            return pickNumericRates(rates, invalidValues);
+        },
+        base: () => 'EUR'
+    }
+];
+
+/**
+ * Find a provider adapter by id
+ * @param {string} providerId - Adapter id
+ * @returns {Object|undefined} Adapter definition
+ */
+export const getRateProvider = function (providerId) {
+    return RATE_PROVIDERS.find(provider => provider.id === providerId);
+};
+
+/**
+ * Parse a raw exchange rates feed with the chosen adapter, or detect the format automatically
+ * @param {string} text - Raw response body
+ * @param {string} providerId - Adapter id, or 'auto' to detect the format
+ * @returns {{rates: Object, provider: string, base: string|null, invalidValues: Array<{code: string, value: *}>}}
+ * Rates map, the id of the adapter that parsed it, the feed's base currency when known and the rejected values
+ * @throws {Error} When the format is not recognized or the feed contains no rates
+ */
+export const parseRatesFeed = function (text, providerId = 'auto') {
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        json = null;
+    }
+    const payload = { text, json };
+
+    const provider = providerId === 'auto'
+        ? RATE_PROVIDERS.find(candidate => candidate.detect(payload))
+        : getRateProvider(providerId);
+    if (!provider) {
+        throw new Error(providerId === 'auto'
+            ? 'Unrecognized exchange rates format'
+            : `Unknown exchange rates format "${providerId}"`);
+    }
+
+    const invalidValues = [];
+    const rates = provider.parse({ ...payload, invalidValues });
+    if (Object.keys(rates).length === 0) {
+        throw new Error(`No exchange rates found in the ${provider.id} feed`);
+    }
+    return { rates, provider: provider.id, base: provider.base(payload), invalidValues };
+};
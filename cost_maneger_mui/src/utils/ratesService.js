@@ -0,0 +1,346 @@
+/**
+ * Rates Service - Loads exchange rates for conversions and reports
+ * Owns every exchange rate request: the latest rates (cached in settings with a TTL), dated historical
+ * rates (cached in the historicalRates store) and the manual overrides. Concurrent requests for the same
+ * feed share one network request, and loadRates gathers everything a screen needs once so the
+ * aggregation methods can convert several views with the same preloaded rates.
+ */
+
+import {
+    DEFAULT_RATES_TTL_MINUTES,
+    RATES_CACHE_SETTING,
+    RATES_TTL_SETTING,
+    HISTORICAL_RATES_SETTING,
+    RATE_PROVIDER_SETTING,
+    RATE_OVERRIDES_SETTING
+} from './constants';
+import { parseRatesFeed } from './rateProviders';
+import { DEFAULT_CURRENCIES, getRatesCurrencies } from './currencies';
+import { defaultTranslator } from '../i18n';
+
+// Pending feed requests keyed by format and URL
+const inFlightRequests = new Map();
+
+/**
+ * Download an exchange rates feed and parse it with the configured provider adapter
+ * Concurrent requests for the same URL and format share one network request
+ * @param {string} exchangeUrl - Exchange rates API URL
+ * @param {string} providerId - Rate provider adapter id, or 'auto' to detect the feed format
+ * @returns {Promise<Object>} Exchange rates object keyed by currency code
+ */
+const requestExchangeRates = function (exchangeUrl, providerId) {
+    const requestKey = `${providerId} ${exchangeUrl}`;
+    if (inFlightRequests.has(requestKey)) {
+        return inFlightRequests.get(requestKey);
+    }
+
+    const request = (async () => {
+        // Fetch current exchange rates from the API endpoint
+        const response = await fetch(exchangeUrl);
+
+        // Handle HTTP errors from exchange rate API
+        if (!response.ok) {
+            throw new Error(`Failed to fetch exchange rates: HTTP ${response.status}`);
+        }
+
+        // Parse the feed (JSON or XML) into a flat currency -> rate map
+        const { rates } = parseRatesFeed(await response.text(), providerId);
+        return rates;
+    })();
+
+    // Forget the request once it settles so later loads can refresh
+    inFlightRequests.set(requestKey, request);
+    request.then(
+        () => inFlightRequests.delete(requestKey),
+        () => inFlightRequests.delete(requestKey)
+    );
+    return request;
+};
+
+/**
+ * Read the configured exchange rates feed format
+ * @param {Object} db - Database wrapper instance with getSetting method
+ * @returns {Promise<string>} Rate provider adapter id, or 'auto'
+ */
+export const getRateProviderId = async function (db) {
+    return (await db.getSetting(RATE_PROVIDER_SETTING)) || 'auto';
+};
+
+/**
+ * Read the manual exchange rate overrides
+ * @param {Object} db - Database wrapper instance with getSetting method
+ * @returns {Promise<Array>} Stored overrides (see rateOverrides.js)
+ */
+export const getRateOverrides = async function (db) {
+    const overrides = await db.getSetting(RATE_OVERRIDES_SETTING);
+    return Array.isArray(overrides) ? overrides : [];
+};
+
+/**
+ * Read the configured exchange rates cache lifetime
+ * @param {Object} db - Database wrapper instance with getSetting method
+ * @returns {Promise<number>} Cache lifetime in minutes
+ */
+export const getRatesTtlMinutes = async function (db) {
+    const ttl = await db.getSetting(RATES_TTL_SETTING);
+    return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_RATES_TTL_MINUTES;
+};
+
+/**
+ * Get exchange rates for the URL configured in database settings
+ * Reuses the cached payload within its TTL, refreshes it otherwise,
+ * and falls back to the cached payload when the rates host cannot be reached
+ * @param {Object} db - Database wrapper instance with getExchangeRatesUrl, getSetting and setSetting methods
+ * @returns {Promise<Object>} Exchange rates object keyed by currency code
+ */
+export const fetchExchangeRates = async function (db) {
+    // Retrieve exchange rate API URL and the cached payload from database settings
+    const exchangeUrl = await db.getExchangeRatesUrl();
+    const providerId = await getRateProviderId(db);
+    const cache = await db.getSetting(RATES_CACHE_SETTING);
+    const cached = cache && cache.url === exchangeUrl && cache.provider === providerId ? cache : null;
+
+    // Serve fresh cached rates without touching the network
+    const ttlMinutes = await getRatesTtlMinutes(db);
+    if (cached && Date.now() - cached.fetchedAt < ttlMinutes * 60 * 1000) {
+        return cached.rates;
+    }
+
+    try {
+        // Refresh and remember the payload with its fetch time
+        const rates = await requestExchangeRates(exchangeUrl, providerId);
+        await db.setSetting(RATES_CACHE_SETTING, { url: exchangeUrl, provider: providerId, rates, fetchedAt: Date.now() });
+        return rates;
+    } catch (error) {
+        // Offline or host down - keep working with the last rates from the same source
+        if (cached) {
+            await db.setSetting(RATES_CACHE_SETTING, { ...cached, failedAt: Date.now() });
+            return cached.rates;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Describe the cached exchange rates for display
+ * @param {Object} db - Database wrapper instance with getExchangeRatesUrl and getSetting methods
+ * @returns {Promise<{fetchedAt: Date, refreshFailed: boolean}|null>} Fetch time and whether the last refresh
+ * attempt failed, or null when no rates have been cached for the configured URL
+ */
+export const getExchangeRatesStatus = async function (db) {
+    const exchangeUrl = await db.getExchangeRatesUrl();
+    const cache = await db.getSetting(RATES_CACHE_SETTING);
+    if (!cache || cache.url !== exchangeUrl) {
+        return null;
+    }
+
+    return {
+        fetchedAt: new Date(cache.fetchedAt),
+        refreshFailed: Boolean(cache.failedAt)
+    };
+};
+
+/**
+ * List the currencies offered for entry and display: every currency of the active rates feed
+ * Falls back to the default currencies when the feed cannot be reached and nothing is cached
+ * @param {Object} db - Database wrapper instance used by fetchExchangeRates
+ * @returns {Promise<Array<string>>} ISO currency codes, sorted
+ */
+export const fetchAvailableCurrencies = async function (db) {
+    try {
+        const currencies = getRatesCurrencies(await fetchExchangeRates(db));
+        return currencies.length > 0 ? currencies : DEFAULT_CURRENCIES;
+    } catch {
+        return DEFAULT_CURRENCIES;
+    }
+};
+
+/**
+ * Capture the current exchange rates of the feed's currencies to store on a new or re-dated cost
+ * Adding a cost never fails because of rates; without reachable or cached rates no snapshot is taken
+ * @param {Object} db - Database wrapper instance used by fetchExchangeRates
+ * @returns {Promise<Object|null>} Rates keyed by currency code, or null when rates are unavailable
+ */
+export const snapshotExchangeRates = async function (db) {
+    try {
+        const rates = await fetchExchangeRates(db);
+        const snapshot = {};
+        getRatesCurrencies(rates).forEach(currency => {
+            if (Number.isFinite(rates[currency]) && rates[currency] > 0) {
+                snapshot[currency] = rates[currency];
+            }
+        });
+        return Object.keys(snapshot).length > 0 ? snapshot : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Get the exchange rates for one date from the historical rates source
+ * Rates for a past date never change, so each URL is fetched once and kept in the historicalRates store
+ * @param {Object} db - Database wrapper instance with getHistoricalRates and saveHistoricalRates methods
+ * @param {string} urlTemplate - Historical rates URL containing a {date} placeholder
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Promise<Object>} Exchange rates object keyed by currency code
+ */
+export const fetchHistoricalRates = async function (db, urlTemplate, dateKey) {
+    const url = urlTemplate.split('{date}').join(dateKey);
+
+    const cachedRates = await db.getHistoricalRates(url);
+    if (cachedRates) {
+        return cachedRates;
+    }
+
+    const rates = await requestExchangeRates(url, await getRateProviderId(db));
+    await db.saveHistoricalRates(url, rates);
+    return rates;
+};
+
+/**
+ * Load the rates a screen needs for its conversions in one pass
+ * A failure to get the latest rates is kept rather than thrown, so views whose costs all have
+ * dated rates still render; conversions that need the latest rates rethrow it
+ * @param {Object} db - Database wrapper instance
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.includeLatest=true] - Also fetch the latest rates (otherwise they are fetched on demand)
+ * @returns {Promise<{latest: Object|null, latestError: Error|null, overrides: Array, historicalTemplate: string|null,
+ * status: Object|null}>} Preloaded rates for fetchAndConvertWithUrl and the idb aggregation methods,
+ * with the getExchangeRatesStatus result
+ */
+export const loadRates = async function (db, { includeLatest = true } = {}) {
+    const [overrides, historicalTemplate] = await Promise.all([
+        getRateOverrides(db),
+        db.getSetting(HISTORICAL_RATES_SETTING)
+    ]);
+
+    let latest = null;
+    let latestError = null;
+    if (includeLatest) {
+        try {
+            latest = await fetchExchangeRates(db);
+        } catch (error) {
+            latestError = error;
+        }
+    }
+
+    return {
+        latest,
+        latestError,
+        overrides,
+        historicalTemplate: historicalTemplate || null,
+        status: includeLatest ? await getExchangeRatesStatus(db) : null
+    };
+};
+
+/**
+ * Check an exchange rates feed before it is saved and describe every finding
+ * Critical checks (status 'error') are an unreachable feed, an unreadable format and currencies used by
+ * stored costs that neither the feed nor a rate override can convert; the rest are warnings or information
+ * @param {string} exchangeUrl - Feed URL to test
+ * @param {string} providerId - Rate provider adapter id, or 'auto' to detect the feed format
+ * @param {Object} context - What the feed has to serve
+ * @param {Array<string>} context.usedCurrencies - Currencies of the stored costs
+ * @param {Array} context.overrides - Stored rate overrides
+ * @param {Function} [context.t] - Translator for labels and messages (English when omitted)
+ * @returns {Promise<{url: string, providerId: string, passed: boolean, checks: Array<{label: string,
+ * status: string, message: string}>}>} Report whose checks have status 'ok', 'info', 'warning' or 'error'
+ */
+export const diagnoseRatesFeed = async function (exchangeUrl, providerId, { usedCurrencies, overrides, t = defaultTranslator }) {
+    const checks = [];
+    const report = () => ({
+        url: exchangeUrl,
+        providerId,
+        passed: checks.every(check => check.status !== 'error'),
+        checks
+    });
+
+    // Reachability, HTTP status and latency (including the body download)
+    let text;
+    const startedAt = performance.now();
+    try {
+        const response = await fetch(exchangeUrl, { cache: 'no-store' });
+        text = await response.text();
+        const latency = Math.round(performance.now() - startedAt);
+        const statusLine = t('feedCheck.statusLine', {
+            status: `${response.status}${response.statusText ? ` ${response.statusText}` : ''}`,
+            latency
+        });
+        if (!response.ok) {
+            checks.push({ label: t('feedCheck.response'), status: 'error', message: statusLine });
+            return report();
+        }
+        checks.push({ label: t('feedCheck.response'), status: latency > 3000 ? 'warning' : 'ok', message: statusLine });
+    } catch (error) {
+        checks.push({
+            label: t('feedCheck.response'),
+            status: 'error',
+            message: t('feedCheck.requestFailed', { message: error.message })
+        });
+        return report();
+    }
+
+    // Format detection and parsing
+    let parsed;
+    try {
+        parsed = parseRatesFeed(text, providerId);
+    } catch (error) {
+        checks.push({ label: t('feedCheck.format'), status: 'error', message: error.message });
+        return report();
+    }
+    checks.push({
+        label: t('feedCheck.format'),
+        status: 'ok',
+        message: t(providerId === 'auto' ? 'feedCheck.formatDetected' : 'feedCheck.formatParsed', {
+            format: t(`settings.feedFormats.${parsed.provider}`),
+            count: Object.keys(parsed.rates).length
+        })
+    });
+    checks.push({
+        label: t('feedCheck.base'),
+        status: 'info',
+        message: parsed.base ? t('feedCheck.baseStated', { base: parsed.base }) : t('feedCheck.baseUnstated')
+    });
+
+    // Currencies of stored costs that this feed cannot convert
+    const missing = usedCurrencies.filter(currency => parsed.rates[currency] === undefined);
+    const overridden = new Set(overrides.flatMap(override => [override.currency, override.quoteCurrency]));
+    const uncovered = missing.filter(currency => !overridden.has(currency));
+    const covered = missing.filter(currency => overridden.has(currency));
+    if (uncovered.length > 0) {
+        checks.push({
+            label: t('feedCheck.currencies'),
+            status: 'error',
+            message: t(uncovered.length === 1 ? 'feedCheck.currencyMissing' : 'feedCheck.currenciesMissing', {
+                currencies: uncovered.join(', ')
+            })
+        });
+    } else if (covered.length > 0) {
+        checks.push({
+            label: t('feedCheck.currencies'),
+            status: 'warning',
+            message: t('feedCheck.currenciesOverridden', { currencies: covered.join(', ') })
+        });
+    } else {
+        checks.push({
+            label: t('feedCheck.currencies'),
+            status: 'ok',
+            message: usedCurrencies.length > 0
+                ? t('feedCheck.currenciesPresent', { count: usedCurrencies.length })
+                : t('feedCheck.noCosts')
+        });
+    }
+
+    // Values that were dropped because they are not positive numbers
+    checks.push(parsed.invalidValues.length > 0
+        ? {
+            label: t('feedCheck.invalidValues'),
+            status: 'warning',
+            message: t('feedCheck.invalidIgnored', {
+                values: parsed.invalidValues.map(({ code, value }) => `${code}: ${JSON.stringify(value)}`).join(', ')
+            })
+        }
+        : { label: t('feedCheck.invalidValues'), status: 'ok', message: t('feedCheck.invalidNone') });
+
+    return report();
+};
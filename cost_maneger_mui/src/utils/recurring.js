@@ -0,0 +1,162 @@
+/**
+ * Recurring Costs - Definitions of costs that repeat on a schedule and the dates they fall on
+ * Due occurrences are turned into ordinary costs by materializeRecurring in idb.js; each generated
+ * cost carries recurringId and occurrence (YYYY-MM-DD) so an occurrence is never added twice
+ * Records of the recurring store: { id, sumMinor, currency, category, description, frequency,
+ * dayOfMonth, startDate, endDate, paused, generatedThrough }
+ */
+
+import { toMinorUnits } from './money';
+import { normalizeCurrencyCode } from './currencies';
+import { validateCostForm, parseDateInput, toDateInputValue } from './helperFunctions';
+import { defaultTranslator } from '../i18n';
+
+// Supported schedules: weekly on the start date's weekday, monthly on a day of the month,
+// yearly on the start date's day and month
+export const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// Upper bound on occurrences walked for one definition (about 190 years of weekly costs)
+const MAX_OCCURRENCES = 10000;
+
+/**
+ * Local midnight of a date
+ * @param {Date|string} date - Any moment of the day
+ * @returns {Date} Start of that day
+ */
+export const startOfDay = function (date) {
+    const value = new Date(date);
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+};
+
+/**
+ * Date of the n-th occurrence counted from the start date's period
+ * Days past the end of a short month fall on its last day (e.g. the 31st in February)
+ * @param {Object} definition - Recurring definition
+ * @param {Date} start - Start date at local midnight
+ * @param {number} index - Occurrence number (0 is the period of the start date)
+ * @returns {Date} Occurrence at local midnight
+ */
+const getOccurrence = function (definition, start, index) {
+    if (definition.frequency === 'weekly') {
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * index);
+    }
+
+    const yearly = definition.frequency === 'yearly';
+    const year = start.getFullYear() + (yearly ? index : 0);
+    const month = start.getMonth() + (yearly ? 0 : index);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const day = yearly ? start.getDate() : definition.dayOfMonth;
+    return new Date(year, month, Math.min(day, daysInMonth));
+};
+
+/**
+ * List the occurrences of a definition within a date range
+ * @param {Object} definition - Recurring definition
+ * @param {string|null} afterKey - Only dates after this YYYY-MM-DD (null for every date from the start)
+ * @param {Date} through - Last day to include
+ * @returns {Array<Date>} Occurrences at local midnight in date order, ending at the definition's end date
+ */
+export const getOccurrenceDates = function (definition, afterKey, through) {
+    const start = startOfDay(definition.startDate);
+    const endKey = toDateInputValue(definition.endDate && definition.endDate < through ? definition.endDate : through);
+    const dates = [];
+
+    for (let index = 0; index < MAX_OCCURRENCES; index++) {
+        const date = getOccurrence(definition, start, index);
+        const key = toDateInputValue(date);
+        if (key > endKey) {
+            break;
+        }
+        if (date >= start && (!afterKey || key > afterKey)) {
+            dates.push(date);
+        }
+    }
+    return dates;
+};
+
+/**
+ * Occurrences that should exist as costs by a day and have not been generated yet
+ * Paused definitions have none; their skipped periods are not caught up when they resume
+ * @param {Object} definition - Recurring definition
+ * @param {Date} today - Current day
+ * @returns {Array<Date>} Due occurrences
+ */
+export const getDueOccurrences = function (definition, today) {
+    return definition.paused ? [] : getOccurrenceDates(definition, definition.generatedThrough || null, today);
+};
+
+/**
+ * First occurrence still to be generated
+ * @param {Object} definition - Recurring definition
+ * @param {Date} today - Current day (paused definitions continue after it)
+ * @returns {Date|null} Next occurrence, or null when the schedule has ended
+ */
+export const getNextOccurrence = function (definition, today) {
+    const afterKey = definition.paused ? toDateInputValue(today) : (definition.generatedThrough || null);
+    const through = new Date(today.getFullYear() + 2, today.getMonth(), today.getDate());
+    const dates = getOccurrenceDates(definition, afterKey, through);
+    return dates.length > 0 ? dates[0] : null;
+};
+
+/**
+ * Status of a definition for display
+ * @param {Object} definition - Recurring definition
+ * @param {Date} today - Current day
+ * @returns {string} 'ended' from the end date on (today's occurrence is generated when the app opens),
+ *                   'paused' or 'active'
+ */
+export const getRecurringStatus = function (definition, today) {
+    if (definition.endDate && toDateInputValue(definition.endDate) <= toDateInputValue(today)) {
+        return 'ended';
+    }
+    return definition.paused ? 'paused' : 'active';
+};
+
+/**
+ * Validate the values of a recurring definition being created or edited
+ * Amount, currency, category and description follow the cost rules; the start date may be in the future
+ * @param {Object} values - Raw form values (sum, currency, category, description, frequency, dayOfMonth,
+ *                          startDate and optional endDate as YYYY-MM-DD)
+ * @param {Function} [t] - Translator for the messages (English when omitted)
+ * @returns {Object} Field errors keyed by field name (empty when valid)
+ */
+export const validateRecurring = function (values, t = defaultTranslator) {
+    const { date: _date, ...errors } = validateCostForm({ ...values, date: values.startDate }, t);
+
+    if (!RECURRING_FREQUENCIES.includes(values.frequency)) {
+        errors.frequency = t('validation.recurringFrequency');
+    }
+    const day = Number(values.dayOfMonth);
+    if (values.frequency === 'monthly' && (!Number.isInteger(day) || day < 1 || day > 31)) {
+        errors.dayOfMonth = t('validation.recurringDay');
+    }
+
+    const startDate = parseDateInput(values.startDate);
+    if (!startDate) {
+        errors.startDate = t('validation.dateRequired');
+    }
+    if (values.endDate && (!parseDateInput(values.endDate) || (startDate && values.endDate < values.startDate))) {
+        errors.endDate = t('validation.recurringEndDate');
+    }
+    return errors;
+};
+
+/**
+ * Build the stored fields of a recurring definition from validated form values
+ * @param {Object} values - Form values accepted by validateRecurring
+ * @returns {Object} Definition fields (amount in minor units, dates at local midnight, endDate null when open-ended)
+ */
+export const createRecurringFields = function (values) {
+    const currency = normalizeCurrencyCode(values.currency);
+    const endDate = values.endDate ? parseDateInput(values.endDate) : null;
+    return {
+        sumMinor: Number.isInteger(values.sumMinor) ? values.sumMinor : toMinorUnits(values.sum, currency),
+        currency,
+        category: values.category,
+        description: values.description.trim(),
+        frequency: values.frequency,
+        dayOfMonth: values.frequency === 'monthly' ? Number(values.dayOfMonth) : null,
+        startDate: startOfDay(parseDateInput(values.startDate)),
+        endDate: endDate ? startOfDay(endDate) : null
+    };
+};
@@ -0,0 +1,136 @@
+/**
+ * Report Export - CSV and Excel (.xlsx) files of the monthly report and yearly overview
+ * Builds tables from getReport and getBarChartData output and downloads them entirely client-side
+ *
+ * Table cells are plain strings, Date objects, or { amount, currency } money values so that
+ * each file format can render dates and amounts natively
+ */
+
+import { MONTHS } from './constants';
+import { toCsv } from './csv';
+import { downloadBlob, toDateInputValue } from './helperFunctions';
+import { getCurrencyDecimals, toMinorUnits, fromMinorUnits, sumMinorUnits } from './money';
+
+/**
+ * Build the monthly report table from getReport output
+ * @param {Object} report - Result of db.getReport(year, month, currency)
+ * @returns {{name: string, columnWidths: Array<number>, rows: Array<Array>}} Table with header and total rows
+ */
+export const buildMonthlyReportTable = function (report) {
+    const currency = report.total.currency;
+
+    // One row per cost with its original and converted amounts (costs without a rate are marked, not converted)
+    const costRows = report.costs.map(cost => [
+        new Date(report.year, report.month - 1, cost.date.day),
+        cost.category,
+        cost.description,
+        { amount: cost.sum, currency: cost.currency },
+        cost.currency,
+        cost.convertedAmount === null ? 'No exchange rate' : { amount: cost.convertedAmount, currency }
+    ]);
+
+    return {
+        name: `${MONTHS[report.month - 1]} ${report.year}`,
+        columnWidths: [12, 18, 40, 14, 10, 16],
+        rows: [
+            ['Date', 'Category', 'Description', 'Amount', 'Currency', `Amount (${currency})`],
+            ...costRows,
+            ['Total', '', '', '', '', { amount: report.total.total, currency }]
+        ]
+    };
+};
+
+/**
+ * Build the yearly overview table from getBarChartData output
+ * @param {Array<{month: number, amount: number, currency: string}>} monthlyData - Monthly totals (months 1-12)
+ * @param {number} year - Year of the data
+ * @param {string} currency - Currency of the totals
+ * @returns {{name: string, columnWidths: Array<number>, rows: Array<Array>}} Table with header and total rows
+ */
+export const buildYearlyTable = function (monthlyData, year, currency) {
+    // Sum in minor units so the yearly total matches the monthly figures exactly
+    const totalMinor = sumMinorUnits(monthlyData.map(item => toMinorUnits(item.amount, currency)));
+
+    return {
+        name: `Year ${year}`,
+        columnWidths: [14, 16],
+        rows: [
+            ['Month', `Total (${currency})`],
+            ...monthlyData.map(item => [MONTHS[item.month - 1], { amount: item.amount, currency }]),
+            ['Total', { amount: fromMinorUnits(totalMinor, currency), currency }]
+        ]
+    };
+};
+
+/**
+ * Check whether a table cell is a money value
+ * @param {*} cell - Table cell
+ * @returns {boolean} True for { amount, currency } cells
+ */
+const isMoneyCell = (cell) => cell !== null && typeof cell === 'object' && 'amount' in cell;
+
+/**
+ * Render a table as CSV text with ISO dates and amounts at their currency's precision
+ * @param {Object} table - Table built by buildMonthlyReportTable or buildYearlyTable
+ * @returns {string} CSV text
+ */
+const tableToCsv = function (table) {
+    return toCsv(table.rows.map(row => row.map(cell => {
+        if (cell instanceof Date) {
+            return toDateInputValue(cell);
+        }
+        if (isMoneyCell(cell)) {
+            return cell.amount.toFixed(getCurrencyDecimals(cell.currency));
+        }
+        return cell;
+    })));
+};
+
+/**
+ * Render a table as an .xlsx Blob with a bold header row, date cells and numeric amount cells
+ * The spreadsheet library is loaded on demand to keep it out of the main bundle
+ * @param {Object} table - Table built by buildMonthlyReportTable or buildYearlyTable
+ * @returns {Promise<Blob>} Excel workbook
+ */
+const tableToXlsx = async function (table) {
+    const { default: writeXlsxFile } = await import('write-excel-file/browser');
+    const [headerRow, ...bodyRows] = table.rows;
+
+    const data = [
+        headerRow.map(cell => ({ value: cell, fontWeight: 'bold' })),
+        ...bodyRows.map(row => row.map(cell => {
+            if (cell instanceof Date) {
+                return { value: cell, type: Date, format: 'yyyy-mm-dd' };
+            }
+            if (isMoneyCell(cell)) {
+                const decimals = getCurrencyDecimals(cell.currency);
+                return { value: cell.amount, type: Number, format: decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0' };
+            }
+            return cell === '' ? null : { value: cell, type: String };
+        }))
+    ];
+
+    return writeXlsxFile(data, {
+        sheet: table.name,
+        columns: table.columnWidths.map(width => ({ width })),
+        stickyRowsCount: 1
+    }).toBlob();
+};
+
+/**
+ * Generate a table file in the requested format and download it
+ * @param {Object} table - Table built by buildMonthlyReportTable or buildYearlyTable
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {string} baseName - File name without extension
+ * @returns {Promise<void>} Resolves once the download has been triggered
+ */
+export const downloadTable = async function (table, format, baseName) {
+    if (format === 'xlsx') {
+        downloadBlob(await tableToXlsx(table), `${baseName}.xlsx`);
+        return;
+    }
+
+    // Byte order mark lets spreadsheet apps detect UTF-8 (e.g. Hebrew descriptions)
+    const blob = new Blob(['\ufeff', tableToCsv(table)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `${baseName}.csv`);
+};
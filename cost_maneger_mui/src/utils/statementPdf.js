@@ -0,0 +1,175 @@
+/**
+ * Monthly Statement PDF - Printable A4 statement of one month's costs
+ * Renders the getReport result, the getPieChartData category breakdown, totals and the
+ * exchange rates applied to each cost, entirely in the browser
+ *
+ * The PDF libraries are loaded on demand to keep them out of the main bundle.
+ * Text uses the standard PDF fonts, which cover Latin characters.
+ */
+
+import { MONTHS } from './constants';
+import { getCurrencyDecimals } from './money';
+
+// Page layout in millimetres
+const PAGE_MARGIN = 15;
+const HEADER_COLOR = [25, 118, 210];
+
+/**
+ * Format an amount with thousands separators at its currency's precision
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount followed by the currency code
+ */
+const formatAmount = function (amount, currency) {
+    const decimals = getCurrencyDecimals(currency);
+    const formatted = (amount || 0).toLocaleString('en-US', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+    return `${formatted} ${currency}`;
+};
+
+// Readable names for the origin of each conversion rate
+const RATE_SOURCE_LABELS = {
+    historical: 'Historical rate for the cost date',
+    snapshot: 'Rate saved when the cost was added',
+    latest: 'Latest rate',
+    override: 'Manual rate override',
+    missing: 'No rate available'
+};
+
+/**
+ * Summarize the distinct rates used to convert the report's costs into the statement currency
+ * @param {Array} costs - Report costs with exchangeRate and rateSource
+ * @param {string} targetCurrency - Statement currency
+ * @returns {Array<Array<string>>} Rows of [currency, rate, source, number of costs]
+ */
+const buildRateRows = function (costs, targetCurrency) {
+    const groups = new Map();
+
+    costs
+        .filter(cost => cost.currency !== targetCurrency)
+        .forEach(cost => {
+            const rate = cost.exchangeRate === null ? null : cost.exchangeRate.toFixed(4);
+            const groupKey = `${cost.currency}|${rate}|${cost.rateSource}`;
+            const group = groups.get(groupKey) || { currency: cost.currency, rate, source: cost.rateSource, count: 0 };
+            group.count += 1;
+            groups.set(groupKey, group);
+        });
+
+    return [...groups.values()]
+        .sort((a, b) => a.currency.localeCompare(b.currency) || a.source.localeCompare(b.source))
+        .map(group => [
+            group.currency,
+            group.rate === null
+                ? 'Not available - excluded from totals'
+                : `1 ${group.currency} = ${group.rate} ${targetCurrency}`,
+            RATE_SOURCE_LABELS[group.source] || group.source,
+            String(group.count)
+        ]);
+};
+
+/**
+ * Create the monthly statement as a PDF Blob
+ * @param {Object} data - Statement content
+ * @param {Object} data.report - Result of db.getReport(year, month, currency) including convertedAmount,
+ * exchangeRate and rateSource per cost
+ * @param {Array<{category: string, amount: number}>} data.categoryData - Result of db.getPieChartData for the same month
+ * @returns {Promise<Blob>} A4 PDF document
+ */
+export const createMonthlyStatementPdf = async function ({ report, categoryData }) {
+    const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+
+    const currency = report.total.currency;
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+
+    // Title block
+    doc.setFontSize(18);
+    doc.text('Monthly Cost Statement', PAGE_MARGIN, 22);
+    doc.setFontSize(11);
+    doc.text(`${MONTHS[report.month - 1]} ${report.year}`, PAGE_MARGIN, 30);
+    doc.setFontSize(9);
+    doc.setTextColor(100);
+    doc.text(`Amounts in ${currency} - generated ${new Date().toLocaleString('en-US')}`, PAGE_MARGIN, 36);
+    doc.setTextColor(0);
+
+    // Summary totals
+    doc.setFontSize(12);
+    doc.text(`Total: ${formatAmount(report.total.total, currency)}`, PAGE_MARGIN, 46);
+    doc.text(`Number of costs: ${report.costs.length}`, pageWidth - PAGE_MARGIN, 46, { align: 'right' });
+
+    const tableStyles = {
+        margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, top: PAGE_MARGIN + 5 },
+        styles: { fontSize: 9 },
+        headStyles: { fillColor: HEADER_COLOR },
+        footStyles: { fillColor: [240, 240, 240], textColor: 0, fontStyle: 'bold' }
+    };
+
+    // Category breakdown, largest first
+    const sortedCategories = [...categoryData].sort((a, b) => b.amount - a.amount);
+    doc.setFontSize(13);
+    doc.text('Category Breakdown', PAGE_MARGIN, 58);
+    autoTable(doc, {
+        ...tableStyles,
+        startY: 62,
+        head: [['Category', 'Amount', 'Share']],
+        body: sortedCategories.map(item => [
+            item.category,
+            formatAmount(item.amount, currency),
+            report.total.total > 0 ? `${((item.amount / report.total.total) * 100).toFixed(1)}%` : '-'
+        ]),
+        foot: [['Total', formatAmount(report.total.total, currency), '']],
+        columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' } }
+    });
+
+    // Itemized costs in date order; autoTable continues on new pages as needed
+    const costs = [...report.costs].sort((a, b) => a.date.day - b.date.day);
+    doc.setFontSize(13);
+    doc.text('Costs', PAGE_MARGIN, doc.lastAutoTable.finalY + 12);
+    autoTable(doc, {
+        ...tableStyles,
+        startY: doc.lastAutoTable.finalY + 16,
+        head: [['Date', 'Category', 'Description', 'Amount', currency]],
+        body: costs.map(cost => [
+            `${String(cost.date.day).padStart(2, '0')}/${String(report.month).padStart(2, '0')}/${report.year}`,
+            cost.category,
+            cost.description,
+            formatAmount(cost.sum, cost.currency),
+            cost.convertedAmount === null ? 'No rate' : formatAmount(cost.convertedAmount, currency)
+        ]),
+        foot: [['', '', 'Total', '', formatAmount(report.total.total, currency)]],
+        columnStyles: { 2: { cellWidth: 'auto' }, 3: { halign: 'right' }, 4: { halign: 'right' } },
+        showFoot: 'lastPage'
+    });
+
+    // Exchange rates used for every converted cost
+    const rateRows = buildRateRows(report.costs, currency);
+    doc.setFontSize(13);
+    doc.text('Exchange Rates Used', PAGE_MARGIN, doc.lastAutoTable.finalY + 12);
+    autoTable(doc, {
+        ...tableStyles,
+        startY: doc.lastAutoTable.finalY + 16,
+        head: [['Currency', 'Rate', 'Source', 'Costs']],
+        body: rateRows.length > 0
+            ? rateRows
+            : [[currency, 'All costs are already in the statement currency', '', '']],
+        columnStyles: { 3: { halign: 'right' } }
+    });
+
+    // Page numbers on every page
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(120);
+        doc.text(
+            `Page ${page} of ${pageCount}`,
+            pageWidth - PAGE_MARGIN,
+            doc.internal.pageSize.getHeight() - 8,
+            { align: 'right' }
+        );
+    }
+
+    return doc.output('blob');
+};
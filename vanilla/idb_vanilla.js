@@ -7,6 +7,9 @@
 // Default exchange rate API endpoint
 const DEFAULT_EXCHANGE_URL = 'https://shaidahari.github.io/exchaneRates_json/exchange-rates.json';
 
+// Cost fields that may be changed after creation through updateCost
+const EDITABLE_COST_FIELDS = ['sum', 'currency', 'category', 'description', 'date'];
+
 /**
  * Normalize rates object to handle EUR/EURO equivalence
  * The GitHub JSON uses "EURO" while the app uses "EUR"
@@ -105,6 +108,53 @@ const fetchAndConvertWithUrl = async function (db, costs, currency) {
     }));
 };
 
+/**
+ * Get the [start, end) date bounds of a calendar month in local time
+ * @param {number} year - Full year
+ * @param {number} month - Month number (1-12)
+ * @returns {{start: Date, end: Date}} First moment of the month and first moment of the next month
+ */
+const getMonthRange = function (year, month) {
+    return {
+        start: new Date(year, month - 1, 1),
+        end: new Date(year, month, 1)
+    };
+};
+
+/**
+ * Read costs dated within [start, end) using the date index instead of scanning the whole store
+ * @param {IDBDatabase} db - Open database connection
+ * @param {Date} start - Inclusive lower bound
+ * @param {Date} end - Exclusive upper bound
+ * @returns {Promise<Array>} Costs in date order with their IndexedDB key as id
+ */
+const getCostsInDateRange = function (db, start, end) {
+    return new Promise((resolve, reject) => {
+        // Create read-only transaction over the date index
+        const transaction = db.transaction(['costs'], 'readonly');
+        const index = transaction.objectStore('costs').index('date');
+        const request = index.openCursor(IDBKeyRange.bound(start, end, false, true));
+        const costs = [];
+
+        request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (cursor) {
+                // Index cursors expose the record key as primaryKey
+                const cost = cursor.value;
+                cost.id = cursor.primaryKey;
+                costs.push(cost);
+                cursor.continue();
+            } else {
+                resolve(costs);
+            }
+        };
+
+        request.onerror = function (event) {
+            reject(event.target.error);
+        };
+    });
+};
+
 /**
  * Global window.idb object - Main API for vanilla JavaScript applications
  * Provides IndexedDB database operations without module imports
@@ -126,20 +176,27 @@ window.idb = {
 
                 // Create database wrapper object with all operations
                 const dbWrapper = {
-                    /** Add a new cost entry to the database with current timestamp */
+                    /** Add a new cost entry to the database, dated today unless cost.date is provided */
                     addCost: async function (cost) {
                         return new Promise((resolve, reject) => {
                             // Create transaction for writing to costs store
                             const transaction = db.transaction(['costs'], 'readwrite');
                             const store = transaction.objectStore('costs');
 
-                            // Add current timestamp to cost object
+                            // Use the provided cost date, defaulting to the current timestamp
+                            const date = cost.date ? new Date(cost.date) : new Date();
+                            if (isNaN(date.getTime())) {
+                                reject(new Error('Invalid cost date'));
+                                return;
+                            }
+
+                            // Build stored cost object with its date
                             const costWithDate = {
                                 sum: cost.sum,
                                 currency: cost.currency,
                                 category: cost.category,
                                 description: cost.description,
-                                date: new Date()
+                                date
                             };
 
                             // Add cost to IndexedDB store
@@ -155,17 +212,94 @@ window.idb = {
                         });
                     },
 
-                    /** Retrieve all costs from database */
+                    /** Update editable fields of an existing cost entry identified by its IndexedDB key */
+                    updateCost: async function (id, changes) {
+                        return new Promise((resolve, reject) => {
+                            // Create transaction for reading and writing the costs store
+                            const transaction = db.transaction(['costs'], 'readwrite');
+                            const store = transaction.objectStore('costs');
+                            const getRequest = store.get(id);
+
+                            getRequest.onsuccess = function (event) {
+                                const existingCost = event.target.result;
+
+                                // Reject if no cost is stored under this key
+                                if (!existingCost) {
+                                    reject(new Error(`Cost with id ${id} not found`));
+                                    return;
+                                }
+
+                                // Merge only editable fields so the stored key stays intact
+                                const updatedCost = { ...existingCost };
+                                EDITABLE_COST_FIELDS.forEach(field => {
+                                    if (changes[field] !== undefined) {
+                                        updatedCost[field] = changes[field];
+                                    }
+                                });
+
+                                // Store dates as Date objects so the date index orders them consistently
+                                updatedCost.date = new Date(updatedCost.date);
+                                if (isNaN(updatedCost.date.getTime())) {
+                                    reject(new Error('Invalid cost date'));
+                                    return;
+                                }
+
+                                // Write the merged cost back under the same key
+                                const putRequest = store.put(updatedCost, id);
+
+                                putRequest.onsuccess = function () {
+                                    resolve({ ...updatedCost, id });
+                                };
+
+                                putRequest.onerror = function (event) {
+                                    reject(event.target.error);
+                                };
+                            };
+
+                            getRequest.onerror = function (event) {
+                                reject(event.target.error);
+                            };
+                        });
+                    },
+
+                    /** Delete a cost entry by its IndexedDB key */
+                    deleteCost: async function (id) {
+                        return new Promise((resolve, reject) => {
+                            // Create transaction for writing to costs store
+                            const transaction = db.transaction(['costs'], 'readwrite');
+                            const store = transaction.objectStore('costs');
+                            const request = store.delete(id);
+
+                            request.onsuccess = function () {
+                                resolve(id);
+                            };
+
+                            request.onerror = function (event) {
+                                reject(event.target.error);
+                            };
+                        });
+                    },
+
+                    /** Retrieve all costs with auto-generated IndexedDB keys as id property */
                     getAllCosts: async function () {
                         return new Promise((resolve, reject) => {
                             // Create read-only transaction
                             const transaction = db.transaction(['costs'], 'readonly');
                             const store = transaction.objectStore('costs');
-                            const request = store.getAll();
+                            const request = store.openCursor(); // Use cursor to get both data and keys
+                            const costs = [];
 
                             request.onsuccess = function (event) {
-                                // Return all costs or empty array if none found
-                                resolve(event.target.result || []);
+                                const cursor = event.target.result;
+                                if (cursor) {
+                                    // Add IndexedDB key as id so costs can be updated or deleted
+                                    const cost = cursor.value;
+                                    cost.id = cursor.key;
+                                    costs.push(cost);
+                                    cursor.continue();
+                                } else {
+                                    resolve(costs); // No more records, return all costs with IDs
+                                }
                             };
 
                             request.onerror = function (event) {
@@ -174,192 +308,135 @@ window.idb = {
                         });
                     },
 
-                    /** Filter costs by specific month and year */
+                    /** Retrieve costs of a specific month (0-11) and year through the date index */
                     getCostsByMonth: async function (month, year) {
                         try {
-                            // Get all costs from database
-                            const allCosts = await this.getAllCosts();
-                            
-                            // Filter by matching month and year
-                            return allCosts.filter(cost => {
-                                const costDate = new Date(cost.date);
-                                return costDate.getMonth() === month && costDate.getFullYear() === year;
-                            });
+                            // Read only the records dated within the selected month
+                            const { start, end } = getMonthRange(year, month + 1);
+                            return await getCostsInDateRange(db, start, end);
                         } catch (error) {
                             throw new Error(`Error getting costs by month: ${error.message}`);
                         }
                     },
 
-                    /** Generate monthly report with currency-converted costs and total */
-                    getReport: async function (year, month, currency) {
-                        return new Promise(async (resolve, reject) => {
-                            try {
-                                // Create read-only transaction
-                                const transaction = db.transaction(['costs'], 'readonly');
-                                const store = transaction.objectStore('costs');
-                                const request = store.getAll();
-
-                                request.onsuccess = async function (event) {
-                                    try {
-                                        const allCosts = event.target.result;
-
-                                        // Filter costs by specified year and month
-                                        const filteredCosts = allCosts.filter(cost => {
-                                            const costDate = new Date(cost.date);
-                                            return costDate.getFullYear() === year &&
-                                                costDate.getMonth() + 1 === month;
-                                        });
-
-                                        // Format costs for report output
-                                        const reportCosts = filteredCosts.map(cost => ({
-                                            sum: cost.sum,
-                                            currency: cost.currency,
-                                            category: cost.category,
-                                            description: cost.description,
-                                            date: { day: new Date(cost.date).getDate() }
-                                        }));
-
-                                        // Convert costs to target currency
-                                        const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, filteredCosts, currency);
-
-                                        // Calculate total amount in target currency
-                                        const total = costsWithConverted.reduce((sum, cost) => {
-                                            return sum + cost.convertedAmount;
-                                        }, 0);
-
-                                        // Build final report object
-                                        const report = {
-                                            year,
-                                            month,
-                                            costs: reportCosts,
-                                            total: { currency, total: Math.round(total * 100) / 100 }
-                                        };
-
-                                        resolve(report);
-                                    } catch (error) {
-                                        reject(error);
+                    /** Retrieve costs of one category through the category index, optionally limited to a date range */
+                    getCostsByCategory: async function (category, start, end) {
+                        return new Promise((resolve, reject) => {
+                            // Create read-only transaction over the category index
+                            const transaction = db.transaction(['costs'], 'readonly');
+                            const index = transaction.objectStore('costs').index('category');
+                            const request = index.openCursor(IDBKeyRange.only(category));
+                            const costs = [];
+
+                            request.onsuccess = function (event) {
+                                const cursor = event.target.result;
+                                if (cursor) {
+                                    const cost = cursor.value;
+                                    const costDate = new Date(cost.date);
+
+                                    // Keep costs inside the optional [start, end) date window
+                                    if ((!start || costDate >= start) && (!end || costDate < end)) {
+                                        cost.id = cursor.primaryKey;
+                                        costs.push(cost);
                                     }
-                                };
+                                    cursor.continue();
+                                } else {
+                                    resolve(costs);
+                                }
+                            };
 
-                                request.onerror = function (event) {
-                                    reject(event.target.error);
-                                };
-                            } catch (error) {
-                                reject(error);
-                            }
+                            request.onerror = function (event) {
+                                reject(event.target.error);
+                            };
                         });
                     },
 
+                    /** Generate monthly report with currency-converted costs and total */
+                    getReport: async function (year, month, currency) {
+                        // Read only the selected month through the date index
+                        const { start, end } = getMonthRange(year, month);
+                        const monthCosts = await getCostsInDateRange(db, start, end);
+
+                        // Format costs for report output
+                        const reportCosts = monthCosts.map(cost => ({
+                            sum: cost.sum,
+                            currency: cost.currency,
+                            category: cost.category,
+                            description: cost.description,
+                            date: { day: new Date(cost.date).getDate() }
+                        }));
+
+                        // Convert costs to target currency
+                        const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, monthCosts, currency);
+
+                        // Calculate total amount in target currency
+                        const total = costsWithConverted.reduce((sum, cost) => {
+                            return sum + cost.convertedAmount;
+                        }, 0);
+
+                        // Build final report object
+                        return {
+                            year,
+                            month,
+                            costs: reportCosts,
+                            total: { currency, total: Math.round(total * 100) / 100 }
+                        };
+                    },
+
                     /** Get category-based data for pie chart visualization with currency conversion */
                     getPieChartData: async function (year, month, currency) {
-                        return new Promise(async (resolve, reject) => {
-                            try {
-                                // Create read-only transaction
-                                const transaction = db.transaction(['costs'], 'readonly');
-                                const store = transaction.objectStore('costs');
-                                const request = store.getAll();
-
-                                request.onsuccess = async function (event) {
-                                    try {
-                                        const allCosts = event.target.result;
-
-                                        // Filter costs by specified year and month
-                                        const filteredCosts = allCosts.filter(cost => {
-                                            const costDate = new Date(cost.date);
-                                            return costDate.getFullYear() === year &&
-                                                costDate.getMonth() + 1 === month;
-                                        });
-
-                                        // Convert costs to target currency
-                                        const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, filteredCosts, currency);
-
-                                        // Group costs by category and sum amounts
-                                        const categoryTotals = {};
-
-                                        costsWithConverted.forEach(cost => {
-                                            if (!categoryTotals[cost.category]) {
-                                                categoryTotals[cost.category] = 0;
-                                            }
-                                            categoryTotals[cost.category] += cost.convertedAmount;
-                                        });
-
-                                        // Format data for pie chart visualization
-                                        const pieData = Object.keys(categoryTotals).map(category => ({
-                                            category,
-                                            amount: Math.round(categoryTotals[category] * 100) / 100,
-                                            currency
-                                        }));
-
-                                        resolve(pieData);
-                                    } catch (error) {
-                                        reject(error);
-                                    }
-                                };
+                        // Read only the selected month through the date index
+                        const { start, end } = getMonthRange(year, month);
+                        const monthCosts = await getCostsInDateRange(db, start, end);
 
-                                request.onerror = function (event) {
-                                    reject(event.target.error);
-                                };
-                            } catch (error) {
-                                reject(error);
+                        // Convert costs to target currency
+                        const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, monthCosts, currency);
+
+                        // Group costs by category and sum amounts
+                        const categoryTotals = {};
+
+                        costsWithConverted.forEach(cost => {
+                            if (!categoryTotals[cost.category]) {
+                                categoryTotals[cost.category] = 0;
                             }
+                            categoryTotals[cost.category] += cost.convertedAmount;
                         });
+
+                        // Format data for pie chart visualization
+                        return Object.keys(categoryTotals).map(category => ({
+                            category,
+                            amount: Math.round(categoryTotals[category] * 100) / 100,
+                            currency
+                        }));
                     },
 
                     /** Get monthly spending data for bar chart visualization with currency conversion */
                     getBarChartData: async function (year, currency) {
-                        return new Promise(async (resolve, reject) => {
-                            try {
-                                // Create read-only transaction
-                                const transaction = db.transaction(['costs'], 'readonly');
-                                const store = transaction.objectStore('costs');
-                                const request = store.getAll();
-
-                                request.onsuccess = async function (event) {
-                                    try {
-                                        const allCosts = event.target.result;
-
-                                        // Filter costs by specified year
-                                        const filteredCosts = allCosts.filter(cost => {
-                                            const costDate = new Date(cost.date);
-                                            return costDate.getFullYear() === year;
-                                        });
-
-                                        // Convert costs to target currency
-                                        const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, filteredCosts, currency);
-
-                                        // Initialize monthly totals for all 12 months
-                                        const monthlyTotals = {};
-
-                                        for (let month = 1; month <= 12; month++) {
-                                            monthlyTotals[month] = 0;
-                                        }
-
-                                        // Sum costs by month
-                                        costsWithConverted.forEach(cost => {
-                                            const costMonth = new Date(cost.date).getMonth() + 1;
-                                            monthlyTotals[costMonth] += cost.convertedAmount;
-                                        });
-
-                                        // Format data for bar chart visualization
-                                        const barData = Object.keys(monthlyTotals).map(month => ({
-                                            month: parseInt(month),
-                                            amount: Math.round(monthlyTotals[month] * 100) / 100,
-                                            currency
-                                        }));
-
-                                        resolve(barData);
-                                    } catch (error) {
-                                        reject(error);
-                                    }
-                                };
+                        // Read only the selected year through the date index
+                        const yearCosts = await getCostsInDateRange(db, new Date(year, 0, 1), new Date(year + 1, 0, 1));
 
-                                request.onerror = function (event) {
-                                    reject(event.target.error);
-                                };
-                            } catch (error) {
-                                reject(error);
-                            }
+                        // Convert costs to target currency
+                        const costsWithConverted = await fetchAndConvertWithUrl(dbWrapper, yearCosts, currency);
+
+                        // Initialize monthly totals for all 12 months
+                        const monthlyTotals = {};
+
+                        for (let month = 1; month <= 12; month++) {
+                            monthlyTotals[month] = 0;
+                        }
+
+                        // Sum costs by month
+                        costsWithConverted.forEach(cost => {
+                            const costMonth = new Date(cost.date).getMonth() + 1;
+                            monthlyTotals[costMonth] += cost.convertedAmount;
                         });
+
+                        // Format data for bar chart visualization
+                        return Object.keys(monthlyTotals).map(month => ({
+                            month: parseInt(month),
+                            amount: Math.round(monthlyTotals[month] * 100) / 100,
+                            currency
+                        }));
                     },
 
                     /** Store application settings in database */